@@ -1,10 +1,23 @@
 // 导入模块
+// 🔴 平台适配需最先导入：无window的环境中会先补上全局window
+import Platform from './src/platform.js';
 import eventPrototype from './src/event.js';
 import MapManager from './src/maps/map-manager.js';
 import createMenuSystem from './src/menu.js';
 import {CharacterManager} from './src/character.js';
 import {ZombieManager} from './src/zombie.js';
 import {PartnerManager} from './src/partner.js';
+import {ItemManager} from './src/item.js';
+import {ProjectileManager} from './src/projectile.js';
+import {EffectManager} from './src/effect.js';
+import {CombatTextManager} from './src/combat-text.js';
+import {Announcer} from './src/announcer.js';
+import {SquadCommand} from './src/squad.js';
+import {FormationManager} from './src/formation.js';
+import {RecruitManager} from './src/recruit.js';
+import {SkillTree} from './src/skill-tree.js';
+import {InfectionManager} from './src/infection.js';
+import SettingsManager from './src/settings.js';
 import GameEngine from './src/game-engine.js';
 import ViewSystem from './src/view/index.js';
 import CollisionSystem from './src/obj/collision.js';
@@ -13,11 +26,14 @@ import memoryMonitor from './src/obj/memory-optimization.js';
 import objectManager from './src/obj/object-manager.js';
 import objectHealthChecker from './src/obj/health-checker.js';
 import ConfigManager from './src/config.js';
+import SaveManager from './src/save.js';
+import RandomManager from './src/random.js';
+import ReplayManager from './src/replay.js';
 
 
 // 全局变量声明
-let systemInfo = tt.getSystemInfoSync();
-let canvas = tt.createCanvas(), ctx = canvas.getContext('2d');
+let systemInfo = Platform.getSystemInfo();
+let canvas = Platform.createCanvas(), ctx = canvas.getContext('2d');
 canvas.width = systemInfo.windowWidth;
 canvas.height = systemInfo.windowHeight;
 
@@ -51,6 +67,7 @@ let collisionSystem = null;
 // 游戏状态
 let isGameInitialized = false; // 标记游戏是否已初始化
 let isInitializing = false; // 标记是否正在初始化
+let pendingSaveData = null; // 🔴 新增：待恢复的存档数据（读取存档位时设置）
 
 // 游戏重置功能
 function resetGame() {
@@ -75,6 +92,12 @@ function resetGame() {
 function handleMainCharacterDeath() {
     console.log('💀 主人物死亡，开始死亡处理流程...');
 
+    // 🔴 新增：主人物死亡后本局结束，删除存档
+    SaveManager.clearSave();
+
+    // 🔴 新增：结束录制或回放
+    ReplayManager.endRun();
+
     // 设置游戏引擎为死亡状态
     if (window.gameEngine && window.gameEngine.setDeathState) {
         window.gameEngine.setDeathState();
@@ -183,13 +206,16 @@ function pauseSystemUpdates() {
 function resetGameEnvironment() {
     console.log('🔄 开始环境重置...');
 
+    // 🔴 新增：结束录制或回放，录像写入本地存储
+    ReplayManager.endRun();
+
     // 第一步：暂停系统更新
     pauseSystemUpdates();
 
     // 🔴 修复：停止当前游戏循环，防止FPS叠加
     if (window.gameLoopId) {
         console.log('⏹️ 停止当前游戏循环...');
-        cancelAnimationFrame(window.gameLoopId);
+        Platform.cancelAnimationFrame(window.gameLoopId);
         window.gameLoopId = null;
     }
 
@@ -327,7 +353,7 @@ function resetGameEnvironment() {
 
     // 第十二步：清理所有全局变量（保留画布和上下文）
     console.log('🗑️ 清理所有全局变量...');
-    const globalVarsToClean = ['characterManager', 'zombieManager', 'partnerManager', 'objectManager', 'objectPoolManager', 'memoryMonitor', 'objectHealthChecker', 'collisionSystem', 'mapSystem', 'gameEngine', 'viewSystem', 'renderManager', 'MapManager', 'ViewSystem'];
+    const globalVarsToClean = ['characterManager', 'zombieManager', 'partnerManager', 'itemManager', 'projectileManager', 'effectManager', 'combatTextManager', 'announcer', 'squadCommand', 'formationManager', 'recruitManager', 'skillTree', 'infectionManager', 'objectManager', 'objectPoolManager', 'memoryMonitor', 'objectHealthChecker', 'collisionSystem', 'mapSystem', 'gameEngine', 'viewSystem', 'renderManager', 'MapManager', 'ViewSystem'];
 
     globalVarsToClean.forEach(varName => {
         if (window[varName] !== undefined) {
@@ -345,6 +371,8 @@ function resetGameState() {
     // 重置初始化标志
     isGameInitialized = false;
     isInitializing = false;
+    pendingSaveData = null;
+    SaveManager.activeSlot = null;
 
     // 重置游戏循环标志
     window.shouldStopGameLoop = false;
@@ -356,7 +384,7 @@ function resetGameState() {
         // window.ctx = ctx;
 
         // 清空所有游戏相关全局变量
-        const varsToDelete = ['characterManager', 'zombieManager', 'partnerManager', 'collisionSystem', 'mapSystem', 'gameEngine', 'MapManager', 'ViewSystem', 'objectPoolManager', 'objectManager', 'memoryMonitor', 'objectHealthChecker', 'viewSystem', 'renderManager'];
+        const varsToDelete = ['characterManager', 'zombieManager', 'partnerManager', 'itemManager', 'projectileManager', 'effectManager', 'combatTextManager', 'announcer', 'squadCommand', 'formationManager', 'recruitManager', 'skillTree', 'infectionManager', 'collisionSystem', 'mapSystem', 'gameEngine', 'MapManager', 'ViewSystem', 'objectPoolManager', 'objectManager', 'memoryMonitor', 'objectHealthChecker', 'viewSystem', 'renderManager'];
 
         varsToDelete.forEach(varName => {
             if (window[varName] !== undefined) {
@@ -496,6 +524,102 @@ function startGame() {
     }
 }
 
+// 🔴 新增：读取存档位继续对局（不传存档位时读取最近的存档）
+function continueGame(slot) {
+    if (slot === undefined) {
+        slot = SaveManager.getLatestSlot();
+    }
+
+    var saveData = SaveManager.loadSlot(slot);
+    if (!saveData) {
+        console.warn('⚠️ 存档位没有可继续的存档:', slot);
+        return false;
+    }
+
+    console.log('📂 读取', saveData.meta.name, '第', saveData.timeSystem.day, '天');
+    SaveManager.applySaveDifficulty(saveData);
+    SaveManager.activeSlot = slot;
+    pendingSaveData = saveData;
+    startGame();
+    return true;
+}
+
+// 🔴 新增：在存档位开始新游戏（不传存档位时使用第一个空存档位，没有空位时返回false）
+function startNewGame(slot) {
+    if (slot === undefined) {
+        slot = SaveManager.findEmptySlot();
+        if (slot === null) {
+            console.log('💾 存档位已满，需要选择覆盖的存档位');
+            return false;
+        }
+    } else {
+        // 覆盖已有存档
+        SaveManager.deleteSlot(slot);
+    }
+
+    SaveManager.activeSlot = slot;
+    pendingSaveData = null;
+    startGame();
+    return true;
+}
+
+// 🔴 新增：保存当前对局到当前存档位
+function saveCurrentGame() {
+    return SaveManager.saveGame(gameEngine);
+}
+
+// 🔴 新增：关闭游戏内菜单（技能页等），继续暂停的对局
+function hideGameMenu() {
+    return !!gameEngine && gameEngine.resumeGame();
+}
+
+// 🔴 新增：回放录像（不传参数时回放最近一次录像），回放期间不写入存档
+function playReplay(data) {
+    if (isInitializing || isGameInitialized) {
+        console.warn('⚠️ 对局进行中，无法开始回放');
+        return false;
+    }
+
+    var source = data || ReplayManager.loadLastRecording();
+    if (!source) {
+        console.warn('⚠️ 没有可回放的录像');
+        return false;
+    }
+
+    var recording;
+    try {
+        recording = ReplayManager.prepareReplay(source);
+    } catch (error) {
+        console.error('❌ 录像无法回放:', error.message);
+        return false;
+    }
+
+    SaveManager.activeSlot = null;
+    pendingSaveData = recording.saveData;
+    startGame();
+    return true;
+}
+
+// 🔴 新增：导出最近一次录像（JSON字符串），同时写入剪贴板
+function exportReplay() {
+    var recording = ReplayManager.loadLastRecording();
+    if (!recording) {
+        return null;
+    }
+
+    var data = ReplayManager.exportRecording(recording);
+    Platform.setClipboard(data);
+    console.log('📤 录像已导出:', data.length, '字节');
+    return data;
+}
+
+// 🔴 新增：小游戏切到后台时自动存档
+Platform.onHide(() => {
+    if (ConfigManager.safeGet('SAVE.SAVE_ON_HIDE', true)) {
+        saveCurrentGame();
+    }
+});
+
 // 显示加载提示
 function showLoadingMessage(message) {
     console.log('⏳ 显示加载提示:', message);
@@ -527,6 +651,10 @@ function initGameSystemsAsync() {
     // 使用setTimeout确保UI更新
     setTimeout(() => {
         try {
+            // 🔴 新增：初始化运行种子（继续存档时沿用存档的种子，保证世界一致）
+            var savedRandom = pendingSaveData ? pendingSaveData.random : null;
+            RandomManager.init(savedRandom ? savedRandom.seed : undefined);
+
             // 第一步：初始化游戏引擎
             console.log('⚙️ 步骤1: 初始化游戏引擎');
             initGameEngine();
@@ -618,11 +746,62 @@ function initCharacterAndZombieSystems() {
         var partnerManager = Object.create(PartnerManager);
         partnerManager.initObjectPool(); // 🔴 新增：初始化对象池
 
+        // 🔴 新增：初始化物品管理器
+        console.log('🎒 初始化物品管理器');
+        var itemManager = Object.create(ItemManager);
+        itemManager.init();
+
+        // 🔴 新增：初始化投射物管理器
+        var projectileManager = Object.create(ProjectileManager);
+        projectileManager.init();
+
+        // 🔴 新增：初始化特效管理器
+        var effectManager = Object.create(EffectManager);
+        effectManager.init();
+
+        // 🔴 新增：初始化伤害数字和击杀播报
+        var combatTextManager = Object.create(CombatTextManager);
+        combatTextManager.init();
+
+        // 🔴 新增：初始化屏幕播报
+        var announcer = Object.create(Announcer);
+        announcer.init();
+
+        // 🔴 新增：初始化小队指令
+        var squadCommand = Object.create(SquadCommand);
+        squadCommand.init();
+
+        // 🔴 新增：初始化跟随阵型
+        var formationManager = Object.create(FormationManager);
+        formationManager.init();
+
+        // 🔴 新增：初始化招募提示
+        var recruitManager = Object.create(RecruitManager);
+        recruitManager.init();
+
+        // 🔴 新增：初始化主人物技能树
+        var skillTree = Object.create(SkillTree);
+        skillTree.init();
+
+        // 🔴 新增：初始化感染管理器
+        var infectionManager = Object.create(InfectionManager);
+        infectionManager.init();
+
         // 设置其他全局变量
         if (typeof window !== 'undefined') {
             window.characterManager = characterManager;
             window.zombieManager = zombieManager;
             window.partnerManager = partnerManager;
+            window.itemManager = itemManager;
+            window.projectileManager = projectileManager;
+            window.effectManager = effectManager;
+            window.combatTextManager = combatTextManager;
+            window.announcer = announcer;
+            window.squadCommand = squadCommand;
+            window.formationManager = formationManager;
+            window.recruitManager = recruitManager;
+            window.skillTree = skillTree;
+            window.infectionManager = infectionManager;
         }
 
         console.log('✅ 角色、僵尸和伙伴系统初始化完成');
@@ -687,6 +866,11 @@ function createMainCharacter() {
                 safePosition = {x: 2000, y: 2000, success: true};
             }
 
+            // 🔴 新增：继续存档时在存档位置创建主人物
+            if (pendingSaveData) {
+                safePosition = SaveManager.getMainCharacterPosition(pendingSaveData);
+            }
+
             mainChar = window.characterManager.createMainCharacter(safePosition.x, safePosition.y);
             if (mainChar) {
                 console.log('✅ 主人物创建成功:', mainChar.id, '位置:', safePosition.x, safePosition.y);
@@ -737,6 +921,19 @@ if (typeof window !== 'undefined') {
     window.startGame = startGame;
     window.resetGame = resetGame;
     window.resetAllConfig = resetAllConfig;
+    window.continueGame = continueGame;
+    window.startNewGame = startNewGame;
+    window.saveCurrentGame = saveCurrentGame;
+    window.hideGameMenu = hideGameMenu;
+    window.getSaveSlots = () => SaveManager.listSlots();
+    window.deleteSaveSlot = (slot) => SaveManager.deleteSlot(slot);
+    window.getDifficultyLabel = (difficulty) => SaveManager.getDifficultyLabel(difficulty);
+    window.Platform = Platform;
+    window.playReplay = playReplay;
+    window.exportReplay = exportReplay;
+    window.getReplayInfo = () => ReplayManager.getLastRecordingInfo();
+    window.getSettings = () => SettingsManager.getAll();
+    window.toggleSetting = (key) => SettingsManager.toggle(key);
 }
 
 // 重新开始游戏（从游戏结束界面调用）
@@ -940,6 +1137,17 @@ function continueGameSystemsInit() {
             console.log('🚀 步骤7: 切换到游戏状态');
             gameEngine.setGameState('playing');
 
+            // 🔴 新增：继续存档时恢复时间系统、伙伴和僵尸
+            var runSaveData = pendingSaveData;
+            if (pendingSaveData) {
+                console.log('📂 步骤7.5: 恢复存档');
+                SaveManager.restoreGame(gameEngine, pendingSaveData);
+                pendingSaveData = null;
+            }
+
+            // 🔴 新增：开始录制输入，或开始回放等待中的录像
+            ReplayManager.beginRun(runSaveData);
+
             // 第八步：启动游戏循环
             console.log('🔄 步骤8: 启动游戏循环');
             startGameLoop();
@@ -1034,9 +1242,14 @@ function performInitialRendering() {
             throw new Error('角色管理器或视觉系统未初始化');
         }
 
+        // 🔴 修复：继续存档时僵尸和伙伴全部由存档恢复，不再生成初始僵尸和地图伙伴（否则读档后数量翻倍）
+        var restoringSave = !!pendingSaveData;
+
         // 第四步：渲染僵尸
         console.log('🧟‍♂️ 渲染僵尸...');
-        if (gameEngine.viewSystem && window.zombieManager) {
+        if (restoringSave) {
+            console.log('📂 继续存档，跳过初始僵尸');
+        } else if (gameEngine.viewSystem && window.zombieManager) {
             // 创建初始僵尸（在南部公园区，远离建筑物）
             var zombieX = 4800;
             var zombieY = 9400;
@@ -1055,7 +1268,9 @@ function performInitialRendering() {
 
         // 第五步：生成伙伴
         console.log('👥 生成伙伴...');
-        if (gameEngine.viewSystem && window.partnerManager) {
+        if (restoringSave) {
+            console.log('📂 继续存档，跳过地图伙伴生成');
+        } else if (gameEngine.viewSystem && window.partnerManager) {
             // 在地图上随机生成伙伴
             window.partnerManager.generatePartnersOnMap();
         } else {
@@ -1122,7 +1337,7 @@ function startGameLoop() {
     // 🔴 修复：确保停止之前的游戏循环，防止FPS叠加
     if (window.gameLoopId) {
         console.log('⏹️ 停止之前的游戏循环...');
-        cancelAnimationFrame(window.gameLoopId);
+        Platform.cancelAnimationFrame(window.gameLoopId);
         window.gameLoopId = null;
     }
 
@@ -1135,10 +1350,15 @@ function startGameLoop() {
     var targetFPS = performanceConfig.TARGET_FPS;
     var targetFrameTime = performanceConfig.FRAME_TIME;
 
+    // 🔴 新增：固定步长累加器配置，逻辑始终按FIXED_TIMESTEP推进，与设备刷新率无关
+    var fixedTimeStep = performanceConfig.FIXED_TIMESTEP || 1 / 60;
+    var maxFrameDelta = performanceConfig.MAX_FRAME_DELTA || 0.25;
+    var maxStepsPerFrame = performanceConfig.MAX_STEPS_PER_FRAME || 5;
+
     // 🔴 修复：将帧率相关变量设为全局，确保重启时正确重置
     if (!window.gameLoopVars) {
         window.gameLoopVars = {
-            lastFrameTime: 0, fpsCounter: 0, fpsLastTime: 0, currentFPS: 0
+            lastFrameTime: 0, fpsCounter: 0, fpsLastTime: 0, currentFPS: 0, accumulator: 0
         };
     } else {
         // 🔴 新增：重启时重置帧率变量
@@ -1146,6 +1366,7 @@ function startGameLoop() {
         window.gameLoopVars.fpsCounter = 0;
         window.gameLoopVars.fpsLastTime = 0;
         window.gameLoopVars.currentFPS = 0;
+        window.gameLoopVars.accumulator = 0;
     }
 
     function gameLoop(currentTime) {
@@ -1156,6 +1377,13 @@ function startGameLoop() {
                 window.gameLoopVars.fpsLastTime = currentTime;
             }
 
+            // 🔴 新增：计算真实帧间隔（秒），切后台等长间隔按上限截断
+            var frameDelta = 0;
+            if (window.gameLoopVars.lastFrameTime > 0) {
+                frameDelta = Math.min((currentTime - window.gameLoopVars.lastFrameTime) / 1000, maxFrameDelta);
+            }
+            window.gameLoopVars.lastFrameTime = currentTime;
+
             // 检查是否应该停止游戏循环
             if (window.shouldStopGameLoop) {
                 console.log('⏹️ 游戏循环收到停止信号，停止执行');
@@ -1170,6 +1398,11 @@ function startGameLoop() {
                 }
             } else {
                 // 执行游戏逻辑
+                // 🔴 新增：非游戏状态不积累逻辑时间，避免返回游戏时追帧
+                if (gameEngine.gameState !== 'playing') {
+                    window.gameLoopVars.accumulator = 0;
+                }
+
                 if (gameEngine.gameState === 'home') {
                     // 渲染首页
                     if (menuSystem && menuSystem.render) {
@@ -1178,7 +1411,25 @@ function startGameLoop() {
                 } else if (gameEngine.gameState === 'playing') {
                     // 使用游戏引擎的更新和渲染方法
                     if (gameEngine.update && gameEngine.render) {
-                        gameEngine.update();
+                        // 🔴 新增：固定步长累加器，按真实时间执行0~N次逻辑更新，再渲染一次
+                        window.gameLoopVars.accumulator += frameDelta;
+                        var steps = 0;
+                        while (window.gameLoopVars.accumulator >= fixedTimeStep && steps < maxStepsPerFrame) {
+                            gameEngine.update(fixedTimeStep);
+                            window.gameLoopVars.accumulator -= fixedTimeStep;
+                            steps++;
+
+                            // 逻辑更新中可能进入死亡等状态，立即停止追帧
+                            if (gameEngine.gameState !== 'playing') {
+                                window.gameLoopVars.accumulator = 0;
+                                break;
+                            }
+                        }
+
+                        // 追帧达到上限时丢弃剩余时间，防止低端设备陷入死循环
+                        if (steps >= maxStepsPerFrame) {
+                            window.gameLoopVars.accumulator = 0;
+                        }
                         gameEngine.render();
                     } else {
                         console.error('游戏引擎的update或render方法不存在');
@@ -1186,8 +1437,9 @@ function startGameLoop() {
                 } else if (gameEngine.gameState === 'menu') {
                     // 渲染菜单
                     if (menuSystem && menuSystem.render) {
-                        // 确保菜单系统处于游戏内菜单状态
-                        if (menuSystem.getCurrentState() !== 'game_menu') {
+                        // 确保菜单系统处于游戏内菜单状态（🔴 修改：技能页也属于游戏内菜单）
+                        var inGameMenuState = menuSystem.getCurrentState();
+                        if (inGameMenuState !== 'game_menu' && inGameMenuState !== 'skill_tree') {
                             menuSystem.setState('game_menu');
                         } else {
                             menuSystem.render();
@@ -1224,12 +1476,12 @@ function startGameLoop() {
 
         // 继续下一帧（除非收到停止信号）
         if (!window.shouldStopGameLoop) {
-            window.gameLoopId = requestAnimationFrame(gameLoop);
+            window.gameLoopId = Platform.requestAnimationFrame(gameLoop);
         }
     }
 
     // 启动游戏循环
-    window.gameLoopId = requestAnimationFrame(gameLoop);
+    window.gameLoopId = Platform.requestAnimationFrame(gameLoop);
     console.log('✅ 游戏循环已启动' + (enableFPSLimit ? `（${targetFPS}fps限制）` : '（无帧率限制）'));
 }
 
@@ -0,0 +1,245 @@
+/**
+ * 职业技能模块 (ability.js)
+ *
+ * 功能：
+ * - 伙伴的职业技能由伙伴状态机的ABILITY状态驱动，队伍停下且附近没有僵尸时进入
+ * - 医生、护士：持续治疗范围内血量比例最低的队员（包括自己和主人物），医生治疗时同时降低感染值
+ * - 厨师：做饭，当天累计做够时间后，新的一天开始时产出食物（食物系统结算）
+ * - 平民：移动更快（统一移动控制器按职业倍率），能在更远处发现未招募的幸存者并标记
+ * - 警察的配枪远程射击在ATTACK状态中由武器系统完成，不需要ABILITY状态
+ * - 参数来自config.js的ABILITY配置，已解锁的职业特长（经验模块）按倍率调整
+ */
+
+import {ROLE} from './config.js';
+import PartnerExperience from './experience.js';
+
+// 默认技能配置（会被config.js中的ABILITY覆盖）
+const ABILITY_DEFAULTS = {
+    DOCTOR: {HEAL_RANGE: 180, HEAL_AMOUNT: 6, HEAL_INTERVAL: 1, CURE_AMOUNT: 15},
+    NURSE: {HEAL_RANGE: 240, HEAL_AMOUNT: 4, HEAL_INTERVAL: 1},
+    CHEF: {COOK_TIME: 10},
+    CIVILIAN: {SPEED_MULTIPLIER: 1.25, SPOT_RANGE: 700, SPOT_TIME: 0.8}
+};
+
+// 技能状态下头顶显示的图标
+const ABILITY_ICON = {
+    HEAL: '➕', COOK: '🍳', SPOT: '👀'
+};
+
+// 获取技能配置
+function getAbilityConfig() {
+    if (window.ConfigManager) {
+        return window.ConfigManager.safeGet('ABILITY', ABILITY_DEFAULTS);
+    }
+    return ABILITY_DEFAULTS;
+}
+
+// 职业技能系统
+const RoleAbility = {
+    // 初始化伙伴的技能属性（创建和重置时调用）
+    initPartner: function (partner) {
+        partner.abilityTimer = 0;       // 技能计时（秒）
+        partner.abilityIcon = null;     // 技能状态图标
+        partner.cookTime = 0;           // 厨师当天已做饭时间（秒）
+        partner.hasCookedToday = false; // 厨师当天是否做完饭
+        partner.spotted = false;        // 未招募的幸存者是否已被平民发现
+    },
+
+    // 医生和护士共用治疗逻辑，返回对应职业的治疗配置
+    getHealConfig: function (role) {
+        var abilityConfig = getAbilityConfig();
+        if (role === ROLE.DOCTOR) return abilityConfig.DOCTOR;
+        if (role === ROLE.NURSE) return abilityConfig.NURSE;
+        return null;
+    },
+
+    // 🔴 新增：伙伴实际的治疗参数（职业配置乘以已解锁特长的倍率）
+    getHealStats: function (partner) {
+        var healConfig = this.getHealConfig(partner.role);
+        if (!healConfig) return null;
+
+        return {
+            range: healConfig.HEAL_RANGE * PartnerExperience.getPerkMultiplier(partner, 'HEAL_RANGE'),
+            amount: Math.round(healConfig.HEAL_AMOUNT * PartnerExperience.getPerkMultiplier(partner, 'HEAL_AMOUNT')),
+            interval: healConfig.HEAL_INTERVAL * PartnerExperience.getPerkMultiplier(partner, 'HEAL_INTERVAL'),
+            cure: healConfig.CURE_AMOUNT || 0   // 🔴 新增：每次治疗降低的感染值
+        };
+    },
+
+    // 当前是否有技能可以施展（决定能否进入和停留在ABILITY状态）
+    hasWork: function (partner) {
+        if (partner.isInitialState || partner.hp <= 0) return false;
+
+        switch (partner.role) {
+            case ROLE.DOCTOR:
+            case ROLE.NURSE:
+                return !!this.findHealTarget(partner);
+            case ROLE.CHEF:
+                return !partner.hasCookedToday;
+            case ROLE.CIVILIAN:
+                return !!this.findUnspottedSurvivor(partner);
+            default:
+                return false;
+        }
+    },
+
+    // 进入ABILITY状态
+    enter: function (partner) {
+        partner.abilityTimer = 0;
+
+        switch (partner.role) {
+            case ROLE.DOCTOR:
+            case ROLE.NURSE:
+                partner.abilityIcon = ABILITY_ICON.HEAL;
+                break;
+            case ROLE.CHEF:
+                partner.abilityIcon = ABILITY_ICON.COOK;
+                break;
+            case ROLE.CIVILIAN:
+                partner.abilityIcon = ABILITY_ICON.SPOT;
+                break;
+            default:
+                partner.abilityIcon = null;
+        }
+    },
+
+    // ABILITY状态每个逻辑步调用
+    update: function (partner, deltaTime) {
+        switch (partner.role) {
+            case ROLE.DOCTOR:
+            case ROLE.NURSE:
+                this.updateHeal(partner, deltaTime);
+                break;
+            case ROLE.CHEF:
+                this.updateCook(partner, deltaTime);
+                break;
+            case ROLE.CIVILIAN:
+                this.updateSpot(partner, deltaTime);
+                break;
+        }
+    },
+
+    // 退出ABILITY状态
+    exit: function (partner) {
+        partner.abilityTimer = 0;
+        partner.abilityIcon = null;
+    },
+
+    // 查找治疗范围内血量比例最低的受伤队员（🔴 修改：能治愈感染时满血的感染队员也算）
+    findHealTarget: function (partner) {
+        var healStats = this.getHealStats(partner);
+        if (!healStats || !window.objectManager) return null;
+
+        var rangeSquared = healStats.range * healStats.range;
+        var members = window.objectManager.getAllCharacters()
+            .concat(window.objectManager.getAllPartners().filter(member => !member.isInitialState));
+
+        var target = null;
+        members.forEach(member => {
+            if (member.hp <= 0) return;
+            if (member.hp >= member.maxHp && !(healStats.cure > 0 && member.infection > 0)) return;
+
+            var dx = member.x - partner.x;
+            var dy = member.y - partner.y;
+            if (dx * dx + dy * dy > rangeSquared) return;
+
+            if (!target || member.hp / member.maxHp < target.hp / target.maxHp) {
+                target = member;
+            }
+        });
+        return target;
+    },
+
+    // 医生、护士：按间隔治疗
+    updateHeal: function (partner, deltaTime) {
+        var healStats = this.getHealStats(partner);
+        partner.abilityTimer += deltaTime;
+        if (partner.abilityTimer < healStats.interval) return;
+
+        partner.abilityTimer -= healStats.interval;
+
+        var target = this.findHealTarget(partner);
+        if (!target) return;
+
+        var healed = Math.min(target.maxHp, target.hp + healStats.amount) - target.hp;
+        target.hp += healed;
+
+        // 🔴 新增：医生治疗时降低感染值
+        if (healStats.cure > 0 && window.infectionManager) {
+            window.infectionManager.cure(target, healStats.cure);
+        }
+
+        if (window.effectManager) {
+            window.effectManager.emit('heal', target.x, target.y);
+        }
+        if (window.combatTextManager && healed > 0) {
+            window.combatTextManager.showHeal(target, healed);
+        }
+    },
+
+    // 厨师：累计当天做饭时间
+    updateCook: function (partner, deltaTime) {
+        if (partner.hasCookedToday) return;
+
+        partner.cookTime += deltaTime;
+        if (partner.cookTime >= getAbilityConfig().CHEF.COOK_TIME * PartnerExperience.getPerkMultiplier(partner, 'COOK_TIME')) {
+            partner.hasCookedToday = true;
+            console.log('🍳 厨师做好了今天的饭:', partner.id);
+        }
+    },
+
+    // 新的一天：厨师重新开始做饭
+    resetDailyCooking: function (partners) {
+        partners.forEach(partner => {
+            if (partner.role !== ROLE.CHEF) return;
+            partner.cookTime = 0;
+            partner.hasCookedToday = false;
+        });
+    },
+
+    // 查找侦察范围内最近的未发现幸存者（未招募的伙伴）
+    findUnspottedSurvivor: function (partner) {
+        if (!window.objectManager) return null;
+
+        var spotRange = getAbilityConfig().CIVILIAN.SPOT_RANGE * PartnerExperience.getPerkMultiplier(partner, 'SPOT_RANGE');
+        var nearest = null;
+        var nearestDistanceSquared = spotRange * spotRange;
+
+        window.objectManager.getAllPartners().forEach(survivor => {
+            if (!survivor.isInitialState || survivor.spotted || survivor.hp <= 0) return;
+
+            var dx = survivor.x - partner.x;
+            var dy = survivor.y - partner.y;
+            var distanceSquared = dx * dx + dy * dy;
+            if (distanceSquared <= nearestDistanceSquared) {
+                nearest = survivor;
+                nearestDistanceSquared = distanceSquared;
+            }
+        });
+        return nearest;
+    },
+
+    // 平民：侦察一段时间后标记最近的幸存者
+    updateSpot: function (partner, deltaTime) {
+        partner.abilityTimer += deltaTime;
+        if (partner.abilityTimer < getAbilityConfig().CIVILIAN.SPOT_TIME * PartnerExperience.getPerkMultiplier(partner, 'SPOT_TIME')) return;
+
+        partner.abilityTimer = 0;
+
+        var survivor = this.findUnspottedSurvivor(partner);
+        if (survivor) {
+            survivor.spotted = true;
+            console.log('👀 平民发现了幸存者:', survivor.id, '(' + Math.round(survivor.x) + ',' + Math.round(survivor.y) + ')');
+        }
+    },
+
+    // 获取已发现但还未招募的幸存者（HUD显示方向标记）
+    getSpottedSurvivors: function () {
+        if (!window.objectManager) return [];
+        return window.objectManager.getAllPartners().filter(partner => partner.isInitialState && partner.spotted && partner.hp > 0);
+    }
+};
+
+// 导出
+export {RoleAbility, ABILITY_ICON, ABILITY_DEFAULTS};
+export default RoleAbility;
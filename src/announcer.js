@@ -0,0 +1,64 @@
+/**
+ * 屏幕播报模块 (announcer.js)
+ *
+ * 功能：
+ * - 在屏幕上方显示短暂的文字播报：招募结果、伙伴解锁特长、学会技能、感染和尸变等
+ * - 每条播报显示ANNOUNCE.DURATION秒后消失，同时最多显示ANNOUNCE.MAX_ENTRIES条，新播报挤掉最旧的
+ * - 按逻辑步计时，暂停时播报停留在屏幕上
+ */
+
+// 默认播报配置（会被config.js中的ANNOUNCE覆盖）
+const ANNOUNCE_DEFAULTS = {
+    DURATION: 3,
+    MAX_ENTRIES: 3
+};
+
+// 获取播报配置
+function getAnnounceConfig() {
+    if (window.ConfigManager) {
+        return window.ConfigManager.safeGet('ANNOUNCE', ANNOUNCE_DEFAULTS);
+    }
+    return ANNOUNCE_DEFAULTS;
+}
+
+// 屏幕播报管理器
+var Announcer = {
+    announcements: [],      // 屏幕播报 {text, color, time}
+    elapsed: 0,             // 累计时间（秒），用于播报超时
+
+    // 初始化（每局调用）
+    init: function () {
+        this.announcements = [];
+        this.elapsed = 0;
+    },
+
+    // 每个逻辑步调用：移除超时的播报
+    update: function (deltaTime) {
+        this.elapsed += deltaTime;
+
+        var expireTime = this.elapsed - getAnnounceConfig().DURATION;
+        this.announcements = this.announcements.filter(entry => entry.time > expireTime);
+    },
+
+    /**
+     * 添加一条播报
+     * @param {string} text - 播报文字
+     * @param {string} color - 文字颜色，默认白色
+     */
+    announce: function (text, color) {
+        this.announcements.push({text: text, color: color || '#FFFFFF', time: this.elapsed});
+
+        if (this.announcements.length > getAnnounceConfig().MAX_ENTRIES) {
+            this.announcements.shift();
+        }
+    },
+
+    // 获取播报（HUD显示）
+    getAnnouncements: function () {
+        return this.announcements;
+    }
+};
+
+// 导出
+export {Announcer, ANNOUNCE_DEFAULTS};
+export default Announcer;
@@ -12,7 +12,9 @@
 
 import ConfigManager, {ROLE} from './config.js';
 import UtilsManager from './utils.js';
+import WeaponSystem from './weapon.js';
 import StateMachine, {MAIN_CHARACTER_STATES} from './state-machine.js';
+import Platform from './platform.js';
 
 // 角色ID枚举
 const CHARACTER_ID = {
@@ -99,6 +101,7 @@ var Character = function (role, x, y) {
     animationSystem.setAnimationSpeed(this, 'default');
 
     // 🔴 优化：使用统一移动控制器初始化移动属性
+    this.deltaTime = UtilsManager.getTimeUtils().getFixedDeltaTime(); // 当前逻辑步长（秒）
     this.isMoving = false;                  // 是否在移动
     movementController.setMoveSpeed(this, 'character', role);
     this.targetX = x;                       // 目标X坐标
@@ -236,6 +239,14 @@ Character.prototype.takeDamage = function (damage) {
     this.hp -= damage;
     if (this.hp < 0) this.hp = 0;
 
+    // 🔴 新增：受伤血花和伤害数字
+    if (window.effectManager) {
+        window.effectManager.emit('blood', this.x, this.y);
+    }
+    if (window.combatTextManager) {
+        window.combatTextManager.showDamage(this, damage, false);
+    }
+
     // 🔴 修复：受到伤害后立即检查血量，如果血量归零则触发死亡
     if (this.hp <= 0 && this.role === 1) { // 主人物
         if (this.stateMachine && this.stateMachine.currentState !== MAIN_CHARACTER_STATES.DIE) {
@@ -346,7 +357,7 @@ Character.prototype.onEnterDie = function (stateData) {
 
 Character.prototype.onUpdateDie = function (stateData) {
     // 死亡状态下的行为：播放死亡动画
-    this.deathAnimationTime += 1 / 60; // 固定60fps
+    this.deathAnimationTime += this.deltaTime;
 
     var gameplayConfig = window.ConfigManager ? window.ConfigManager.get('GAMEPLAY') : null;
     var deathDuration = gameplayConfig ? gameplayConfig.DEATH.MAIN_CHARACTER_DURATION : 3.0;
@@ -376,12 +387,11 @@ Character.prototype.updateAttack = function () {
         return;
     }
 
-    // 检查攻击冷却（固定60fps）
-    this.attackCooldown += 1 / 60;
+    // 检查攻击冷却（按真实逻辑步长累计）
+    this.attackCooldown += this.deltaTime;
 
-    // 🔴 修复：从配置获取攻击间隔
-    var combatConfig = window.ConfigManager ? window.ConfigManager.get('COMBAT') : null;
-    var attackInterval = combatConfig ? combatConfig.DEFAULT_ATTACK_INTERVAL : 0.5; // 从配置获取攻击间隔
+    // 🔴 修复：攻击间隔由装备的武器决定，空手时使用配置的默认间隔
+    var attackInterval = WeaponSystem.getAttackInterval(this);
 
     if (this.attackCooldown >= attackInterval) {
         // 执行攻击
@@ -477,8 +487,8 @@ Character.prototype.moveToAttackRange = function () {
 Character.prototype.performAttack = function () {
     if (!this.attackTarget || this.attackTarget.hp <= 0) return;
 
-    // 对僵尸造成伤害
-    this.attackTarget.takeDamage(this.attack);
+    // 🔴 修复：使用装备的武器对僵尸造成伤害（空手时使用基础攻击力）
+    WeaponSystem.performAttack(this, this.attackTarget);
 
     // 播放攻击动画
     this.playAttackAnimation();
@@ -528,15 +538,13 @@ Character.prototype.addGameOverClickListener = function (canvas) {
 
     // 移除之前的事件监听器（如果存在）
     if (this.gameOverClickListener) {
-        canvas.removeEventListener('touchstart', this.gameOverClickListener);
+        this.gameOverClickUnsubscribe();
     }
 
     // 创建新的事件监听器
-    this.gameOverClickListener = function (event) {
-        event.preventDefault();
-
+    this.gameOverClickListener = function () {
         // 移除事件监听器
-        canvas.removeEventListener('touchstart', self.gameOverClickListener);
+        self.gameOverClickUnsubscribe();
         self.gameOverClickListener = null;
 
         // 调用重新开始游戏函数
@@ -547,8 +555,8 @@ Character.prototype.addGameOverClickListener = function (canvas) {
         }
     };
 
-    // 添加事件监听器
-    canvas.addEventListener('touchstart', this.gameOverClickListener, {passive: true});
+    // 🔴 修复：通过平台适配层添加事件监听器
+    this.gameOverClickUnsubscribe = Platform.onTouchStart(this.gameOverClickListener);
 };
 
 // 🔴 优化：使用统一移动控制器获取摇杆移动方向
@@ -664,9 +672,6 @@ Character.prototype.stopMovement = function () {
 
 // 🔴 优化：更新移动 - 使用统一移动控制器
 Character.prototype.updateMovement = function () {
-    var movementController = UtilsManager.getMovementController();
-    var deltaTime = 1 / 60; // 固定60fps
-    
     if (!this.isMoving) {
         return;
     }
@@ -691,7 +696,6 @@ Character.prototype.updateMovement = function () {
 // 🔴 优化：更新动画 - 使用统一动画系统
 Character.prototype.updateAnimation = function () {
     var animationSystem = UtilsManager.getAnimationSystem();
-    var deltaTime = 1 / 60; // 固定60fps
 
     // 根据状态调整动画类型
     var animationType = 'default';
@@ -714,7 +718,7 @@ Character.prototype.updateAnimation = function () {
     }
 
     // 使用统一动画系统更新动画帧
-    this.animationFrame = animationSystem.updateAnimationFrame(this, deltaTime);
+    this.animationFrame = animationSystem.updateAnimationFrame(this, this.deltaTime);
 
     this.frameCount = (this.frameCount || 0) + 1;
 };
@@ -874,7 +878,7 @@ var CharacterManager = {
     },
 
     // 更新所有角色 - 从四叉树获取角色列表
-    updateAllCharacters: function () {
+    updateAllCharacters: function (deltaTime) {
         var performanceUtils = UtilsManager.getPerformanceUtils();
 
         // 🔴 重构：直接从管理器获取角色
@@ -895,7 +899,7 @@ var CharacterManager = {
                 if (char.role === 1) {
                     // 主人物：使用专用更新方法
                     if (typeof char.updateMainCharacter === 'function') {
-                        char.updateMainCharacter();
+                        char.updateMainCharacter(deltaTime);
                     } else {
                         throw new Error('主人物缺少updateMainCharacter方法: ' + char.id);
                     }
@@ -926,7 +930,10 @@ export {CharacterManager};
 export default Character;
 
 // 主人物专用更新方法
-Character.prototype.updateMainCharacter = function () {
+// 🔴 修复：deltaTime为固定步长（秒），由游戏循环传入，供移动、攻击冷却和动画使用
+Character.prototype.updateMainCharacter = function (deltaTime) {
+    this.deltaTime = deltaTime || UtilsManager.getTimeUtils().getFixedDeltaTime();
+
     // 🔴 修复：首先检查血量，如果血量小于等于0，立即切换到死亡状态
     if (this.hp <= 0 && this.stateMachine.currentState !== MAIN_CHARACTER_STATES.DIE) {
         this.stateMachine.forceState(MAIN_CHARACTER_STATES.DIE);
@@ -938,7 +945,7 @@ Character.prototype.updateMainCharacter = function () {
 
     // 更新状态机
     if (this.stateMachine) {
-        this.stateMachine.update();
+        this.stateMachine.update(this.deltaTime);
     }
 
     // 根据当前状态执行相应行为
@@ -986,7 +993,7 @@ Character.prototype.checkJoystickInput = function () {
     // 检查是否超过死区
     if (Math.abs(direction.x) > deadZone || Math.abs(direction.y) > deadZone) {
         // 🔴 优化：使用统一移动控制器执行移动
-        var moveSuccess = movementController.executeMove(this, direction, this.moveSpeed);
+        var moveSuccess = movementController.executeMove(this, direction, this.moveSpeed, this.deltaTime);
         
         if (moveSuccess) {
             this.isMoving = true;
@@ -0,0 +1,144 @@
+/**
+ * 战斗文字模块 (combat-text.js)
+ *
+ * 功能：
+ * - 受伤和治疗时在世界坐标中飘出数字：伤害为红/白色，暴击放大并加描边，治疗为绿色
+ * - 击杀播报：在屏幕角落列出哪个队员击杀了哪种僵尸，超时自动消失
+ * - 两项功能分别由设置中的 damageNumbers / killFeed 开关控制
+ */
+
+import {getRoleName} from './config.js';
+import SettingsManager from './settings.js';
+
+// 默认战斗文字配置（会被config.js中的COMBAT_TEXT覆盖）
+const COMBAT_TEXT_DEFAULTS = {
+    MAX_FLOATING_TEXTS: 80,
+    FLOAT_DURATION: 0.8,
+    FLOAT_SPEED: 40,
+    FONT_SIZE: 14,
+    CRIT_FONT_SIZE: 20,
+    COLORS: {DAMAGE: '#FFFFFF', TEAM_DAMAGE: '#FF5252', CRIT: '#FFD600', HEAL: '#2ECC71'},
+    KILL_FEED: {
+        MAX_ENTRIES: 5,
+        DURATION: 4,
+        ZOMBIE_NAMES: {skinny: '瘦僵尸', fast: '快僵尸', fat: '胖僵尸', tank: '坦克僵尸', boss: '尸王'}
+    }
+};
+
+// 获取战斗文字配置
+function getCombatTextConfig() {
+    if (window.ConfigManager) {
+        return window.ConfigManager.safeGet('COMBAT_TEXT', COMBAT_TEXT_DEFAULTS);
+    }
+    return COMBAT_TEXT_DEFAULTS;
+}
+
+// 战斗文字管理器
+var CombatTextManager = {
+    floatingTexts: [],
+    killFeed: [],
+    elapsed: 0,     // 累计时间（秒），用于击杀播报超时
+
+    // 初始化（每局调用）
+    init: function () {
+        this.floatingTexts = [];
+        this.killFeed = [];
+        this.elapsed = 0;
+    },
+
+    // 添加飘字
+    addFloatingText: function (x, y, text, color, isCrit) {
+        if (!SettingsManager.get('damageNumbers')) return null;
+
+        var config = getCombatTextConfig();
+        if (this.floatingTexts.length >= config.MAX_FLOATING_TEXTS) {
+            this.floatingTexts.shift();
+        }
+
+        var floatingText = {
+            x: x, y: y, text: text, color: color, isCrit: !!isCrit,
+            fontSize: isCrit ? config.CRIT_FONT_SIZE : config.FONT_SIZE,
+            age: 0, duration: config.FLOAT_DURATION,
+            width: 40, height: 20,  // 渲染管理器按宽高做视野剔除
+            hp: 1                   // 渲染管理器以hp>0判断可见
+        };
+        this.floatingTexts.push(floatingText);
+        return floatingText;
+    },
+
+    /**
+     * 显示伤害数字
+     * @param {Object} target - 受伤的实体
+     * @param {number} damage - 伤害值
+     * @param {boolean} isCrit - 是否暴击
+     */
+    showDamage: function (target, damage, isCrit) {
+        if (damage <= 0) return;
+
+        var colors = getCombatTextConfig().COLORS;
+        var isTeam = target.type === 'character' || target.type === 'partner';
+        var color = isCrit ? colors.CRIT : (isTeam ? colors.TEAM_DAMAGE : colors.DAMAGE);
+        var height = target.height || target.size || 32;
+
+        this.addFloatingText(target.x, target.y - height / 2, (isCrit ? '💥' : '') + Math.round(damage), color, isCrit);
+    },
+
+    // 显示治疗数字
+    showHeal: function (target, amount) {
+        if (amount <= 0) return;
+
+        var height = target.height || target.size || 32;
+        this.addFloatingText(target.x, target.y - height / 2, '+' + Math.round(amount), getCombatTextConfig().COLORS.HEAL, false);
+    },
+
+    // 记录击杀
+    recordKill: function (killer, zombie) {
+        if (!killer || !SettingsManager.get('killFeed')) return;
+
+        var feedConfig = getCombatTextConfig().KILL_FEED;
+        this.killFeed.push({
+            killerIcon: killer.icon || '👤',
+            killerName: getRoleName(killer.role, '队员'),
+            zombieIcon: zombie.icon || '🧟',
+            zombieName: feedConfig.ZOMBIE_NAMES[zombie.zombieType] || '僵尸',
+            time: this.elapsed
+        });
+
+        if (this.killFeed.length > feedConfig.MAX_ENTRIES) {
+            this.killFeed.shift();
+        }
+    },
+
+    // 每个逻辑步调用：飘字上浮，击杀播报超时移除
+    update: function (deltaTime) {
+        var config = getCombatTextConfig();
+        this.elapsed += deltaTime;
+
+        for (var i = this.floatingTexts.length - 1; i >= 0; i--) {
+            var floatingText = this.floatingTexts[i];
+            floatingText.age += deltaTime;
+            floatingText.y -= config.FLOAT_SPEED * deltaTime;
+
+            if (floatingText.age >= floatingText.duration) {
+                floatingText.hp = 0;
+                this.floatingTexts.splice(i, 1);
+            }
+        }
+
+        var expireTime = this.elapsed - config.KILL_FEED.DURATION;
+        this.killFeed = this.killFeed.filter(entry => entry.time > expireTime);
+    },
+
+    getFloatingTexts: function () {
+        return this.floatingTexts;
+    },
+
+    // 获取击杀播报（HUD显示），关闭时返回空数组
+    getKillFeed: function () {
+        return SettingsManager.get('killFeed') ? this.killFeed : [];
+    }
+};
+
+// 导出
+export {CombatTextManager, COMBAT_TEXT_DEFAULTS};
+export default CombatTextManager;
@@ -21,13 +21,28 @@ const ROLE = {
     CHEF: 6       // 厨师
 };
 
+// 🔴 新增：角色名称 - 击杀播报、招募提示等共用
+const ROLE_NAMES = {
+    [ROLE.MAIN]: '主角',
+    [ROLE.POLICE]: '警察',
+    [ROLE.CIVILIAN]: '平民',
+    [ROLE.DOCTOR]: '医生',
+    [ROLE.NURSE]: '护士',
+    [ROLE.CHEF]: '厨师'
+};
+
+// 🔴 新增：获取角色名称，未知角色返回fallback
+function getRoleName(role, fallback) {
+    return ROLE_NAMES[role] || fallback;
+}
+
 // 🔴 优化：统一的基础配置
 const BASE_CONFIG = {
     // 移动系统配置
     MOVEMENT: {
-        CHARACTER_MOVE_SPEED: 3,        // 人物移动速度 (像素/帧，60fps)
-        PARTNER_MOVE_SPEED: 3,          // 伙伴移动速度 (像素/帧，60fps)
-        ZOMBIE_MOVE_SPEED: 2,           // 僵尸移动速度 (像素/帧，60fps)
+        CHARACTER_MOVE_SPEED: 180,      // 人物移动速度 (像素/秒)
+        PARTNER_MOVE_SPEED: 180,        // 伙伴移动速度 (像素/秒)
+        ZOMBIE_MOVE_SPEED: 120,         // 僵尸移动速度 (像素/秒)
 
         // 贴着建筑物移动配置
         WALL_FOLLOWING: {
@@ -41,7 +56,7 @@ const BASE_CONFIG = {
 
     // 动画系统配置
     ANIMATION: {
-        DEFAULT_FRAME_RATE: 0.2,        // 默认动画帧率 (每帧更新0.2)
+        DEFAULT_FRAME_RATE: 0.2,        // 默认动画帧率 (帧/秒，乘以deltaTime推进)
         MAX_ANIMATION_FRAMES: 8,        // 最大动画帧数
         ATTACK_ANIMATION_SPEED: 0.3,    // 攻击动画速度
         DEATH_ANIMATION_SPEED: 0.1,     // 死亡动画速度
@@ -64,6 +79,19 @@ const BASE_CONFIG = {
         MIN_MOVE_DISTANCE: 1,           // 最小移动距离
     },
 
+    // 🔴 新增：导航寻路配置
+    NAVIGATION: {
+        ENABLED: true,                  // 启用A*寻路（关闭后回退到贴墙移动）
+        ALLOW_DIAGONAL: true,           // 允许斜向移动
+        WAYPOINT_REACH_DISTANCE: 40,    // 到达路点的判定距离（像素）
+        REPATH_INTERVAL: 30,            // 重新寻路间隔（帧）
+        MAX_PATHS_PER_FRAME: 8,         // 每帧最多寻路次数
+        MAX_SEARCH_NODES: 2500,         // 单次寻路最多展开节点数
+        LINE_OF_SIGHT_STEP: 50,         // 视线检测采样步长（像素）
+        NEAREST_CELL_SEARCH_RADIUS: 3,  // 最近可通行格子搜索半径（格）
+        OBSTACLE_CELL_COST: 8           // 🔴 新增：穿过被道路障碍物占据的格子的额外代价（格）
+    },
+
     // 检测范围配置
     DETECTION: {
         ZOMBIE_DETECTION_RANGE: 700,    // 僵尸基础检测范围（大部分僵尸类型）
@@ -82,12 +110,21 @@ const BASE_CONFIG = {
         // 攻击范围配置
         MIN_ATTACK_RANGE: 100,           // 最小攻击距离
         MAIN_CHARACTER_ATTACK_RANGE: 100, // 主人物攻击范围
-        POLICE_ATTACK_RANGE: 100,        // 警察攻击范围
+        POLICE_ATTACK_RANGE: 200,        // 警察攻击范围（🔴 修复：警察用配枪远程射击）
         CIVILIAN_ATTACK_RANGE: 100,      // 平民攻击范围
         DOCTOR_ATTACK_RANGE: 100,        // 医生攻击范围
         NURSE_ATTACK_RANGE: 100,         // 护士攻击范围
         CHEF_ATTACK_RANGE: 100,         // 厨师攻击范围
 
+        // 🔴 新增：各职业血量和攻击力
+        ROLE_STATS: {
+            2: {HP: 120, ATTACK: 20},   // 警察：耐打，配枪远程
+            3: {HP: 90, ATTACK: 15},    // 平民：跑得快，体格一般
+            4: {HP: 80, ATTACK: 12},    // 医生：治疗为主
+            5: {HP: 80, ATTACK: 10},    // 护士：治疗范围更大
+            6: {HP: 110, ATTACK: 24}    // 厨师：菜刀伤害高
+        },
+
         // 僵尸攻击配置
         ZOMBIE_ATTACK_COOLDOWN: 500,   // 僵尸攻击冷却时间（毫秒）- 1.5秒攻击一下
         ZOMBIE_ATTACK_RANGE: 80,        // 僵尸攻击范围（像素）
@@ -106,7 +143,7 @@ const BASE_CONFIG = {
         BASE_HP: 50,                    // 僵尸基础血量
         BASE_ATTACK: 1,                  // 僵尸基础攻击力
 
-        // 僵尸类型配置
+        // 僵尸类型配置（🔴 新增：SPRINT/EXPLODE/KNOCKBACK/CHARGE为类型专属行为，任何类型都可以配置，见zombie-behavior.js）
         TYPES: {
             SKINNY: {
                 HP_MULTIPLIER: 1.0,     // 血量倍数
@@ -120,28 +157,52 @@ const BASE_CONFIG = {
                 ATTACK_MULTIPLIER: 1.2,  // 攻击力倍数
                 SIZE: 48,                // 尺寸
                 COLOR: '#654321',        // 颜色
-                SPEED_MULTIPLIER: 0.8    // 速度倍数
+                SPEED_MULTIPLIER: 0.8,   // 速度倍数
+                EXPLODE: {
+                    RADIUS: 100,         // 死亡爆炸半径（像素）
+                    DAMAGE: 15,          // 爆炸中心的伤害
+                    MIN_DAMAGE_RATIO: 0.4 // 爆炸边缘的伤害比例（按距离线性衰减）
+                }
             }, 
             BOSS: {
                 HP_MULTIPLIER: 3.0,      // 血量倍数
                 ATTACK_MULTIPLIER: 2.0,  // 攻击力倍数
                 SIZE: 48,                // 尺寸
                 COLOR: '#8B0000',        // 颜色
-                SPEED_MULTIPLIER: 0.9    // 速度倍数
+                SPEED_MULTIPLIER: 0.9,   // 速度倍数
+                CHARGE: {
+                    MIN_DISTANCE: 120,   // 与目标距离在此区间内时发起冲锋
+                    MAX_DISTANCE: 360,
+                    TELEGRAPH_TIME: 0.9, // 冲锋前原地蓄力（显示预警）的时间（秒）
+                    SPEED_MULTIPLIER: 4, // 冲锋速度倍数
+                    DURATION: 0.7,       // 最长冲锋时间（秒）
+                    DAMAGE: 12,          // 冲锋撞击伤害
+                    KNOCKBACK_DISTANCE: 90, // 撞击击退距离（像素）
+                    COOLDOWN: 6          // 冲锋冷却（秒）
+                }
             }, 
             FAST: {
                 HP_MULTIPLIER: 0.8,      // 血量倍数
                 ATTACK_MULTIPLIER: 0.8,  // 攻击力倍数
                 SIZE: 32,                // 尺寸
                 COLOR: '#228B22',        // 颜色
-                SPEED_MULTIPLIER: 1    // 速度倍数
+                SPEED_MULTIPLIER: 1.2,   // 速度倍数
+                SPRINT: {
+                    TRIGGER_DISTANCE: 320, // 追击时距目标多近开始冲刺
+                    SPEED_MULTIPLIER: 2.2, // 冲刺速度倍数
+                    DURATION: 0.8,       // 每次冲刺时间（秒）
+                    COOLDOWN: 2.5        // 冲刺结束后的冷却（秒）
+                }
             }, 
             TANK: {
                 HP_MULTIPLIER: 2.5,      // 血量倍数
                 ATTACK_MULTIPLIER: 1.5,  // 攻击力倍数
                 SIZE: 48,                // 尺寸
                 COLOR: '#2F4F4F',        // 颜色
-                SPEED_MULTIPLIER: 0.7    // 速度倍数
+                SPEED_MULTIPLIER: 0.7,   // 速度倍数
+                KNOCKBACK: {
+                    DISTANCE: 70         // 攻击命中时把目标击退的距离（像素）
+                }
             }
         },
 
@@ -154,10 +215,262 @@ const BASE_CONFIG = {
             RANDOM_WALK_DISTANCE: 150    // 随机游荡距离
         },
 
+        // 🔴 新增：尸群转向配置（追击时按附近僵尸分离和对齐，避免叠成一团，见horde.js）
+        HORDE: {
+            ENABLED: true,               // 是否启用尸群转向
+            NEIGHBOR_RADIUS: 64,         // 邻居查询半径（像素），也是空间网格的格子大小
+            MAX_NEIGHBORS: 8,            // 每只僵尸最多参与计算的邻居数（保证僵尸很多时开销可控）
+            SEPARATION_PADDING: 6,       // 两只僵尸半径之和再加上该距离以内时互相分离（像素）
+            SEEK_WEIGHT: 1,              // 朝目标（路点）前进的权重
+            SEPARATION_WEIGHT: 1.6,      // 分离权重
+            ALIGNMENT_WEIGHT: 0.3,       // 与邻居移动方向对齐的权重
+            ATTACK_SPREAD_SPEED: 0.5     // 攻击中挤在一起时沿包围圈滑开的速度倍数
+        },
+
         // 目标锁定配置
         TARGET_LOCK_DURATION: 100,      // 目标锁定持续时间（毫秒）- 0.1秒
     },
 
+    // 🔴 新增：道路动态障碍物配置
+    OBSTACLE: {
+        ROAD_DENSITY: 0.06,             // 每个道路格摆放障碍物的概率
+        MAX_OBSTACLES: 300,             // 最大障碍物数量
+        SAFE_DISTANCE: 150,             // 与已有实体的最小距离（像素）
+        CELL_MARGIN: 20,                // 障碍物与格子边缘的距离（像素）
+        PUSH_SPEED_FACTOR: 0.5,         // 推动障碍物时的移动速度倍数
+        DAMAGE_FLASH_FRAMES: 10,        // 受伤闪烁帧数
+        TYPES: {
+            CAR: {WIDTH: 80, HEIGHT: 120, HP: 400, MOVABLE: true, DESTRUCTIBLE: true, WEIGHT: 0.4, COLOR: '#5D6D7E', ICON: '🚗'},
+            BARRICADE: {WIDTH: 120, HEIGHT: 30, HP: 150, MOVABLE: false, DESTRUCTIBLE: true, WEIGHT: 0.3, COLOR: '#D35400', ICON: '🚧'},
+            DEBRIS: {WIDTH: 50, HEIGHT: 50, HP: 60, MOVABLE: true, DESTRUCTIBLE: true, WEIGHT: 0.3, COLOR: '#7F8C8D', ICON: '🪨'}
+        }
+    },
+
+    // 🔴 新增：夜晚尸潮配置
+    NIGHT_WAVE: {
+        ENABLED: true,                  // 是否启用夜晚尸潮
+        WAVES_PER_NIGHT: 3,             // 每晚波次数（在夜晚阶段内均匀分布）
+        BASE_ZOMBIES: 4,                // 第1天每波僵尸数量
+        ZOMBIES_PER_DAY: 2,             // 每多一天每波增加的僵尸数量
+        WAVE_GROWTH: 0.25,              // 同一夜每多一波增加的比例
+        MAX_ZOMBIES_PER_WAVE: 40,       // 每波最多僵尸数量
+        EDGE_MARGIN: 80,                // 在视野边缘外多远处生成（像素）
+        MAX_SPAWN_ATTEMPTS: 20,         // 每只僵尸寻找可行走落点的尝试次数
+        DETECTION_RANGE_MULTIPLIER: 1.5, // 夜晚僵尸检测范围倍数
+        TYPES: {                        // 僵尸类型：解锁天数和权重
+            skinny: {UNLOCK_DAY: 1, WEIGHT: 5},
+            fast: {UNLOCK_DAY: 2, WEIGHT: 3},
+            fat: {UNLOCK_DAY: 3, WEIGHT: 2},
+            tank: {UNLOCK_DAY: 5, WEIGHT: 1},
+            boss: {UNLOCK_DAY: 8, WEIGHT: 0.2}
+        }
+    },
+
+    // 🔴 新增：食物经济配置
+    FOOD: {
+        ENABLED: true,                  // 是否启用食物消耗和饥饿
+        INITIAL_FOOD: 5,                // 开局食物数量
+        CONSUMPTION_PER_MEMBER: 1,      // 每人每天消耗的食物
+        CHEF_FOOD_PER_DAY: 2,           // 每名当天做过饭的厨师在新的一天产出的食物
+        KILL_FOOD_CHANCE: 0.3,          // 击杀僵尸获得食物的概率
+        KILL_FOOD_AMOUNT: 1,            // 击杀僵尸获得的食物数量
+        STARVATION_DAMAGE_PER_SECOND: 2, // 饥饿时团队成员每秒损失的血量
+        PARTNERS_LEAVE_PER_DAY: 1       // 食物不够吃的那天离队的伙伴数量
+    },
+
+    // 🔴 新增：伙伴职业技能配置（由伙伴状态机的ABILITY状态驱动）
+    ABILITY: {
+        DOCTOR: {
+            HEAL_RANGE: 180,            // 治疗范围（像素）
+            HEAL_AMOUNT: 6,             // 每次治疗量
+            HEAL_INTERVAL: 1,           // 治疗间隔（秒）
+            CURE_AMOUNT: 15             // 🔴 新增：每次治疗降低的感染值（只有医生能治愈感染）
+        },
+        NURSE: {
+            HEAL_RANGE: 240,
+            HEAL_AMOUNT: 4,
+            HEAL_INTERVAL: 1
+        },
+        CHEF: {
+            COOK_TIME: 10               // 每天需要做饭的时间（秒），做够后新的一天产出食物
+        },
+        CIVILIAN: {
+            SPEED_MULTIPLIER: 1.25,     // 移动速度倍率
+            SPOT_RANGE: 700,            // 发现未招募幸存者的距离（像素）
+            SPOT_TIME: 0.8              // 每次发现所需时间（秒）
+        }
+    },
+
+    // 🔴 新增：伙伴经验与等级配置
+    EXPERIENCE: {
+        KILL_XP: 10,                    // 击杀僵尸获得的经验
+        ASSIST_XP: 4,                   // 助攻（对被击杀的僵尸造成过伤害）获得的经验
+        LEVEL_XP: [0, 30, 80, 150, 250], // 升到各等级所需的累计经验，数组长度即最高等级
+        PER_LEVEL: {
+            MAX_HP: 0.1,                // 每升一级血量上限提升比例
+            ATTACK: 0.1,                // 每升一级攻击力提升比例
+            ATTACK_SPEED: 0.08          // 每升一级攻速提升比例
+        },
+        // 职业特长（按职业编号）：达到等级后解锁，MULTIPLIERS为倍率，BONUSES为加值
+        PERKS: {
+            2: [
+                {LEVEL: 3, NAME: '穿甲弹', ICON: '🔩', BONUSES: {SHOT_PIERCE: 1}},
+                {LEVEL: 5, NAME: '快枪手', ICON: '⚡', MULTIPLIERS: {ATTACK_SPEED: 1.25}}
+            ],
+            3: [
+                {LEVEL: 3, NAME: '鹰眼', ICON: '🔭', MULTIPLIERS: {SPOT_RANGE: 1.5}},
+                {LEVEL: 5, NAME: '眼尖', ICON: '👁️', MULTIPLIERS: {SPOT_TIME: 0.5}}
+            ],
+            4: [
+                {LEVEL: 3, NAME: '妙手', ICON: '💊', MULTIPLIERS: {HEAL_AMOUNT: 1.5}},
+                {LEVEL: 5, NAME: '巡诊', ICON: '🩺', MULTIPLIERS: {HEAL_RANGE: 1.3}}
+            ],
+            5: [
+                {LEVEL: 3, NAME: '急救', ICON: '🩹', MULTIPLIERS: {HEAL_INTERVAL: 0.7}},
+                {LEVEL: 5, NAME: '细心', ICON: '💉', MULTIPLIERS: {HEAL_AMOUNT: 1.5}}
+            ],
+            6: [
+                {LEVEL: 3, NAME: '快手', ICON: '🔪', MULTIPLIERS: {COOK_TIME: 0.6}},
+                {LEVEL: 5, NAME: '大锅饭', ICON: '🍲', BONUSES: {DAILY_FOOD: 1}}
+            ]
+        }
+    },
+
+    // 🔴 新增：主人物技能树配置（存活天数和击杀获得技能点，在技能页面加点）
+    SKILL_TREE: {
+        POINTS_PER_DAY: 1,              // 每存活一天获得的技能点
+        KILLS_PER_POINT: 10,            // 主人物每击杀多少只僵尸获得一个技能点
+        BUTTON_X: 12,                   // 屏幕左侧技能按钮位置（时间面板下方）
+        BUTTON_Y: 100,
+        BUTTON_SIZE: 48,
+        // 技能分支：每个技能可加多级，EFFECTS为每级效果（按级数累加），REQUIRES为前置技能（至少1级）
+        BRANCHES: [
+            {
+                ID: 'combat', NAME: '战斗', ICON: '⚔️', SKILLS: [
+                    {ID: 'power', NAME: '蛮力', ICON: '💪', DESC: '攻击力+10%', MAX_RANK: 3, COST: 1, EFFECTS: {ATTACK: 0.1}},
+                    {ID: 'crit', NAME: '要害', ICON: '🎯', DESC: '暴击率+5%', MAX_RANK: 3, COST: 1, REQUIRES: 'power', EFFECTS: {CRIT_CHANCE: 0.05}}
+                ]
+            },
+            {
+                ID: 'leadership', NAME: '领导', ICON: '🎖️', SKILLS: [
+                    {ID: 'inspire', NAME: '鼓舞', ICON: '📯', DESC: '伙伴攻击力和血量+10%', MAX_RANK: 3, COST: 1, EFFECTS: {PARTNER_ATTACK: 0.1, PARTNER_MAX_HP: 0.1}},
+                    {ID: 'command', NAME: '号召', ICON: '🚩', DESC: '队伍人数上限+1', MAX_RANK: 2, COST: 2, REQUIRES: 'inspire', EFFECTS: {SQUAD_SIZE: 1}}
+                ]
+            },
+            {
+                ID: 'survival', NAME: '生存', ICON: '🏕️', SKILLS: [
+                    {ID: 'tough', NAME: '强健', ICON: '❤️', DESC: '血量上限+10%', MAX_RANK: 3, COST: 1, EFFECTS: {MAX_HP: 0.1}},
+                    {ID: 'ration', NAME: '节俭', ICON: '🥫', DESC: '每日食物消耗-15%', MAX_RANK: 2, COST: 1, EFFECTS: {FOOD_CONSUMPTION: -0.15}},
+                    {ID: 'regen', NAME: '自愈', ICON: '💚', DESC: '每秒回复0.5点血量', MAX_RANK: 3, COST: 1, REQUIRES: 'tough', EFFECTS: {REGEN: 0.5}}
+                ]
+            }
+        ]
+    },
+
+    // 🔴 新增：感染配置（伙伴被僵尸击中累积感染值，感染状态下死亡会尸变，医生治疗可降低感染值）
+    INFECTION: {
+        ENABLED: true,                  // 是否启用感染和尸变
+        MAX: 100,                       // 感染值上限
+        PER_HIT: 20,                    // 每次被僵尸击中增加的感染值
+        TURN_THRESHOLD: 40,             // 感染值达到该值即处于感染状态，死亡后会尸变
+        RISE_DELAY: 5,                  // 死亡后经过多少秒尸变（包含死亡动画）
+        RISE_TYPES: {2: 'tank', 3: 'fast', 4: 'skinny', 5: 'skinny', 6: 'fat'} // 各职业尸变后的僵尸类型
+    },
+
+    // 🔴 新增：物品与掉落配置
+    ITEM: {
+        SIZE: 22,                       // 物品显示尺寸（像素）
+        PICKUP_RADIUS: 28,              // 主人物拾取半径（像素）
+        DESPAWN_TIME: 90,               // 未拾取的物品消失时间（秒）
+        MAX_ITEMS: 200,                 // 地图上最多物品数量
+        SCATTER_RADIUS: 24,             // 掉落物散落半径（像素）
+        TYPES: {                        // 物品类型：名称、图标、颜色、数量（医疗包为治疗量）
+            food: {NAME: '食物', ICON: '🍖', COLOR: '#E67E22', AMOUNT: 1},
+            medkit: {NAME: '医疗包', ICON: '🩹', COLOR: '#E74C3C', AMOUNT: 30},
+            ammo: {NAME: '弹药', ICON: '📦', COLOR: '#F1C40F', AMOUNT: 6},
+            material: {NAME: '材料', ICON: '🔩', COLOR: '#7F8C8D', AMOUNT: 1},
+            weapon: {NAME: '武器', ICON: '🪓', COLOR: '#8E44AD', AMOUNT: 1}
+        },
+        WEAPON_DROPS: ['bat', 'axe', 'pistol', 'shotgun', 'rifle'], // 武器掉落池
+        ZOMBIE_LOOT: {                  // 僵尸掉落表：掉落概率、掉落次数、物品权重
+            skinny: {CHANCE: 0.25, ROLLS: 1, WEIGHTS: {food: 4, material: 3, ammo: 2, medkit: 1}},
+            fast: {CHANCE: 0.3, ROLLS: 1, WEIGHTS: {food: 3, ammo: 3, material: 2, medkit: 1}},
+            fat: {CHANCE: 0.6, ROLLS: 2, WEIGHTS: {food: 5, medkit: 2, material: 2}},
+            tank: {CHANCE: 0.8, ROLLS: 2, WEIGHTS: {material: 4, ammo: 3, medkit: 2, weapon: 1}},
+            boss: {CHANCE: 1, ROLLS: 4, WEIGHTS: {weapon: 3, medkit: 3, ammo: 3, food: 3}}
+        }
+    },
+
+    // 🔴 新增：武器配置（KIND: melee近战/ranged远程，FIRE_RATE: 每秒攻击次数，SPREAD: 散布角度（弧度），
+    // PELLETS: 每发弹丸数，AMMO_PER_SHOT: 每发消耗弹药，SPEED: 投射物速度（像素/秒），PIERCE: 可额外穿透的僵尸数，DURABILITY: 可攻击次数）
+    WEAPON: {
+        CRIT_CHANCE: 0.1,               // 暴击概率（所有攻击通用）
+        CRIT_MULTIPLIER: 2,             // 暴击伤害倍数
+        TYPES: {
+            bat: {NAME: '球棒', ICON: '🏏', KIND: 'melee', DAMAGE: 30, RANGE: 100, FIRE_RATE: 1.6, SPREAD: 0, PELLETS: 1, AMMO_PER_SHOT: 0, SPEED: 0, PIERCE: 0, DURABILITY: 80},
+            axe: {NAME: '斧头', ICON: '🪓', KIND: 'melee', DAMAGE: 50, RANGE: 100, FIRE_RATE: 1.0, SPREAD: 0, PELLETS: 1, AMMO_PER_SHOT: 0, SPEED: 0, PIERCE: 0, DURABILITY: 50},
+            pistol: {NAME: '手枪', ICON: '🔫', KIND: 'ranged', DAMAGE: 25, RANGE: 300, FIRE_RATE: 2.0, SPREAD: 0.06, PELLETS: 1, AMMO_PER_SHOT: 1, SPEED: 700, PIERCE: 0, DURABILITY: 300},
+            shotgun: {NAME: '霰弹枪', ICON: '💥', KIND: 'ranged', DAMAGE: 14, RANGE: 200, FIRE_RATE: 0.8, SPREAD: 0.35, PELLETS: 6, AMMO_PER_SHOT: 1, SPEED: 600, PIERCE: 0, DURABILITY: 150},
+            rifle: {NAME: '步枪', ICON: '🎯', KIND: 'ranged', DAMAGE: 45, RANGE: 450, FIRE_RATE: 1.2, SPREAD: 0.02, PELLETS: 1, AMMO_PER_SHOT: 1, SPEED: 900, PIERCE: 2, DURABILITY: 250}
+        }
+    },
+
+    // 🔴 新增：投射物配置
+    PROJECTILE: {
+        SIZE: 6,                        // 投射物碰撞直径（像素）
+        MAX_PROJECTILES: 300,           // 同时存在的投射物上限
+        MAX_DISTANCE_MULTIPLIER: 1.2,   // 最远飞行距离 = 射程 × 该倍数
+        FALLOFF_START: 0.5,             // 飞行距离超过射程的该比例后伤害开始衰减
+        MIN_DAMAGE_RATIO: 0.4,          // 射程末端的伤害比例
+        PIERCE_DAMAGE_RATIO: 0.7,       // 每穿透一个僵尸后伤害乘以该比例
+        TRAIL_LENGTH: 18,               // 拖尾长度（像素）
+        POLICE_SHOT: {SPEED: 700, SPREAD: 0.05, PIERCE: 0, COLOR: '#3498DB'}  // 警察空手时用配枪射击（不消耗弹药）
+    },
+
+    // 🔴 新增：粒子特效配置（COUNT: 粒子数，SHAPE: circle圆点/line火花/plus十字，SPREAD: 发散角度（弧度），
+    // OFFSET: 生成位置偏移（像素），DRAG: 阻力，GRAVITY: 竖直加速度（负数向上飘），GROW: 每秒变大多少像素）
+    EFFECT: {
+        ENABLED: true,                  // 是否启用粒子特效
+        MAX_PARTICLES: 600,             // 同时存在的粒子上限
+        CULL_MARGIN: 40,                // 视野剔除的边缘余量（像素）
+        EMITTERS: {
+            blood: {COUNT: 6, SHAPE: 'circle', COLORS: ['#8B0000', '#B22222'], SPREAD: 6.28, OFFSET: 0, SPEED_MIN: 40, SPEED_MAX: 140, LIFE_MIN: 0.3, LIFE_MAX: 0.6, SIZE_MIN: 2, SIZE_MAX: 4, DRAG: 4, GRAVITY: 0, GROW: 0},
+            hit_spark: {COUNT: 5, SHAPE: 'line', COLORS: ['#FFF59D', '#FFD54F'], SPREAD: 6.28, OFFSET: 0, SPEED_MIN: 120, SPEED_MAX: 260, LIFE_MIN: 0.1, LIFE_MAX: 0.25, SIZE_MIN: 1.5, SIZE_MAX: 3, DRAG: 6, GRAVITY: 0, GROW: 0},
+            muzzle_flash: {COUNT: 3, SHAPE: 'circle', COLORS: ['#FFF3B0', '#FFB74D'], SPREAD: 0.5, OFFSET: 18, SPEED_MIN: 60, SPEED_MAX: 160, LIFE_MIN: 0.05, LIFE_MAX: 0.1, SIZE_MIN: 4, SIZE_MAX: 7, DRAG: 10, GRAVITY: 0, GROW: 0},
+            heal: {COUNT: 8, SHAPE: 'plus', COLORS: ['#2ECC71', '#A9DFBF'], SPREAD: 6.28, OFFSET: 12, SPEED_MIN: 10, SPEED_MAX: 30, LIFE_MIN: 0.6, LIFE_MAX: 1.0, SIZE_MIN: 3, SIZE_MAX: 5, DRAG: 1, GRAVITY: -40, GROW: 0},
+            death_puff: {COUNT: 10, SHAPE: 'circle', COLORS: ['#7F8C8D', '#95A5A6'], SPREAD: 6.28, OFFSET: 6, SPEED_MIN: 20, SPEED_MAX: 60, LIFE_MIN: 0.5, LIFE_MAX: 0.9, SIZE_MIN: 6, SIZE_MAX: 10, DRAG: 2, GRAVITY: -10, GROW: 12},
+            explosion: {COUNT: 18, SHAPE: 'circle', COLORS: ['#FF7043', '#FFCA28', '#6D4C41'], SPREAD: 6.28, OFFSET: 8, SPEED_MIN: 80, SPEED_MAX: 220, LIFE_MIN: 0.3, LIFE_MAX: 0.7, SIZE_MIN: 5, SIZE_MAX: 10, DRAG: 4, GRAVITY: -20, GROW: 16}
+        }
+    },
+
+    // 🔴 新增：伤害数字和击杀播报配置
+    COMBAT_TEXT: {
+        MAX_FLOATING_TEXTS: 80,         // 同时存在的飘字上限
+        FLOAT_DURATION: 0.8,            // 飘字持续时间（秒）
+        FLOAT_SPEED: 40,                // 飘字上浮速度（像素/秒）
+        FONT_SIZE: 14,                  // 普通字号
+        CRIT_FONT_SIZE: 20,             // 暴击字号
+        COLORS: {DAMAGE: '#FFFFFF', TEAM_DAMAGE: '#FF5252', CRIT: '#FFD600', HEAL: '#2ECC71'},
+        KILL_FEED: {
+            MAX_ENTRIES: 5,             // 最多显示条数
+            DURATION: 4,                // 每条显示时间（秒）
+            ZOMBIE_NAMES: {skinny: '瘦僵尸', fast: '快僵尸', fat: '胖僵尸', tank: '坦克僵尸', boss: '尸王'}
+        }
+    },
+
+    // 🔴 新增：建筑搜刮配置
+    SCAVENGE: {
+        ENABLED: true,                  // 是否启用建筑搜刮
+        DOOR_RADIUS: 60,                // 距离门多近算站在门口（像素）
+        LOOT_OFFSET: 40,                // 物品生成在门外多远处（像素）
+        LOOT_TABLES: {                  // 按建筑类别：搜索时间（秒）、物品件数范围、物品权重
+            residential: {SEARCH_TIME: 3, ROLLS_MIN: 2, ROLLS_MAX: 4, WEIGHTS: {food: 5, medkit: 1, material: 2}},
+            commercial: {SEARCH_TIME: 4, ROLLS_MIN: 3, ROLLS_MAX: 5, WEIGHTS: {food: 6, ammo: 1, material: 2}},
+            facility: {SEARCH_TIME: 5, ROLLS_MIN: 2, ROLLS_MAX: 4, WEIGHTS: {medkit: 5, ammo: 3, weapon: 1}},
+            industrial: {SEARCH_TIME: 6, ROLLS_MIN: 3, ROLLS_MAX: 6, WEIGHTS: {material: 6, weapon: 2, ammo: 1}}
+        }
+    },
+
     // 对象尺寸配置
     OBJECT_SIZES: {
         CHARACTER: {
@@ -192,9 +505,23 @@ const BASE_CONFIG = {
             FOLLOW_ANGLE: Math.PI,       // 跟随角度（后方）
             MOVE_THRESHOLD: 5,           // 移动阈值
             SPREAD: {
-                ANGLE_RANGE: Math.PI / 3,  // 分散角度范围（60度）
-                MAX_PARTNERS: 5,           // 最大伙伴数量
-                DISTANCE_VARIATION: 20     // 距离变化范围（像素）
+                MAX_PARTNERS: 5            // 最大伙伴数量
+            }
+        },
+
+        // 🔴 新增：跟随阵型配置（槽位坐标以主人物为原点，X为前进方向，Y为右侧，单位像素）
+        FORMATION: {
+            DEFAULT: 'wedge',            // 默认阵型
+            ORDER: ['wedge', 'column', 'line', 'circle'], // 阵型按钮的切换顺序
+            TURN_SPEED: Math.PI,         // 阵型跟随主人物转向的速度（弧度/秒）
+            SETTLE_DISTANCE: 12,         // 主人物停下后，伙伴离槽位多近才转为待机
+            SETTLE_TIMEOUT: 2,           // 主人物停下超过此时间（秒）仍未归位也转为待机（槽位被建筑挡住时）
+            OVERFLOW_SPACING: 50,        // 槽位不够时，多出的伙伴依次排在最后一个槽位后方的间距
+            PRESETS: {
+                wedge: {NAME: '楔形', ICON: '🔻', SLOTS: [[-60, -50], [-60, 50], [-110, -100], [-110, 100], [-140, 0]]},
+                column: {NAME: '纵队', ICON: '🚶', SLOTS: [[-60, 0], [-115, 0], [-170, 0], [-225, 0], [-280, 0]]},
+                line: {NAME: '横队', ICON: '↔️', SLOTS: [[0, -60], [0, 60], [0, -120], [0, 120], [0, -180]]},
+                circle: {NAME: '环形', ICON: '⭕', RING_RADIUS: 80} // 环形按人数均匀分布，不使用固定槽位
             }
         },
 
@@ -216,6 +543,33 @@ const BASE_CONFIG = {
         }
     },
 
+    // 🔴 新增：小队指令配置（屏幕右侧按钮）
+    SQUAD: {
+        GUARD_RADIUS: 220,              // 守卫区域半径（像素），区域内出现僵尸时出击
+        GUARD_POST_RADIUS: 60,          // 守卫岗位围绕守卫中心的半径
+        ARRIVE_DISTANCE: 8,             // 到达坚守点/岗位的距离阈值
+        REGROUP_SPEED_MULTIPLIER: 1.5,  // 归队时的移动速度倍率
+        REGROUP_ARRIVE_DISTANCE: 90,    // 距离主人物多近算归队完成
+        BUTTON_SIZE: 48,                // 按钮边长
+        BUTTON_GAP: 10,                 // 按钮间距
+        BUTTON_MARGIN: 12               // 按钮距屏幕右边缘的距离
+    },
+
+    // 🔴 新增：屏幕播报配置（招募、特长、技能、感染等播报共用）
+    ANNOUNCE: {
+        DURATION: 3,                    // 每条播报显示时间（秒）
+        MAX_ENTRIES: 3                  // 同时显示的播报条数
+    },
+
+    // 🔴 新增：招募配置（靠近未招募的幸存者时弹出招募提示）
+    RECRUIT: {
+        PROMPT_DISTANCE: 100,           // 主人物距幸存者多近时弹出提示
+        FOOD_COST: {2: 2, 3: 1, 4: 2, 5: 1, 6: 1}, // 各职业招募消耗的食物（按职业编号，0为免费）
+        PANEL_WIDTH: 240,               // 招募提示面板宽度
+        PANEL_HEIGHT: 130,              // 招募提示面板高度
+        PANEL_BOTTOM_MARGIN: 200        // 面板底边距屏幕底部的距离（避开摇杆）
+    },
+
     // 游戏机制配置
     GAMEPLAY: {
         // 摇杆配置
@@ -236,6 +590,38 @@ const BASE_CONFIG = {
         }
     },
 
+    // 🔴 新增：存档配置
+    SAVE: {
+        STORAGE_KEY: 'qxing_save',       // 旧版单存档键名（仅用于迁移）
+        SLOT_KEY_PREFIX: 'qxing_save_slot_', // 存档位键名前缀
+        SLOT_COUNT: 3,                   // 存档位数量
+        VERSION: 3,                      // 存档格式版本（实体字段变化时提升，并在save.js中添加迁移）
+        AUTO_SAVE_ON_NEW_DAY: true,      // 每天开始时自动存档
+        SAVE_ON_HIDE: true               // 小游戏切到后台时自动存档
+    },
+
+    // 🔴 新增：玩家设置（设置菜单中的开关，保存在本地存储）
+    SETTINGS: {
+        STORAGE_KEY: 'qxing_settings',   // 设置的存储键名
+        DEFAULTS: {
+            damageNumbers: true,         // 显示伤害和治疗数字
+            killFeed: true               // 显示击杀播报
+        }
+    },
+
+    // 🔴 新增：随机数配置
+    RANDOM: {
+        SEED: 0                          // 运行种子，0表示每局随机生成；设为固定值可复现同一世界
+    },
+
+    // 🔴 新增：录像回放配置
+    REPLAY: {
+        AUTO_RECORD: true,               // 每局自动录制摇杆输入
+        STORAGE_KEY: 'qxing_replay_last', // 最近一次录像的存储键名
+        MAX_TICKS: 108000,               // 单局最多录制的逻辑步数（30分钟）
+        PRECISION: 1000                  // 摇杆输入量化精度
+    },
+
     // 性能配置
     PERFORMANCE: {
         // 游戏循环配置
@@ -243,6 +629,9 @@ const BASE_CONFIG = {
             TARGET_FPS: 60,             // 目标帧率（60fps）
             ENABLE_FPS_LIMIT: true,     // 是否启用帧率限制
             FRAME_TIME: 16.67,          // 目标帧时间（毫秒）
+            FIXED_TIMESTEP: 1 / 60,     // 🔴 新增：固定逻辑步长（秒），与设备刷新率无关
+            MAX_FRAME_DELTA: 0.25,      // 🔴 新增：单帧最大真实时间（秒），防止切后台回来后追帧过多
+            MAX_STEPS_PER_FRAME: 5      // 🔴 新增：每个渲染帧最多执行的逻辑步数
         },
         
         MAX_ZOMBIES: 2000,              // 最大僵尸数量
@@ -474,5 +863,5 @@ const ConfigManager = {
 ConfigValidator.validateAll(GAME_CONFIG);
 
 // 导出配置
-export {GAME_CONFIG, DIFFICULTY_CONFIG, ConfigManager, ConfigValidator, ROLE};
+export {GAME_CONFIG, DIFFICULTY_CONFIG, ConfigManager, ConfigValidator, ROLE, ROLE_NAMES, getRoleName};
 export default ConfigManager;
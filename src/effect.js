@@ -0,0 +1,197 @@
+/**
+ * 特效与粒子模块 (effect.js)
+ *
+ * 功能：
+ * - 按名称触发特效：血花、命中火花、枪口火光、治疗光点、僵尸死亡烟雾、胖子僵尸爆炸，参数来自config.js的EFFECT配置
+ * - 每个特效由若干粒子组成，粒子有速度、阻力、重力、生长和寿命，透明度随寿命衰减
+ * - 粒子使用对象池复用，不进入对象管理器
+ * - 视野外（Camera.isInView）不生成粒子，渲染时同样按视野剔除
+ * - 粒子随机数使用独立的fx随机流，不影响玩法随机序列
+ */
+
+import RandomManager, {RANDOM_STREAM} from './random.js';
+
+// 特效名称
+const EFFECT_NAME = {
+    BLOOD: 'blood',
+    HIT_SPARK: 'hit_spark',
+    MUZZLE_FLASH: 'muzzle_flash',
+    HEAL: 'heal',
+    DEATH_PUFF: 'death_puff',
+    EXPLOSION: 'explosion'
+};
+
+// 默认特效配置（会被config.js中的EFFECT覆盖）
+const EFFECT_DEFAULTS = {
+    ENABLED: true,
+    MAX_PARTICLES: 600,
+    CULL_MARGIN: 40,
+    EMITTERS: {
+        blood: {COUNT: 6, SHAPE: 'circle', COLORS: ['#8B0000', '#B22222'], SPREAD: 6.28, OFFSET: 0, SPEED_MIN: 40, SPEED_MAX: 140, LIFE_MIN: 0.3, LIFE_MAX: 0.6, SIZE_MIN: 2, SIZE_MAX: 4, DRAG: 4, GRAVITY: 0, GROW: 0},
+        hit_spark: {COUNT: 5, SHAPE: 'line', COLORS: ['#FFF59D', '#FFD54F'], SPREAD: 6.28, OFFSET: 0, SPEED_MIN: 120, SPEED_MAX: 260, LIFE_MIN: 0.1, LIFE_MAX: 0.25, SIZE_MIN: 1.5, SIZE_MAX: 3, DRAG: 6, GRAVITY: 0, GROW: 0},
+        muzzle_flash: {COUNT: 3, SHAPE: 'circle', COLORS: ['#FFF3B0', '#FFB74D'], SPREAD: 0.5, OFFSET: 18, SPEED_MIN: 60, SPEED_MAX: 160, LIFE_MIN: 0.05, LIFE_MAX: 0.1, SIZE_MIN: 4, SIZE_MAX: 7, DRAG: 10, GRAVITY: 0, GROW: 0},
+        heal: {COUNT: 8, SHAPE: 'plus', COLORS: ['#2ECC71', '#A9DFBF'], SPREAD: 6.28, OFFSET: 12, SPEED_MIN: 10, SPEED_MAX: 30, LIFE_MIN: 0.6, LIFE_MAX: 1.0, SIZE_MIN: 3, SIZE_MAX: 5, DRAG: 1, GRAVITY: -40, GROW: 0},
+        death_puff: {COUNT: 10, SHAPE: 'circle', COLORS: ['#7F8C8D', '#95A5A6'], SPREAD: 6.28, OFFSET: 6, SPEED_MIN: 20, SPEED_MAX: 60, LIFE_MIN: 0.5, LIFE_MAX: 0.9, SIZE_MIN: 6, SIZE_MAX: 10, DRAG: 2, GRAVITY: -10, GROW: 12},
+        explosion: {COUNT: 18, SHAPE: 'circle', COLORS: ['#FF7043', '#FFCA28', '#6D4C41'], SPREAD: 6.28, OFFSET: 8, SPEED_MIN: 80, SPEED_MAX: 220, LIFE_MIN: 0.3, LIFE_MAX: 0.7, SIZE_MIN: 5, SIZE_MAX: 10, DRAG: 4, GRAVITY: -20, GROW: 16}
+    }
+};
+
+// 获取特效配置
+function getEffectConfig() {
+    if (window.ConfigManager) {
+        return window.ConfigManager.safeGet('EFFECT', EFFECT_DEFAULTS);
+    }
+    return EFFECT_DEFAULTS;
+}
+
+// 粒子类（中心点坐标）
+var Particle = function () {
+    this.type = 'effect';
+    this.reset();
+};
+
+// 按发射器配置初始化粒子
+Particle.prototype.setup = function (emitter, x, y, angle, speed, fxRandom) {
+    this.x = x;
+    this.y = y;
+    this.vx = Math.cos(angle) * speed;
+    this.vy = Math.sin(angle) * speed;
+    this.angle = angle;
+    this.shape = emitter.SHAPE;
+    this.color = fxRandom.pick(emitter.COLORS);
+    this.size = fxRandom.range(emitter.SIZE_MIN, emitter.SIZE_MAX);
+    this.width = this.size * 2;     // 渲染管理器按宽高做视野剔除
+    this.height = this.size * 2;
+    this.maxLife = fxRandom.range(emitter.LIFE_MIN, emitter.LIFE_MAX);
+    this.life = this.maxLife;
+    this.drag = emitter.DRAG;
+    this.gravity = emitter.GRAVITY;
+    this.grow = emitter.GROW;
+    this.hp = 1;        // 渲染管理器以hp>0判断可见
+    this.isActive = true;
+};
+
+// 对象池归还时重置
+Particle.prototype.reset = function () {
+    this.x = 0;
+    this.y = 0;
+    this.vx = 0;
+    this.vy = 0;
+    this.life = 0;
+    this.maxLife = 0;
+    this.hp = 0;
+    this.isActive = false;
+};
+
+// 剩余寿命比例（用于透明度）
+Particle.prototype.getAlpha = function () {
+    return this.maxLife > 0 ? Math.max(0, this.life / this.maxLife) : 0;
+};
+
+// 特效管理器
+var EffectManager = {
+    objectPool: null,
+    particles: [],
+
+    // 初始化对象池（每局调用）
+    init: function () {
+        this.particles = [];
+
+        if (window.objectPoolManager) {
+            this.objectPool = window.objectPoolManager.recreatePool('effect', () => new Particle());
+        }
+    },
+
+    // 获取摄像机
+    getCamera: function () {
+        var viewSystem = window.gameEngine ? window.gameEngine.viewSystem : null;
+        return viewSystem ? viewSystem.camera : null;
+    },
+
+    /**
+     * 按名称触发特效
+     * @param {string} name - 特效名称（EFFECT_NAME）
+     * @param {number} x - 世界坐标X
+     * @param {number} y - 世界坐标Y
+     * @param {number} [angle] - 朝向（弧度），不传时向四周发散
+     * @returns {number} 生成的粒子数
+     */
+    emit: function (name, x, y, angle) {
+        var effectConfig = getEffectConfig();
+        if (!effectConfig.ENABLED) return 0;
+
+        var emitter = effectConfig.EMITTERS[name];
+        if (!emitter) {
+            throw new Error('未知的特效: ' + name);
+        }
+
+        // 视野外不生成粒子
+        var camera = this.getCamera();
+        if (camera && !camera.isInView(x, y, effectConfig.CULL_MARGIN, effectConfig.CULL_MARGIN)) {
+            return 0;
+        }
+
+        var fxRandom = RandomManager.getStream(RANDOM_STREAM.FX);
+        var baseAngle = typeof angle === 'number' ? angle : fxRandom.angle();
+        var count = Math.min(emitter.COUNT, effectConfig.MAX_PARTICLES - this.particles.length);
+
+        for (var i = 0; i < count; i++) {
+            var particleAngle = baseAngle + fxRandom.range(-emitter.SPREAD / 2, emitter.SPREAD / 2);
+            var offset = emitter.OFFSET;
+            // 有朝向的特效（枪口火光）沿朝向偏移，其余在周围随机偏移
+            var offsetAngle = typeof angle === 'number' ? angle : particleAngle;
+
+            var particle = this.objectPool ? this.objectPool.get() : null;
+            if (!particle) {
+                particle = new Particle();
+            }
+
+            particle.setup(emitter, x + Math.cos(offsetAngle) * offset, y + Math.sin(offsetAngle) * offset,
+                particleAngle, fxRandom.range(emitter.SPEED_MIN, emitter.SPEED_MAX), fxRandom);
+            this.particles.push(particle);
+        }
+
+        return Math.max(0, count);
+    },
+
+    getAllEffects: function () {
+        return this.particles;
+    },
+
+    // 每个逻辑步调用：移动粒子，寿命结束后归还对象池
+    updateAllEffects: function (deltaTime) {
+        for (var i = this.particles.length - 1; i >= 0; i--) {
+            var particle = this.particles[i];
+            particle.life -= deltaTime;
+
+            if (particle.life <= 0) {
+                this.particles.splice(i, 1);
+                if (this.objectPool) {
+                    this.objectPool.return(particle);
+                }
+                continue;
+            }
+
+            var damping = Math.max(0, 1 - particle.drag * deltaTime);
+            particle.vx *= damping;
+            particle.vy = particle.vy * damping + particle.gravity * deltaTime;
+            particle.x += particle.vx * deltaTime;
+            particle.y += particle.vy * deltaTime;
+            particle.size += particle.grow * deltaTime;
+        }
+    },
+
+    // 清除所有粒子
+    clear: function () {
+        this.particles.forEach(particle => {
+            if (this.objectPool) {
+                this.objectPool.return(particle);
+            }
+        });
+        this.particles = [];
+    }
+};
+
+// 导出
+export {Particle, EffectManager, EFFECT_NAME, EFFECT_DEFAULTS};
+export default EffectManager;
@@ -1,4 +1,6 @@
 // 事件处理系统
+import Platform from './platform.js';
+
 var eventPrototype = {};
 
 // 初始化事件系统
@@ -132,17 +134,17 @@ eventPrototype.bindTouchEvents = function () {
     var self = this;
 
     // 触摸开始
-    tt.onTouchStart(function (e) {
+    Platform.onTouchStart(function (e) {
         self.handleTouchStart(e);
     });
 
     // 触摸移动
-    tt.onTouchMove(function (e) {
+    Platform.onTouchMove(function (e) {
         self.handleTouchMove(e);
     });
 
     // 触摸结束
-    tt.onTouchEnd(function (e) {
+    Platform.onTouchEnd(function (e) {
         self.handleTouchEnd(e);
     });
 
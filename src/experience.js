@@ -0,0 +1,167 @@
+/**
+ * 伙伴经验模块 (experience.js)
+ *
+ * 功能：
+ * - 伙伴击杀僵尸获得经验，对被击杀的僵尸造成过伤害的其他伙伴获得助攻经验
+ * - 累计经验达到阈值后升级，每级按比例提升血量上限、攻击力和攻速（通过RolePropertyUtils按职业基础属性重算）
+ * - 达到指定等级后解锁职业特长，特长以倍率/加值的形式作用于职业技能和武器
+ * - 已招募的伙伴叠加主人物技能树领导分支的血量和攻击力加成
+ * - 等级和经验随伙伴存档，伙伴从对象池复用时重置
+ * - 参数来自config.js的EXPERIENCE配置
+ */
+
+import UtilsManager from './utils.js';
+
+// 默认经验配置（会被config.js中的EXPERIENCE覆盖）
+const EXPERIENCE_DEFAULTS = {
+    KILL_XP: 10,
+    ASSIST_XP: 4,
+    LEVEL_XP: [0, 30, 80, 150, 250],
+    PER_LEVEL: {MAX_HP: 0.1, ATTACK: 0.1, ATTACK_SPEED: 0.08},
+    PERKS: {}
+};
+
+// 获取经验配置
+function getExperienceConfig() {
+    if (window.ConfigManager) {
+        return window.ConfigManager.safeGet('EXPERIENCE', EXPERIENCE_DEFAULTS);
+    }
+    return EXPERIENCE_DEFAULTS;
+}
+
+// 伙伴经验系统
+const PartnerExperience = {
+    // 初始化伙伴的等级属性（创建和对象池复用时调用）
+    initPartner: function (partner) {
+        partner.level = 1;
+        partner.xp = 0;
+    },
+
+    // 最高等级
+    getMaxLevel: function () {
+        return getExperienceConfig().LEVEL_XP.length;
+    },
+
+    // 按累计经验计算等级
+    getLevelForXp: function (xp) {
+        var levelXp = getExperienceConfig().LEVEL_XP;
+        var level = 1;
+        while (level < levelXp.length && xp >= levelXp[level]) {
+            level++;
+        }
+        return level;
+    },
+
+    // 获取升到下一级的进度 {current, required}，满级时返回null
+    getLevelProgress: function (partner) {
+        var levelXp = getExperienceConfig().LEVEL_XP;
+        if (partner.level >= levelXp.length) return null;
+        return {current: partner.xp - levelXp[partner.level - 1], required: levelXp[partner.level] - levelXp[partner.level - 1]};
+    },
+
+    /**
+     * 给伙伴增加经验，达到阈值时升级
+     * @param {Object} partner - 已招募的伙伴
+     * @param {number} amount - 经验值
+     * @returns {boolean} 是否升级
+     */
+    addXp: function (partner, amount) {
+        if (!partner || partner.isInitialState || partner.hp <= 0 || amount <= 0) return false;
+
+        partner.xp += amount;
+        var newLevel = this.getLevelForXp(partner.xp);
+        if (newLevel <= partner.level) return false;
+
+        var previousLevel = partner.level;
+        partner.level = newLevel;
+        this.applyLevelStats(partner);
+        this.onLevelUp(partner, previousLevel);
+        return true;
+    },
+
+    // 升级提示：飘字显示新等级，新解锁的特长在屏幕上播报
+    onLevelUp: function (partner, previousLevel) {
+        console.log('⭐ 伙伴升级:', partner.id, 'Lv' + previousLevel, '->', 'Lv' + partner.level);
+
+        if (window.combatTextManager) {
+            window.combatTextManager.addFloatingText(partner.x, partner.y - partner.height / 2, '⬆️ Lv' + partner.level, '#F1C40F', true);
+        }
+
+        this.getPerks(partner.role)
+            .filter(perk => perk.LEVEL > previousLevel && perk.LEVEL <= partner.level)
+            .forEach(perk => {
+                if (window.announcer) {
+                    window.announcer.announce('⭐ ' + (partner.icon || '') + ' 解锁特长：' + perk.ICON + ' ' + perk.NAME, '#F1C40F');
+                }
+            });
+    },
+
+    // 按等级、特长和技能树领导加成重算血量上限、攻击力和攻速（当前血量按比例保留）
+    applyLevelStats: function (partner) {
+        var perLevel = getExperienceConfig().PER_LEVEL;
+        var bonusLevels = partner.level - 1;
+        var skillTree = partner.recruited ? window.skillTree : null;
+
+        UtilsManager.getRolePropertyUtils().applyStatMultipliers(partner, {
+            maxHp: (1 + bonusLevels * perLevel.MAX_HP) * (1 + (skillTree ? skillTree.getEffect('PARTNER_MAX_HP') : 0)),
+            attack: (1 + bonusLevels * perLevel.ATTACK) * (1 + (skillTree ? skillTree.getEffect('PARTNER_ATTACK') : 0)),
+            attackSpeed: (1 + bonusLevels * perLevel.ATTACK_SPEED) * this.getPerkMultiplier(partner, 'ATTACK_SPEED')
+        });
+    },
+
+    // 恢复等级和经验（读取存档）
+    restore: function (partner, saved) {
+        partner.xp = Math.max(0, saved.xp || 0);
+        partner.level = Math.min(this.getMaxLevel(), Math.max(1, saved.level || this.getLevelForXp(partner.xp)));
+        this.applyLevelStats(partner);
+    },
+
+    // 获取职业的全部特长
+    getPerks: function (role) {
+        return getExperienceConfig().PERKS[role] || [];
+    },
+
+    // 获取伙伴已解锁的特长
+    getUnlockedPerks: function (partner) {
+        if (!partner || !partner.level) return [];
+        return this.getPerks(partner.role).filter(perk => partner.level >= perk.LEVEL);
+    },
+
+    // 已解锁特长的倍率之积（没有时为1）
+    getPerkMultiplier: function (partner, key) {
+        return this.getUnlockedPerks(partner).reduce((result, perk) => {
+            return perk.MULTIPLIERS && perk.MULTIPLIERS[key] ? result * perk.MULTIPLIERS[key] : result;
+        }, 1);
+    },
+
+    // 已解锁特长的加值之和（没有时为0）
+    getPerkBonus: function (partner, key) {
+        return this.getUnlockedPerks(partner).reduce((result, perk) => {
+            return perk.BONUSES && perk.BONUSES[key] ? result + perk.BONUSES[key] : result;
+        }, 0);
+    },
+
+    /**
+     * 僵尸被击杀时结算经验
+     * @param {Object} zombie - 被击杀的僵尸（attackerIds记录了对它造成过伤害的队员）
+     * @param {Object} killer - 造成最后一击的队员
+     */
+    onZombieKilled: function (zombie, killer) {
+        if (!window.objectManager) return;
+
+        var config = getExperienceConfig();
+        var attackerIds = zombie.attackerIds || [];
+
+        window.objectManager.getAllPartners().forEach(partner => {
+            if (partner === killer) {
+                this.addXp(partner, config.KILL_XP);
+            } else if (attackerIds.indexOf(partner.id) !== -1) {
+                this.addXp(partner, config.ASSIST_XP);
+            }
+        });
+    }
+};
+
+// 导出
+export {PartnerExperience, EXPERIENCE_DEFAULTS};
+export default PartnerExperience;
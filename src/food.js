@@ -0,0 +1,174 @@
+/**
+ * 食物经济模块 (food.js)
+ *
+ * 功能：
+ * - 每天开始时按团队人数（主人物和已招募伙伴）消耗食物
+ * - 当天做过饭的厨师伙伴（ABILITY状态）在新的一天产出食物，击杀僵尸有概率获得食物
+ * - 食物耗尽后进入饥饿：团队成员持续掉血，每天有已招募伙伴离队
+ * - 提供每日消耗和产出信息，供HUD在食物撑不过一天时预警
+ */
+
+import {ROLE} from './config.js';
+import RandomManager, {RANDOM_STREAM} from './random.js';
+import RoleAbility from './ability.js';
+import PartnerExperience from './experience.js';
+
+// 默认食物配置（会被config.js中的FOOD覆盖）
+const FOOD_DEFAULTS = {
+    ENABLED: true,
+    INITIAL_FOOD: 5,
+    CONSUMPTION_PER_MEMBER: 1,
+    CHEF_FOOD_PER_DAY: 2,
+    KILL_FOOD_CHANCE: 0.3,
+    KILL_FOOD_AMOUNT: 1,
+    STARVATION_DAMAGE_PER_SECOND: 2,
+    PARTNERS_LEAVE_PER_DAY: 1
+};
+
+// 获取食物配置
+function getFoodConfig() {
+    if (window.ConfigManager) {
+        return window.ConfigManager.safeGet('FOOD', FOOD_DEFAULTS);
+    }
+    return FOOD_DEFAULTS;
+}
+
+// 食物系统
+class FoodSystem {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.starvationTimer = 0;   // 饥饿掉血计时（秒）
+    }
+
+    // 开局食物数量
+    getInitialFood() {
+        return getFoodConfig().INITIAL_FOOD;
+    }
+
+    // 获取已招募且存活的伙伴
+    getRecruitedPartners() {
+        return window.partnerManager ? window.partnerManager.getRecruitedPartners() : [];
+    }
+
+    // 每日消耗量
+    getDailyConsumption() {
+        // 🔴 新增：技能树生存分支降低消耗
+        var reduction = window.skillTree ? window.skillTree.getEffect('FOOD_CONSUMPTION') : 0;
+        var consumption = this.gameEngine.getTeamSize() * getFoodConfig().CONSUMPTION_PER_MEMBER * Math.max(0, 1 + reduction);
+        // 先消除浮点误差（如10 * 0.7），再向上取整
+        return Math.ceil(Math.round(consumption * 1000) / 1000);
+    }
+
+    // 每日厨师产出量（🔴 修复：只计算当天已做完饭的厨师，加上已解锁特长的加值）
+    getDailyProduction() {
+        var chefs = this.getRecruitedPartners().filter(partner => partner.role === ROLE.CHEF && partner.hasCookedToday);
+        return chefs.reduce((total, chef) => total + getFoodConfig().CHEF_FOOD_PER_DAY + PartnerExperience.getPerkBonus(chef, 'DAILY_FOOD'), 0);
+    }
+
+    // 是否处于饥饿状态
+    isStarving() {
+        return getFoodConfig().ENABLED && this.gameEngine.timeSystem.food <= 0;
+    }
+
+    // 增加食物
+    addFood(amount, source) {
+        if (amount <= 0) return;
+        this.gameEngine.timeSystem.food += amount;
+        console.log('🍖 获得食物', amount, '(' + source + ')，当前:', this.gameEngine.timeSystem.food);
+    }
+
+    // 🔴 新增：消耗食物（招募等），食物不够时返回false
+    spendFood(amount, purpose) {
+        var timeSystem = this.gameEngine.timeSystem;
+        if (amount > timeSystem.food) return false;
+
+        timeSystem.food -= amount;
+        console.log('🍖 消耗食物', amount, '(' + purpose + ')，当前:', timeSystem.food);
+        return true;
+    }
+
+    // 新的一天：先结算厨师产出，再按人数消耗；不够吃则清零并有伙伴离队
+    onNewDay() {
+        var foodConfig = getFoodConfig();
+        if (!foodConfig.ENABLED) return;
+
+        var timeSystem = this.gameEngine.timeSystem;
+        this.addFood(this.getDailyProduction(), '厨师');
+        RoleAbility.resetDailyCooking(this.getRecruitedPartners());
+
+        var consumption = this.getDailyConsumption();
+        var shortage = consumption - timeSystem.food;
+        timeSystem.food = Math.max(0, timeSystem.food - consumption);
+
+        console.log('🍽️ 第', timeSystem.day, '天消耗食物', consumption, '，剩余:', timeSystem.food);
+
+        if (shortage > 0) {
+            this.dismissPartners(foodConfig.PARTNERS_LEAVE_PER_DAY);
+        }
+    }
+
+    // 击杀僵尸：按概率获得食物
+    onZombieKilled(zombie) {
+        var foodConfig = getFoodConfig();
+        if (!foodConfig.ENABLED) return;
+
+        if (RandomManager.getStream(RANDOM_STREAM.LOOT).chance(foodConfig.KILL_FOOD_CHANCE)) {
+            this.addFood(foodConfig.KILL_FOOD_AMOUNT, '击杀' + (zombie ? zombie.type : '僵尸'));
+        }
+    }
+
+    // 饥饿导致伙伴离队
+    dismissPartners(count) {
+        var aiRandom = RandomManager.getStream(RANDOM_STREAM.AI);
+
+        for (var i = 0; i < count; i++) {
+            var partner = aiRandom.pick(this.getRecruitedPartners());
+            if (!partner) return;
+
+            console.log('🚶 伙伴因饥饿离队:', partner.id);
+            partner.destroy();
+        }
+    }
+
+    // 每个逻辑步调用：饥饿时每秒对团队成员造成伤害
+    update(deltaTime) {
+        if (!this.isStarving()) {
+            this.starvationTimer = 0;
+            return;
+        }
+
+        this.starvationTimer += deltaTime;
+        if (this.starvationTimer < 1) return;
+        this.starvationTimer -= 1;
+
+        var damage = getFoodConfig().STARVATION_DAMAGE_PER_SECOND;
+        var mainChar = this.gameEngine.characterManager ? this.gameEngine.characterManager.getMainCharacter() : null;
+        if (mainChar && mainChar.hp > 0) {
+            mainChar.takeDamage(damage);
+        }
+
+        this.getRecruitedPartners().forEach(partner => partner.takeDamage(damage));
+    }
+
+    // 获取食物信息（HUD显示）：食物撑不过一天时预警
+    getFoodInfo() {
+        var food = this.gameEngine.timeSystem.food;
+        var net = this.getDailyConsumption() - this.getDailyProduction();
+
+        return {
+            dailyConsumption: this.getDailyConsumption(),
+            dailyProduction: this.getDailyProduction(),
+            starving: this.isStarving(),
+            runningOut: getFoodConfig().ENABLED && food > 0 && food <= net
+        };
+    }
+
+    // 重置状态
+    reset() {
+        this.starvationTimer = 0;
+    }
+}
+
+// 导出
+export {FoodSystem, FOOD_DEFAULTS};
+export default FoodSystem;
@@ -0,0 +1,178 @@
+/**
+ * 跟随阵型模块 (formation.js)
+ *
+ * 功能：
+ * - 阵型预设（楔形、纵队、横队、环形）由config.js中PARTNER.FORMATION的槽位数据定义
+ * - 已招募的伙伴各自占一个槽位：新伙伴取第一个空槽位，有伙伴离队后其余伙伴按原顺序补齐
+ * - 阵型朝向按转向速度平滑转到主人物的移动方向，主人物停下时保持原朝向
+ * - 环形阵按当前人数均匀分布，夜间尸潮时可以四面防守
+ * - 阵型通过小队指令按钮切换（经录像管理器录制）
+ */
+
+// 默认阵型配置（会被config.js中的PARTNER.FORMATION覆盖）
+const FORMATION_DEFAULTS = {
+    DEFAULT: 'wedge',
+    ORDER: ['wedge', 'column', 'line', 'circle'],
+    TURN_SPEED: Math.PI,
+    SETTLE_DISTANCE: 12,
+    SETTLE_TIMEOUT: 2,
+    OVERFLOW_SPACING: 50,
+    PRESETS: {
+        wedge: {NAME: '楔形', ICON: '🔻', SLOTS: [[-60, -50], [-60, 50], [-110, -100], [-110, 100], [-140, 0]]},
+        column: {NAME: '纵队', ICON: '🚶', SLOTS: [[-60, 0], [-115, 0], [-170, 0], [-225, 0], [-280, 0]]},
+        line: {NAME: '横队', ICON: '↔️', SLOTS: [[0, -60], [0, 60], [0, -120], [0, 120], [0, -180]]},
+        circle: {NAME: '环形', ICON: '⭕', RING_RADIUS: 80}
+    }
+};
+
+// 获取阵型配置
+function getFormationConfig() {
+    if (window.ConfigManager) {
+        return window.ConfigManager.safeGet('PARTNER.FORMATION', FORMATION_DEFAULTS);
+    }
+    return FORMATION_DEFAULTS;
+}
+
+// 阵型管理器
+var FormationManager = {
+    current: FORMATION_DEFAULTS.DEFAULT,
+    heading: 0,                 // 阵型朝向（弧度），槽位的X轴指向此方向
+    slotAssignments: {},        // 伙伴ID -> 槽位序号
+    lastLeaderPosition: null,
+
+    // 初始化（每局调用）
+    init: function () {
+        this.current = getFormationConfig().DEFAULT;
+        this.heading = 0;
+        this.slotAssignments = {};
+        this.lastLeaderPosition = null;
+    },
+
+    // 获取阵型预设
+    getPreset: function (formationId = this.current) {
+        return getFormationConfig().PRESETS[formationId] || null;
+    },
+
+    // 切换到指定阵型（槽位序号保留，只改变槽位坐标）
+    setFormation: function (formationId) {
+        if (!this.getPreset(formationId)) {
+            throw new Error('未知的阵型: ' + formationId);
+        }
+        this.current = formationId;
+        console.log('🔷 阵型切换为', this.getPreset().NAME);
+    },
+
+    // 按配置顺序切换到下一个阵型
+    cycleFormation: function () {
+        var order = getFormationConfig().ORDER;
+        var index = order.indexOf(this.current);
+        this.setFormation(order[(index + 1) % order.length]);
+    },
+
+    // 获取占槽位的伙伴（已招募且存活）
+    getMembers: function () {
+        return window.partnerManager ? window.partnerManager.getRecruitedPartners() : [];
+    },
+
+    // 每个逻辑步调用（伙伴更新之前）：更新朝向和槽位分配
+    update: function (deltaTime) {
+        var leader = window.objectManager ? window.objectManager.getMainCharacter() : null;
+        if (!leader) return;
+
+        this.updateHeading(leader, deltaTime);
+        this.assignSlots(this.getMembers());
+    },
+
+    // 朝向按转向速度平滑转到主人物移动方向
+    updateHeading: function (leader, deltaTime) {
+        var last = this.lastLeaderPosition;
+        this.lastLeaderPosition = {x: leader.x, y: leader.y};
+        if (!last) return;
+
+        var dx = leader.x - last.x;
+        var dy = leader.y - last.y;
+        if (dx * dx + dy * dy < 0.01) return; // 主人物没有移动，保持朝向
+
+        var targetHeading = Math.atan2(dy, dx);
+        var diff = Math.atan2(Math.sin(targetHeading - this.heading), Math.cos(targetHeading - this.heading));
+        var maxTurn = getFormationConfig().TURN_SPEED * deltaTime;
+
+        this.heading += Math.max(-maxTurn, Math.min(maxTurn, diff));
+    },
+
+    // 分配槽位：离队的伙伴释放槽位，其余按原顺序补齐，新伙伴排在最后
+    assignSlots: function (members) {
+        var memberIds = members.map(partner => partner.id);
+        var keptIds = Object.keys(this.slotAssignments)
+            .filter(id => memberIds.indexOf(id) !== -1)
+            .sort((a, b) => this.slotAssignments[a] - this.slotAssignments[b]);
+        var newIds = memberIds.filter(id => this.slotAssignments[id] === undefined);
+
+        this.slotAssignments = {};
+        keptIds.concat(newIds).forEach((id, index) => {
+            this.slotAssignments[id] = index;
+        });
+    },
+
+    // 获取槽位在阵型坐标系中的偏移 [前, 右]
+    getSlotOffset: function (slotIndex, slotCount) {
+        var preset = this.getPreset();
+
+        // 环形：按人数均匀分布，第一个槽位在正后方
+        if (preset.RING_RADIUS) {
+            var angle = Math.PI + (slotIndex / Math.max(1, slotCount)) * Math.PI * 2;
+            return [Math.cos(angle) * preset.RING_RADIUS, Math.sin(angle) * preset.RING_RADIUS];
+        }
+
+        var slots = preset.SLOTS;
+        if (slotIndex < slots.length) {
+            return slots[slotIndex];
+        }
+
+        // 槽位不够：排在最后一个槽位后方
+        var lastSlot = slots[slots.length - 1];
+        var overflow = slotIndex - slots.length + 1;
+        return [lastSlot[0] - overflow * getFormationConfig().OVERFLOW_SPACING, lastSlot[1]];
+    },
+
+    /**
+     * 获取伙伴槽位的世界坐标
+     * @param {Object} partner - 伙伴
+     * @param {Object} leader - 主人物
+     * @returns {Object|null} {x, y}，伙伴没有槽位时返回null
+     */
+    getSlotPosition: function (partner, leader) {
+        var slotIndex = this.slotAssignments[partner.id];
+        if (slotIndex === undefined || !leader) return null;
+
+        var offset = this.getSlotOffset(slotIndex, Object.keys(this.slotAssignments).length);
+        var cos = Math.cos(this.heading);
+        var sin = Math.sin(this.heading);
+
+        return {
+            x: leader.x + cos * offset[0] - sin * offset[1],
+            y: leader.y + sin * offset[0] + cos * offset[1]
+        };
+    },
+
+    // 导出阵型和朝向（写入存档），槽位在读档后重新分配
+    getState: function () {
+        return {formation: this.current, heading: this.heading};
+    },
+
+    // 恢复阵型和朝向（读取存档）
+    setState: function (state) {
+        if (!state) return;
+
+        if (this.getPreset(state.formation)) {
+            this.current = state.formation;
+        }
+        if (typeof state.heading === 'number') {
+            this.heading = state.heading;
+        }
+    }
+};
+
+// 导出
+export {FormationManager, FORMATION_DEFAULTS};
+export default FormationManager;
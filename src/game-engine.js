@@ -2,6 +2,16 @@
  * 游戏引擎模块 (game-engine.js)
  */
 
+import NavigationSystem from './maps/navigation.js';
+import DynamicObstacleManager from './obj/dynamic-obstacle.js';
+import SaveManager from './save.js';
+import Platform from './platform.js';
+import RandomManager, {RANDOM_STREAM} from './random.js';
+import ReplayManager from './replay.js';
+import WaveDirector from './wave-director.js';
+import FoodSystem from './food.js';
+import ScavengeSystem from './scavenge.js';
+
 // 触摸摇杆控制器
 var TouchJoystick = function (canvas, ctx) {
     this.canvas = canvas;
@@ -129,17 +139,20 @@ TouchJoystick.prototype.bindEvents = function () {
         self.returnToDefaultPosition();
     };
 
-    // 绑定触摸事件
-    if (typeof tt !== 'undefined' && tt.onTouchStart) {
-        tt.onTouchStart(touchStartHandler);
-        tt.onTouchMove(touchMoveHandler);
-        tt.onTouchEnd(touchEndHandler);
-        tt.onTouchCancel(touchCancelHandler);
-    } else {
-        self.canvas.addEventListener('touchstart', touchStartHandler, {passive: true});
-        self.canvas.addEventListener('touchmove', touchMoveHandler, {passive: true});
-        self.canvas.addEventListener('touchend', touchEndHandler, {passive: true});
-        self.canvas.addEventListener('touchcancel', touchCancelHandler, {passive: true});
+    // 🔴 修复：通过平台适配层绑定触摸事件，保存取消函数用于销毁时解绑
+    this.touchUnsubscribers = [
+        Platform.onTouchStart(touchStartHandler),
+        Platform.onTouchMove(touchMoveHandler),
+        Platform.onTouchEnd(touchEndHandler),
+        Platform.onTouchCancel(touchCancelHandler)
+    ];
+};
+
+// 🔴 新增：解绑触摸事件
+TouchJoystick.prototype.unbindEvents = function () {
+    if (this.touchUnsubscribers) {
+        this.touchUnsubscribers.forEach(unsubscribe => unsubscribe());
+        this.touchUnsubscribers = null;
     }
 };
 
@@ -287,15 +300,27 @@ var GameEngine = function (canvas, ctx) {
     this.navigationSystem = null;
     this.dynamicObstacleManager = null;
 
+    // 🔴 新增：夜晚尸潮
+    this.waveDirector = new WaveDirector(this);
+
+    // 🔴 新增：食物经济
+    this.foodSystem = new FoodSystem(this);
+
+    // 🔴 新增：建筑搜刮
+    this.scavengeSystem = new ScavengeSystem(this);
+
     // 计时系统
     this.timeSystem = {
-        day: 1, isDay: true, dayTime: 0, currentTime: 0, dayDuration: 0, food: 5
+        day: 1, isDay: true, dayTime: 0, currentTime: 0, dayDuration: 0, food: this.foodSystem.getInitialFood()
     };
 
     // 帧计数器
     this.frameCount = 0;
+    // 🔴 新增：固定步长逻辑时间（秒），暂停、死亡和切后台期间不流逝
+    this.deltaTime = this.getFixedTimeStep();
+    this.gameTime = 0;
     // 🔴 修复：确保lastUpdateTime在构造函数中正确初始化
-    this.lastUpdateTime = performance.now();
+    this.lastUpdateTime = Platform.now();
 
     // 🔴 新增：重新开始标记，用于确保第一帧deltaTime一致
     this.isRestarting = false;
@@ -396,6 +421,15 @@ var GameEngine = function (canvas, ctx) {
 GameEngine.prototype.init = function () {
     this.joystick = new TouchJoystick(this.canvas, this.ctx);
 
+    // 🔴 新增：小队指令按钮点击
+    this.squadTouchUnsubscribe = Platform.onTouchStart(this.handleSquadTouch.bind(this));
+
+    // 🔴 新增：招募提示按钮点击
+    this.recruitTouchUnsubscribe = Platform.onTouchStart(this.handleRecruitTouch.bind(this));
+
+    // 🔴 新增：技能按钮点击
+    this.skillTreeTouchUnsubscribe = Platform.onTouchStart(this.handleSkillTreeTouch.bind(this));
+
     if (typeof ViewSystem !== 'undefined') {
         this.viewSystem = new ViewSystem(this.canvas, this.ctx);
     }
@@ -407,6 +441,89 @@ GameEngine.prototype.init = function () {
     }
 };
 
+// 🔴 新增：点击小队指令按钮，指令经录像管理器在下一逻辑步执行
+GameEngine.prototype.handleSquadTouch = function (e) {
+    if (this.gameState !== 'playing' || !window.squadCommand || !e.touches || !e.touches[0]) return;
+
+    var touch = e.touches[0];
+    var x = touch.x || touch.clientX || touch.pageX || 0;
+    var y = touch.y || touch.clientY || touch.pageY || 0;
+
+    var command = window.squadCommand.hitTest(x, y, this.canvas);
+    if (command) {
+        ReplayManager.queueCommand(command);
+    }
+};
+
+// 🔴 新增：点击招募提示按钮，“招募”经录像管理器在下一逻辑步执行，“离开”直接关闭提示
+GameEngine.prototype.handleRecruitTouch = function (e) {
+    if (this.gameState !== 'playing' || !window.recruitManager || !e.touches || !e.touches[0]) return;
+
+    var touch = e.touches[0];
+    var x = touch.x || touch.clientX || touch.pageX || 0;
+    var y = touch.y || touch.clientY || touch.pageY || 0;
+
+    var command = window.recruitManager.hitTest(x, y, this.canvas);
+    if (typeof command === 'string') {
+        ReplayManager.queueCommand(command);
+    }
+};
+
+// 🔴 新增：点击技能按钮，暂停对局并打开技能页面
+GameEngine.prototype.handleSkillTreeTouch = function (e) {
+    if (this.gameState !== 'playing' || !window.skillTree || !e.touches || !e.touches[0]) return;
+
+    var touch = e.touches[0];
+    var x = touch.x || touch.clientX || touch.pageX || 0;
+    var y = touch.y || touch.clientY || touch.pageY || 0;
+
+    if (window.skillTree.hitTest(x, y) && this.pauseGame() && this.menuSystem) {
+        this.menuSystem.setState('skill_tree');
+    }
+};
+
+// 🔴 新增：暂停对局（打开游戏内菜单页面），与setGameState不同，不重置时间系统
+GameEngine.prototype.pauseGame = function () {
+    if (this.gameState !== 'playing') return false;
+
+    this.gameState = 'menu';
+    if (this.joystick) {
+        this.joystick.hide();
+    }
+    if (this.eventSystem) {
+        this.eventSystem.gameState = 'menu';
+    }
+    console.log('⏸️ 对局暂停');
+    return true;
+};
+
+// 🔴 新增：从游戏内菜单继续对局
+GameEngine.prototype.resumeGame = function () {
+    if (this.gameState !== 'menu') return false;
+
+    this.gameState = 'playing';
+    if (this.joystick) {
+        this.joystick.showDefault();
+    }
+    if (this.eventSystem) {
+        this.eventSystem.gameState = 'playing';
+    }
+    this.lastUpdateTime = Platform.now();
+    console.log('▶️ 对局继续');
+    return true;
+};
+
+// 🔴 新增：执行录像管理器给出的指令（招募指令、加点指令或小队指令）
+GameEngine.prototype.executeCommand = function (command) {
+    if (window.recruitManager && window.recruitManager.isRecruitCommand(command)) {
+        window.recruitManager.execute(command);
+    } else if (window.skillTree && window.skillTree.isSkillCommand(command)) {
+        window.skillTree.execute(command);
+    } else if (window.squadCommand) {
+        window.squadCommand.execute(command);
+    }
+};
+
 // 初始化时间系统配置
 GameEngine.prototype.initTimeSystemConfig = function () {
     if (window.ConfigManager) {
@@ -442,10 +559,11 @@ GameEngine.prototype.setGameState = function (newState) {
     this.frameCount = 0;
 
     // 🔴 修复：重置时立即设置lastUpdateTime，避免第一帧deltaTime异常
-    this.lastUpdateTime = performance.now();
+    this.lastUpdateTime = Platform.now();
 
     // 🔴 修复：如果是重新开始游戏，重置时间系统
     if (newState === 'playing') {
+        this.gameTime = 0;
         this.timeSystem.currentTime = 0;
         this.timeSystem.day = 1;
         this.timeSystem.isDay = true;
@@ -525,31 +643,33 @@ GameEngine.prototype.initNavigationSystem = function () {
         return false;
     }
 
-    if (!this.mapSystem.buildings || this.mapSystem.buildings.length === 0) {
-        return false;
+    // 重试时避免重复构建
+    if (this.navigationSystem && this.navigationSystem.isReady) {
+        return true;
     }
 
-    if (typeof NavigationSystem !== 'undefined') {
-        this.navigationSystem = new NavigationSystem();
-
-        const mapData = {
-            type: 'matrix',
-            mapWidth: this.mapSystem.mapWidth,
-            mapHeight: this.mapSystem.mapHeight,
-            cellSize: this.mapSystem.cellSize,
-            gridCols: this.mapSystem.gridCols,
-            gridRows: this.mapSystem.gridRows,
-            buildings: this.mapSystem.buildings,
-            walkableAreas: this.mapSystem.walkableAreas,
-            mapMatrix: this.mapSystem.mapMatrix
-        };
-
-        this.navigationSystem.buildNavigationMesh(mapData);
-        return true;
-    } else {
-        throw new Error('[GameEngine] NavigationSystem未定义，跳过NavMesh初始化');
+    // 🔴 修复：地图数据在MapManager.currentMap上，而不是MapManager本身
+    var currentMap = this.mapSystem.currentMap;
+    if (!currentMap || !currentMap.matrix || !currentMap.buildings || currentMap.buildings.length === 0) {
         return false;
     }
+
+    this.navigationSystem = new NavigationSystem();
+
+    const mapConfig = currentMap.config;
+    const mapData = {
+        type: 'matrix',
+        mapWidth: mapConfig.width,
+        mapHeight: mapConfig.height,
+        cellSize: mapConfig.cellSize,
+        gridCols: mapConfig.gridCols || currentMap.matrix[0].length,
+        gridRows: mapConfig.gridRows || currentMap.matrix.length,
+        buildings: currentMap.buildings,
+        walkableAreas: currentMap.walkableAreas,
+        mapMatrix: currentMap.matrix
+    };
+
+    return this.navigationSystem.buildNavigationMesh(mapData);
 };
 
 // 初始化对象池系统
@@ -593,41 +713,27 @@ GameEngine.prototype.initDynamicObstacleManager = function () {
         return false;
     }
 
-    if (!this.mapSystem.mapWidth || !this.mapSystem.mapHeight) {
-        return false;
+    // 重试时避免重复摆放
+    if (this.dynamicObstacleManager) {
+        return true;
     }
 
-    if (typeof DynamicObstacleManager !== 'undefined') {
-        this.dynamicObstacleManager = new DynamicObstacleManager(this.mapSystem.mapWidth, this.mapSystem.mapHeight);
-        this.addSampleDynamicObstacles();
-        return true;
-    } else {
-        throw new Error('[GameEngine] DynamicObstacleManager未定义，跳过动态障碍物管理器初始化');
+    // 🔴 修复：地图尺寸在MapManager.currentMap.config上
+    var currentMap = this.mapSystem.currentMap;
+    if (!currentMap || !currentMap.config || !currentMap.walkableAreas) {
         return false;
     }
+
+    this.dynamicObstacleManager = new DynamicObstacleManager(currentMap.config.width, currentMap.config.height, currentMap.config.cellSize);
+    this.addSampleDynamicObstacles();
+    return true;
 };
 
-// 添加示例动态障碍物
+// 在道路格上摆放障碍物
 GameEngine.prototype.addSampleDynamicObstacles = function () {
-    if (!this.dynamicObstacleManager) return;
-
-    const cars = [{id: 'car_1', x: 2000, y: 2000, width: 80, height: 120, type: 'car'}, {
-        id: 'car_2', x: 4000, y: 3000, width: 80, height: 120, type: 'car'
-    }, {id: 'car_3', x: 6000, y: 5000, width: 80, height: 120, type: 'car'}];
-
-    cars.forEach(carData => {
-        const car = new DynamicObstacle(carData.id, carData.x, carData.y, carData.width, carData.height, carData.type);
-        this.dynamicObstacleManager.addObstacle(car);
-    });
+    if (!this.dynamicObstacleManager || !this.mapSystem) return;
 
-    const barriers = [{id: 'barrier_1', x: 1500, y: 1500, width: 40, height: 40, type: 'barrier'}, {
-        id: 'barrier_2', x: 3500, y: 2500, width: 40, height: 40, type: 'barrier'
-    }];
-
-    barriers.forEach(barrierData => {
-        const barrier = new DynamicObstacle(barrierData.id, barrierData.x, barrierData.y, barrierData.width, barrierData.height, barrierData.type);
-        this.dynamicObstacleManager.addObstacle(barrier);
-    });
+    this.dynamicObstacleManager.populateRoads(this.mapSystem.currentMap);
 };
 
 // 获取时间配置
@@ -641,20 +747,43 @@ GameEngine.prototype.calculateDistance = function (x1, y1, x2, y2) {
 };
 
 
+// 🔴 新增：获取固定逻辑步长（秒）
+GameEngine.prototype.getFixedTimeStep = function () {
+    var fixedStep = window.ConfigManager ? window.ConfigManager.get('PERFORMANCE.GAME_LOOP.FIXED_TIMESTEP') : null;
+    return fixedStep > 0 ? fixedStep : 1 / 60;
+};
+
+// 🔴 新增：获取游戏内时间（毫秒），供攻击冷却、目标锁定等计时使用
+GameEngine.prototype.getGameTime = function () {
+    return this.gameTime * 1000;
+};
+
 // 更新计时系统
-GameEngine.prototype.updateTimeSystem = function () {
+GameEngine.prototype.updateTimeSystem = function (deltaTime) {
     var timeConfig = this.getTimeConfig();
     var dayDuration = timeConfig ? timeConfig.DAY_DURATION : 10;
     var dayPhaseDuration = timeConfig ? timeConfig.DAY_PHASE_DURATION : 5;
 
-    // 🔴 修复：从配置获取目标帧率
-    var targetFPS = window.ConfigManager ? window.ConfigManager.get('PERFORMANCE.GAME_LOOP.TARGET_FPS') : 60;
-    this.timeSystem.currentTime += 1 / targetFPS;
+    // 🔴 修复：按真实逻辑步长推进，昼夜时长在任何设备上一致
+    this.timeSystem.currentTime += deltaTime || this.getFixedTimeStep();
 
     if (this.timeSystem.currentTime >= dayDuration) {
         this.timeSystem.currentTime = 0;
         this.timeSystem.day++;
         this.spawnOneZombiePerDay();
+
+        // 🔴 新增：每天结算食物（在自动存档之前）
+        this.foodSystem.onNewDay();
+
+        // 🔴 新增：存活一天获得技能点
+        if (window.skillTree) {
+            window.skillTree.onNewDay();
+        }
+
+        // 🔴 新增：新的一天开始时自动存档
+        if (window.ConfigManager && window.ConfigManager.safeGet('SAVE.AUTO_SAVE_ON_NEW_DAY', true)) {
+            SaveManager.saveGame(this);
+        }
     }
 
     var dayProgress = this.timeSystem.currentTime / dayDuration;
@@ -664,10 +793,11 @@ GameEngine.prototype.updateTimeSystem = function () {
 };
 
 // 获取团队人数
+// 🔴 修复：团队人数包含已招募的伙伴，食物消耗按此计算
 GameEngine.prototype.getTeamSize = function () {
     if (!this.characterManager) return 0;
     var characters = this.characterManager.getAllCharacters();
-    return characters.length;
+    return characters.length + this.foodSystem.getRecruitedPartners().length;
 };
 
 // 获取时间系统信息
@@ -677,7 +807,9 @@ GameEngine.prototype.getTimeInfo = function () {
         isDay: this.timeSystem.isDay,
         dayTime: this.timeSystem.dayTime,
         food: this.timeSystem.food,
-        teamSize: this.getTeamSize()
+        teamSize: this.getTeamSize(),
+        night: this.waveDirector.getNightInfo(),
+        foodInfo: this.foodSystem.getFoodInfo()
     };
 };
 
@@ -738,6 +870,7 @@ GameEngine.prototype.createEntityBatchAroundPlayer = function (entityType, batch
 
     var createdEntities = [];
     var maxAttempts = 100;
+    var spawnRandom = RandomManager.getStream(RANDOM_STREAM.SPAWN);
 
     for (var i = 0; i < batchSize; i++) {
         var entityCreated = false;
@@ -746,9 +879,9 @@ GameEngine.prototype.createEntityBatchAroundPlayer = function (entityType, batch
         while (!entityCreated && attempts < maxAttempts) {
             attempts++;
 
-            var angle = Math.random() * Math.PI * 2;
-            var distance = minDistance + Math.random() * (maxDistance - minDistance);
-            var randomType = entityTypes[Math.floor(Math.random() * entityTypes.length)];
+            var angle = spawnRandom.angle();
+            var distance = spawnRandom.range(minDistance, maxDistance);
+            var randomType = spawnRandom.pick(entityTypes);
 
             var entityX = mainChar.x + Math.cos(angle) * distance;
             var entityY = mainChar.y + Math.sin(angle) * distance;
@@ -770,7 +903,7 @@ GameEngine.prototype.createEntityBatchAroundPlayer = function (entityType, batch
             } else {
                 if (attempts % 20 === 0) {
                     angle += Math.PI / 6;
-                    distance += (Math.random() - 0.5) * 100;
+                    distance += spawnRandom.range(-50, 50);
                     distance = Math.max(minDistance - 100, Math.min(maxDistance + 100, distance));
                 }
             }
@@ -836,8 +969,10 @@ GameEngine.prototype.isValidSpawnPosition = function (x, y, mainChar, existingEn
 };
 
 // 游戏循环更新
-GameEngine.prototype.update = function () {
+// 🔴 修复：deltaTime为固定逻辑步长（秒），由game.js的累加器循环传入
+GameEngine.prototype.update = function (deltaTime) {
     this.frameCount++;
+    this.deltaTime = deltaTime || this.getFixedTimeStep();
 
     // 🔴 修复：在死亡状态下暂停游戏逻辑更新，只保留基础功能
     if (this.gameState === 'death') {
@@ -854,6 +989,14 @@ GameEngine.prototype.update = function () {
         return;
     }
 
+    this.gameTime += this.deltaTime;
+
+    // 🔴 新增：实体更新前录制或回放本逻辑步的摇杆输入
+    ReplayManager.updateTick(this.joystick);
+
+    // 🔴 新增：执行本逻辑步的小队指令、招募指令和加点指令
+    ReplayManager.takeCommands().forEach(command => this.executeCommand(command));
+
     if (this.performanceMonitor) {
         this.performanceMonitor.updateFPS();
     }
@@ -866,20 +1009,69 @@ GameEngine.prototype.update = function () {
     }
 
     if (this.characterManager) {
-        this.characterManager.updateAllCharacters();
+        this.characterManager.updateAllCharacters(this.deltaTime);
     }
 
-    this.updateTimeSystem();
+    this.updateTimeSystem(this.deltaTime);
+    this.waveDirector.update(this.deltaTime);
+    this.foodSystem.update(this.deltaTime);
 
     if (this.zombieManager) {
         var characters = this.characterManager ? this.characterManager.getAllCharacters() : [];
-        this.zombieManager.updateAllZombies(characters, this.frameCount);
+        this.zombieManager.updateAllZombies(characters, this.frameCount, this.deltaTime);
+    }
+
+    // 🔴 新增：伙伴更新前先更新阵型朝向和槽位
+    if (window.formationManager) {
+        window.formationManager.update(this.deltaTime);
     }
 
     if (window.partnerManager) {
-        window.partnerManager.updateAllPartners();
+        window.partnerManager.updateAllPartners(this.deltaTime);
+    }
+
+    // 🔴 新增：更新招募提示
+    if (window.recruitManager) {
+        window.recruitManager.update(this.deltaTime);
     }
 
+    // 🔴 新增：技能树回血
+    if (window.skillTree) {
+        window.skillTree.update(this.deltaTime);
+    }
+
+    // 🔴 新增：感染伙伴的尸体尸变
+    if (window.infectionManager) {
+        window.infectionManager.update(this.deltaTime);
+    }
+
+    // 🔴 新增：投射物飞行和命中
+    if (window.projectileManager) {
+        window.projectileManager.updateAllProjectiles(this.deltaTime);
+    }
+
+    // 🔴 新增：粒子特效
+    if (window.effectManager) {
+        window.effectManager.updateAllEffects(this.deltaTime);
+    }
+
+    // 🔴 新增：伤害数字和击杀播报
+    if (window.combatTextManager) {
+        window.combatTextManager.update(this.deltaTime);
+    }
+
+    // 🔴 新增：屏幕播报超时
+    if (window.announcer) {
+        window.announcer.update(this.deltaTime);
+    }
+
+    // 🔴 新增：物品拾取和超时消失
+    if (window.itemManager && this.characterManager) {
+        window.itemManager.updateAllItems(this.deltaTime, this.characterManager.getMainCharacter());
+    }
+
+    this.scavengeSystem.update(this.deltaTime);
+
     if (this.dynamicObstacleManager) {
         this.dynamicObstacleManager.updateAllObstacles();
 
@@ -958,11 +1150,23 @@ GameEngine.prototype.render = function () {
                 this.characterManager, 
                 this.zombieManager, 
                 window.partnerManager, 
-                this.mapSystem
+                this.mapSystem,
+                this.dynamicObstacleManager,
+                window.itemManager,
+                window.projectileManager,
+                window.effectManager,
+                window.combatTextManager
             );
 
             this.viewSystem.renderJoystick(this.joystick);
             this.viewSystem.renderTimeInfo(this);
+            this.viewSystem.renderScavengeInfo(this);
+            this.viewSystem.renderKillFeed(window.combatTextManager);
+            this.viewSystem.renderSurvivorMarkers(window.partnerManager);
+            this.viewSystem.renderSquadButtons(window.squadCommand);
+            this.viewSystem.renderSkillButton(window.skillTree);
+            this.viewSystem.renderRecruitPrompt(window.recruitManager);
+            this.viewSystem.renderAnnouncements(window.announcer);
             this.viewSystem.renderDebugInfo();
         } else {
             console.warn('⚠️ viewSystem未初始化，使用回退渲染方法');
@@ -1025,10 +1229,9 @@ GameEngine.prototype.renderDeathScreen = function () {
 
     // 添加点击事件监听器（如果还没有的话）
     if (!this.deathClickListener) {
-        this.deathClickListener = (event) => {
-            event.preventDefault();
+        this.deathClickListener = () => {
             // 移除事件监听器
-            canvas.removeEventListener('touchstart', this.deathClickListener);
+            this.deathClickUnsubscribe();
             this.deathClickListener = null;
 
             // 重新开始游戏
@@ -1037,7 +1240,7 @@ GameEngine.prototype.renderDeathScreen = function () {
             }
         };
 
-        canvas.addEventListener('touchstart', this.deathClickListener, {passive: true});
+        this.deathClickUnsubscribe = Platform.onTouchStart(this.deathClickListener);
     }
 };
 
@@ -1050,11 +1253,12 @@ GameEngine.prototype.destroy = function () {
 
     // 重置时间相关属性
     this.frameCount = 0;
-    this.lastUpdateTime = performance.now();
+    this.gameTime = 0;
+    this.lastUpdateTime = Platform.now();
 
     // 重置时间系统
     this.timeSystem = {
-        day: 1, isDay: true, dayTime: 0, currentTime: 0, dayDuration: 0, food: 5
+        day: 1, isDay: true, dayTime: 0, currentTime: 0, dayDuration: 0, food: this.foodSystem.getInitialFood()
     };
 
     // 重置性能监控
@@ -1067,19 +1271,55 @@ GameEngine.prototype.destroy = function () {
         this.performanceMonitor.lastOptimizationTime = 0;
     }
 
+    // 🔴 新增：重置尸潮（恢复僵尸检测范围）
+    this.waveDirector.reset();
+    this.foodSystem.reset();
+    this.scavengeSystem.reset();
+
     // 清理系统引用
     this.mapSystem = null;
     this.characterManager = null;
     this.menuSystem = null;
     this.eventSystem = null;
     this.zombieManager = null;
+    if (this.navigationSystem) {
+        this.navigationSystem.destroy();
+    }
     this.navigationSystem = null;
+    if (this.dynamicObstacleManager) {
+        this.dynamicObstacleManager.destroy();
+    }
     this.dynamicObstacleManager = null;
 
     // 重置摇杆
     if (this.joystick) {
         this.joystick.resetJoystick();
         this.joystick.hide();
+        this.joystick.unbindEvents();
+    }
+
+    // 🔴 新增：解绑小队指令按钮
+    if (this.squadTouchUnsubscribe) {
+        this.squadTouchUnsubscribe();
+        this.squadTouchUnsubscribe = null;
+    }
+
+    // 🔴 新增：解绑招募提示按钮
+    if (this.recruitTouchUnsubscribe) {
+        this.recruitTouchUnsubscribe();
+        this.recruitTouchUnsubscribe = null;
+    }
+
+    // 🔴 新增：解绑技能按钮
+    if (this.skillTreeTouchUnsubscribe) {
+        this.skillTreeTouchUnsubscribe();
+        this.skillTreeTouchUnsubscribe = null;
+    }
+
+    // 🔴 修复：移除死亡界面的点击监听
+    if (this.deathClickListener) {
+        this.deathClickUnsubscribe();
+        this.deathClickListener = null;
     }
 
     // 重置视图系统
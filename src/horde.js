@@ -0,0 +1,237 @@
+/**
+ * 尸群转向模块 (horde.js)
+ *
+ * 功能：
+ * - 每个逻辑步把存活僵尸按位置放入均匀空间网格（格子大小为邻居查询半径），查询邻居只看周围3x3个格子
+ * - 追击时的移动方向由三部分合成：朝目标（导航路点）前进、与过近的邻居分离、与邻居的移动方向对齐
+ * - 分离让尸群绕开建筑物时散开、到达目标附近时围成一圈，而不是叠在同一个点上
+ * - 攻击中挤在一起的僵尸沿包围圈切向滑开，不会退出攻击范围
+ * - 每只僵尸最多计算MAX_NEIGHBORS个邻居，僵尸数量达到PERFORMANCE.MAX_ZOMBIES时开销依然可控
+ * - 网格按僵尸更新顺序构建，结果与回放一致
+ * - 参数来自config.js的ZOMBIE.HORDE配置
+ */
+
+// 默认尸群转向配置（会被config.js中的ZOMBIE.HORDE覆盖）
+const HORDE_DEFAULTS = {
+    ENABLED: true,
+    NEIGHBOR_RADIUS: 64,
+    MAX_NEIGHBORS: 8,
+    SEPARATION_PADDING: 6,
+    SEEK_WEIGHT: 1,
+    SEPARATION_WEIGHT: 1.6,
+    ALIGNMENT_WEIGHT: 0.3,
+    ATTACK_SPREAD_SPEED: 0.5
+};
+
+// 网格行号的键跨度（格子键 = 行 * 跨度 + 列）
+const GRID_KEY_STRIDE = 65536;
+
+// 邻居查询的格子顺序：先查自己所在的格子，再查周围8个格子
+const NEIGHBOR_CELL_OFFSETS = [
+    [0, 0], [-1, 0], [1, 0], [0, -1], [0, 1], [-1, -1], [1, -1], [-1, 1], [1, 1]
+];
+
+// 候选邻居数量上限是MAX_NEIGHBORS的倍数（密集时从候选中取最近的邻居，扫描量依然有上限）
+const CANDIDATE_FACTOR = 3;
+
+// 获取尸群转向配置
+function getHordeConfig() {
+    if (window.ConfigManager) {
+        return window.ConfigManager.safeGet('ZOMBIE.HORDE', HORDE_DEFAULTS);
+    }
+    return HORDE_DEFAULTS;
+}
+
+// 尸群转向
+const HordeSteering = {
+    cellSize: HORDE_DEFAULTS.NEIGHBOR_RADIUS,
+    buckets: new Map(),     // 格子键 -> 该格子内的僵尸数组
+
+    // 格子键
+    getCellKey: function (col, row) {
+        return row * GRID_KEY_STRIDE + col;
+    },
+
+    /**
+     * 重建空间网格（僵尸管理器在更新僵尸前每个逻辑步调用一次）
+     * @param {Array} zombies - 存活的僵尸
+     */
+    rebuild: function (zombies) {
+        this.buckets.clear();
+
+        var config = getHordeConfig();
+        if (!config.ENABLED) return;
+
+        this.cellSize = config.NEIGHBOR_RADIUS;
+        zombies.forEach(zombie => {
+            var key = this.getCellKey(Math.floor(zombie.x / this.cellSize), Math.floor(zombie.y / this.cellSize));
+            var bucket = this.buckets.get(key);
+            if (!bucket) {
+                bucket = [];
+                this.buckets.set(key, bucket);
+            }
+            bucket.push(zombie);
+        });
+    },
+
+    /**
+     * 查询附近的僵尸（不包括自己），密集时只返回最近的maxCount只
+     * @param {Object} zombie - 僵尸
+     * @param {number} radius - 查询半径（不超过格子大小）
+     * @param {number} maxCount - 最多返回数量
+     * @returns {Array} 附近的僵尸（按距离从近到远）
+     */
+    getNeighbors: function (zombie, radius, maxCount) {
+        var candidates = [];
+        var maxCandidates = maxCount * CANDIDATE_FACTOR;
+        var radiusSquared = radius * radius;
+        var col = Math.floor(zombie.x / this.cellSize);
+        var row = Math.floor(zombie.y / this.cellSize);
+
+        for (var c = 0; c < NEIGHBOR_CELL_OFFSETS.length && candidates.length < maxCandidates; c++) {
+            var bucket = this.buckets.get(this.getCellKey(col + NEIGHBOR_CELL_OFFSETS[c][0], row + NEIGHBOR_CELL_OFFSETS[c][1]));
+            if (!bucket) continue;
+
+            for (var i = 0; i < bucket.length && candidates.length < maxCandidates; i++) {
+                var other = bucket[i];
+                if (other === zombie || other.hp <= 0) continue;
+
+                var offsetX = other.x - zombie.x;
+                var offsetY = other.y - zombie.y;
+                var distanceSquared = offsetX * offsetX + offsetY * offsetY;
+                if (distanceSquared > radiusSquared) continue;
+
+                candidates.push({zombie: other, distanceSquared: distanceSquared});
+            }
+        }
+
+        if (candidates.length > maxCount) {
+            candidates.sort((a, b) => a.distanceSquared - b.distanceSquared);
+            candidates.length = maxCount;
+        }
+        return candidates.map(candidate => candidate.zombie);
+    },
+
+    /**
+     * 计算追击的移动方向
+     * @param {Object} zombie - 僵尸
+     * @param {Object} waypoint - 导航路点 {x, y}
+     * @returns {Object} 单位方向 {x, y}
+     */
+    steer: function (zombie, waypoint) {
+        var seekX = waypoint.x - zombie.x;
+        var seekY = waypoint.y - zombie.y;
+        var seekLength = Math.sqrt(seekX * seekX + seekY * seekY);
+        if (seekLength > 0) {
+            seekX /= seekLength;
+            seekY /= seekLength;
+        }
+
+        var config = getHordeConfig();
+        if (!config.ENABLED || this.buckets.size === 0) {
+            return {x: seekX, y: seekY};
+        }
+
+        var neighbors = this.getNeighbors(zombie, config.NEIGHBOR_RADIUS, config.MAX_NEIGHBORS);
+        var separation = this.getSeparation(zombie, neighbors, seekX, seekY);
+
+        var alignX = 0, alignY = 0, alignCount = 0;
+        neighbors.forEach(other => {
+            if (other.isMoving) {
+                alignX += Math.cos(other.direction || 0);
+                alignY += Math.sin(other.direction || 0);
+                alignCount++;
+            }
+        });
+        if (alignCount > 0) {
+            alignX /= alignCount;
+            alignY /= alignCount;
+        }
+
+        var steerX = seekX * config.SEEK_WEIGHT + separation.x * config.SEPARATION_WEIGHT + alignX * config.ALIGNMENT_WEIGHT;
+        var steerY = seekY * config.SEEK_WEIGHT + separation.y * config.SEPARATION_WEIGHT + alignY * config.ALIGNMENT_WEIGHT;
+        var steerLength = Math.sqrt(steerX * steerX + steerY * steerY);
+        if (steerLength < 0.0001) {
+            return {x: seekX, y: seekY};
+        }
+
+        return {x: steerX / steerLength, y: steerY / steerLength};
+    },
+
+    /**
+     * 与过近的邻居分离的推力（越近越强）
+     * @param {Object} zombie - 僵尸
+     * @param {Array} neighbors - 附近的僵尸
+     * @param {number} forwardX - 前进方向X（完全重叠时沿其垂直方向分开）
+     * @param {number} forwardY - 前进方向Y
+     * @returns {Object} 推力 {x, y}，没有过近的邻居时为0
+     */
+    getSeparation: function (zombie, neighbors, forwardX, forwardY) {
+        var padding = getHordeConfig().SEPARATION_PADDING;
+        var separationX = 0, separationY = 0;
+
+        neighbors.forEach(other => {
+            var awayX = zombie.x - other.x;
+            var awayY = zombie.y - other.y;
+            var distance = Math.sqrt(awayX * awayX + awayY * awayY);
+            var minDistance = (zombie.radius || 16) + (other.radius || 16) + padding;
+            if (distance >= minDistance) return;
+
+            // 完全重叠时按ID决定左右，保证两只僵尸分向两边
+            if (distance === 0) {
+                var side = zombie.id < other.id ? 1 : -1;
+                awayX = -forwardY * side;
+                awayY = forwardX * side;
+                distance = 1;
+            }
+            var strength = (minDistance - distance) / minDistance;
+            separationX += awayX / distance * strength;
+            separationY += awayY / distance * strength;
+        });
+
+        return {x: separationX, y: separationY};
+    },
+
+    /**
+     * 攻击时绕目标散开的方向：只保留分离推力中绕目标的切向部分，僵尸沿包围圈滑开而不会退出攻击范围
+     * @param {Object} zombie - 僵尸
+     * @param {Object} target - 攻击目标
+     * @returns {Object|null} 单位方向 {x, y}，不拥挤时为null
+     */
+    getSpreadDirection: function (zombie, target) {
+        var config = getHordeConfig();
+        if (!config.ENABLED || this.buckets.size === 0) return null;
+
+        var radialX = target.x - zombie.x;
+        var radialY = target.y - zombie.y;
+        var radialLength = Math.sqrt(radialX * radialX + radialY * radialY);
+        if (radialLength === 0) return null;
+        radialX /= radialLength;
+        radialY /= radialLength;
+
+        var neighbors = this.getNeighbors(zombie, config.NEIGHBOR_RADIUS, config.MAX_NEIGHBORS);
+        var separation = this.getSeparation(zombie, neighbors, radialX, radialY);
+
+        var radialPart = separation.x * radialX + separation.y * radialY;
+        var tangentX = separation.x - radialPart * radialX;
+        var tangentY = separation.y - radialPart * radialY;
+        var tangentLength = Math.sqrt(tangentX * tangentX + tangentY * tangentY);
+        if (tangentLength < 0.0001) return null;
+
+        return {x: tangentX / tangentLength, y: tangentY / tangentLength};
+    },
+
+    // 攻击中滑开的速度倍数
+    getSpreadSpeedMultiplier: function () {
+        return getHordeConfig().ATTACK_SPREAD_SPEED;
+    },
+
+    // 清空网格（每局结束时调用）
+    clear: function () {
+        this.buckets.clear();
+    }
+};
+
+// 导出
+export {HordeSteering, HORDE_DEFAULTS};
+export default HordeSteering;
@@ -0,0 +1,154 @@
+/**
+ * 感染模块 (infection.js)
+ *
+ * 功能：
+ * - 伙伴每次被僵尸击中累积感染值，感染值达到尸变阈值的伙伴处于感染状态
+ * - 感染状态下死亡的伙伴在尸体位置延迟尸变，通过ZombieManager.createZombie变成对应职业的僵尸变种
+ * - 医生治疗队员时同时降低感染值，在伙伴尸变前治愈感染
+ * - 尸变计时按逻辑步推进，保证回放一致；伙伴感染值和等待尸变的尸体随存档保存
+ * - 参数来自config.js的INFECTION配置
+ */
+
+import {getRoleName} from './config.js';
+
+// 默认感染配置（会被config.js中的INFECTION覆盖）
+const INFECTION_DEFAULTS = {
+    ENABLED: true,
+    MAX: 100,
+    PER_HIT: 20,
+    TURN_THRESHOLD: 40,
+    RISE_DELAY: 5,
+    RISE_TYPES: {2: 'tank', 3: 'fast', 4: 'skinny', 5: 'skinny', 6: 'fat'}
+};
+
+// 获取感染配置
+function getInfectionConfig() {
+    if (window.ConfigManager) {
+        return window.ConfigManager.safeGet('INFECTION', INFECTION_DEFAULTS);
+    }
+    return INFECTION_DEFAULTS;
+}
+
+// 感染管理器
+var InfectionManager = {
+    pendingRises: [],       // 等待尸变的尸体 {role, x, y, timer}
+
+    // 初始化（每局调用）
+    init: function () {
+        this.pendingRises = [];
+    },
+
+    // 初始化伙伴的感染值（创建和对象池复用时调用）
+    initPartner: function (partner) {
+        partner.infection = 0;
+    },
+
+    // 感染值上限
+    getMax: function () {
+        return getInfectionConfig().MAX;
+    },
+
+    // 是否处于感染状态（死亡时会尸变）
+    isInfected: function (member) {
+        return !!member && (member.infection || 0) >= getInfectionConfig().TURN_THRESHOLD;
+    },
+
+    // 僵尸击中队员：伙伴累积感染值（主人物不会被感染）
+    onZombieHit: function (zombie, target) {
+        var config = getInfectionConfig();
+        if (!config.ENABLED || !target || target.type !== 'partner' || target.hp <= 0) return;
+
+        var wasInfected = this.isInfected(target);
+        target.infection = Math.min(config.MAX, (target.infection || 0) + config.PER_HIT);
+
+        if (!wasInfected && this.isInfected(target)) {
+            this.announce('🦠 ' + getRoleName(target.role, '伙伴') + '被感染了，快让医生治疗', '#8E44AD');
+            console.log('🦠 伙伴被感染:', target.id, '感染值', target.infection);
+        }
+    },
+
+    /**
+     * 治愈感染（医生治疗时调用）
+     * @param {Object} member - 队员
+     * @param {number} amount - 降低的感染值
+     * @returns {number} 实际降低的感染值
+     */
+    cure: function (member, amount) {
+        if (!member || !member.infection || amount <= 0) return 0;
+
+        var wasInfected = this.isInfected(member);
+        var cured = Math.min(member.infection, amount);
+        member.infection -= cured;
+
+        if (wasInfected && !this.isInfected(member)) {
+            this.announce('💉 ' + getRoleName(member.role, '伙伴') + '的感染得到控制', '#2ECC71');
+            console.log('💉 伙伴感染得到控制:', member.id, '感染值', member.infection);
+        }
+        return cured;
+    },
+
+    // 伙伴死亡：感染状态下在尸体位置等待尸变
+    onPartnerDied: function (partner) {
+        var config = getInfectionConfig();
+        if (!config.ENABLED || !this.isInfected(partner) || !config.RISE_TYPES[partner.role]) return;
+
+        this.pendingRises.push({role: partner.role, x: partner.x, y: partner.y, timer: config.RISE_DELAY});
+        this.announce('☠️ ' + getRoleName(partner.role, '伙伴') + '感染身亡，即将尸变', '#8E44AD');
+        console.log('☠️ 感染伙伴死亡，等待尸变:', partner.id);
+    },
+
+    // 每个逻辑步调用：尸变计时
+    update: function (deltaTime) {
+        if (this.pendingRises.length === 0) return;
+
+        this.pendingRises.forEach(rise => {
+            rise.timer -= deltaTime;
+        });
+
+        var risen = this.pendingRises.filter(rise => rise.timer <= 0);
+        this.pendingRises = this.pendingRises.filter(rise => rise.timer > 0);
+        risen.forEach(rise => this.rise(rise));
+    },
+
+    // 尸变：在尸体位置创建对应职业的僵尸变种
+    rise: function (rise) {
+        if (!window.zombieManager) return null;
+
+        var zombieType = getInfectionConfig().RISE_TYPES[rise.role];
+        var zombie = window.zombieManager.createZombie(zombieType, rise.x, rise.y);
+        if (!zombie) {
+            console.warn('⚠️ 尸变失败（僵尸数量已达上限或位置无效）:', rise.role);
+            return null;
+        }
+
+        this.announce('🧟 ' + getRoleName(rise.role, '伙伴') + '尸变了！', '#C0392B');
+        console.log('🧟 伙伴尸变:', zombieType, zombie.id);
+        return zombie;
+    },
+
+    // 屏幕播报
+    announce: function (text, color) {
+        if (window.announcer) {
+            window.announcer.announce(text, color);
+        }
+    },
+
+    // 导出状态（写入存档）
+    getState: function () {
+        return {
+            pendingRises: this.pendingRises.map(rise => ({role: rise.role, x: rise.x, y: rise.y, timer: rise.timer}))
+        };
+    },
+
+    // 恢复状态（读取存档）
+    setState: function (state) {
+        this.init();
+        if (!state || !Array.isArray(state.pendingRises)) return;
+
+        this.pendingRises = state.pendingRises.map(rise => ({role: rise.role, x: rise.x, y: rise.y, timer: Math.max(0, rise.timer)}));
+    }
+};
+
+// 导出
+export {InfectionManager, INFECTION_DEFAULTS};
+export default InfectionManager;
@@ -0,0 +1,296 @@
+/**
+ * 物品与掉落模块 (item.js)
+ *
+ * 功能：
+ * - 物品定义：食物、医疗包、弹药、材料、武器，属性来自config.js的ITEM配置
+ * - 僵尸死亡时按类型掉落表掉落物品（使用loot随机流）
+ * - 主人物走到物品上自动拾取：食物进入食物储备，医疗包治疗伤势最重的队员，武器装备给空手的队员，其余进入背包
+ * - 物品通过对象管理器和对象池管理生命周期，超时未拾取自动消失
+ */
+
+import RandomManager, {RANDOM_STREAM} from './random.js';
+import WeaponSystem from './weapon.js';
+
+// 物品类型枚举
+const ITEM_TYPE = {
+    FOOD: 'food', MEDKIT: 'medkit', AMMO: 'ammo', MATERIAL: 'material', WEAPON: 'weapon'
+};
+
+// 默认物品配置（会被config.js中的ITEM覆盖）
+const ITEM_DEFAULTS = {
+    SIZE: 22,
+    PICKUP_RADIUS: 28,
+    DESPAWN_TIME: 90,
+    MAX_ITEMS: 200,
+    SCATTER_RADIUS: 24,
+    TYPES: {
+        food: {NAME: '食物', ICON: '🍖', COLOR: '#E67E22', AMOUNT: 1},
+        medkit: {NAME: '医疗包', ICON: '🩹', COLOR: '#E74C3C', AMOUNT: 30},
+        ammo: {NAME: '弹药', ICON: '📦', COLOR: '#F1C40F', AMOUNT: 6},
+        material: {NAME: '材料', ICON: '🔩', COLOR: '#7F8C8D', AMOUNT: 1},
+        weapon: {NAME: '武器', ICON: '🪓', COLOR: '#8E44AD', AMOUNT: 1}
+    },
+    WEAPON_DROPS: ['bat', 'axe', 'pistol', 'shotgun', 'rifle'],
+    ZOMBIE_LOOT: {
+        skinny: {CHANCE: 0.25, ROLLS: 1, WEIGHTS: {food: 4, material: 3, ammo: 2, medkit: 1}},
+        fast: {CHANCE: 0.3, ROLLS: 1, WEIGHTS: {food: 3, ammo: 3, material: 2, medkit: 1}},
+        fat: {CHANCE: 0.6, ROLLS: 2, WEIGHTS: {food: 5, medkit: 2, material: 2}},
+        tank: {CHANCE: 0.8, ROLLS: 2, WEIGHTS: {material: 4, ammo: 3, medkit: 2, weapon: 1}},
+        boss: {CHANCE: 1, ROLLS: 4, WEIGHTS: {weapon: 3, medkit: 3, ammo: 3, food: 3}}
+    }
+};
+
+// 获取物品配置
+function getItemConfig() {
+    if (window.ConfigManager) {
+        return window.ConfigManager.safeGet('ITEM', ITEM_DEFAULTS);
+    }
+    return ITEM_DEFAULTS;
+}
+
+// 创建空背包
+function createInventory() {
+    return {ammo: 0, material: 0, weapons: []};
+}
+
+// 物品类（中心点坐标）
+var Item = function (itemType, x, y) {
+    this.type = 'item';
+    this.id = null;
+    this.x = x || 0;
+    this.y = y || 0;
+    this.setup(itemType);
+};
+
+// 按物品类型设置属性
+Item.prototype.setup = function (itemType, weaponId) {
+    var itemConfig = getItemConfig();
+    var typeConfig = itemConfig.TYPES[itemType];
+    if (!typeConfig) {
+        throw new Error('未知的物品类型: ' + itemType);
+    }
+
+    this.itemType = itemType;
+    this.name = typeConfig.NAME;
+    this.icon = typeConfig.ICON;
+    this.color = typeConfig.COLOR;
+    this.amount = typeConfig.AMOUNT;
+    this.weaponId = itemType === ITEM_TYPE.WEAPON ? weaponId || null : null;
+    this.size = itemConfig.SIZE;
+    this.width = itemConfig.SIZE;
+    this.height = itemConfig.SIZE;
+    this.hp = 1;        // 渲染和对象管理器以hp>0判断存活
+    this.maxHp = 1;
+    this.age = 0;       // 存在时间（秒）
+    this.isActive = true;
+};
+
+// 对象池归还时重置
+Item.prototype.reset = function () {
+    this.hp = 0;
+    this.age = 0;
+    this.weaponId = null;
+    this.isActive = false;
+};
+
+// 物品管理器
+var ItemManager = {
+    objectPool: null,
+    inventory: null,
+
+    // 初始化对象池和背包（每局调用）
+    init: function () {
+        this.inventory = createInventory();
+
+        if (window.objectPoolManager) {
+            this.objectPool = window.objectPoolManager.recreatePool('item', () => new Item(ITEM_TYPE.FOOD, 0, 0));
+        }
+    },
+
+    // 创建物品
+    createItem: function (itemType, x, y, weaponId) {
+        if (!window.objectManager) {
+            throw new Error('对象管理器未初始化');
+        }
+
+        if (window.objectManager.getObjectCount('item') >= getItemConfig().MAX_ITEMS) {
+            return null;
+        }
+
+        var item = this.objectPool ? this.objectPool.get() : null;
+        if (!item) {
+            item = new Item(itemType, x, y);
+        }
+
+        item.x = x;
+        item.y = y;
+        item.setup(itemType, weaponId);
+        item.id = RandomManager.nextId('item');
+
+        window.objectManager.registerObject(item, 'item', item.id);
+        return item;
+    },
+
+    // 移除物品（对象管理器会把物品归还到对象池）
+    destroyItem: function (item) {
+        if (!item || !window.objectManager) return;
+
+        if (!window.objectManager.destroyObject(item.id)) {
+            console.warn('⚠️ 物品从对象管理器移除失败:', item.id);
+        }
+    },
+
+    getAllItems: function () {
+        return window.objectManager ? window.objectManager.getAllItems() : [];
+    },
+
+    // 按权重表随机选择物品类型
+    rollItemType: function (weights, lootRandom) {
+        var types = Object.keys(weights);
+        var totalWeight = types.reduce((sum, type) => sum + weights[type], 0);
+
+        var roll = lootRandom.range(0, totalWeight);
+        for (var i = 0; i < types.length; i++) {
+            roll -= weights[types[i]];
+            if (roll < 0) {
+                return types[i];
+            }
+        }
+        return types[types.length - 1];
+    },
+
+    // 在指定位置周围散落一个物品
+    spawnLoot: function (itemType, x, y, lootRandom) {
+        var itemConfig = getItemConfig();
+        var angle = lootRandom.angle();
+        var distance = lootRandom.range(0, itemConfig.SCATTER_RADIUS);
+        var weaponId = itemType === ITEM_TYPE.WEAPON ? lootRandom.pick(itemConfig.WEAPON_DROPS) : null;
+
+        return this.createItem(itemType, x + Math.cos(angle) * distance, y + Math.sin(angle) * distance, weaponId);
+    },
+
+    // 僵尸死亡掉落
+    dropZombieLoot: function (zombie) {
+        var lootTable = getItemConfig().ZOMBIE_LOOT[zombie.zombieType];
+        if (!lootTable) return 0;
+
+        var lootRandom = RandomManager.getStream(RANDOM_STREAM.LOOT);
+        if (!lootRandom.chance(lootTable.CHANCE)) return 0;
+
+        var dropped = 0;
+        for (var i = 0; i < lootTable.ROLLS; i++) {
+            if (this.spawnLoot(this.rollItemType(lootTable.WEIGHTS, lootRandom), zombie.x, zombie.y, lootRandom)) {
+                dropped++;
+            }
+        }
+        return dropped;
+    },
+
+    // 每个逻辑步调用：检查拾取和超时消失
+    updateAllItems: function (deltaTime, mainCharacter) {
+        var itemConfig = getItemConfig();
+        var pickupRadius = itemConfig.PICKUP_RADIUS;
+
+        this.getAllItems().forEach(item => {
+            item.age += deltaTime;
+
+            if (mainCharacter && mainCharacter.hp > 0) {
+                var dx = item.x - mainCharacter.x;
+                var dy = item.y - mainCharacter.y;
+                if (dx * dx + dy * dy <= pickupRadius * pickupRadius && this.pickupItem(item)) {
+                    this.destroyItem(item);
+                    return;
+                }
+            }
+
+            if (item.age >= itemConfig.DESPAWN_TIME) {
+                this.destroyItem(item);
+            }
+        });
+    },
+
+    // 拾取物品，返回是否拾取成功
+    pickupItem: function (item) {
+        switch (item.itemType) {
+            case ITEM_TYPE.FOOD:
+                if (!window.gameEngine || !window.gameEngine.foodSystem) return false;
+                window.gameEngine.foodSystem.addFood(item.amount, '拾取');
+                break;
+            case ITEM_TYPE.MEDKIT:
+                // 没有人受伤时医疗包留在原地
+                if (!this.healMostInjured(item.amount)) return false;
+                break;
+            case ITEM_TYPE.AMMO:
+                this.inventory.ammo += item.amount;
+                // 有弹药后远程武器恢复射程
+                WeaponSystem.refreshTeamRanges();
+                break;
+            case ITEM_TYPE.MATERIAL:
+                this.inventory.material += item.amount;
+                break;
+            case ITEM_TYPE.WEAPON:
+                // 优先装备给空手的队员，否则放入背包
+                if (item.weaponId) {
+                    WeaponSystem.giveWeapon(item.weaponId);
+                }
+                break;
+        }
+
+        console.log('🎒 拾取', item.name, item.weaponId || item.amount);
+        return true;
+    },
+
+    // 治疗血量比例最低的队员（主人物和已招募伙伴）
+    healMostInjured: function (amount) {
+        if (!window.objectManager) return false;
+
+        var members = window.objectManager.getAllCharacters().concat(window.objectManager.getAllPartners().filter(partner => !partner.isInitialState));
+        var target = null;
+        members.forEach(member => {
+            if (member.hp <= 0 || member.hp >= member.maxHp) return;
+            if (!target || member.hp / member.maxHp < target.hp / target.maxHp) {
+                target = member;
+            }
+        });
+
+        if (!target) return false;
+
+        var healed = Math.min(target.maxHp, target.hp + amount) - target.hp;
+        target.hp += healed;
+
+        if (window.effectManager) {
+            window.effectManager.emit('heal', target.x, target.y);
+        }
+        if (window.combatTextManager) {
+            window.combatTextManager.showHeal(target, healed);
+        }
+        return true;
+    },
+
+    // 导出背包和地上的物品（写入存档）
+    getState: function () {
+        return {
+            inventory: JSON.parse(JSON.stringify(this.inventory || createInventory())),
+            items: this.getAllItems().map(item => ({
+                itemType: item.itemType, x: item.x, y: item.y, weaponId: item.weaponId, age: item.age
+            }))
+        };
+    },
+
+    // 恢复背包和地上的物品（读取存档）
+    setState: function (state) {
+        if (!state) return;
+
+        this.inventory = Object.assign(createInventory(), state.inventory);
+        (state.items || []).forEach(saved => {
+            var item = this.createItem(saved.itemType, saved.x, saved.y, saved.weaponId);
+            if (item) {
+                item.age = saved.age || 0;
+            }
+        });
+    }
+};
+
+// 导出
+export {Item, ItemManager, ITEM_TYPE, ITEM_DEFAULTS};
+export default ItemManager;
@@ -288,6 +288,7 @@ export const MapManager = {
 
         // 创建建筑对象
         const building = {
+            id: 'building_' + this.currentMap.buildings.length,
             x: worldX,
             y: worldY,
             width: buildingWidth,
@@ -298,6 +299,10 @@ export const MapManager = {
             size: buildingType.size || cellSize,
             walkable: buildingType.walkable || false,
             hasDoor: buildingType.hasDoor || false,
+            category: buildingType.type || 'unknown',
+            // 🔴 新增：门的位置和搜刮状态
+            door: buildingType.hasDoor ? this.findDoorPosition(region, minRow, maxRow, minCol, maxCol, cellSize) : null,
+            looted: false,
             bounds: {
                 left: worldX - buildingWidth / 2,
                 top: worldY - buildingHeight / 2,
@@ -315,6 +320,61 @@ export const MapManager = {
         this.currentMap.buildings.push(building);
     },
 
+    /**
+     * 🔴 新增：为建筑生成门的位置
+     * 门开在朝向道路的一侧（优先下、右、左、上），取该侧临路格子中间的一格
+     * @param {Array} region - 连续区域坐标数组
+     * @param {number} minRow - 区域最小行
+     * @param {number} maxRow - 区域最大行
+     * @param {number} minCol - 区域最小列
+     * @param {number} maxCol - 区域最大列
+     * @param {number} cellSize - 单元格大小
+     * @returns {Object|null} 门的位置 {x, y, side}，四周都不临路时返回null
+     */
+    findDoorPosition: function (region, minRow, maxRow, minCol, maxCol, cellSize) {
+        const regionCells = new Set(region.map(cell => cell.row + ',' + cell.col));
+        const sides = [
+            {side: 'bottom', cells: this.getRange(minCol, maxCol).map(col => ({row: maxRow, col, dRow: 1, dCol: 0}))},
+            {side: 'right', cells: this.getRange(minRow, maxRow).map(row => ({row, col: maxCol, dRow: 0, dCol: 1}))},
+            {side: 'left', cells: this.getRange(minRow, maxRow).map(row => ({row, col: minCol, dRow: 0, dCol: -1}))},
+            {side: 'top', cells: this.getRange(minCol, maxCol).map(col => ({row: minRow, col, dRow: -1, dCol: 0}))}
+        ];
+
+        for (const {side, cells} of sides) {
+            const doorCells = cells.filter(cell => regionCells.has(cell.row + ',' + cell.col) && this.isWalkableCell(cell.row + cell.dRow, cell.col + cell.dCol));
+            if (doorCells.length === 0) continue;
+
+            // 门在格子朝外的边的中点
+            const cell = doorCells[Math.floor((doorCells.length - 1) / 2)];
+            return {
+                x: (cell.col + 0.5 + cell.dCol * 0.5) * cellSize,
+                y: (cell.row + 0.5 + cell.dRow * 0.5) * cellSize,
+                side: side
+            };
+        }
+
+        return null;
+    },
+
+    // 生成 [from, to] 的整数序列
+    getRange: function (from, to) {
+        const range = [];
+        for (let i = from; i <= to; i++) {
+            range.push(i);
+        }
+        return range;
+    },
+
+    // 检查矩阵格子是否可通行（越界视为不可通行）
+    isWalkableCell: function (row, col) {
+        const matrix = this.currentMap.matrix;
+        if (row < 0 || row >= matrix.length || col < 0 || col >= matrix[0].length) return false;
+
+        const cellValue = matrix[row][col];
+        const buildingType = this.currentMap.buildingTypes[cellValue];
+        return cellValue === 0 || !!(buildingType && buildingType.walkable);
+    },
+
     /**
      * 添加可通行区域
      * @param {number} row - 矩阵行
@@ -0,0 +1,567 @@
+/**
+ * 导航寻路系统 (navigation.js)
+ *
+ * 功能：
+ * - 基于地图矩阵和可通行区域构建网格路径图
+ * - A*寻路：返回两个世界坐标之间的路点列表
+ * - 路径平滑：视线通畅的路点直接跳过，减少折线
+ * - 为僵尸、伙伴提供逐帧路点查询，绕开建筑物而不是贴墙滑动
+ * - 道路障碍物（汽车、路障、瓦砾）会被推动和摧毁，不写入网格：寻路和视线检测时实时查询，
+ *   被障碍物占据的格子按阻挡处理，只有别无他路时才穿过（由僵尸攻击、主人物推开）
+ */
+
+// 导航默认配置（会被config.js中的NAVIGATION覆盖）
+const NAVIGATION_CONFIG = {
+    ENABLED: true,
+    ALLOW_DIAGONAL: true,           // 允许斜向移动（不允许穿过建筑拐角）
+    WAYPOINT_REACH_DISTANCE: 40,    // 到达路点的判定距离（像素）
+    REPATH_INTERVAL: 30,            // 重新寻路间隔（查询次数，约等于帧数）
+    MAX_PATHS_PER_FRAME: 8,         // 每帧最多执行的A*次数
+    MAX_SEARCH_NODES: 2500,         // 单次A*最多展开的节点数
+    LINE_OF_SIGHT_STEP: 50,         // 视线检测采样步长（像素）
+    NEAREST_CELL_SEARCH_RADIUS: 3,  // 起点/终点不可通行时搜索最近可通行格子的半径（格）
+    OBSTACLE_CELL_COST: 8           // 穿过被道路障碍物占据的格子的额外代价（格）
+};
+
+// 八方向邻居偏移（前四个为正交方向）
+const NEIGHBOR_OFFSETS = [
+    {row: -1, col: 0}, {row: 1, col: 0}, {row: 0, col: -1}, {row: 0, col: 1},
+    {row: -1, col: -1}, {row: -1, col: 1}, {row: 1, col: -1}, {row: 1, col: 1}
+];
+
+// 导航系统类
+class NavigationSystem {
+    constructor() {
+        this.isReady = false;
+        this.config = {...NAVIGATION_CONFIG};
+
+        // 网格数据
+        this.mapWidth = 0;
+        this.mapHeight = 0;
+        this.cellSize = 200;
+        this.gridCols = 0;
+        this.gridRows = 0;
+        this.walkableGrid = null;
+
+        // 路径图：每个可通行格子一个节点
+        this.nodes = [];
+        this.nodeIndexGrid = null;
+
+        // A*工作缓冲区（按节点复用，避免每次寻路分配内存）
+        this.gScore = null;
+        this.fScore = null;
+        this.cameFrom = null;
+        this.searchStamp = null;
+        this.closedStamp = null;
+        this.currentSearch = 0;
+
+        // 每帧寻路预算
+        this.budgetFrame = -1;
+        this.pathsThisFrame = 0;
+
+        // 统计
+        this.stats = {
+            nodeCount: 0, edgeCount: 0, pathRequests: 0, pathFailures: 0
+        };
+
+        this.loadNavigationConfig();
+    }
+
+    // 从config.js加载导航配置
+    loadNavigationConfig() {
+        if (!window.ConfigManager) return;
+
+        var navigationConfig = window.ConfigManager.safeGet('NAVIGATION', null);
+        if (navigationConfig) {
+            this.config = {...NAVIGATION_CONFIG, ...navigationConfig};
+        }
+    }
+
+    /**
+     * 构建导航网格
+     * @param {Object} mapData - {type, mapWidth, mapHeight, cellSize, gridCols, gridRows, buildings, walkableAreas, mapMatrix}
+     * @returns {boolean} 是否构建成功
+     */
+    buildNavigationMesh(mapData) {
+        if (!mapData || (!mapData.mapMatrix && !mapData.walkableAreas)) {
+            throw new Error('导航数据缺失：需要地图矩阵或可通行区域');
+        }
+
+        this.cellSize = mapData.cellSize || 200;
+        this.gridRows = mapData.gridRows || (mapData.mapMatrix ? mapData.mapMatrix.length : Math.ceil(mapData.mapHeight / this.cellSize));
+        this.gridCols = mapData.gridCols || (mapData.mapMatrix ? mapData.mapMatrix[0].length : Math.ceil(mapData.mapWidth / this.cellSize));
+        this.mapWidth = mapData.mapWidth || this.gridCols * this.cellSize;
+        this.mapHeight = mapData.mapHeight || this.gridRows * this.cellSize;
+
+        var cellTotal = this.gridRows * this.gridCols;
+        this.walkableGrid = new Uint8Array(cellTotal);
+
+        // 矩阵值为0的格子可通行，与CollisionSystem.isPositionWalkable保持一致
+        if (mapData.mapMatrix) {
+            for (var row = 0; row < this.gridRows; row++) {
+                for (var col = 0; col < this.gridCols; col++) {
+                    if (mapData.mapMatrix[row] && mapData.mapMatrix[row][col] === 0) {
+                        this.walkableGrid[row * this.gridCols + col] = 1;
+                    }
+                }
+            }
+        }
+
+        // 可通行区域与道路格一一对应，没有矩阵时作为唯一数据来源
+        if (mapData.walkableAreas) {
+            for (var i = 0; i < mapData.walkableAreas.length; i++) {
+                var area = mapData.walkableAreas[i];
+                var cell = this.worldToCell(area.x, area.y);
+                if (this.isCellInBounds(cell.row, cell.col)) {
+                    this.walkableGrid[cell.row * this.gridCols + cell.col] = 1;
+                }
+            }
+        }
+
+        this.buildGraph();
+
+        // 分配A*缓冲区
+        var nodeCount = this.nodes.length;
+        this.gScore = new Float64Array(nodeCount);
+        this.fScore = new Float64Array(nodeCount);
+        this.cameFrom = new Int32Array(nodeCount);
+        this.searchStamp = new Uint32Array(nodeCount);
+        this.closedStamp = new Uint32Array(nodeCount);
+        this.currentSearch = 0;
+
+        this.isReady = nodeCount > 0;
+
+        console.log('🧭 导航网格构建完成: 节点' + this.stats.nodeCount + '个, 边' + this.stats.edgeCount + '条');
+        return this.isReady;
+    }
+
+    // 根据可通行格子构建节点和邻接边
+    buildGraph() {
+        var cellTotal = this.gridRows * this.gridCols;
+        this.nodes = [];
+        this.nodeIndexGrid = new Int32Array(cellTotal).fill(-1);
+
+        for (var row = 0; row < this.gridRows; row++) {
+            for (var col = 0; col < this.gridCols; col++) {
+                if (!this.isCellWalkable(row, col)) continue;
+
+                var center = this.cellToWorld(row, col);
+                this.nodeIndexGrid[row * this.gridCols + col] = this.nodes.length;
+                this.nodes.push({
+                    index: this.nodes.length, row: row, col: col, x: center.x, y: center.y, neighbors: []
+                });
+            }
+        }
+
+        var edgeCount = 0;
+        var directionCount = this.config.ALLOW_DIAGONAL ? 8 : 4;
+
+        for (var n = 0; n < this.nodes.length; n++) {
+            var node = this.nodes[n];
+
+            for (var d = 0; d < directionCount; d++) {
+                var offset = NEIGHBOR_OFFSETS[d];
+                var neighborRow = node.row + offset.row;
+                var neighborCol = node.col + offset.col;
+
+                if (!this.isCellWalkable(neighborRow, neighborCol)) continue;
+
+                var isDiagonal = offset.row !== 0 && offset.col !== 0;
+
+                // 斜向移动时两侧正交格子都必须可通行，防止穿过建筑拐角
+                if (isDiagonal && (!this.isCellWalkable(node.row + offset.row, node.col) || !this.isCellWalkable(node.row, node.col + offset.col))) {
+                    continue;
+                }
+
+                node.neighbors.push({
+                    index: this.nodeIndexGrid[neighborRow * this.gridCols + neighborCol],
+                    cost: isDiagonal ? this.cellSize * Math.SQRT2 : this.cellSize
+                });
+                edgeCount++;
+            }
+        }
+
+        this.stats.nodeCount = this.nodes.length;
+        this.stats.edgeCount = edgeCount;
+    }
+
+    // 检查格子是否在网格范围内
+    isCellInBounds(row, col) {
+        return row >= 0 && row < this.gridRows && col >= 0 && col < this.gridCols;
+    }
+
+    // 检查格子是否可通行
+    isCellWalkable(row, col) {
+        if (!this.walkableGrid || !this.isCellInBounds(row, col)) return false;
+        return this.walkableGrid[row * this.gridCols + col] === 1;
+    }
+
+    // 检查世界坐标是否可通行
+    isPointWalkable(x, y) {
+        var cell = this.worldToCell(x, y);
+        return this.isCellWalkable(cell.row, cell.col);
+    }
+
+    // 🔴 新增：世界坐标是否被道路障碍物占据
+    isPointObstructed(x, y, margin = 0) {
+        var obstacleManager = window.gameEngine ? window.gameEngine.dynamicObstacleManager : null;
+        return !!obstacleManager && obstacleManager.isPositionBlocked(x, y, margin);
+    }
+
+    // 世界坐标转网格坐标
+    worldToCell(x, y) {
+        return {row: Math.floor(y / this.cellSize), col: Math.floor(x / this.cellSize)};
+    }
+
+    // 网格坐标转世界坐标（格子中心）
+    cellToWorld(row, col) {
+        return {x: col * this.cellSize + this.cellSize / 2, y: row * this.cellSize + this.cellSize / 2};
+    }
+
+    // 查找最近的可通行格子（按环形向外搜索）
+    findNearestWalkableCell(row, col) {
+        if (this.isCellWalkable(row, col)) return {row: row, col: col};
+
+        var maxRadius = this.config.NEAREST_CELL_SEARCH_RADIUS;
+        for (var radius = 1; radius <= maxRadius; radius++) {
+            for (var dRow = -radius; dRow <= radius; dRow++) {
+                for (var dCol = -radius; dCol <= radius; dCol++) {
+                    if (Math.abs(dRow) !== radius && Math.abs(dCol) !== radius) continue;
+                    if (this.isCellWalkable(row + dRow, col + dCol)) {
+                        return {row: row + dRow, col: col + dCol};
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 视线检测：两点之间的线段（按实体半径加宽）是否全部落在可通行格子上，且没有被道路障碍物挡住
+     * @param {number} fromX - 起点X
+     * @param {number} fromY - 起点Y
+     * @param {number} toX - 终点X
+     * @param {number} toY - 终点Y
+     * @param {number} radius - 实体半径
+     * @returns {boolean} 视线是否通畅
+     */
+    hasLineOfSight(fromX, fromY, toX, toY, radius = 0) {
+        var dx = toX - fromX;
+        var dy = toY - fromY;
+        var distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance === 0) return this.isPointWalkable(fromX, fromY);
+
+        // 垂直于线段方向的偏移，用于检测实体两侧边缘
+        var offsetX = -dy / distance * radius;
+        var offsetY = dx / distance * radius;
+
+        var steps = Math.max(1, Math.ceil(distance / this.config.LINE_OF_SIGHT_STEP));
+        for (var i = 0; i <= steps; i++) {
+            var t = i / steps;
+            var sampleX = fromX + dx * t;
+            var sampleY = fromY + dy * t;
+
+            if (!this.isPointWalkable(sampleX, sampleY)) return false;
+            // 🔴 新增：按实体半径加宽障碍物，避免采样点跨过较薄的路障
+            if (this.isPointObstructed(sampleX, sampleY, radius)) return false;
+            if (radius > 0) {
+                if (!this.isPointWalkable(sampleX + offsetX, sampleY + offsetY)) return false;
+                if (!this.isPointWalkable(sampleX - offsetX, sampleY - offsetY)) return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * A*寻路
+     * @param {number} fromX - 起点X
+     * @param {number} fromY - 起点Y
+     * @param {number} toX - 终点X
+     * @param {number} toY - 终点Y
+     * @param {number} radius - 实体半径（用于路径平滑）
+     * @returns {Array|null} 路点数组（不含起点，最后一个路点为终点），无法到达时返回null
+     */
+    findPath(fromX, fromY, toX, toY, radius = 0) {
+        if (!this.isReady) return null;
+
+        this.stats.pathRequests++;
+
+        var startCell = this.worldToCell(fromX, fromY);
+        var goalCell = this.worldToCell(toX, toY);
+        startCell = this.findNearestWalkableCell(startCell.row, startCell.col);
+        goalCell = this.findNearestWalkableCell(goalCell.row, goalCell.col);
+
+        if (!startCell || !goalCell) {
+            this.stats.pathFailures++;
+            return null;
+        }
+
+        var startIndex = this.nodeIndexGrid[startCell.row * this.gridCols + startCell.col];
+        var goalIndex = this.nodeIndexGrid[goalCell.row * this.gridCols + goalCell.col];
+
+        var nodeIndices = startIndex === goalIndex ? [goalIndex] : this.searchPath(startIndex, goalIndex, radius);
+        if (!nodeIndices) {
+            this.stats.pathFailures++;
+            return null;
+        }
+
+        // 路点：沿途格子中心（跳过起点格子）+ 精确终点
+        var points = [];
+        for (var i = 1; i < nodeIndices.length; i++) {
+            var node = this.nodes[nodeIndices[i]];
+            points.push({x: node.x, y: node.y});
+        }
+
+        var goalNode = this.nodes[goalIndex];
+        var goalX = this.isPointWalkable(toX, toY) ? toX : goalNode.x;
+        var goalY = this.isPointWalkable(toX, toY) ? toY : goalNode.y;
+        if (points.length > 0) {
+            points[points.length - 1] = {x: goalX, y: goalY};
+        } else {
+            points.push({x: goalX, y: goalY});
+        }
+
+        return this.smoothPath(fromX, fromY, points, radius);
+    }
+
+    // A*搜索，返回节点索引数组（含起点和终点）
+    searchPath(startIndex, goalIndex, radius = 0) {
+        this.currentSearch++;
+        var search = this.currentSearch;
+        var goalNode = this.nodes[goalIndex];
+        var obstacleCost = this.config.OBSTACLE_CELL_COST * this.cellSize;
+
+        var openHeap = [startIndex];
+        this.searchStamp[startIndex] = search;
+        this.gScore[startIndex] = 0;
+        this.fScore[startIndex] = this.heuristic(this.nodes[startIndex], goalNode);
+        this.cameFrom[startIndex] = -1;
+
+        var expanded = 0;
+        while (openHeap.length > 0) {
+            var current = this.heapPop(openHeap);
+
+            if (current === goalIndex) {
+                return this.reconstructPath(goalIndex);
+            }
+
+            // 堆中可能存在同一节点的过期条目
+            if (this.closedStamp[current] === search) continue;
+            this.closedStamp[current] = search;
+
+            if (++expanded > this.config.MAX_SEARCH_NODES) {
+                return null;
+            }
+
+            var neighbors = this.nodes[current].neighbors;
+            for (var i = 0; i < neighbors.length; i++) {
+                var neighbor = neighbors[i];
+                if (this.closedStamp[neighbor.index] === search) continue;
+
+                // 🔴 新增：格子中心被道路障碍物占据时按阻挡处理（加上额外代价，优先绕行）
+                var neighborNode = this.nodes[neighbor.index];
+                var tentativeG = this.gScore[current] + neighbor.cost;
+                if (neighbor.index !== goalIndex && this.isPointObstructed(neighborNode.x, neighborNode.y, radius)) {
+                    tentativeG += obstacleCost;
+                }
+                var visited = this.searchStamp[neighbor.index] === search;
+
+                if (!visited || tentativeG < this.gScore[neighbor.index]) {
+                    this.searchStamp[neighbor.index] = search;
+                    this.cameFrom[neighbor.index] = current;
+                    this.gScore[neighbor.index] = tentativeG;
+                    this.fScore[neighbor.index] = tentativeG + this.heuristic(neighborNode, goalNode);
+                    this.heapPush(openHeap, neighbor.index);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // 八方向距离估价（octile距离）
+    heuristic(node, goalNode) {
+        var dRow = Math.abs(node.row - goalNode.row);
+        var dCol = Math.abs(node.col - goalNode.col);
+
+        if (!this.config.ALLOW_DIAGONAL) {
+            return (dRow + dCol) * this.cellSize;
+        }
+
+        return (Math.max(dRow, dCol) + (Math.SQRT2 - 1) * Math.min(dRow, dCol)) * this.cellSize;
+    }
+
+    // 回溯路径
+    reconstructPath(goalIndex) {
+        var path = [];
+        var current = goalIndex;
+        while (current !== -1) {
+            path.push(current);
+            current = this.cameFrom[current];
+        }
+        return path.reverse();
+    }
+
+    // 二叉堆：插入（按fScore排序）
+    heapPush(heap, nodeIndex) {
+        heap.push(nodeIndex);
+        var i = heap.length - 1;
+        while (i > 0) {
+            var parent = (i - 1) >> 1;
+            if (this.fScore[heap[parent]] <= this.fScore[heap[i]]) break;
+            var temp = heap[parent];
+            heap[parent] = heap[i];
+            heap[i] = temp;
+            i = parent;
+        }
+    }
+
+    // 二叉堆：弹出fScore最小的节点
+    heapPop(heap) {
+        var top = heap[0];
+        var last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            var i = 0;
+            while (true) {
+                var left = i * 2 + 1;
+                var right = left + 1;
+                var smallest = i;
+                if (left < heap.length && this.fScore[heap[left]] < this.fScore[heap[smallest]]) smallest = left;
+                if (right < heap.length && this.fScore[heap[right]] < this.fScore[heap[smallest]]) smallest = right;
+                if (smallest === i) break;
+                var temp = heap[smallest];
+                heap[smallest] = heap[i];
+                heap[i] = temp;
+                i = smallest;
+            }
+        }
+        return top;
+    }
+
+    // 路径平滑：从当前锚点出发，跳到视线可达的最远路点
+    smoothPath(fromX, fromY, points, radius) {
+        if (points.length <= 1) return points;
+
+        var smoothed = [];
+        var anchorX = fromX;
+        var anchorY = fromY;
+        var i = 0;
+
+        while (i < points.length) {
+            var farthest = i;
+            for (var j = points.length - 1; j > i; j--) {
+                if (this.hasLineOfSight(anchorX, anchorY, points[j].x, points[j].y, radius)) {
+                    farthest = j;
+                    break;
+                }
+            }
+
+            smoothed.push(points[farthest]);
+            anchorX = points[farthest].x;
+            anchorY = points[farthest].y;
+            i = farthest + 1;
+        }
+
+        return smoothed;
+    }
+
+    // 消耗一次本帧寻路预算
+    consumePathBudget() {
+        var frame = window.gameEngine ? window.gameEngine.frameCount : 0;
+        if (frame !== this.budgetFrame) {
+            this.budgetFrame = frame;
+            this.pathsThisFrame = 0;
+        }
+
+        if (this.pathsThisFrame >= this.config.MAX_PATHS_PER_FRAME) {
+            return false;
+        }
+
+        this.pathsThisFrame++;
+        return true;
+    }
+
+    /**
+     * 获取实体朝目标移动时的下一个路点（路径缓存在entity.navPath上）
+     * 视线通畅时直接返回目标点；预算不足或无法寻路时也返回目标点，由贴墙移动兜底
+     * @param {Object} entity - 移动实体（需要x、y、radius）
+     * @param {number} targetX - 目标X
+     * @param {number} targetY - 目标Y
+     * @returns {{x: number, y: number}} 下一个路点
+     */
+    getNextWaypoint(entity, targetX, targetY) {
+        var directTarget = {x: targetX, y: targetY};
+        if (!this.isReady || !this.config.ENABLED || !entity) return directTarget;
+
+        var radius = entity.radius || 16;
+
+        if (this.hasLineOfSight(entity.x, entity.y, targetX, targetY, radius)) {
+            entity.navPath = null;
+            return directTarget;
+        }
+
+        var goalCell = this.worldToCell(targetX, targetY);
+        var path = entity.navPath;
+        var needRepath = !path || path.goalRow !== goalCell.row || path.goalCol !== goalCell.col || path.index >= path.points.length || ++path.age > this.config.REPATH_INTERVAL;
+
+        if (needRepath) {
+            if (!this.consumePathBudget()) {
+                return path && path.index < path.points.length ? path.points[path.index] : directTarget;
+            }
+
+            var points = this.findPath(entity.x, entity.y, targetX, targetY, radius);
+            if (!points || points.length === 0) {
+                entity.navPath = null;
+                return directTarget;
+            }
+
+            path = entity.navPath = {
+                points: points, index: 0, goalRow: goalCell.row, goalCol: goalCell.col, age: 0
+            };
+        }
+
+        // 到达当前路点后切换到下一个
+        var reachDistance = this.config.WAYPOINT_REACH_DISTANCE;
+        while (path.index < path.points.length - 1) {
+            var waypoint = path.points[path.index];
+            var dx = waypoint.x - entity.x;
+            var dy = waypoint.y - entity.y;
+            if (dx * dx + dy * dy > reachDistance * reachDistance) break;
+            path.index++;
+        }
+
+        return path.points[path.index];
+    }
+
+    // 清除实体缓存的路径
+    clearEntityPath(entity) {
+        if (entity) {
+            entity.navPath = null;
+        }
+    }
+
+    // 获取统计信息
+    getStats() {
+        return {...this.stats, isReady: this.isReady, gridCols: this.gridCols, gridRows: this.gridRows};
+    }
+
+    // 销毁导航系统
+    destroy() {
+        this.isReady = false;
+        this.nodes = [];
+        this.nodeIndexGrid = null;
+        this.walkableGrid = null;
+        this.gScore = null;
+        this.fScore = null;
+        this.cameFrom = null;
+        this.searchStamp = null;
+        this.closedStamp = null;
+    }
+}
+
+// 导出
+export {NavigationSystem, NAVIGATION_CONFIG};
+export default NavigationSystem;
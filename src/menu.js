@@ -9,6 +9,8 @@
  * - 易于扩展和维护
  */
 
+import Platform from './platform.js';
+
 // 菜单状态枚举
 const MENU_STATE = {
     HOME: 'home',           // 主菜单
@@ -16,7 +18,10 @@ const MENU_STATE = {
     SETTINGS: 'settings',   // 设置菜单
     HELP: 'help',           // 帮助菜单
     CREDITS: 'credits',     // 制作人员
-    DEATH: 'death'          // 死亡界面
+    DEATH: 'death',         // 死亡界面
+    SAVE_SLOTS: 'save_slots', // 存档位列表
+    DEBUG: 'debug',         // 调试菜单
+    SKILL_TREE: 'skill_tree' // 技能树（对局暂停时打开）
 };
 
 // 按钮类型枚举
@@ -24,10 +29,17 @@ const BUTTON_TYPE = {
     START_GAME: 'start_game',
     RETURN_MAIN: 'return_main',
     CONTINUE_GAME: 'continue_game',
+    RESUME_SAVE: 'resume_save',
+    SAVE_SLOTS: 'save_slots',
     RESET: 'reset',
     SETTINGS: 'settings',
     HELP: 'help',
     CREDITS: 'credits',
+    DEBUG: 'debug',
+    REPLAY_LAST: 'replay_last',
+    EXPORT_REPLAY: 'export_replay',
+    TOGGLE_DAMAGE_NUMBERS: 'toggle_damage_numbers',
+    TOGGLE_KILL_FEED: 'toggle_kill_feed',
     BACK: 'back'
 };
 
@@ -56,6 +68,19 @@ class IndependentMenuSystem {
         this.touchHandlers = new Map();
         this.isInitialized = false;
 
+        // 🔴 新增：存档位列表和是否存在可继续的存档（进入页面时刷新，避免每帧读取存储）
+        this.saveSlots = [];
+        this.hasSavedGame = false;
+        this.pendingDeleteSlot = null;  // 等待二次确认删除的存档位
+        this.slotHint = '';             // 存档页提示文字
+
+        // 🔴 新增：最近一次录像概要和调试页提示文字（进入调试页时刷新）
+        this.replayInfo = null;
+        this.debugHint = '';
+
+        // 🔴 新增：技能页提示文字
+        this.skillHint = '';
+
         // 初始化
         this.init();
     }
@@ -69,6 +94,9 @@ class IndependentMenuSystem {
         // 绑定事件处理器
         this.bindEventHandlers();
 
+        // 刷新存档状态
+        this.refreshSaveState();
+
         // 设置初始状态
         this.setState(MENU_STATE.HOME);
 
@@ -97,12 +125,11 @@ class IndependentMenuSystem {
         // 清除之前的处理器
         this.touchHandlers.clear();
 
-        // 绑定触摸事件（抖音小游戏环境）
-        if (typeof tt !== 'undefined') {
-            tt.onTouchStart(this.handleTouch.bind(this));
-        } else if (typeof window !== 'undefined' && window.addEventListener) {
-            this.canvas.addEventListener('click', this.handleClick.bind(this));
+        // 🔴 修复：通过平台适配层绑定触摸事件（抖音、浏览器鼠标、无头注入统一处理）
+        if (this.touchUnsubscribe) {
+            this.touchUnsubscribe();
         }
+        this.touchUnsubscribe = Platform.onTouchStart(this.handleTouch.bind(this));
 
         // 注册按钮处理器
         this.registerButtonHandlers();
@@ -127,6 +154,17 @@ class IndependentMenuSystem {
             this.onContinueGame();
         });
 
+        // 继续存档按钮
+        this.touchHandlers.set(BUTTON_TYPE.RESUME_SAVE, () => {
+            this.onResumeSave();
+        });
+
+        // 存档位列表按钮
+        this.touchHandlers.set(BUTTON_TYPE.SAVE_SLOTS, () => {
+            this.slotHint = '';
+            this.setState(MENU_STATE.SAVE_SLOTS);
+        });
+
         // 设置按钮
         this.touchHandlers.set(BUTTON_TYPE.SETTINGS, () => {
             this.setState(MENU_STATE.SETTINGS);
@@ -147,6 +185,30 @@ class IndependentMenuSystem {
             this.onReset();
         });
 
+        // 调试菜单按钮
+        this.touchHandlers.set(BUTTON_TYPE.DEBUG, () => {
+            this.debugHint = '';
+            this.setState(MENU_STATE.DEBUG);
+        });
+
+        // 回放最近录像按钮
+        this.touchHandlers.set(BUTTON_TYPE.REPLAY_LAST, () => {
+            this.onReplayLast();
+        });
+
+        // 导出录像按钮
+        this.touchHandlers.set(BUTTON_TYPE.EXPORT_REPLAY, () => {
+            this.onExportReplay();
+        });
+
+        // 设置开关按钮
+        this.touchHandlers.set(BUTTON_TYPE.TOGGLE_DAMAGE_NUMBERS, () => {
+            this.onToggleSetting('damageNumbers');
+        });
+        this.touchHandlers.set(BUTTON_TYPE.TOGGLE_KILL_FEED, () => {
+            this.onToggleSetting('killFeed');
+        });
+
         // 返回按钮
         this.touchHandlers.set(BUTTON_TYPE.BACK, () => {
             this.goBack();
@@ -159,6 +221,9 @@ class IndependentMenuSystem {
     handleTouch(e) {
         if (!e.touches || !e.touches[0]) return;
 
+        // 🔴 修复：对局进行中首页按钮区域仍在缓存里，忽略菜单点击，避免误触重置等按钮
+        if (window.gameEngine && window.gameEngine.gameState === 'playing') return;
+
         const touch = e.touches[0];
         const x = touch.clientX || touch.pageX || 0;
         const y = touch.clientY || touch.pageY || 0;
@@ -166,17 +231,6 @@ class IndependentMenuSystem {
         this.processClick(x, y);
     }
 
-    /**
-     * 处理点击事件
-     */
-    handleClick(e) {
-        const rect = this.canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
-
-        this.processClick(x, y);
-    }
-
     /**
      * 处理点击逻辑
      */
@@ -227,10 +281,68 @@ class IndependentMenuSystem {
         // 清除按钮区域缓存
         this.buttonAreas.clear();
 
+        // 进入首页或存档页时刷新存档状态
+        if (newState === MENU_STATE.HOME || newState === MENU_STATE.SAVE_SLOTS) {
+            this.pendingDeleteSlot = null;
+            this.refreshSaveState();
+        }
+
+        // 进入调试页时刷新录像概要
+        if (newState === MENU_STATE.DEBUG) {
+            this.replayInfo = typeof window.getReplayInfo === 'function' ? window.getReplayInfo() : null;
+        }
+
+        // 进入技能页时登记技能按钮
+        if (newState === MENU_STATE.SKILL_TREE) {
+            this.skillHint = '';
+            this.registerSkillHandlers();
+        }
+
         // 立即渲染新状态
         this.render();
     }
 
+    /**
+     * 刷新存档状态
+     */
+    refreshSaveState() {
+        this.saveSlots = typeof window.getSaveSlots === 'function' ? window.getSaveSlots() : [];
+        this.hasSavedGame = this.saveSlots.some(info => !info.empty);
+        this.registerSlotHandlers();
+    }
+
+    /**
+     * 注册存档位按钮处理器（按钮类型：slot_load_N / slot_new_N / slot_delete_N）
+     */
+    registerSlotHandlers() {
+        this.saveSlots.forEach(info => {
+            const slot = info.slot;
+            this.touchHandlers.set('slot_load_' + slot, () => this.onLoadSlot(slot));
+            this.touchHandlers.set('slot_new_' + slot, () => this.onNewGameInSlot(slot));
+            this.touchHandlers.set('slot_delete_' + slot, () => this.onDeleteSlot(slot));
+        });
+    }
+
+    /**
+     * 注册技能按钮处理器（按钮类型：skill_技能ID），加点指令在继续游戏后的下一逻辑步执行
+     */
+    registerSkillHandlers() {
+        if (!window.skillTree) return;
+
+        window.skillTree.getBranches().forEach(branch => {
+            branch.SKILLS.forEach(skill => {
+                this.touchHandlers.set('skill_' + skill.ID, () => {
+                    const blocker = window.skillTree.getPurchaseBlocker(skill.ID, true);
+                    this.skillHint = blocker || '';
+                    if (!blocker) {
+                        window.skillTree.queuePurchase(skill.ID);
+                    }
+                    this.render();
+                });
+            });
+        });
+    }
+
     /**
      * 返回上一个状态
      */
@@ -271,6 +383,15 @@ class IndependentMenuSystem {
             case MENU_STATE.DEATH:
                 this.renderDeathPage();
                 break;
+            case MENU_STATE.SAVE_SLOTS:
+                this.renderSaveSlotsPage();
+                break;
+            case MENU_STATE.DEBUG:
+                this.renderDebugPage();
+                break;
+            case MENU_STATE.SKILL_TREE:
+                this.renderSkillTreePage();
+                break;
             default:
                 this.renderHomePage();
         }
@@ -350,11 +471,12 @@ class IndependentMenuSystem {
         this.ctx.textBaseline = 'middle';
         this.ctx.fillText('⚙️ 设置', centerX, centerY - 150);
 
-        // 设置选项（占位符）
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.font = this.fontSizes.subtitle + 'px Arial';
-        this.ctx.textBaseline = 'middle';
-        this.ctx.fillText('设置功能开发中...', centerX, centerY);
+        // 设置开关：开启为绿色，关闭为灰色
+        const settings = typeof window.getSettings === 'function' ? window.getSettings() : {};
+        this.renderButton(centerX, centerY - 60, 220, 50, '伤害数字：' + (settings.damageNumbers ? '开' : '关'),
+            settings.damageNumbers ? '#4CAF50' : '#757575', BUTTON_TYPE.TOGGLE_DAMAGE_NUMBERS);
+        this.renderButton(centerX, centerY + 10, 220, 50, '击杀播报：' + (settings.killFeed ? '开' : '关'),
+            settings.killFeed ? '#4CAF50' : '#757575', BUTTON_TYPE.TOGGLE_KILL_FEED);
 
         // 返回按钮
         this.renderBackButton(centerX, centerY + 100);
@@ -383,7 +505,7 @@ class IndependentMenuSystem {
         this.ctx.fillText('❓ 帮助', centerX, centerY - 150);
 
         // 帮助内容
-        const helpText = ['🎮 使用触摸摇杆控制角色移动', '🧟 躲避或攻击僵尸', '👥 收集伙伴形成团队', '🌍 在城市中探索生存'];
+        const helpText = ['🎮 使用触摸摇杆控制角色移动', '🧟 躲避或攻击僵尸', '👥 靠近幸存者招募伙伴', '🌍 在城市中探索生存', '📣 点击右侧按钮给伙伴下达指令'];
 
         this.ctx.fillStyle = '#ffffff';
         this.ctx.font = this.fontSizes.subtitle + 'px Arial';
@@ -524,14 +646,282 @@ class IndependentMenuSystem {
      */
     renderHomeButtons(centerX, centerY) {
         // 计算按钮位置，确保完全居中
-        const totalButtonHeight = (this.isMobile ? 50 : 60) * 2 + (this.isMobile ? 70 : 80);
-        const startY = centerY + (this.isMobile ? 30 : 50);
+        const buttonWidth = this.isMobile ? 200 : 280;
+        const buttonHeight = this.isMobile ? 50 : 60;
+        const buttonGap = this.isMobile ? 70 : 80;
+        let startY = centerY + (this.isMobile ? 30 : 50);
+
+        // 🔴 新增：有存档时在最上方显示继续按钮
+        if (this.hasSavedGame) {
+            this.renderButton(centerX, startY, buttonWidth, buttonHeight, '继续', '#2196F3', BUTTON_TYPE.RESUME_SAVE);
+            startY += buttonGap;
+        } else {
+            this.buttonAreas.delete(BUTTON_TYPE.RESUME_SAVE);
+        }
 
         // 开始游戏按钮
-        this.renderButton(centerX, startY, this.isMobile ? 200 : 280, this.isMobile ? 50 : 60, '开始游戏', '#4CAF50', BUTTON_TYPE.START_GAME);
+        this.renderButton(centerX, startY, buttonWidth, buttonHeight, '开始游戏', '#4CAF50', BUTTON_TYPE.START_GAME);
+
+        // 存档按钮
+        this.renderButton(centerX, startY + buttonGap, buttonWidth, buttonHeight, '存档', '#9C27B0', BUTTON_TYPE.SAVE_SLOTS);
 
         // 重置按钮
-        this.renderButton(centerX, startY + (this.isMobile ? 70 : 80), this.isMobile ? 200 : 280, this.isMobile ? 50 : 60, '重置', '#f44336', BUTTON_TYPE.RESET);
+        this.renderButton(centerX, startY + buttonGap * 2, buttonWidth, buttonHeight, '重置', '#f44336', BUTTON_TYPE.RESET);
+
+        // 🔴 新增：右上角调试菜单入口
+        this.renderButton(this.canvas.width - 45, 30, 70, 30, '调试', '#607D8B', BUTTON_TYPE.DEBUG);
+
+        // 🔴 新增：右上角设置入口
+        this.renderButton(this.canvas.width - 125, 30, 70, 30, '设置', '#607D8B', BUTTON_TYPE.SETTINGS);
+    }
+
+    /**
+     * 渲染调试页面
+     */
+    renderDebugPage() {
+        const centerX = this.canvas.width / 2;
+        const centerY = this.canvas.height / 2;
+
+        // 清空画布
+        this.clearCanvas();
+
+        // 背景
+        this.renderBackgroundGradient();
+
+        // 标题
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = 'bold ' + this.fontSizes.menu + 'px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText('🐞 调试', centerX, centerY - 180);
+
+        // 最近一次录像概要
+        const info = this.replayInfo;
+        this.ctx.font = this.fontSizes.footer + 'px Arial';
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        if (info) {
+            this.ctx.fillText('最近录像：' + info.seconds + '秒 · ' + info.ticks + '步' + (info.fromSave ? ' · 读档开局' : ''), centerX, centerY - 130);
+            this.ctx.fillText('运行种子：' + info.seed + ' · ' + this.formatSaveTime(info.recordedAt), centerX, centerY - 105);
+        } else {
+            this.ctx.fillText('暂无录像，完成一局后自动保存', centerX, centerY - 120);
+        }
+
+        // 提示文字
+        if (this.debugHint) {
+            this.ctx.fillStyle = '#ffeb3b';
+            this.ctx.fillText(this.debugHint, centerX, centerY - 70);
+        }
+
+        // 回放和导出
+        this.renderButton(centerX, centerY - 10, 200, 50, '回放最近录像', '#2196F3', BUTTON_TYPE.REPLAY_LAST);
+        this.renderButton(centerX, centerY + 60, 200, 50, '导出录像', '#FF9800', BUTTON_TYPE.EXPORT_REPLAY);
+
+        // 返回按钮
+        this.renderBackButton(centerX, centerY + 140);
+    }
+
+    /**
+     * 渲染技能树页面：三个分支各一列，点击技能卡片加点
+     */
+    renderSkillTreePage() {
+        const centerX = this.canvas.width / 2;
+        const skillTree = window.skillTree;
+
+        // 清空画布
+        this.clearCanvas();
+
+        // 半透明背景
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // 技能卡片每帧重新登记，状态变化后不保留旧按钮区域
+        this.buttonAreas.clear();
+
+        // 标题
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = 'bold ' + this.fontSizes.menu + 'px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText('📖 技能树', centerX, 75);
+
+        // 继续游戏按钮（右上角，避开摇杆区域）
+        this.renderButton(this.canvas.width - 65, 30, 110, 36, '继续游戏', '#27ae60', BUTTON_TYPE.CONTINUE_GAME);
+
+        if (!skillTree) return;
+
+        // 剩余技能点和击杀数
+        this.ctx.fillStyle = '#D7BDE2';
+        this.ctx.font = this.fontSizes.footer + 'px Arial';
+        this.ctx.fillText('技能点：' + skillTree.getAvailablePoints() + ' · 击杀：' + skillTree.kills, centerX, 110);
+
+        // 提示文字
+        if (this.skillHint) {
+            this.ctx.fillStyle = '#ffeb3b';
+            this.ctx.fillText(this.skillHint, centerX, 135);
+        }
+
+        // 三个分支各一列
+        const branches = skillTree.getBranches();
+        const columnGap = 8;
+        const columnWidth = Math.min(160, (this.canvas.width - 20 - columnGap * (branches.length - 1)) / branches.length);
+        const startX = centerX - (columnWidth * branches.length + columnGap * (branches.length - 1)) / 2;
+
+        branches.forEach((branch, column) => {
+            const x = startX + column * (columnWidth + columnGap);
+
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.font = 'bold ' + this.fontSizes.feature + 'px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(branch.ICON + ' ' + branch.NAME, x + columnWidth / 2, 170);
+
+            branch.SKILLS.forEach((skill, row) => {
+                this.renderSkillCard(skill, x, 190 + row * 100, columnWidth, 90);
+            });
+        });
+
+        this.ctx.textAlign = 'left';
+    }
+
+    /**
+     * 渲染技能卡片：图标名称、等级、效果和加点状态
+     */
+    renderSkillCard(skill, x, y, width, height) {
+        const skillTree = window.skillTree;
+        const rank = skillTree.getDisplayRank(skill.ID);
+        const blocker = skillTree.getPurchaseBlocker(skill.ID, true);
+        const maxed = rank >= skill.MAX_RANK;
+
+        // 卡片背景：可加点为紫色，满级为绿色，其余为灰色
+        this.ctx.fillStyle = maxed ? 'rgba(39, 174, 96, 0.5)' : (blocker ? 'rgba(127, 140, 141, 0.35)' : 'rgba(155, 89, 182, 0.6)');
+        this.ctx.fillRect(x, y, width, height);
+        this.ctx.strokeStyle = blocker ? 'rgba(255, 255, 255, 0.3)' : '#D7BDE2';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(x, y, width, height);
+
+        const cardCenterX = x + width / 2;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = 'bold 15px Arial';
+        this.ctx.fillText(skill.ICON + ' ' + skill.NAME, cardCenterX, y + 16);
+
+        this.ctx.font = '12px Arial';
+        this.ctx.fillText('Lv ' + rank + '/' + skill.MAX_RANK, cardCenterX, y + 36);
+
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        this.ctx.fillText(skill.DESC, cardCenterX, y + 54);
+
+        this.ctx.fillStyle = blocker ? '#BDC3C7' : '#F1C40F';
+        this.ctx.fillText(maxed ? '已满级' : (blocker || '点击学习') + ' · ' + skill.COST + '点', cardCenterX, y + 74);
+
+        this.buttonAreas.set('skill_' + skill.ID, {x: x, y: y, width: width, height: height});
+    }
+
+    /**
+     * 渲染存档位页面
+     */
+    renderSaveSlotsPage() {
+        const centerX = this.canvas.width / 2;
+
+        // 清空画布
+        this.clearCanvas();
+
+        // 背景
+        this.renderBackgroundGradient();
+
+        // 存档位按钮每帧重新登记，删除后不保留旧按钮区域
+        this.buttonAreas.clear();
+
+        // 标题
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = 'bold ' + this.fontSizes.menu + 'px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText('💾 存档', centerX, 50);
+
+        // 提示文字
+        if (this.slotHint) {
+            this.ctx.fillStyle = '#ffeb3b';
+            this.ctx.font = this.fontSizes.footer + 'px Arial';
+            this.ctx.fillText(this.slotHint, centerX, 85);
+        }
+
+        // 存档位列表
+        const rowWidth = Math.min(this.canvas.width - 40, 520);
+        const rowHeight = 110;
+        const rowGap = 12;
+        const rowX = centerX - rowWidth / 2;
+        let rowY = 105;
+
+        this.saveSlots.forEach(info => {
+            this.renderSaveSlotRow(info, rowX, rowY, rowWidth, rowHeight);
+            rowY += rowHeight + rowGap;
+        });
+
+        // 返回按钮
+        this.renderBackButton(centerX, rowY + 30);
+    }
+
+    /**
+     * 渲染单个存档位
+     */
+    renderSaveSlotRow(info, x, y, width, height) {
+        const slot = info.slot;
+
+        // 卡片背景
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+        this.ctx.fillRect(x, y, width, height);
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(x, y, width, height);
+
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+
+        const buttonWidth = 80;
+        const buttonHeight = 32;
+        const buttonY = y + height - buttonHeight / 2 - 10;
+        const rightX = x + width - buttonWidth / 2 - 10;
+
+        if (info.empty) {
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+            this.ctx.font = 'bold ' + this.fontSizes.feature + 'px Arial';
+            this.ctx.fillText('存档 ' + (slot + 1) + ' · 空', x + 12, y + 22);
+
+            this.renderButton(rightX, buttonY, buttonWidth, buttonHeight, '新游戏', '#4CAF50', 'slot_new_' + slot);
+            return;
+        }
+
+        const meta = info.meta;
+        const difficultyLabel = typeof window.getDifficultyLabel === 'function' ? window.getDifficultyLabel(meta.difficulty) : meta.difficulty;
+
+        // 名称和天数
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = 'bold ' + this.fontSizes.feature + 'px Arial';
+        this.ctx.fillText(meta.name + ' · 第' + meta.day + '天', x + 12, y + 22);
+
+        // 队伍、难度、地图和时间
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        this.ctx.font = this.fontSizes.footer + 'px Arial';
+        this.ctx.fillText('队伍 ' + meta.teamSize + '人 · ' + difficultyLabel + ' · ' + (meta.mapId || '-') + ' · ' + this.formatSaveTime(meta.savedAt), x + 12, y + 46);
+
+        // 删除（需二次确认）、覆盖、读取
+        const deleteText = this.pendingDeleteSlot === slot ? '确认' : '删除';
+        this.renderButton(rightX, buttonY, buttonWidth, buttonHeight, deleteText, '#f44336', 'slot_delete_' + slot);
+        this.renderButton(rightX - (buttonWidth + 8), buttonY, buttonWidth, buttonHeight, '覆盖', '#FF9800', 'slot_new_' + slot);
+        this.renderButton(rightX - (buttonWidth + 8) * 2, buttonY, buttonWidth, buttonHeight, '读取', '#2196F3', 'slot_load_' + slot);
+    }
+
+    /**
+     * 格式化存档时间（月-日 时:分）
+     */
+    formatSaveTime(timestamp) {
+        if (!timestamp) return '-';
+
+        const date = new Date(timestamp);
+        const pad = (value) => (value < 10 ? '0' : '') + value;
+        return pad(date.getMonth() + 1) + '-' + pad(date.getDate()) + ' ' + pad(date.getHours()) + ':' + pad(date.getMinutes());
     }
 
     /**
@@ -594,7 +984,7 @@ class IndependentMenuSystem {
         this.ctx.font = this.fontSizes.footer + 'px Arial';
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'middle';
-        this.ctx.fillText('开始游戏或重置当前进度', centerX, footerY);
+        this.ctx.fillText(this.hasSavedGame ? '继续最近的存档、开始新游戏或管理存档' : '开始游戏或重置当前进度', centerX, footerY);
     }
 
     /**
@@ -659,6 +1049,15 @@ class IndependentMenuSystem {
      * 开始游戏回调
      */
     onStartGame() {
+        // 🔴 新增：在第一个空存档位开始新游戏，存档位已满时进入存档页选择覆盖
+        if (typeof window.startNewGame === 'function') {
+            if (!window.startNewGame()) {
+                this.slotHint = '存档位已满，请选择要覆盖的存档';
+                this.setState(MENU_STATE.SAVE_SLOTS);
+            }
+            return;
+        }
+
         // 通过全局函数调用游戏开始
         if (typeof window.startGame === 'function') {
             window.startGame();
@@ -674,6 +1073,11 @@ class IndependentMenuSystem {
         // 清除死亡弹框状态
         this.deathButtonAreas = null;
 
+        // 🔴 新增：离开对局前存档，死亡状态下不会写入
+        if (typeof window.saveCurrentGame === 'function') {
+            window.saveCurrentGame();
+        }
+
         // 通过全局函数调用重置游戏
         if (typeof window.resetGame === 'function') {
             window.resetGame();
@@ -694,6 +1098,94 @@ class IndependentMenuSystem {
         }
     }
 
+    /**
+     * 继续存档回调
+     */
+    onResumeSave() {
+        if (typeof window.continueGame !== 'function') {
+            this.showError('存档功能未准备好');
+            return;
+        }
+
+        if (!window.continueGame()) {
+            this.refreshSaveState();
+            this.showError('存档不存在或已损坏');
+        }
+    }
+
+    /**
+     * 读取存档位回调
+     */
+    onLoadSlot(slot) {
+        if (typeof window.continueGame !== 'function') {
+            this.showError('存档功能未准备好');
+            return;
+        }
+
+        if (!window.continueGame(slot)) {
+            this.refreshSaveState();
+            this.showError('存档不存在或已损坏');
+        }
+    }
+
+    /**
+     * 在存档位开始新游戏回调（已有存档时覆盖）
+     */
+    onNewGameInSlot(slot) {
+        if (typeof window.startNewGame === 'function') {
+            window.startNewGame(slot);
+        } else {
+            this.showError('存档功能未准备好');
+        }
+    }
+
+    /**
+     * 删除存档位回调（第一次点击进入确认，第二次点击删除）
+     */
+    onDeleteSlot(slot) {
+        if (this.pendingDeleteSlot !== slot) {
+            this.pendingDeleteSlot = slot;
+            this.render();
+            return;
+        }
+
+        if (typeof window.deleteSaveSlot === 'function') {
+            window.deleteSaveSlot(slot);
+        }
+        this.pendingDeleteSlot = null;
+        this.refreshSaveState();
+        this.render();
+    }
+
+    /**
+     * 回放最近录像回调
+     */
+    onReplayLast() {
+        if (typeof window.playReplay !== 'function' || !window.playReplay()) {
+            this.debugHint = '没有可回放的录像';
+            this.render();
+        }
+    }
+
+    /**
+     * 导出录像回调
+     */
+    onExportReplay() {
+        const data = typeof window.exportReplay === 'function' ? window.exportReplay() : null;
+        this.debugHint = data ? '录像已复制到剪贴板（' + data.length + '字节）' : '没有可导出的录像';
+        this.render();
+    }
+
+    /**
+     * 切换设置开关回调
+     */
+    onToggleSetting(key) {
+        if (typeof window.toggleSetting === 'function') {
+            window.toggleSetting(key);
+        }
+        this.render();
+    }
+
     /**
      * 重置游戏回调
      */
@@ -787,10 +1279,9 @@ class IndependentMenuSystem {
         this.buttonAreas.clear();
 
         // 移除事件监听器
-        if (typeof tt !== 'undefined') {
-            // 抖音小游戏环境，无法直接移除事件监听器
-        } else if (this.canvas) {
-            this.canvas.removeEventListener('click', this.handleClick.bind(this));
+        if (this.touchUnsubscribe) {
+            this.touchUnsubscribe();
+            this.touchUnsubscribe = null;
         }
 
         this.isInitialized = false;
@@ -9,6 +9,8 @@
  * - 大幅简化代码，提高性能
  */
 
+import RandomManager, {RANDOM_STREAM} from '../random.js';
+
 // 简化的碰撞检测系统
 var CollisionSystem = {
     // 当前地图配置
@@ -22,8 +24,23 @@ var CollisionSystem = {
         return x >= 0 && x < mapDimensions.width && y >= 0 && y < mapDimensions.height;
     },
 
-    // 🔴 核心：简化的可行走性检查 - 直接检查地图网格值
+    // 🔴 核心：简化的可行走性检查 - 地图网格 + 道路动态障碍物
     isPositionWalkable: function (x, y) {
+        if (!this.isGridWalkable(x, y)) {
+            return false;
+        }
+
+        // 🔴 新增：道路上的汽车、路障、瓦砾同样阻挡移动
+        var obstacleManager = window.gameEngine ? window.gameEngine.dynamicObstacleManager : null;
+        if (obstacleManager && obstacleManager.isPositionBlocked(x, y)) {
+            return false;
+        }
+
+        return true;
+    },
+
+    // 只检查地图网格值（不考虑动态障碍物）
+    isGridWalkable: function (x, y) {
         if (!this.mapMatrix) {
             throw new Error('地图矩阵未初始化');
             return true;
@@ -45,6 +62,28 @@ var CollisionSystem = {
         return isWalkable;
     },
 
+    // 🔴 新增：投射物是否被阻挡（建筑物和地图边界；道路障碍物由投射物管理器单独结算伤害）
+    isProjectileBlocked: function (x, y) {
+        return !this.isGridWalkable(x, y);
+    },
+
+    // 🔴 新增：圆形碰撞检测，返回第一个与圆相交的存活目标（跳过excludeIds中的目标）
+    findCircleHit: function (x, y, radius, targets, excludeIds) {
+        for (var i = 0; i < targets.length; i++) {
+            var target = targets[i];
+            if (!target || target.hp <= 0 || (excludeIds && excludeIds.indexOf(target.id) !== -1)) continue;
+
+            var targetRadius = (target.size || target.width || 32) / 2;
+            var dx = target.x - x;
+            var dy = target.y - y;
+            var hitDistance = radius + targetRadius;
+            if (dx * dx + dy * dy <= hitDistance * hitDistance) {
+                return target;
+            }
+        }
+        return null;
+    },
+
     // 🔴 新增：贴着建筑物移动的位置计算
     getWallFollowingPosition: function (fromX, fromY, toX, toY, radius, moveSpeed) {
         if (!this.mapMatrix) {
@@ -147,9 +186,10 @@ var CollisionSystem = {
         var radius = isCircle ? objectWidth / 2 : Math.max(objectWidth, objectHeight) / 2;
 
         // 随机位置搜索
+        var spawnRandom = RandomManager.getStream(RANDOM_STREAM.SPAWN);
         for (var attempt = 0; attempt < 50; attempt++) {
-            var angle = Math.random() * Math.PI * 2;
-            var distance = minDistance + Math.random() * (maxDistance - minDistance);
+            var angle = spawnRandom.angle();
+            var distance = spawnRandom.range(minDistance, maxDistance);
             var testX = centerX + Math.cos(angle) * distance;
             var testY = centerY + Math.sin(angle) * distance;
 
@@ -265,8 +305,9 @@ var CollisionSystem = {
 };
 
 // 导出
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = CollisionSystem;
-} else if (typeof window !== 'undefined') {
+if (typeof window !== 'undefined') {
     window.CollisionSystem = CollisionSystem;
 }
+
+// 🔴 修复：使用ES6模块导出，浏览器和Node中也能直接import
+export default CollisionSystem;
@@ -0,0 +1,444 @@
+/**
+ * 动态障碍物系统 (dynamic-obstacle.js)
+ *
+ * 功能：
+ * - 在城市道路格上随机摆放废弃汽车、路障和瓦砾
+ * - 障碍物注册到对象管理器，统一管理生命周期
+ * - 按地图格子分桶，供碰撞系统快速查询某点是否被障碍物占据
+ * - 支持可推动（汽车、瓦砾）和可破坏（被投射物击中或被僵尸攻击后移除）
+ */
+
+import RandomManager, {RANDOM_STREAM} from '../random.js';
+
+// 障碍物类型枚举
+const OBSTACLE_TYPE = {
+    CAR: 'car', BARRICADE: 'barricade', DEBRIS: 'debris'
+};
+
+// 障碍物类型到配置键的映射
+const OBSTACLE_CONFIGS = {
+    [OBSTACLE_TYPE.CAR]: 'CAR',
+    [OBSTACLE_TYPE.BARRICADE]: 'BARRICADE',
+    [OBSTACLE_TYPE.DEBRIS]: 'DEBRIS'
+};
+
+// 默认障碍物配置（会被config.js中的OBSTACLE覆盖）
+const OBSTACLE_DEFAULTS = {
+    ROAD_DENSITY: 0.06,
+    MAX_OBSTACLES: 300,
+    SAFE_DISTANCE: 150,
+    CELL_MARGIN: 20,
+    PUSH_SPEED_FACTOR: 0.5,
+    DAMAGE_FLASH_FRAMES: 10,
+    TYPES: {
+        CAR: {WIDTH: 80, HEIGHT: 120, HP: 400, MOVABLE: true, DESTRUCTIBLE: true, WEIGHT: 0.4, COLOR: '#5D6D7E', ICON: '🚗'},
+        BARRICADE: {WIDTH: 120, HEIGHT: 30, HP: 150, MOVABLE: false, DESTRUCTIBLE: true, WEIGHT: 0.3, COLOR: '#D35400', ICON: '🚧'},
+        DEBRIS: {WIDTH: 50, HEIGHT: 50, HP: 60, MOVABLE: true, DESTRUCTIBLE: true, WEIGHT: 0.3, COLOR: '#7F8C8D', ICON: '🪨'}
+    }
+};
+
+// 获取障碍物配置
+function getObstacleConfig() {
+    if (window.ConfigManager) {
+        return window.ConfigManager.safeGet('OBSTACLE', OBSTACLE_DEFAULTS);
+    }
+    return OBSTACLE_DEFAULTS;
+}
+
+// 动态障碍物类（中心点坐标系统，与建筑物一致）
+class DynamicObstacle {
+    constructor(id, x, y, width, height, type) {
+        var typeConfig = getObstacleConfig().TYPES[OBSTACLE_CONFIGS[type]] || OBSTACLE_DEFAULTS.TYPES.DEBRIS;
+
+        this.id = id;
+        this.type = 'obstacle';
+        this.obstacleType = OBSTACLE_CONFIGS[type] ? type : OBSTACLE_TYPE.DEBRIS;
+        this.x = x;
+        this.y = y;
+        this.width = width || typeConfig.WIDTH;
+        this.height = height || typeConfig.HEIGHT;
+        this.hp = typeConfig.HP;
+        this.maxHp = typeConfig.HP;
+        this.movable = typeConfig.MOVABLE;
+        this.destructible = typeConfig.DESTRUCTIBLE;
+        this.color = typeConfig.COLOR;
+        this.icon = typeConfig.ICON;
+        this.isActive = true;
+        this.damageFlash = 0;
+        this.bounds = null;
+
+        this.updateBounds();
+    }
+
+    // 更新包围盒
+    updateBounds() {
+        this.bounds = {
+            left: this.x - this.width / 2,
+            top: this.y - this.height / 2,
+            right: this.x + this.width / 2,
+            bottom: this.y + this.height / 2
+        };
+    }
+
+    // 检查点是否在障碍物内
+    containsPoint(x, y, margin = 0) {
+        return x >= this.bounds.left - margin && x <= this.bounds.right + margin && y >= this.bounds.top - margin && y <= this.bounds.bottom + margin;
+    }
+
+    // 检查与另一个障碍物是否重叠
+    overlaps(other) {
+        return this.bounds.left < other.bounds.right && this.bounds.right > other.bounds.left && this.bounds.top < other.bounds.bottom && this.bounds.bottom > other.bounds.top;
+    }
+
+    // 受到伤害
+    takeDamage(damage) {
+        if (!this.destructible || !this.isActive) return this.hp;
+
+        this.hp = Math.max(0, this.hp - damage);
+        this.damageFlash = getObstacleConfig().DAMAGE_FLASH_FRAMES;
+
+        if (this.hp <= 0) {
+            this.isActive = false;
+        }
+
+        return this.hp;
+    }
+
+    // 每帧更新
+    update() {
+        if (this.damageFlash > 0) {
+            this.damageFlash--;
+        }
+    }
+}
+
+// 动态障碍物管理器
+class DynamicObstacleManager {
+    constructor(mapWidth, mapHeight, cellSize = 200) {
+        this.mapWidth = mapWidth;
+        this.mapHeight = mapHeight;
+        this.cellSize = cellSize;
+        this.gridCols = Math.ceil(mapWidth / cellSize);
+        this.gridRows = Math.ceil(mapHeight / cellSize);
+
+        this.obstacles = new Map();
+
+        // 格子分桶：key为格子索引，value为覆盖该格子的障碍物数组
+        this.buckets = new Map();
+    }
+
+    // 添加障碍物
+    addObstacle(obstacle) {
+        if (!obstacle || !obstacle.id) {
+            throw new Error('障碍物对象或ID不能为空');
+        }
+
+        if (this.obstacles.has(obstacle.id)) {
+            this.removeObstacle(obstacle.id);
+        }
+
+        this.obstacles.set(obstacle.id, obstacle);
+        this.addToBuckets(obstacle);
+
+        if (window.objectManager) {
+            window.objectManager.registerObject(obstacle, 'obstacle', obstacle.id);
+        }
+
+        return obstacle;
+    }
+
+    // 移除障碍物
+    removeObstacle(obstacleId) {
+        var obstacle = this.obstacles.get(obstacleId);
+        if (!obstacle) return false;
+
+        this.removeFromBuckets(obstacle);
+        this.obstacles.delete(obstacleId);
+
+        if (window.objectManager && window.objectManager.getObjectInfo(obstacleId)) {
+            window.objectManager.destroyObject(obstacleId);
+        }
+
+        return true;
+    }
+
+    // 获取障碍物覆盖的格子索引
+    getCoveredCells(obstacle) {
+        var minCol = Math.max(0, Math.floor(obstacle.bounds.left / this.cellSize));
+        var maxCol = Math.min(this.gridCols - 1, Math.floor(obstacle.bounds.right / this.cellSize));
+        var minRow = Math.max(0, Math.floor(obstacle.bounds.top / this.cellSize));
+        var maxRow = Math.min(this.gridRows - 1, Math.floor(obstacle.bounds.bottom / this.cellSize));
+
+        var cells = [];
+        for (var row = minRow; row <= maxRow; row++) {
+            for (var col = minCol; col <= maxCol; col++) {
+                cells.push(row * this.gridCols + col);
+            }
+        }
+        return cells;
+    }
+
+    addToBuckets(obstacle) {
+        this.getCoveredCells(obstacle).forEach(cellIndex => {
+            if (!this.buckets.has(cellIndex)) {
+                this.buckets.set(cellIndex, []);
+            }
+            this.buckets.get(cellIndex).push(obstacle);
+        });
+    }
+
+    removeFromBuckets(obstacle) {
+        this.getCoveredCells(obstacle).forEach(cellIndex => {
+            var bucket = this.buckets.get(cellIndex);
+            if (!bucket) return;
+
+            var index = bucket.indexOf(obstacle);
+            if (index !== -1) {
+                bucket.splice(index, 1);
+            }
+            if (bucket.length === 0) {
+                this.buckets.delete(cellIndex);
+            }
+        });
+    }
+
+    // 获取某点所在格子内的障碍物
+    getObstaclesAt(x, y) {
+        var col = Math.floor(x / this.cellSize);
+        var row = Math.floor(y / this.cellSize);
+        if (col < 0 || col >= this.gridCols || row < 0 || row >= this.gridRows) return [];
+
+        return this.buckets.get(row * this.gridCols + col) || [];
+    }
+
+    /**
+     * 检查某点是否被障碍物占据
+     * @param {number} x - 世界坐标X
+     * @param {number} y - 世界坐标Y
+     * @param {number} margin - 额外边距
+     * @param {Object} ignoreObstacle - 忽略的障碍物（推动时排除自身）
+     * @returns {DynamicObstacle|null} 占据该点的障碍物
+     */
+    getBlockingObstacle(x, y, margin = 0, ignoreObstacle = null) {
+        var candidates = this.getObstaclesAt(x, y);
+        for (var i = 0; i < candidates.length; i++) {
+            var obstacle = candidates[i];
+            if (obstacle !== ignoreObstacle && obstacle.isActive && obstacle.containsPoint(x, y, margin)) {
+                return obstacle;
+            }
+        }
+        return null;
+    }
+
+    isPositionBlocked(x, y, margin = 0) {
+        return this.getBlockingObstacle(x, y, margin) !== null;
+    }
+
+    /**
+     * 🔴 新增：对某点上的可破坏障碍物造成伤害（投射物命中、僵尸攻击挡路的障碍物）
+     * @param {number} x - 命中位置X
+     * @param {number} y - 命中位置Y
+     * @param {number} damage - 伤害
+     * @param {number} margin - 额外边距
+     * @returns {DynamicObstacle|null} 被击中的障碍物
+     */
+    damageObstacleAt(x, y, damage, margin = 0) {
+        var obstacle = this.getBlockingObstacle(x, y, margin);
+        if (!obstacle) return null;
+
+        obstacle.takeDamage(damage);
+        if (!obstacle.isActive) {
+            console.log('💥 障碍物被摧毁:', obstacle.id);
+        }
+        return obstacle;
+    }
+
+    // 检查障碍物放在当前位置是否合法（在道路上且不与其他障碍物重叠）
+    isObstaclePlacementValid(obstacle) {
+        var collisionSystem = window.collisionSystem;
+        var corners = [
+            {x: obstacle.bounds.left, y: obstacle.bounds.top},
+            {x: obstacle.bounds.right, y: obstacle.bounds.top},
+            {x: obstacle.bounds.left, y: obstacle.bounds.bottom},
+            {x: obstacle.bounds.right, y: obstacle.bounds.bottom}
+        ];
+
+        if (collisionSystem && collisionSystem.isGridWalkable) {
+            for (var i = 0; i < corners.length; i++) {
+                if (!collisionSystem.isGridWalkable(corners[i].x, corners[i].y)) {
+                    return false;
+                }
+            }
+        }
+
+        var cells = this.getCoveredCells(obstacle);
+        for (var c = 0; c < cells.length; c++) {
+            var bucket = this.buckets.get(cells[c]) || [];
+            for (var b = 0; b < bucket.length; b++) {
+                if (bucket[b] !== obstacle && bucket[b].isActive && bucket[b].overlaps(obstacle)) {
+                    return false;
+                }
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * 推动某点上的可移动障碍物
+     * @param {number} x - 被阻挡的位置X
+     * @param {number} y - 被阻挡的位置Y
+     * @param {number} dx - 推动位移X
+     * @param {number} dy - 推动位移Y
+     * @returns {boolean} 是否推动成功
+     */
+    pushObstacleAt(x, y, dx, dy) {
+        var obstacle = this.getBlockingObstacle(x, y);
+        if (!obstacle || !obstacle.movable) return false;
+
+        var oldX = obstacle.x;
+        var oldY = obstacle.y;
+
+        this.removeFromBuckets(obstacle);
+        obstacle.x += dx;
+        obstacle.y += dy;
+        obstacle.updateBounds();
+
+        var isValid = this.isObstaclePlacementValid(obstacle);
+        if (!isValid) {
+            obstacle.x = oldX;
+            obstacle.y = oldY;
+            obstacle.updateBounds();
+        }
+
+        this.addToBuckets(obstacle);
+        return isValid;
+    }
+
+    /**
+     * 在道路格上随机摆放障碍物
+     * @param {Object} currentMap - MapManager.currentMap
+     * @returns {number} 摆放数量
+     */
+    populateRoads(currentMap) {
+        if (!currentMap || !currentMap.walkableAreas) {
+            throw new Error('地图数据不完整，无法摆放障碍物');
+        }
+
+        var obstacleConfig = getObstacleConfig();
+        var typeKeys = Object.keys(OBSTACLE_CONFIGS);
+        var totalWeight = typeKeys.reduce((sum, type) => sum + obstacleConfig.TYPES[OBSTACLE_CONFIGS[type]].WEIGHT, 0);
+        var occupiedPoints = this.getOccupiedPoints();
+        var placedCount = 0;
+        var spawnRandom = RandomManager.getStream(RANDOM_STREAM.SPAWN);
+
+        for (var i = 0; i < currentMap.walkableAreas.length; i++) {
+            if (this.obstacles.size >= obstacleConfig.MAX_OBSTACLES) break;
+            if (!spawnRandom.chance(obstacleConfig.ROAD_DENSITY)) continue;
+
+            var area = currentMap.walkableAreas[i];
+
+            // 按权重选择障碍物类型
+            var roll = spawnRandom.range(0, totalWeight);
+            var obstacleType = typeKeys[typeKeys.length - 1];
+            for (var t = 0; t < typeKeys.length; t++) {
+                roll -= obstacleConfig.TYPES[OBSTACLE_CONFIGS[typeKeys[t]]].WEIGHT;
+                if (roll < 0) {
+                    obstacleType = typeKeys[t];
+                    break;
+                }
+            }
+
+            var typeConfig = obstacleConfig.TYPES[OBSTACLE_CONFIGS[obstacleType]];
+
+            // 随机朝向：横放或竖放
+            var isRotated = spawnRandom.chance(0.5);
+            var width = isRotated ? typeConfig.HEIGHT : typeConfig.WIDTH;
+            var height = isRotated ? typeConfig.WIDTH : typeConfig.HEIGHT;
+
+            // 在格子内随机偏移，保留边距
+            var freeX = Math.max(0, area.width - width - obstacleConfig.CELL_MARGIN * 2);
+            var freeY = Math.max(0, area.height - height - obstacleConfig.CELL_MARGIN * 2);
+            var x = area.bounds.left + obstacleConfig.CELL_MARGIN + width / 2 + spawnRandom.range(0, freeX);
+            var y = area.bounds.top + obstacleConfig.CELL_MARGIN + height / 2 + spawnRandom.range(0, freeY);
+
+            if (this.isNearOccupiedPoint(x, y, occupiedPoints, obstacleConfig.SAFE_DISTANCE)) continue;
+
+            var obstacle = new DynamicObstacle(obstacleType + '_' + i, x, y, width, height, obstacleType);
+            if (!this.isObstaclePlacementValid(obstacle)) continue;
+
+            this.addObstacle(obstacle);
+            placedCount++;
+        }
+
+        console.log('🚧 道路障碍物摆放完成:', placedCount, '个');
+        return placedCount;
+    }
+
+    // 获取已有实体位置，避免把障碍物压在角色、伙伴或僵尸身上
+    getOccupiedPoints() {
+        if (!window.objectManager) return [];
+
+        return [].concat(window.objectManager.getAllCharacters(), window.objectManager.getAllPartners(), window.objectManager.getAllZombies())
+            .map(entity => ({x: entity.x, y: entity.y}));
+    }
+
+    isNearOccupiedPoint(x, y, points, safeDistance) {
+        for (var i = 0; i < points.length; i++) {
+            var dx = points[i].x - x;
+            var dy = points[i].y - y;
+            if (dx * dx + dy * dy < safeDistance * safeDistance) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // 更新所有障碍物
+    updateAllObstacles() {
+        for (const obstacle of this.obstacles.values()) {
+            obstacle.update();
+        }
+    }
+
+    // 清理已被摧毁的障碍物
+    cleanupInvalidObstacles() {
+        var invalidIds = [];
+        for (const [id, obstacle] of this.obstacles) {
+            if (!obstacle.isActive || obstacle.hp <= 0) {
+                invalidIds.push(id);
+            }
+        }
+
+        invalidIds.forEach(id => this.removeObstacle(id));
+        return invalidIds.length;
+    }
+
+    // 获取所有障碍物
+    getAllObstacles() {
+        return Array.from(this.obstacles.values()).filter(obstacle => obstacle.isActive);
+    }
+
+    // 获取统计信息
+    getStats() {
+        var stats = {total: this.obstacles.size};
+        Object.keys(OBSTACLE_CONFIGS).forEach(type => {
+            stats[type] = 0;
+        });
+        for (const obstacle of this.obstacles.values()) {
+            stats[obstacle.obstacleType]++;
+        }
+        return stats;
+    }
+
+    // 销毁管理器
+    destroy() {
+        Array.from(this.obstacles.keys()).forEach(id => this.removeObstacle(id));
+        this.obstacles.clear();
+        this.buckets.clear();
+    }
+}
+
+// 导出
+export {DynamicObstacle, DynamicObstacleManager, OBSTACLE_TYPE};
+export default DynamicObstacleManager;
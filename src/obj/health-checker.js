@@ -204,7 +204,7 @@ class ObjectHealthChecker {
         if (window.objectManager) {
             try {
                 // 检查对象管理器是否包含所有类型的对象
-                const objectTypes = ['character', 'zombie', 'partner', 'building', 'item', 'map'];
+                const objectTypes = ['character', 'zombie', 'partner', 'building', 'item', 'obstacle', 'map'];
                 for (const type of objectTypes) {
                     const objects = window.objectManager.getObjectsByType(type);
                     if (objects && objects.length > 0) {
@@ -19,6 +19,8 @@ const OBJECT_TYPE = {
     PARTNER: 'partner', 
     BUILDING: 'building', 
     ITEM: 'item',
+    PROJECTILE: 'projectile',      // 新增投射物类型
+    OBSTACLE: 'obstacle',          // 新增道路障碍物类型
     MAP: 'map',                    // 新增地图类型
     MAP_OBJECT: 'map_object'       // 新增地图对象类型
 };
@@ -213,6 +215,10 @@ class ObjectManager {
         return this.getObjectsByType('item');
     }
 
+    getAllProjectiles() {
+        return this.getObjectsByType('projectile');
+    }
+
     getCurrentMap() {
         const maps = this.getObjectsByType('map');
         return maps.length > 0 ? maps[0] : null; // 假设只有一个当前地图
@@ -8,11 +8,25 @@
  * - 自动攻击僵尸
  * - 避障系统
  * - 职业特性
+ * - 🔴 新增：职业技能（ABILITY状态：治疗、做饭、侦察）
+ * - 🔴 新增：小队指令（HOLD、GUARD、REGROUP状态）和进攻/消极姿态
+ * - 🔴 新增：感染值（被僵尸击中累积，感染状态下死亡会尸变）
  */
 
 import ConfigManager, {ROLE} from './config.js';
 import UtilsManager from './utils.js';
+import WeaponSystem from './weapon.js';
+import RoleAbility from './ability.js';
+import PartnerExperience from './experience.js';
+import InfectionManager from './infection.js';
+import {SQUAD_COMMAND, SQUAD_STANCE, SQUAD_DEFAULTS} from './squad.js';
 import StateMachine, {PARTNER_STATES} from './state-machine.js';
+import RandomManager, {RANDOM_STREAM} from './random.js';
+
+// 🔴 新增：获取小队指令配置
+function getSquadConfig() {
+    return window.ConfigManager ? window.ConfigManager.safeGet('SQUAD', SQUAD_DEFAULTS) : SQUAD_DEFAULTS;
+}
 
 // 伙伴类
 var Partner = function (role, x, y) {
@@ -41,9 +55,10 @@ var Partner = function (role, x, y) {
     this.status = PARTNER_STATES.INIT;
     this.type = 'partner';
     this.isInitialState = true; // 初始状态为灰色
+    this.recruited = false;     // 🔴 新增：是否已被玩家招募（招募管理器设置）
 
     // 🔴 修复：设置伙伴ID
-    this.id = 'partner_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    this.id = RandomManager.nextId('partner');
 
     // 从配置获取对象尺寸
     var objectSizes = window.ConfigManager ? window.ConfigManager.get('OBJECT_SIZES.CHARACTER') : null;
@@ -56,6 +71,7 @@ var Partner = function (role, x, y) {
     animationSystem.setAnimationSpeed(this, 'default');
 
     // 🔴 优化：使用统一移动控制器初始化移动属性
+    this.deltaTime = UtilsManager.getTimeUtils().getFixedDeltaTime(); // 当前逻辑步长（秒）
     this.isMoving = false;                  // 是否在移动
     movementController.setMoveSpeed(this, 'partner', role);
     this.targetX = x;                       // 目标X坐标
@@ -73,6 +89,18 @@ var Partner = function (role, x, y) {
     this.attackCooldown = 0;
     this.lastAttackTime = 0;
 
+    // 🔴 新增：职业技能属性
+    RoleAbility.initPartner(this);
+
+    // 🔴 新增：等级和经验
+    PartnerExperience.initPartner(this);
+
+    // 🔴 新增：感染值
+    InfectionManager.initPartner(this);
+
+    // 🔴 新增：小队指令属性
+    this.resetSquadOrder();
+
     // 设置职业属性
     this.setupRoleProperties();
 
@@ -80,7 +108,7 @@ var Partner = function (role, x, y) {
     this.initializeStateMachine();
 };
 
-// 🔴 新增：伙伴重置方法（使用统一控制器）
+// 🔴 新增：伙伴重置方法（使用统一控制器，对象池回收时调用）
 Partner.prototype.reset = function () {
     var movementController = UtilsManager.getMovementController();
     var animationSystem = UtilsManager.getAnimationSystem();
@@ -95,6 +123,7 @@ Partner.prototype.reset = function () {
     this.attackTarget = null;
     this.stuckTime = 0;
     this.lastPosition = null;
+    this.navPath = null;
 
     // 🔴 优化：使用统一移动控制器重置移动速度
     movementController.resetMoveSpeed(this, 'partner', this.role);
@@ -107,12 +136,27 @@ Partner.prototype.reset = function () {
     // 重置跟随相关属性
     this.followPoint = {x: this.x, y: this.y};
     this.lastMainCharPosition = {x: 0, y: 0};
-    this.isInitialState = true;
 
-    // 重置状态机
+    // 重置状态机（🔴 修复：先切换状态，避免退出INIT状态的回调覆盖下面的未招募标记）
     if (this.stateMachine) {
         this.stateMachine.forceState(PARTNER_STATES.IDLE);
     }
+
+    // 🔴 修复：复用的伙伴回到未招募状态，清除上一个伙伴的技能、指令、等级、经验和感染值
+    this.isInitialState = true;
+    this.recruited = false;
+    RoleAbility.initPartner(this);
+    PartnerExperience.initPartner(this);
+    InfectionManager.initPartner(this);
+    this.resetSquadOrder();
+};
+
+// 🔴 新增：重置小队指令和姿态
+Partner.prototype.resetSquadOrder = function () {
+    this.squadOrder = null;     // 当前小队指令（SQUAD_COMMAND），null表示默认跟随
+    this.orderPoint = null;     // 坚守点或守卫岗位
+    this.guardCenter = null;    // 守卫区域中心
+    this.stance = SQUAD_STANCE.AGGRESSIVE;
 };
 
 // 设置职业属性 - 使用公共工具
@@ -131,12 +175,9 @@ Partner.prototype.initializeStateMachine = function () {
 Partner.prototype.setupPartnerStateMachine = function () {
     const sm = this.stateMachine;
 
-    // INIT -> FOLLOW: 主人物靠近配置距离
+    // INIT -> FOLLOW: 🔴 修改：玩家在招募提示中招募后才加入（不再靠近即自动加入）
     sm.addTransition(PARTNER_STATES.INIT, PARTNER_STATES.FOLLOW, () => {
-        // 从配置获取伙伴激活距离
-        var detectionConfig = window.ConfigManager ? window.ConfigManager.get('DETECTION') : null;
-        var activationDistance = detectionConfig ? detectionConfig.SAFE_SPAWN_DISTANCE : 100;
-        return this.isMainCharacterNearby(activationDistance);
+        return this.recruited;
     });
 
     // INIT -> DIE: 血量归零
@@ -144,6 +185,20 @@ Partner.prototype.setupPartnerStateMachine = function () {
         return this.hp <= 0;
     });
 
+    // 🔴 新增：小队指令优先于默认的待机/跟随/攻击/技能转换（同一状态的转换按添加顺序判断）
+    [PARTNER_STATES.IDLE, PARTNER_STATES.FOLLOW, PARTNER_STATES.ATTACK, PARTNER_STATES.ABILITY].forEach(state => {
+        sm.addTransition(state, PARTNER_STATES.REGROUP, () => {
+            return this.squadOrder === SQUAD_COMMAND.REGROUP;
+        });
+        sm.addTransition(state, PARTNER_STATES.HOLD, () => {
+            return this.squadOrder === SQUAD_COMMAND.HOLD;
+        });
+        // 守卫中出击的伙伴在守卫区域没有威胁后回到岗位
+        sm.addTransition(state, PARTNER_STATES.GUARD, () => {
+            return this.squadOrder === SQUAD_COMMAND.GUARD && (state !== PARTNER_STATES.ATTACK || !this.hasGuardThreat());
+        });
+    });
+
     // IDLE -> FOLLOW: 主人物移动
     sm.addTransition(PARTNER_STATES.IDLE, PARTNER_STATES.FOLLOW, () => {
         return this.isMainCharacterMoving();
@@ -151,7 +206,12 @@ Partner.prototype.setupPartnerStateMachine = function () {
 
     // IDLE -> ATTACK: 100px内有僵尸
     sm.addTransition(PARTNER_STATES.IDLE, PARTNER_STATES.ATTACK, () => {
-        return this.hasZombieInRange(this.detectionRange);
+        return this.shouldEngage(this.detectionRange);
+    });
+
+    // 🔴 新增：IDLE -> ABILITY: 附近没有僵尸且有职业技能可施展
+    sm.addTransition(PARTNER_STATES.IDLE, PARTNER_STATES.ABILITY, () => {
+        return RoleAbility.hasWork(this);
     });
 
     // IDLE -> DIE: 血量归零
@@ -159,14 +219,14 @@ Partner.prototype.setupPartnerStateMachine = function () {
         return this.hp <= 0;
     });
 
-    // FOLLOW -> IDLE: 主人物停止移动且无僵尸
-    sm.addTransition(PARTNER_STATES.FOLLOW, PARTNER_STATES.IDLE, () => {
-        return !this.isMainCharacterMoving() && !this.hasZombieInRange(this.detectionRange);
+    // FOLLOW -> IDLE: 主人物停止移动且无僵尸（🔴 且已回到阵型槽位）
+    sm.addTransition(PARTNER_STATES.FOLLOW, PARTNER_STATES.IDLE, (stateData) => {
+        return !this.isMainCharacterMoving() && !this.shouldEngage(this.detectionRange) && this.isSettledAtFollowPoint(stateData.settleTime);
     });
 
     // FOLLOW -> ATTACK: 主人物停止移动且有僵尸
     sm.addTransition(PARTNER_STATES.FOLLOW, PARTNER_STATES.ATTACK, () => {
-        return !this.isMainCharacterMoving() && this.hasZombieInRange(this.detectionRange);
+        return !this.isMainCharacterMoving() && this.shouldEngage(this.detectionRange);
     });
 
     // FOLLOW -> DIE: 血量归零
@@ -174,14 +234,14 @@ Partner.prototype.setupPartnerStateMachine = function () {
         return this.hp <= 0;
     });
 
-    // ATTACK -> FOLLOW: 主人物移动（打断攻击）
+    // ATTACK -> FOLLOW: 主人物移动（打断攻击，🔴 守卫出击时不打断）
     sm.addTransition(PARTNER_STATES.ATTACK, PARTNER_STATES.FOLLOW, () => {
-        return this.isMainCharacterMoving();
+        return !this.squadOrder && this.isMainCharacterMoving();
     });
 
-    // ATTACK -> IDLE: 无僵尸
+    // ATTACK -> IDLE: 无僵尸（🔴 或切换为消极姿态）
     sm.addTransition(PARTNER_STATES.ATTACK, PARTNER_STATES.IDLE, () => {
-        return !this.hasZombieInRange(this.detectionRange);
+        return !this.shouldEngage(this.detectionRange);
     });
 
     // ATTACK -> DIE: 血量归零
@@ -189,11 +249,65 @@ Partner.prototype.setupPartnerStateMachine = function () {
         return this.hp <= 0;
     });
 
+    // 🔴 新增：ABILITY -> FOLLOW: 主人物移动（打断技能）
+    sm.addTransition(PARTNER_STATES.ABILITY, PARTNER_STATES.FOLLOW, () => {
+        return this.isMainCharacterMoving();
+    });
+
+    // 🔴 新增：ABILITY -> ATTACK: 有僵尸靠近
+    sm.addTransition(PARTNER_STATES.ABILITY, PARTNER_STATES.ATTACK, () => {
+        return this.shouldEngage(this.detectionRange);
+    });
+
+    // 🔴 新增：ABILITY -> IDLE: 技能没有可施展的目标
+    sm.addTransition(PARTNER_STATES.ABILITY, PARTNER_STATES.IDLE, () => {
+        return !RoleAbility.hasWork(this);
+    });
+
+    // 🔴 新增：ABILITY -> DIE: 血量归零
+    sm.addTransition(PARTNER_STATES.ABILITY, PARTNER_STATES.DIE, () => {
+        return this.hp <= 0;
+    });
+
+    // 🔴 新增：HOLD/GUARD/REGROUP 之间按指令切换，取消指令后恢复跟随
+    [PARTNER_STATES.HOLD, PARTNER_STATES.GUARD, PARTNER_STATES.REGROUP].forEach(state => {
+        if (state !== PARTNER_STATES.REGROUP) {
+            sm.addTransition(state, PARTNER_STATES.REGROUP, () => {
+                return this.squadOrder === SQUAD_COMMAND.REGROUP;
+            });
+        }
+        if (state !== PARTNER_STATES.HOLD) {
+            sm.addTransition(state, PARTNER_STATES.HOLD, () => {
+                return this.squadOrder === SQUAD_COMMAND.HOLD;
+            });
+        }
+        if (state !== PARTNER_STATES.GUARD) {
+            sm.addTransition(state, PARTNER_STATES.GUARD, () => {
+                return this.squadOrder === SQUAD_COMMAND.GUARD;
+            });
+        }
+        sm.addTransition(state, PARTNER_STATES.FOLLOW, () => {
+            return !this.squadOrder;
+        });
+        sm.addTransition(state, PARTNER_STATES.DIE, () => {
+            return this.hp <= 0;
+        });
+    });
+
+    // 🔴 新增：GUARD -> ATTACK: 守卫区域内出现僵尸
+    sm.addTransition(PARTNER_STATES.GUARD, PARTNER_STATES.ATTACK, () => {
+        return this.hasGuardThreat();
+    });
+
     // 添加状态行为
     sm.addBehavior(PARTNER_STATES.INIT, this.onEnterInit.bind(this), this.onUpdateInit.bind(this), this.onExitInit.bind(this));
     sm.addBehavior(PARTNER_STATES.IDLE, this.onEnterIdle.bind(this), this.onUpdateIdle.bind(this), this.onExitIdle.bind(this));
     sm.addBehavior(PARTNER_STATES.FOLLOW, this.onEnterFollow.bind(this), this.onUpdateFollow.bind(this), this.onExitFollow.bind(this));
     sm.addBehavior(PARTNER_STATES.ATTACK, this.onEnterAttack.bind(this), this.onUpdateAttack.bind(this), this.onExitAttack.bind(this));
+    sm.addBehavior(PARTNER_STATES.ABILITY, this.onEnterAbility.bind(this), this.onUpdateAbility.bind(this), this.onExitAbility.bind(this));
+    sm.addBehavior(PARTNER_STATES.HOLD, this.onEnterHold.bind(this), this.onUpdateHold.bind(this), this.onExitHold.bind(this));
+    sm.addBehavior(PARTNER_STATES.GUARD, this.onEnterGuard.bind(this), this.onUpdateGuard.bind(this), this.onExitGuard.bind(this));
+    sm.addBehavior(PARTNER_STATES.REGROUP, this.onEnterRegroup.bind(this), this.onUpdateRegroup.bind(this), this.onExitRegroup.bind(this));
     sm.addBehavior(PARTNER_STATES.DIE, this.onEnterDie.bind(this), this.onUpdateDie.bind(this), this.onExitDie.bind(this));
 };
 
@@ -213,6 +327,11 @@ Partner.prototype.onUpdateInit = function (stateData) {
 
 Partner.prototype.onExitInit = function (stateData) {
     this.isInitialState = false; // 退出初始状态，不再显示灰色
+
+    // 🔴 新增：新招募的伙伴沿用小队当前姿态
+    if (window.squadCommand) {
+        window.squadCommand.applyToRecruit(this);
+    }
 };
 
 // IDLE状态
@@ -234,12 +353,16 @@ Partner.prototype.onExitIdle = function (stateData) {
 Partner.prototype.onEnterFollow = function (stateData) {
     this.status = PARTNER_STATES.FOLLOW;
     this.isMoving = true;
+    stateData.settleTime = 0;
 };
 
 Partner.prototype.onUpdateFollow = function (stateData) {
     // 跟随状态：追逐主人物侧后方跟随点
     this.updateFollowMovement();
     this.updateAnimation();
+
+    // 🔴 新增：记录主人物停下的时长，槽位走不到时超时后也转为待机
+    stateData.settleTime = this.isMainCharacterMoving() ? 0 : stateData.settleTime + this.deltaTime;
 };
 
 Partner.prototype.onExitFollow = function (stateData) {
@@ -264,17 +387,99 @@ Partner.prototype.onExitAttack = function (stateData) {
     this.attackTarget = null;
 };
 
+// 🔴 新增：ABILITY状态
+Partner.prototype.onEnterAbility = function (stateData) {
+    this.status = PARTNER_STATES.ABILITY;
+    this.isMoving = false;
+    RoleAbility.enter(this);
+};
+
+Partner.prototype.onUpdateAbility = function (stateData) {
+    // 技能状态：原地施展职业技能
+    RoleAbility.update(this, this.deltaTime);
+    this.updateAnimation();
+};
+
+Partner.prototype.onExitAbility = function (stateData) {
+    RoleAbility.exit(this);
+};
+
+// 🔴 新增：HOLD状态（坚守：回到坚守点后原地攻击射程内的僵尸，不追击）
+Partner.prototype.onEnterHold = function (stateData) {
+    this.status = PARTNER_STATES.HOLD;
+    this.attackTarget = null;
+    this.attackCooldown = 0;
+};
+
+Partner.prototype.onUpdateHold = function (stateData) {
+    if (!this.moveToOrderPoint()) {
+        this.updateStationaryAttack();
+    }
+    this.updateAnimation();
+};
+
+Partner.prototype.onExitHold = function (stateData) {
+    this.isMoving = false;
+    this.attackTarget = null;
+};
+
+// 🔴 新增：GUARD状态（守卫：回到岗位待命，区域内有僵尸时转入ATTACK）
+Partner.prototype.onEnterGuard = function (stateData) {
+    this.status = PARTNER_STATES.GUARD;
+};
+
+Partner.prototype.onUpdateGuard = function (stateData) {
+    this.moveToOrderPoint();
+    this.updateAnimation();
+};
+
+Partner.prototype.onExitGuard = function (stateData) {
+    this.isMoving = false;
+};
+
+// 🔴 新增：REGROUP状态（归队：加速跑回主人物身边，途中不攻击）
+Partner.prototype.onEnterRegroup = function (stateData) {
+    this.status = PARTNER_STATES.REGROUP;
+    this.isMoving = true;
+};
+
+Partner.prototype.onUpdateRegroup = function (stateData) {
+    var mainChar = this.getMainCharacter();
+    if (!mainChar) {
+        this.squadOrder = null;
+        return;
+    }
+
+    var squadConfig = getSquadConfig();
+    if (this.getDistanceTo(mainChar.x, mainChar.y) <= squadConfig.REGROUP_ARRIVE_DISTANCE) {
+        // 到达后清除指令，下一步转为跟随
+        this.squadOrder = null;
+    } else {
+        this.moveTowards(mainChar.x, mainChar.y, this.moveSpeed * squadConfig.REGROUP_SPEED_MULTIPLIER);
+    }
+    this.updateAnimation();
+};
+
+Partner.prototype.onExitRegroup = function (stateData) {
+    this.isMoving = false;
+};
+
 // DIE状态
 Partner.prototype.onEnterDie = function (stateData) {
     this.status = PARTNER_STATES.DIE;
     this.isMoving = false;
     this.deathAnimationTime = 0;
     this.playDeathAnimation();
+
+    // 🔴 新增：感染状态下死亡，尸体延迟尸变
+    if (window.infectionManager) {
+        window.infectionManager.onPartnerDied(this);
+    }
 };
 
 Partner.prototype.onUpdateDie = function (stateData) {
     // 死亡状态：播放死亡动画
-    this.deathAnimationTime += 1/60; // 固定60fps
+    this.deathAnimationTime += this.deltaTime;
     this.updateAnimation();
 
     // 死亡动画持续2秒
@@ -300,7 +505,9 @@ Partner.prototype.updateFollowMovement = function () {
     var moveThreshold = partnerConfig ? partnerConfig.FOLLOW.MOVE_THRESHOLD : 5;
 
     if (distance > moveThreshold) { // 从配置获取移动阈值
-        var angle = Math.atan2(this.followPoint.y - this.y, this.followPoint.x - this.x);
+        // 🔴 新增：通过导航系统绕开建筑物，视线通畅时路点就是跟随点本身
+        var waypoint = movementController.getPathWaypoint(this, this.followPoint.x, this.followPoint.y);
+        var angle = Math.atan2(waypoint.y - this.y, waypoint.x - this.x);
         
         // 计算移动方向
         var direction = {
@@ -309,16 +516,56 @@ Partner.prototype.updateFollowMovement = function () {
         };
 
         // 🔴 优化：使用统一移动控制器执行移动
-        var moveSuccess = movementController.executeMove(this, direction, this.moveSpeed);
+        var moveSuccess = movementController.executeMove(this, direction, this.moveSpeed, this.deltaTime);
         
         if (moveSuccess) {
             // 🔴 新增：打印伙伴移动速度
-            console.log('👥 伙伴移动 - 速度:', this.moveSpeed, '移动距离:', this.moveSpeed, '伙伴ID:', this.id, '伙伴类型:', this.role);
+            console.log('👥 伙伴移动 - 速度:', this.moveSpeed, '移动距离:', this.moveSpeed * this.deltaTime, '伙伴ID:', this.id, '伙伴类型:', this.role);
         }
     }
 };
 
+// 🔴 新增：沿导航路点向目标移动
+Partner.prototype.moveTowards = function (targetX, targetY, speed) {
+    var movementController = UtilsManager.getMovementController();
+    var waypoint = movementController.getPathWaypoint(this, targetX, targetY);
+    var angle = Math.atan2(waypoint.y - this.y, waypoint.x - this.x);
+    var direction = {x: Math.cos(angle), y: Math.sin(angle)};
+
+    return movementController.executeMove(this, direction, speed, this.deltaTime);
+};
+
+// 🔴 新增：移动到指令点（坚守点或守卫岗位），返回是否仍在移动
+Partner.prototype.moveToOrderPoint = function () {
+    if (!this.orderPoint) {
+        this.isMoving = false;
+        return false;
+    }
+
+    this.isMoving = this.getDistanceTo(this.orderPoint.x, this.orderPoint.y) > getSquadConfig().ARRIVE_DISTANCE;
+    if (this.isMoving) {
+        this.moveTowards(this.orderPoint.x, this.orderPoint.y, this.moveSpeed);
+    }
+    return this.isMoving;
+};
+
+// 🔴 新增：原地攻击射程内最近的僵尸（坚守时使用）
+Partner.prototype.updateStationaryAttack = function () {
+    if (this.stance === SQUAD_STANCE.PASSIVE) return;
+
+    this.attackCooldown += this.deltaTime;
+
+    var attackJudgmentConfig = window.ConfigManager ? window.ConfigManager.get('COMBAT.ATTACK_JUDGMENT') : {RANGE_BUFFER: 5};
+    this.attackTarget = this.findNearestZombie(this.x, this.y, this.attackRange + attackJudgmentConfig.RANGE_BUFFER);
+
+    if (this.attackTarget && this.attackCooldown >= WeaponSystem.getAttackInterval(this)) {
+        this.performAttack();
+        this.attackCooldown = 0;
+    }
+};
+
 // 计算跟随点
+// 🔴 优化：跟随点取阵型槽位（formationManager），没有槽位时退回主人物正后方
 Partner.prototype.calculateFollowPoint = function () {
     var mainChar = this.getMainCharacter();
     if (!mainChar) return;
@@ -329,49 +576,22 @@ Partner.prototype.calculateFollowPoint = function () {
         this.lastMainCharPosition.y = mainChar.y;
     }
 
-    // 计算主人物移动方向
-    var mainCharDirection = this.getMainCharacterDirection();
-
-    // 🔴 新增：计算伙伴在队伍中的位置和对应的跟随角度
-    var partnerIndex = this.getPartnerIndexInTeam();
-    var baseFollowAngle = this.calculateBaseFollowAngle(mainCharDirection);
-    var spreadAngle = this.calculateSpreadAngle(partnerIndex);
-
-    // 跟随角度 = 基础跟随角度 + 分散角度
-    this.followAngle = baseFollowAngle + spreadAngle;
-
-    // 🔴 新增：计算动态跟随距离，避免完全重叠
-    var dynamicFollowDistance = this.calculateDynamicFollowDistance(partnerIndex);
-
-    // 跟随点在主人物后方，距离dynamicFollowDistance
-    this.followPoint.x = mainChar.x + Math.cos(this.followAngle) * dynamicFollowDistance;
-    this.followPoint.y = mainChar.y + Math.sin(this.followAngle) * dynamicFollowDistance;
+    var slotPosition = window.formationManager ? window.formationManager.getSlotPosition(this, mainChar) : null;
+    if (slotPosition) {
+        this.followPoint.x = slotPosition.x;
+        this.followPoint.y = slotPosition.y;
+    } else {
+        // 跟随点在主人物后方，距离followDistance
+        this.followAngle = this.calculateBaseFollowAngle(this.getMainCharacterDirection());
+        this.followPoint.x = mainChar.x + Math.cos(this.followAngle) * this.followDistance;
+        this.followPoint.y = mainChar.y + Math.sin(this.followAngle) * this.followDistance;
+    }
 
     // 记录主人物位置
     this.lastMainCharPosition.x = mainChar.x;
     this.lastMainCharPosition.y = mainChar.y;
 };
 
-// 🔴 新增：获取伙伴在队伍中的索引
-Partner.prototype.getPartnerIndexInTeam = function () {
-    if (!window.objectManager) return 0;
-
-    var allPartners = window.objectManager.getAllPartners();
-    if (!allPartners || allPartners.length === 0) return 0;
-
-    // 按ID排序，确保稳定的索引
-    allPartners.sort((a, b) => a.id.localeCompare(b.id));
-
-    // 找到当前伙伴的索引
-    for (var i = 0; i < allPartners.length; i++) {
-        if (allPartners[i].id === this.id) {
-            return i;
-        }
-    }
-
-    return 0;
-};
-
 // 🔴 新增：计算基础跟随角度
 Partner.prototype.calculateBaseFollowAngle = function (mainCharDirection) {
     // 如果主人物没有移动，使用伙伴到主角的方向作为跟随方向
@@ -389,51 +609,16 @@ Partner.prototype.calculateBaseFollowAngle = function (mainCharDirection) {
     }
 };
 
-// 🔴 新增：计算分散角度
-Partner.prototype.calculateSpreadAngle = function (partnerIndex) {
-    // 从配置获取伙伴跟随配置
-    var partnerConfig = window.ConfigManager ? window.ConfigManager.get('PARTNER') : null;
-    var spreadConfig = partnerConfig ? partnerConfig.FOLLOW.SPREAD : {
-        ANGLE_RANGE: Math.PI / 3,  // 60度范围
-        MAX_PARTNERS: 5            // 最大伙伴数
-    };
-
-    var angleRange = spreadConfig.ANGLE_RANGE || Math.PI / 3;
-    var maxPartners = spreadConfig.MAX_PARTNERS || 5;
-
-    // 计算每个伙伴的角度间隔
-    var angleStep = angleRange / Math.max(1, maxPartners - 1);
-
-    // 计算当前伙伴的分散角度（相对于中心位置）
-    var spreadAngle = (partnerIndex - (maxPartners - 1) / 2) * angleStep;
-
-    // 限制角度范围
-    spreadAngle = Math.max(-angleRange / 2, Math.min(angleRange / 2, spreadAngle));
-
-    return spreadAngle;
-};
-
-// 🔴 新增：计算动态跟随距离
-Partner.prototype.calculateDynamicFollowDistance = function (partnerIndex) {
-    // 从配置获取伙伴跟随配置
-    var partnerConfig = window.ConfigManager ? window.ConfigManager.get('PARTNER') : null;
-    var spreadConfig = partnerConfig ? partnerConfig.FOLLOW.SPREAD : {
-        DISTANCE_VARIATION: 20  // 距离变化范围
-    };
-
-    var distanceVariation = spreadConfig.DISTANCE_VARIATION || 20;
-
-    // 基于伙伴索引计算距离变化
-    var distanceOffset = (partnerIndex % 3) * (distanceVariation / 2);
+// 🔴 新增：是否已到达跟随点（主人物停下后伙伴先归位再待机，走不到槽位时超时放弃）
+Partner.prototype.isSettledAtFollowPoint = function (settleTime) {
+    var formationConfig = window.ConfigManager ? window.ConfigManager.safeGet('PARTNER.FORMATION', null) : null;
+    var settleDistance = formationConfig ? formationConfig.SETTLE_DISTANCE : 12;
+    var settleTimeout = formationConfig ? formationConfig.SETTLE_TIMEOUT : 2;
 
-    // 基础跟随距离 + 距离变化
-    var dynamicDistance = this.followDistance + distanceOffset;
+    if (settleTime >= settleTimeout) return true;
 
-    // 确保距离在合理范围内
-    var minDistance = this.followDistance - distanceVariation / 2;
-    var maxDistance = this.followDistance + distanceVariation / 2;
-
-    return Math.max(minDistance, Math.min(maxDistance, dynamicDistance));
+    this.calculateFollowPoint();
+    return this.getDistanceTo(this.followPoint.x, this.followPoint.y) <= settleDistance;
 };
 
 // 更新攻击
@@ -450,21 +635,16 @@ Partner.prototype.updateAttack = function () {
     var effectiveAttackRange = this.attackRange + attackJudgmentConfig.RANGE_BUFFER;
     if (distance <= effectiveAttackRange) { // 使用配置的攻击范围
         // 在攻击范围内，执行攻击
-        // 🔴 修复：使用帧数计算冷却时间，而不是deltaTime
-        if (!this._attackFrameCount) this._attackFrameCount = 0;
-        this._attackFrameCount++;
+        // 🔴 修复：按逻辑步长累计冷却时间（秒），与设备帧率无关
+        this.attackCooldown += this.deltaTime;
 
-        // 🔴 修复：从配置获取攻击间隔
-        var combatConfig = window.ConfigManager ? window.ConfigManager.get('COMBAT') : null;
-        var attackInterval = combatConfig ? combatConfig.DEFAULT_ATTACK_INTERVAL : 0.5; // 从配置获取攻击间隔
+        // 🔴 修复：攻击间隔由装备的武器决定，空手时使用配置的默认间隔
+        var attackInterval = WeaponSystem.getAttackInterval(this);
 
-        // 🔴 修复：将攻击间隔转换为帧数（假设60FPS）
-        var attackIntervalFrames = Math.round(attackInterval * 60);
-
-        // 🔴 修复：如果冷却帧数到了，立即攻击
-        if (this._attackFrameCount >= attackIntervalFrames) {
+        // 🔴 修复：如果冷却时间到了，立即攻击
+        if (this.attackCooldown >= attackInterval) {
             this.performAttack();
-            this._attackFrameCount = 0;
+            this.attackCooldown = 0;
         }
     } else {
         // 不在攻击范围内，移动到攻击距离
@@ -524,7 +704,7 @@ Partner.prototype.moveToAttackRange = function () {
         };
 
         // 🔴 优化：使用统一移动控制器执行移动
-        movementController.executeMove(this, direction, this.moveSpeed);
+        movementController.executeMove(this, direction, this.moveSpeed, this.deltaTime);
     }
 };
 
@@ -532,8 +712,8 @@ Partner.prototype.moveToAttackRange = function () {
 Partner.prototype.performAttack = function () {
     if (!this.attackTarget || this.attackTarget.hp <= 0) return;
 
-    // 对僵尸造成伤害
-    this.attackTarget.takeDamage(this.attack);
+    // 🔴 修复：使用装备的武器对僵尸造成伤害（空手时使用基础攻击力）
+    WeaponSystem.performAttack(this, this.attackTarget);
 
     // 播放攻击动画
     this.playAttackAnimation();
@@ -546,8 +726,8 @@ Partner.prototype.checkCollision = function (fromX, fromY, toX, toY) {
     }
 
     if (window.collisionSystem.getWallFollowingPosition) {
-        // 🔴 简化：直接使用每帧移动距离
-        var moveDistance = this.moveSpeed; // 直接使用像素/帧
+        // 🔴 修复：移动速度为像素/秒，换算为本步移动距离
+        var moveDistance = this.moveSpeed * this.deltaTime;
         var safePos = window.collisionSystem.getWallFollowingPosition(fromX, fromY, toX, toY, this.radius || 16, moveDistance);
 
         if (safePos) {
@@ -636,6 +816,45 @@ Partner.prototype.hasZombieInRange = function (range) {
     });
 };
 
+// 🔴 新增：按姿态判断是否主动攻击范围内的僵尸（消极姿态不主动攻击）
+Partner.prototype.shouldEngage = function (range) {
+    return this.stance !== SQUAD_STANCE.PASSIVE && this.hasZombieInRange(range);
+};
+
+// 🔴 新增：查找指定位置范围内最近的僵尸
+Partner.prototype.findNearestZombie = function (x, y, range) {
+    if (!window.zombieManager) return null;
+
+    var mathUtils = UtilsManager.getMathUtils();
+    var nearest = null;
+    var nearestDistance = range;
+
+    window.zombieManager.getAllZombies().forEach(zombie => {
+        if (zombie.hp <= 0) return;
+
+        var distance = mathUtils.distance(x, y, zombie.x, zombie.y);
+        if (distance <= nearestDistance) {
+            nearest = zombie;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+};
+
+// 🔴 新增：守卫区域内是否有伙伴能攻击到的僵尸（检测范围内且在守卫半径内）
+Partner.prototype.hasGuardThreat = function () {
+    if (!this.guardCenter || this.stance === SQUAD_STANCE.PASSIVE || !window.zombieManager) return false;
+
+    var guardRadius = getSquadConfig().GUARD_RADIUS;
+    var mathUtils = UtilsManager.getMathUtils();
+
+    return window.zombieManager.getAllZombies().some(zombie => {
+        return zombie.hp > 0 &&
+            mathUtils.distance(this.guardCenter.x, this.guardCenter.y, zombie.x, zombie.y) <= guardRadius &&
+            mathUtils.distance(this.x, this.y, zombie.x, zombie.y) <= this.detectionRange;
+    });
+};
+
 // 计算距离
 Partner.prototype.getDistanceTo = function (targetX, targetY) {
     var dx = this.x - targetX;
@@ -646,7 +865,6 @@ Partner.prototype.getDistanceTo = function (targetX, targetY) {
 // 🔴 优化：更新动画 - 使用统一动画系统
 Partner.prototype.updateAnimation = function () {
     var animationSystem = UtilsManager.getAnimationSystem();
-    var deltaTime = 1/60; // 固定60fps
 
     // 根据状态调整动画类型
     var animationType = 'default';
@@ -665,7 +883,7 @@ Partner.prototype.updateAnimation = function () {
     }
 
     // 使用统一动画系统更新动画帧
-    this.animationFrame = animationSystem.updateAnimationFrame(this, deltaTime);
+    this.animationFrame = animationSystem.updateAnimationFrame(this, this.deltaTime);
 };
 
 // 🔴 优化：使用统一动画系统播放攻击动画
@@ -702,6 +920,14 @@ Partner.prototype.takeDamage = function (damage) {
 
     console.log('伙伴攻击后血量:', this.hp);
 
+    // 🔴 新增：受伤血花和伤害数字
+    if (window.effectManager) {
+        window.effectManager.emit('blood', this.x, this.y);
+    }
+    if (window.combatTextManager) {
+        window.combatTextManager.showDamage(this, damage, false);
+    }
+
     // 🔴 修复：受到伤害后立即检查血量，如果血量归零则触发死亡
     if (this.hp <= 0) {
         if (this.stateMachine && this.stateMachine.currentState !== PARTNER_STATES.DIE) {
@@ -746,19 +972,7 @@ Partner.prototype.handleCollisionWithMainCharacter = function (distance) {
         this.adjustPositionToAvoidOverlap();
     }
 
-    // 🔴 核心：如果还在INIT状态，强制转换为跟随状态
-    if (this.status === PARTNER_STATES.INIT) {
-        if (this.stateMachine) {
-            this.stateMachine.forceState(PARTNER_STATES.FOLLOW);
-        }
-    }
-
-    // 更新跟随点，确保跟随逻辑正确
-    this.calculateFollowPoint();
-
-    // 标记伙伴为活跃状态
-    this.isActive = true;
-    this.isInitialState = false;
+    // 🔴 修改：碰撞不再让INIT状态的幸存者自动加入，需通过招募提示招募
 };
 
 // 🔴 新增：确保伙伴已注册到对象管理模块
@@ -768,7 +982,7 @@ Partner.prototype.ensureRegisteredInObjectManager = function () {
     }
 
     // 检查是否已经注册
-    var existingPartner = window.objectManager.getObject(this.id);
+    var existingPartner = window.objectManager.getObjectInfo(this.id); // 🔴 修复：对象管理器没有getObject方法
     if (!existingPartner) {
         // 如果未注册，则注册到对象管理器
         window.objectManager.registerObject(this, 'partner', this.id);
@@ -825,6 +1039,7 @@ Partner.prototype.debugFollowStatus = function () {
 
 // 🔴 新增：强制跟随方法（用于测试）
 Partner.prototype.forceFollow = function () {
+    this.recruited = true;
     if (this.stateMachine) {
         this.stateMachine.forceState(PARTNER_STATES.FOLLOW);
     }
@@ -852,38 +1067,11 @@ var PartnerManager = {
         // 伙伴对象池初始化完成
     },
 
-    // 🔴 优化：重置伙伴状态（使用统一控制器）
+    // 🔴 优化：重置伙伴状态（🔴 修改：统一走Partner.prototype.reset，不再维护两份重置逻辑）
     resetPartner: function (partner) {
         if (!partner) return;
 
-        var movementController = UtilsManager.getMovementController();
-        var animationSystem = UtilsManager.getAnimationSystem();
-
-        // 重置基础属性
-        partner.hp = partner.maxHp || 50;
-        partner.status = PARTNER_STATES.IDLE;
-        partner.isMoving = false;
-        partner.targetX = partner.x;
-        partner.targetY = partner.y;
-        partner.attackCooldown = 0;
-        partner.attackTarget = null;
-        partner.stuckTime = 0;
-        partner.lastPosition = null;
-
-        // 🔴 优化：使用统一移动控制器重置移动速度
-        movementController.resetMoveSpeed(partner, 'partner', partner.role);
-
-        // 🔴 优化：使用统一动画系统重置动画速度
-        animationSystem.resetAnimationSpeed(partner);
-        partner.animationFrame = 0;
-        partner.frameCount = 0;
-
-        // 重置状态机
-        if (partner.stateMachine) {
-            partner.stateMachine.forceState(PARTNER_STATES.IDLE);
-        }
-
-        // 伙伴状态重置完成
+        partner.reset();
     },
 
     // 创建伙伴
@@ -943,18 +1131,27 @@ var PartnerManager = {
         return window.objectManager.getAllPartners();
     },
 
+    // 🔴 新增：获取已招募且存活的伙伴（队伍成员，食物、阵型、指令、招募等模块共用）
+    getRecruitedPartners: function () {
+        return this.getAllPartners().filter(partner => partner.hp > 0 && !partner.isInitialState && partner.status !== PARTNER_STATES.DIE);
+    },
+
     // 更新所有伙伴
-    updateAllPartners: function () {
+    // 🔴 修复：deltaTime为固定步长（秒），由游戏循环传入
+    updateAllPartners: function (deltaTime) {
         var partners = this.getAllPartners();
+        var stepTime = deltaTime || UtilsManager.getTimeUtils().getFixedDeltaTime();
 
         partners.forEach(partner => {
+            partner.deltaTime = stepTime;
+
             // 🔴 修复：首先检查血量，如果血量小于等于0，立即切换到死亡状态
             if (partner.hp <= 0 && partner.stateMachine.currentState !== PARTNER_STATES.DIE) {
                 partner.stateMachine.forceState(PARTNER_STATES.DIE);
             }
 
             if (partner.stateMachine) {
-                partner.stateMachine.update();
+                partner.stateMachine.update(stepTime);
             }
         });
     },
@@ -1032,7 +1229,7 @@ var PartnerManager = {
 
         for (var i = 0; i < partnerCount; i++) {
             // 随机选择职业
-            var role = partnerRoles[Math.floor(Math.random() * partnerRoles.length)];
+            var role = RandomManager.getStream(RANDOM_STREAM.SPAWN).pick(partnerRoles);
 
             // 生成安全位置
             var safePosition = null;
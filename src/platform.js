@@ -0,0 +1,439 @@
+/**
+ * 平台适配模块 (platform.js)
+ *
+ * 功能：
+ * - 抽象运行平台能力：画布、触摸、本地存储、剪贴板、系统信息、帧调度、切到后台
+ * - 抖音小游戏实现：直接转发到 tt.*
+ * - 浏览器实现：DOM画布、鼠标/触摸事件转换为小游戏触摸格式、localStorage
+ * - 无头实现：Node进程中使用空绘制画布、内存存储、可注入的触摸事件
+ * - 其他模块只通过 Platform 访问平台能力，不再直接调用 tt.*
+ *
+ * 触摸回调统一收到 {touches, changedTouches}，每个触摸点包含 identifier、clientX、clientY
+ * onTouchXxx 返回取消监听函数
+ *
+ * 运行方式：
+ * - 抖音：game.js 为入口，自动使用抖音实现
+ * - 浏览器：通过静态服务器打开 index.html
+ * - 无头：node --experimental-default-type=module 导入 game.js，再调用 window.startGame()
+ */
+
+// 🔴 Node等没有window的环境中，把全局对象作为window，供各模块的 window.* 全局变量使用
+if (typeof window === 'undefined') {
+    globalThis.window = globalThis;
+}
+
+// 触摸事件类型
+const TOUCH_EVENTS = ['touchstart', 'touchmove', 'touchend', 'touchcancel'];
+
+// 无头模式默认屏幕尺寸
+const HEADLESS_SYSTEM_INFO = {
+    windowWidth: 375, windowHeight: 667, pixelRatio: 1, platform: 'headless'
+};
+
+// 获取当前时间戳（毫秒）
+function getNow() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+// 创建触摸事件分发器，浏览器和无头实现共用
+function createTouchHub() {
+    var handlers = {};
+    TOUCH_EVENTS.forEach(type => {
+        handlers[type] = [];
+    });
+
+    return {
+        add: function (type, handler) {
+            handlers[type].push(handler);
+            return function () {
+                var index = handlers[type].indexOf(handler);
+                if (index !== -1) {
+                    handlers[type].splice(index, 1);
+                }
+            };
+        },
+
+        emit: function (type, event) {
+            // 复制一份，回调中取消监听不影响本次分发
+            handlers[type].slice().forEach(handler => handler(event));
+        }
+    };
+}
+
+// 创建单个触摸点
+function createTouchPoint(identifier, x, y) {
+    return {identifier: identifier, clientX: x, clientY: y, pageX: x, pageY: y};
+}
+
+// 创建无头2D绘制上下文：绘制调用全部为空操作，属性可正常读写
+function createHeadlessContext(canvas) {
+    var noop = function () {
+    };
+    var gradient = {addColorStop: noop};
+    var target = {
+        canvas: canvas,
+        font: '10px sans-serif',
+        createLinearGradient: () => gradient,
+        createRadialGradient: () => gradient,
+        createPattern: () => null,
+        measureText: function (text) {
+            var fontSize = parseInt(this.font, 10) || 10;
+            return {width: String(text).length * fontSize * 0.6};
+        },
+        getImageData: (x, y, width, height) => ({width: width, height: height, data: new Uint8ClampedArray(width * height * 4)}),
+        getLineDash: () => [],
+        getTransform: () => ({a: 1, b: 0, c: 0, d: 1, e: 0, f: 0}),
+        isPointInPath: () => false
+    };
+
+    return new Proxy(target, {
+        get: function (obj, prop) {
+            return prop in obj ? obj[prop] : noop;
+        }
+    });
+}
+
+// 创建无头画布
+function createHeadlessCanvas(width, height) {
+    var canvas = {
+        width: width,
+        height: height,
+        style: {},
+        addEventListener: function () {
+        },
+        removeEventListener: function () {
+        },
+        getBoundingClientRect: function () {
+            return {left: 0, top: 0, width: this.width, height: this.height};
+        }
+    };
+    var context = createHeadlessContext(canvas);
+    canvas.getContext = () => context;
+    return canvas;
+}
+
+// 抖音小游戏平台
+const DouyinPlatform = {
+    name: 'douyin',
+
+    getSystemInfo: function () {
+        return tt.getSystemInfoSync();
+    },
+
+    createCanvas: function () {
+        return tt.createCanvas();
+    },
+
+    // 注册触摸回调，返回取消监听函数
+    listenTouch: function (onName, offName, handler) {
+        tt[onName](handler);
+        return function () {
+            if (typeof tt[offName] === 'function') {
+                tt[offName](handler);
+            }
+        };
+    },
+
+    onTouchStart: function (handler) {
+        return this.listenTouch('onTouchStart', 'offTouchStart', handler);
+    },
+
+    onTouchMove: function (handler) {
+        return this.listenTouch('onTouchMove', 'offTouchMove', handler);
+    },
+
+    onTouchEnd: function (handler) {
+        return this.listenTouch('onTouchEnd', 'offTouchEnd', handler);
+    },
+
+    onTouchCancel: function (handler) {
+        return this.listenTouch('onTouchCancel', 'offTouchCancel', handler);
+    },
+
+    onHide: function (handler) {
+        if (typeof tt.onHide === 'function') {
+            tt.onHide(handler);
+        }
+    },
+
+    hasStorage: function () {
+        return typeof tt.setStorageSync === 'function' && typeof tt.getStorageSync === 'function';
+    },
+
+    getStorage: function (key) {
+        return tt.getStorageSync(key);
+    },
+
+    setStorage: function (key, value) {
+        tt.setStorageSync(key, value);
+    },
+
+    removeStorage: function (key) {
+        if (typeof tt.removeStorageSync === 'function') {
+            tt.removeStorageSync(key);
+        } else {
+            tt.setStorageSync(key, '');
+        }
+    },
+
+    setClipboard: function (text) {
+        if (typeof tt.setClipboardData === 'function') {
+            tt.setClipboardData({data: text});
+        }
+    },
+
+    requestAnimationFrame: function (callback) {
+        return requestAnimationFrame(callback);
+    },
+
+    cancelAnimationFrame: function (id) {
+        cancelAnimationFrame(id);
+    },
+
+    now: getNow
+};
+
+// 浏览器平台：鼠标按下拖动等同于单指触摸
+const BrowserPlatform = {
+    name: 'browser',
+    canvas: null,
+    touchHub: null,
+    isMouseDown: false,
+
+    getSystemInfo: function () {
+        return {
+            windowWidth: window.innerWidth,
+            windowHeight: window.innerHeight,
+            pixelRatio: window.devicePixelRatio || 1,
+            platform: 'browser'
+        };
+    },
+
+    createCanvas: function () {
+        var canvas = document.getElementById('game-canvas');
+        if (!canvas) {
+            canvas = document.createElement('canvas');
+            canvas.id = 'game-canvas';
+            document.body.appendChild(canvas);
+        }
+
+        this.canvas = canvas;
+        return canvas;
+    },
+
+    // 首次注册触摸回调时绑定DOM事件
+    ensureTouchHub: function () {
+        if (this.touchHub) {
+            return this.touchHub;
+        }
+
+        var self = this;
+        var hub = createTouchHub();
+        var target = this.canvas || window;
+        this.touchHub = hub;
+
+        // 触摸事件坐标转换为画布坐标
+        var toCanvasTouches = function (touchList) {
+            var rect = self.canvas ? self.canvas.getBoundingClientRect() : {left: 0, top: 0};
+            var touches = [];
+            for (var i = 0; i < touchList.length; i++) {
+                touches.push(createTouchPoint(touchList[i].identifier, touchList[i].clientX - rect.left, touchList[i].clientY - rect.top));
+            }
+            return touches;
+        };
+
+        TOUCH_EVENTS.forEach(type => {
+            target.addEventListener(type, function (e) {
+                hub.emit(type, {
+                    touches: toCanvasTouches(e.touches), changedTouches: toCanvasTouches(e.changedTouches)
+                });
+            }, {passive: true});
+        });
+
+        // 鼠标事件模拟单指触摸
+        var emitMouse = function (type, e, pressed) {
+            var rect = self.canvas ? self.canvas.getBoundingClientRect() : {left: 0, top: 0};
+            var point = createTouchPoint(0, e.clientX - rect.left, e.clientY - rect.top);
+            hub.emit(type, {touches: pressed ? [point] : [], changedTouches: [point]});
+        };
+
+        target.addEventListener('mousedown', function (e) {
+            self.isMouseDown = true;
+            emitMouse('touchstart', e, true);
+        });
+        window.addEventListener('mousemove', function (e) {
+            if (self.isMouseDown) {
+                emitMouse('touchmove', e, true);
+            }
+        });
+        window.addEventListener('mouseup', function (e) {
+            if (self.isMouseDown) {
+                self.isMouseDown = false;
+                emitMouse('touchend', e, false);
+            }
+        });
+
+        return hub;
+    },
+
+    onTouchStart: function (handler) {
+        return this.ensureTouchHub().add('touchstart', handler);
+    },
+
+    onTouchMove: function (handler) {
+        return this.ensureTouchHub().add('touchmove', handler);
+    },
+
+    onTouchEnd: function (handler) {
+        return this.ensureTouchHub().add('touchend', handler);
+    },
+
+    onTouchCancel: function (handler) {
+        return this.ensureTouchHub().add('touchcancel', handler);
+    },
+
+    onHide: function (handler) {
+        document.addEventListener('visibilitychange', function () {
+            if (document.visibilityState === 'hidden') {
+                handler();
+            }
+        });
+    },
+
+    hasStorage: function () {
+        return !!window.localStorage;
+    },
+
+    getStorage: function (key) {
+        return window.localStorage.getItem(key);
+    },
+
+    setStorage: function (key, value) {
+        window.localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+    },
+
+    removeStorage: function (key) {
+        window.localStorage.removeItem(key);
+    },
+
+    setClipboard: function (text) {
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(text).catch(error => console.warn('⚠️ 写入剪贴板失败:', error.message));
+        }
+    },
+
+    requestAnimationFrame: function (callback) {
+        return window.requestAnimationFrame(callback);
+    },
+
+    cancelAnimationFrame: function (id) {
+        window.cancelAnimationFrame(id);
+    },
+
+    now: getNow
+};
+
+// 无头平台：Node进程中运行完整启动流程，触摸和切后台通过 dispatchTouch / dispatchHide 注入
+const HeadlessPlatform = {
+    name: 'headless',
+    systemInfo: HEADLESS_SYSTEM_INFO,
+    touchHub: createTouchHub(),
+    hideHandlers: [],
+    storage: new Map(),
+    clipboard: '',
+    frameInterval: 1000 / 60,
+
+    getSystemInfo: function () {
+        return Object.assign({}, this.systemInfo);
+    },
+
+    createCanvas: function () {
+        return createHeadlessCanvas(this.systemInfo.windowWidth, this.systemInfo.windowHeight);
+    },
+
+    onTouchStart: function (handler) {
+        return this.touchHub.add('touchstart', handler);
+    },
+
+    onTouchMove: function (handler) {
+        return this.touchHub.add('touchmove', handler);
+    },
+
+    onTouchEnd: function (handler) {
+        return this.touchHub.add('touchend', handler);
+    },
+
+    onTouchCancel: function (handler) {
+        return this.touchHub.add('touchcancel', handler);
+    },
+
+    // 注入触摸事件（type：touchstart / touchmove / touchend / touchcancel）
+    dispatchTouch: function (type, x, y, identifier = 0) {
+        if (TOUCH_EVENTS.indexOf(type) === -1) {
+            throw new Error('未知的触摸事件类型: ' + type);
+        }
+
+        var point = createTouchPoint(identifier, x, y);
+        var isEnd = type === 'touchend' || type === 'touchcancel';
+        this.touchHub.emit(type, {touches: isEnd ? [] : [point], changedTouches: [point]});
+    },
+
+    onHide: function (handler) {
+        this.hideHandlers.push(handler);
+    },
+
+    // 注入切到后台事件
+    dispatchHide: function () {
+        this.hideHandlers.forEach(handler => handler());
+    },
+
+    hasStorage: function () {
+        return true;
+    },
+
+    getStorage: function (key) {
+        return this.storage.has(key) ? this.storage.get(key) : '';
+    },
+
+    setStorage: function (key, value) {
+        this.storage.set(key, value);
+    },
+
+    removeStorage: function (key) {
+        this.storage.delete(key);
+    },
+
+    // 剪贴板内容保存在 clipboard 字段
+    setClipboard: function (text) {
+        this.clipboard = text;
+    },
+
+    requestAnimationFrame: function (callback) {
+        return setTimeout(() => callback(getNow()), this.frameInterval);
+    },
+
+    cancelAnimationFrame: function (id) {
+        clearTimeout(id);
+    },
+
+    now: getNow
+};
+
+// 检测当前运行平台
+function detectPlatform() {
+    if (typeof tt !== 'undefined' && typeof tt.createCanvas === 'function') {
+        return DouyinPlatform;
+    }
+
+    if (typeof document !== 'undefined' && typeof document.createElement === 'function') {
+        return BrowserPlatform;
+    }
+
+    return HeadlessPlatform;
+}
+
+// 当前平台
+const Platform = detectPlatform();
+
+export {Platform, DouyinPlatform, BrowserPlatform, HeadlessPlatform, detectPlatform};
+export default Platform;
@@ -0,0 +1,208 @@
+/**
+ * 投射物模块 (projectile.js)
+ *
+ * 功能：
+ * - 远程攻击发射投射物，按速度逐步飞行，不再瞬间命中
+ * - 通过碰撞系统检测命中僵尸，建筑物（地图矩阵中不可行走的格子）会挡住投射物
+ * - 道路障碍物同样挡住投射物，并受到投射物的伤害（可破坏的障碍物被打烂后移除）
+ * - 支持穿透：每颗投射物可额外穿透若干僵尸，每穿透一次伤害按比例降低
+ * - 支持伤害衰减：飞行距离超过射程的一定比例后伤害逐渐降低
+ * - 投射物通过对象管理器和对象池管理生命周期，在特效层渲染
+ */
+
+import RandomManager from './random.js';
+
+// 默认投射物配置（会被config.js中的PROJECTILE覆盖）
+const PROJECTILE_DEFAULTS = {
+    SIZE: 6,
+    MAX_PROJECTILES: 300,
+    MAX_DISTANCE_MULTIPLIER: 1.2,
+    FALLOFF_START: 0.5,
+    MIN_DAMAGE_RATIO: 0.4,
+    PIERCE_DAMAGE_RATIO: 0.7,
+    TRAIL_LENGTH: 18,
+    POLICE_SHOT: {SPEED: 700, SPREAD: 0.05, PIERCE: 0, COLOR: '#3498DB'}
+};
+
+// 获取投射物配置
+function getProjectileConfig() {
+    if (window.ConfigManager) {
+        return window.ConfigManager.safeGet('PROJECTILE', PROJECTILE_DEFAULTS);
+    }
+    return PROJECTILE_DEFAULTS;
+}
+
+// 投射物类（中心点坐标）
+var Projectile = function () {
+    this.type = 'projectile';
+    this.id = null;
+    this.reset();
+};
+
+/**
+ * 设置投射物属性
+ * @param {Object} owner - 发射者（主人物或伙伴）
+ * @param {number} angle - 飞行角度（弧度）
+ * @param {Object} options - {damage, speed, range, pierce, color, crit}
+ */
+Projectile.prototype.setup = function (owner, angle, options) {
+    var projectileConfig = getProjectileConfig();
+
+    this.owner = owner;                  // 发射者，命中时记为伤害来源（击杀播报）
+    this.ownerId = owner.id;
+    this.x = owner.x;
+    this.y = owner.y;
+    this.angle = angle;
+    this.vx = Math.cos(angle) * options.speed;
+    this.vy = Math.sin(angle) * options.speed;
+    this.damage = options.damage;
+    this.range = options.range;
+    this.maxDistance = options.range * projectileConfig.MAX_DISTANCE_MULTIPLIER;
+    this.traveled = 0;
+    this.pierce = options.pierce || 0;   // 可额外穿透的僵尸数
+    this.hitIds = [];                    // 已命中的僵尸，避免重复结算
+    this.color = options.color || '#F1C40F';
+    this.isCrit = !!options.crit;
+    this.size = projectileConfig.SIZE;
+    this.width = projectileConfig.SIZE;
+    this.height = projectileConfig.SIZE;
+    this.hp = 1;        // 渲染和对象管理器以hp>0判断存活
+    this.maxHp = 1;
+    this.isActive = true;
+};
+
+// 对象池归还时重置
+Projectile.prototype.reset = function () {
+    this.owner = null;
+    this.ownerId = null;
+    this.x = 0;
+    this.y = 0;
+    this.vx = 0;
+    this.vy = 0;
+    this.traveled = 0;
+    this.hitIds = [];
+    this.hp = 0;
+    this.isActive = false;
+};
+
+// 按飞行距离计算伤害倍率：超过衰减起点后线性降低到最低比例
+Projectile.prototype.getFalloffRatio = function () {
+    var projectileConfig = getProjectileConfig();
+    var progress = this.range > 0 ? this.traveled / this.range : 0;
+    if (progress <= projectileConfig.FALLOFF_START) return 1;
+
+    var t = Math.min(1, (progress - projectileConfig.FALLOFF_START) / (1 - projectileConfig.FALLOFF_START));
+    return 1 - t * (1 - projectileConfig.MIN_DAMAGE_RATIO);
+};
+
+// 计算本次命中的伤害（距离衰减 + 穿透衰减）
+Projectile.prototype.getHitDamage = function () {
+    var pierceRatio = Math.pow(getProjectileConfig().PIERCE_DAMAGE_RATIO, this.hitIds.length);
+    return Math.max(1, Math.round(this.damage * this.getFalloffRatio() * pierceRatio));
+};
+
+// 投射物管理器
+var ProjectileManager = {
+    objectPool: null,
+
+    // 初始化对象池（每局调用）
+    init: function () {
+        if (window.objectPoolManager) {
+            this.objectPool = window.objectPoolManager.recreatePool('projectile', () => new Projectile());
+        }
+    },
+
+    /**
+     * 发射投射物
+     * @param {Object} owner - 发射者
+     * @param {number} angle - 飞行角度（弧度）
+     * @param {Object} options - {damage, speed, range, pierce, color, crit}
+     * @returns {Object|null} 投射物，数量达到上限时返回null
+     */
+    fire: function (owner, angle, options) {
+        if (!window.objectManager) {
+            throw new Error('对象管理器未初始化');
+        }
+
+        if (window.objectManager.getObjectCount('projectile') >= getProjectileConfig().MAX_PROJECTILES) {
+            return null;
+        }
+
+        var projectile = this.objectPool ? this.objectPool.get() : null;
+        if (!projectile) {
+            projectile = new Projectile();
+        }
+
+        projectile.setup(owner, angle, options);
+        projectile.id = RandomManager.nextId('projectile');
+
+        window.objectManager.registerObject(projectile, 'projectile', projectile.id);
+        return projectile;
+    },
+
+    // 移除投射物（对象管理器会把投射物归还到对象池）
+    destroyProjectile: function (projectile) {
+        if (!projectile || !window.objectManager) return;
+
+        if (!window.objectManager.destroyObject(projectile.id)) {
+            console.warn('⚠️ 投射物从对象管理器移除失败:', projectile.id);
+        }
+    },
+
+    getAllProjectiles: function () {
+        return window.objectManager ? window.objectManager.getAllProjectiles() : [];
+    },
+
+    // 每个逻辑步调用：飞行、建筑物阻挡、命中障碍物、命中僵尸
+    updateAllProjectiles: function (deltaTime) {
+        var projectiles = this.getAllProjectiles();
+        if (projectiles.length === 0) return;
+
+        var collisionSystem = window.collisionSystem;
+        var obstacleManager = window.gameEngine ? window.gameEngine.dynamicObstacleManager : null;
+        var zombies = window.zombieManager ? window.zombieManager.getAllZombies().filter(zombie => zombie.hp > 0) : [];
+
+        projectiles.forEach(projectile => {
+            projectile.x += projectile.vx * deltaTime;
+            projectile.y += projectile.vy * deltaTime;
+            projectile.traveled += Math.sqrt(projectile.vx * projectile.vx + projectile.vy * projectile.vy) * deltaTime;
+
+            if (projectile.traveled >= projectile.maxDistance) {
+                this.destroyProjectile(projectile);
+                return;
+            }
+
+            if (collisionSystem && collisionSystem.isProjectileBlocked(projectile.x, projectile.y)) {
+                this.destroyProjectile(projectile);
+                return;
+            }
+
+            // 🔴 新增：击中道路障碍物，对障碍物造成伤害后消失
+            if (obstacleManager && obstacleManager.damageObstacleAt(projectile.x, projectile.y, projectile.getHitDamage(), projectile.size / 2)) {
+                if (window.effectManager) {
+                    window.effectManager.emit('hit_spark', projectile.x, projectile.y);
+                }
+                this.destroyProjectile(projectile);
+                return;
+            }
+
+            var zombie = collisionSystem ? collisionSystem.findCircleHit(projectile.x, projectile.y, projectile.size / 2, zombies, projectile.hitIds) : null;
+            if (!zombie) return;
+
+            zombie.takeDamage(projectile.getHitDamage(), projectile.owner, projectile.isCrit);
+            projectile.hitIds.push(zombie.id);
+
+            if (window.effectManager) {
+                window.effectManager.emit('hit_spark', projectile.x, projectile.y);
+            }
+
+            if (projectile.hitIds.length > projectile.pierce) {
+                this.destroyProjectile(projectile);
+            }
+        });
+    }
+};
+
+// 导出
+export {Projectile, ProjectileManager, PROJECTILE_DEFAULTS};
+export default ProjectileManager;
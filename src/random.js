@@ -0,0 +1,161 @@
+/**
+ * 随机数模块 (random.js)
+ *
+ * 功能：
+ * - 可设定种子的确定性随机数，替代玩法逻辑中的 Math.random
+ * - 命名随机流：spawn（生成）、ai（行为）、loot（掉落）、fx（特效），各流序列互不影响
+ * - 运行种子来自 RANDOM.SEED 配置，为0时每局随机生成；同一种子加同样输入得到同样的世界
+ * - 确定性实体ID序列
+ * - 状态可写入存档，读档后沿原序列继续
+ */
+
+import ConfigManager from './config.js';
+
+// 随机流名称
+const RANDOM_STREAM = {
+    SPAWN: 'spawn',  // 僵尸、伙伴、障碍物生成
+    AI: 'ai',        // 游荡等行为决策
+    LOOT: 'loot',    // 掉落和搜刮
+    FX: 'fx'         // 🔴 新增：粒子特效（纯视觉，不影响玩法）
+};
+
+// 字符串哈希（FNV-1a），由运行种子和流名称派生每个流的种子
+function hashString(text) {
+    var hash = 0x811C9DC5;
+    for (var i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// 随机流（mulberry32算法，32位状态，可序列化）
+var RandomStream = function (name, seed) {
+    this.name = name;
+    this.state = seed >>> 0;
+};
+
+// 返回 [0, 1) 的随机数
+RandomStream.prototype.next = function () {
+    var t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// 返回 [min, max) 的随机数
+RandomStream.prototype.range = function (min, max) {
+    return min + this.next() * (max - min);
+};
+
+// 返回 [min, max) 的随机整数
+RandomStream.prototype.int = function (min, max) {
+    return Math.floor(this.range(min, max));
+};
+
+// 按概率返回true
+RandomStream.prototype.chance = function (probability) {
+    return this.next() < probability;
+};
+
+// 随机选取数组元素
+RandomStream.prototype.pick = function (array) {
+    if (!array || array.length === 0) {
+        return undefined;
+    }
+    return array[Math.floor(this.next() * array.length)];
+};
+
+// 返回 [0, 2π) 的随机角度
+RandomStream.prototype.angle = function () {
+    return this.next() * Math.PI * 2;
+};
+
+// 随机数管理器
+const RandomManager = {
+    seed: 0,
+    streams: {},
+    idSequence: 0,
+    isInitialized: false,
+
+    // 初始化运行种子：优先使用传入的种子，其次是配置，都为0时随机生成
+    init: function (seed) {
+        var configSeed = ConfigManager.safeGet('RANDOM.SEED', 0);
+        this.seed = (seed || configSeed || this.generateSeed()) >>> 0;
+        this.streams = {};
+        this.idSequence = 0;
+        this.isInitialized = true;
+
+        Object.values(RANDOM_STREAM).forEach(name => this.getStream(name));
+
+        console.log('🎲 运行种子:', this.seed);
+        return this.seed;
+    },
+
+    // 生成新的运行种子（唯一允许使用非确定性随机源的地方）
+    generateSeed: function () {
+        return ((Date.now() ^ Math.floor(Math.random() * 0x100000000)) >>> 0) || 1;
+    },
+
+    // 获取运行种子
+    getSeed: function () {
+        if (!this.isInitialized) {
+            this.init();
+        }
+        return this.seed;
+    },
+
+    // 获取命名随机流，不存在时按运行种子派生
+    getStream: function (name) {
+        if (!this.isInitialized) {
+            this.init();
+        }
+
+        if (!this.streams[name]) {
+            this.streams[name] = new RandomStream(name, hashString(this.seed + ':' + name));
+        }
+        return this.streams[name];
+    },
+
+    // 生成确定性实体ID，例如 zombie_12
+    nextId: function (prefix) {
+        if (!this.isInitialized) {
+            this.init();
+        }
+
+        this.idSequence++;
+        return prefix + '_' + this.idSequence;
+    },
+
+    // 导出状态（写入存档）
+    getState: function () {
+        var streams = {};
+        Object.keys(this.streams).forEach(name => {
+            streams[name] = this.streams[name].state;
+        });
+
+        return {
+            seed: this.seed, idSequence: this.idSequence, streams: streams
+        };
+    },
+
+    // 恢复状态（读取存档）
+    setState: function (state) {
+        if (!state || !state.seed) {
+            return;
+        }
+
+        this.seed = state.seed >>> 0;
+        this.streams = {};
+        this.idSequence = state.idSequence || 0;
+        this.isInitialized = true;
+
+        var streamStates = state.streams || {};
+        Object.keys(streamStates).forEach(name => {
+            this.streams[name] = new RandomStream(name, streamStates[name]);
+        });
+    }
+};
+
+export {RANDOM_STREAM, RandomStream, RandomManager};
+export default RandomManager;
@@ -0,0 +1,242 @@
+/**
+ * 招募模块 (recruit.js)
+ *
+ * 功能：
+ * - 主人物靠近未招募的幸存者时弹出招募提示，显示职业、属性和招募所需的食物
+ * - 玩家点“招募”后幸存者才加入队伍（伙伴状态机INIT -> FOLLOW），点“离开”关闭提示，走远后再靠近会重新提示
+ * - 队伍人数达到PARTNER.FOLLOW.SPREAD.MAX_PARTNERS（加上技能树的人数上限加成）时幸存者拒绝加入，食物不够时无法招募
+ * - 招募结果在屏幕上方播报
+ * - 招募指令经录像管理器按逻辑步录制和回放，保证回放一致
+ */
+
+import {getRoleName} from './config.js';
+import PartnerExperience from './experience.js';
+
+// 招募指令前缀（指令格式：recruit:伙伴ID）
+const RECRUIT_COMMAND_PREFIX = 'recruit:';
+
+// 默认招募配置（会被config.js中的RECRUIT覆盖）
+const RECRUIT_DEFAULTS = {
+    PROMPT_DISTANCE: 100,
+    FOOD_COST: {2: 2, 3: 1, 4: 2, 5: 1, 6: 1},
+    PANEL_WIDTH: 240,
+    PANEL_HEIGHT: 130,
+    PANEL_BOTTOM_MARGIN: 200
+};
+
+// 获取招募配置
+function getRecruitConfig() {
+    if (window.ConfigManager) {
+        return window.ConfigManager.safeGet('RECRUIT', RECRUIT_DEFAULTS);
+    }
+    return RECRUIT_DEFAULTS;
+}
+
+// 招募管理器
+var RecruitManager = {
+    promptId: null,         // 当前提示的幸存者ID
+    dismissedIds: [],       // 玩家点了“离开”的幸存者，走远后移除
+
+    // 初始化（每局调用）
+    init: function () {
+        this.promptId = null;
+        this.dismissedIds = [];
+    },
+
+    // 获取已招募且存活的伙伴
+    getMembers: function () {
+        return window.partnerManager ? window.partnerManager.getRecruitedPartners() : [];
+    },
+
+    // 队伍人数上限（🔴 新增：加上技能树领导分支的加成）
+    getMaxMembers: function () {
+        var maxPartners = window.ConfigManager ? window.ConfigManager.safeGet('PARTNER.FOLLOW.SPREAD.MAX_PARTNERS', 5) : 5;
+        return maxPartners + (window.skillTree ? window.skillTree.getEffect('SQUAD_SIZE') : 0);
+    },
+
+    // 队伍是否已满
+    isTeamFull: function () {
+        return this.getMembers().length >= this.getMaxMembers();
+    },
+
+    // 招募所需食物（食物系统关闭时免费）
+    getFoodCost: function (survivor) {
+        var foodEnabled = window.ConfigManager ? window.ConfigManager.safeGet('FOOD.ENABLED', true) : true;
+        if (!foodEnabled) return 0;
+        return getRecruitConfig().FOOD_COST[survivor.role] || 0;
+    },
+
+    // 当前食物数量
+    getFood: function () {
+        return window.gameEngine && window.gameEngine.timeSystem ? window.gameEngine.timeSystem.food : 0;
+    },
+
+    // 每个逻辑步调用（伙伴更新之后）：更新招募提示
+    update: function (deltaTime) {
+        var mainChar = window.objectManager ? window.objectManager.getMainCharacter() : null;
+        if (!mainChar || mainChar.hp <= 0) {
+            this.promptId = null;
+            return;
+        }
+
+        var promptDistance = getRecruitConfig().PROMPT_DISTANCE;
+        var promptDistanceSquared = promptDistance * promptDistance;
+        var nearest = null;
+        var nearestDistanceSquared = promptDistanceSquared;
+        var nearbyIds = [];
+
+        window.objectManager.getAllPartners().forEach(survivor => {
+            if (!survivor.isInitialState || survivor.hp <= 0) return;
+
+            var dx = survivor.x - mainChar.x;
+            var dy = survivor.y - mainChar.y;
+            var distanceSquared = dx * dx + dy * dy;
+            if (distanceSquared > promptDistanceSquared) return;
+
+            nearbyIds.push(survivor.id);
+            if (this.dismissedIds.indexOf(survivor.id) === -1 && distanceSquared <= nearestDistanceSquared) {
+                nearest = survivor;
+                nearestDistanceSquared = distanceSquared;
+            }
+        });
+
+        // 走远后再靠近会重新提示
+        this.dismissedIds = this.dismissedIds.filter(id => nearbyIds.indexOf(id) !== -1);
+        this.promptId = nearest ? nearest.id : null;
+    },
+
+    // 按ID查找未招募且存活的幸存者
+    findSurvivor: function (survivorId) {
+        if (!survivorId || !window.objectManager) return null;
+        return window.objectManager.getAllPartners().find(partner => partner.id === survivorId && partner.isInitialState && partner.hp > 0) || null;
+    },
+
+    // 获取当前提示的幸存者
+    getPromptSurvivor: function () {
+        return this.findSurvivor(this.promptId);
+    },
+
+    /**
+     * 获取招募提示（HUD显示），没有提示时返回null
+     * @param {Object} canvas - 画布，用于计算面板和按钮位置
+     * @returns {Object|null} {survivor, roleName, icon, hp, attack, attackRange, moveSpeed, cost, food, teamFull, canRecruit, panel, buttons}
+     */
+    getPrompt: function (canvas) {
+        var survivor = this.getPromptSurvivor();
+        if (!survivor) return null;
+
+        var config = getRecruitConfig();
+        var cost = this.getFoodCost(survivor);
+        var food = this.getFood();
+        var teamFull = this.isTeamFull();
+
+        var panel = {
+            x: canvas.width / 2 - config.PANEL_WIDTH / 2,
+            y: canvas.height - config.PANEL_BOTTOM_MARGIN - config.PANEL_HEIGHT,
+            width: config.PANEL_WIDTH,
+            height: config.PANEL_HEIGHT
+        };
+        var buttonWidth = (panel.width - 30) / 2;
+        var buttonY = panel.y + panel.height - 42;
+
+        return {
+            survivor: survivor,
+            roleName: getRoleName(survivor.role, '幸存者'),
+            icon: survivor.icon || '🙋',
+            hp: Math.round(survivor.hp),
+            maxHp: Math.round(survivor.maxHp),
+            attack: survivor.attack,
+            attackRange: survivor.attackRange,
+            moveSpeed: Math.round(survivor.moveSpeed),
+            cost: cost,
+            food: food,
+            teamFull: teamFull,
+            canRecruit: !teamFull && food >= cost,
+            panel: panel,
+            buttons: [
+                {action: 'recruit', label: '🤝 招募', x: panel.x + 10, y: buttonY, width: buttonWidth, height: 32},
+                {action: 'dismiss', label: '🚶 离开', x: panel.x + 20 + buttonWidth, y: buttonY, width: buttonWidth, height: 32}
+            ]
+        };
+    },
+
+    /**
+     * 点击检测：点中“招募”返回招募指令（需经录像管理器执行），点中“离开”直接关闭提示
+     * @returns {string|boolean|null} 招募指令；关闭提示返回true；没有点中返回null
+     */
+    hitTest: function (x, y, canvas) {
+        var prompt = this.getPrompt(canvas);
+        if (!prompt) return null;
+
+        var button = prompt.buttons.find(item => x >= item.x && x <= item.x + item.width && y >= item.y && y <= item.y + item.height);
+        if (!button) return null;
+
+        if (button.action === 'dismiss') {
+            this.dismissedIds.push(prompt.survivor.id);
+            this.promptId = null;
+            return true;
+        }
+        return RECRUIT_COMMAND_PREFIX + prompt.survivor.id;
+    },
+
+    // 是否为招募指令
+    isRecruitCommand: function (command) {
+        return typeof command === 'string' && command.indexOf(RECRUIT_COMMAND_PREFIX) === 0;
+    },
+
+    /**
+     * 执行招募指令（由游戏引擎在逻辑步开始时调用）
+     * @param {string} command - recruit:伙伴ID
+     * @returns {boolean} 是否招募成功
+     */
+    execute: function (command) {
+        if (!this.isRecruitCommand(command)) {
+            throw new Error('未知的招募指令: ' + command);
+        }
+
+        var survivor = this.findSurvivor(command.slice(RECRUIT_COMMAND_PREFIX.length));
+        if (!survivor) return false;
+
+        return this.recruit(survivor);
+    },
+
+    // 招募幸存者：队伍已满时拒绝，食物不够时失败，成功后扣除食物
+    recruit: function (survivor) {
+        var roleName = getRoleName(survivor.role, '幸存者');
+
+        if (this.isTeamFull()) {
+            this.announce('🙅 ' + roleName + '拒绝加入：队伍已满', '#E74C3C');
+            return false;
+        }
+
+        var cost = this.getFoodCost(survivor);
+        if (this.getFood() < cost) {
+            this.announce('🍖 食物不足，无法招募' + roleName, '#E67E22');
+            return false;
+        }
+
+        if (cost > 0) {
+            window.gameEngine.foodSystem.spendFood(cost, '招募' + roleName);
+        }
+
+        survivor.recruited = true;
+        this.promptId = null;
+
+        // 🔴 新增：加入后套用技能树的伙伴加成
+        PartnerExperience.applyLevelStats(survivor);
+        this.announce('🤝 ' + (survivor.icon || '') + ' ' + roleName + '加入了队伍', '#2ECC71');
+        console.log('🤝 招募幸存者:', survivor.id, roleName, '消耗食物', cost);
+        return true;
+    },
+
+    // 屏幕播报
+    announce: function (text, color) {
+        if (window.announcer) {
+            window.announcer.announce(text, color);
+        }
+    }
+};
+
+// 导出
+export {RecruitManager, RECRUIT_DEFAULTS, RECRUIT_COMMAND_PREFIX};
+export default RecruitManager;
@@ -0,0 +1,352 @@
+/**
+ * 录像回放模块 (replay.js)
+ *
+ * 功能：
+ * - 每个逻辑步录制一次摇杆输入（方向和力度，按精度量化）
+ * - 🔴 新增：按钮指令（小队指令等）按所在逻辑步录制为 [逻辑步, 指令, ...]，回放时在同一逻辑步执行
+ * - 录像包含配置快照、难度、运行种子和开局存档，保证回放与原局一致
+ * - 回放时由录像代替实时触摸，通过 MovementController.getJoystickDirection 提供输入
+ * - 输入按游程编码压缩为 [次数, x, y, 次数, x, y, ...]，整体导出为JSON字符串
+ * - 对局结束时把最近一次录像写入本地存储，供调试菜单回放
+ */
+
+import ConfigManager, {GAME_CONFIG} from './config.js';
+import RandomManager from './random.js';
+import Platform from './platform.js';
+
+// 录像模式
+const REPLAY_MODE = {
+    IDLE: 'idle',           // 未录制也未回放
+    RECORDING: 'recording', // 录制中
+    REPLAYING: 'replaying'  // 回放中
+};
+
+// 录像格式版本（字段变化时提升）
+const REPLAY_FORMAT_VERSION = 1;
+
+// 录像管理器
+const ReplayManager = {
+    mode: REPLAY_MODE.IDLE,
+    recording: null,         // 当前录像（录制中或回放中）
+    tick: 0,                 // 当前逻辑步
+    input: {x: 0, y: 0},     // 当前逻辑步的输入
+    pendingCommands: [],     // 等待下一逻辑步执行的按钮指令
+    commandIndex: 0,         // 回放游标：下一条指令
+    runIndex: 0,             // 回放游标：当前游程下标
+    runRemaining: 0,         // 回放游标：当前游程剩余步数
+    pendingReplay: null,     // 等待开局后开始回放的录像
+    savedConfig: null,       // 回放前的配置，回放结束后还原
+    savedDifficulty: null,
+
+    // 获取录像配置
+    getReplayConfig: function () {
+        var replayConfig = ConfigManager.safeGet('REPLAY', null);
+        return {
+            autoRecord: replayConfig ? replayConfig.AUTO_RECORD !== false : true,
+            storageKey: replayConfig ? replayConfig.STORAGE_KEY : 'qxing_replay_last',
+            maxTicks: replayConfig ? replayConfig.MAX_TICKS : 108000,
+            precision: replayConfig ? replayConfig.PRECISION : 1000
+        };
+    },
+
+    isRecording: function () {
+        return this.mode === REPLAY_MODE.RECORDING;
+    },
+
+    isReplaying: function () {
+        return this.mode === REPLAY_MODE.REPLAYING;
+    },
+
+    // 录制和回放时输入由录像管理器提供
+    isControllingInput: function () {
+        return this.mode !== REPLAY_MODE.IDLE;
+    },
+
+    // 获取当前逻辑步的输入
+    getInput: function () {
+        return this.input;
+    },
+
+    // 对局开始（进入playing并恢复存档后）：有等待的录像则开始回放，否则按配置开始录制
+    beginRun: function (saveData) {
+        if (this.pendingReplay) {
+            this.startReplay(this.pendingReplay);
+            this.pendingReplay = null;
+            return;
+        }
+
+        if (this.getReplayConfig().autoRecord) {
+            this.startRecording(saveData);
+        }
+    },
+
+    // 开始录制
+    startRecording: function (saveData) {
+        var config = JSON.parse(JSON.stringify(GAME_CONFIG));
+        config.RANDOM = Object.assign({}, config.RANDOM, {SEED: RandomManager.getSeed()});
+
+        this.recording = {
+            version: REPLAY_FORMAT_VERSION,
+            seed: RandomManager.getSeed(),
+            difficulty: ConfigManager.currentDifficulty,
+            precision: this.getReplayConfig().precision,
+            recordedAt: Date.now(),
+            ticks: 0,
+            config: config,
+            saveData: saveData || null,
+            input: [],
+            commands: []
+        };
+        this.mode = REPLAY_MODE.RECORDING;
+        this.tick = 0;
+        this.input = {x: 0, y: 0};
+        this.pendingCommands = [];
+
+        console.log('⏺️ 开始录制输入，运行种子:', this.recording.seed);
+    },
+
+    // 每个逻辑步调用一次（在实体更新之前）
+    updateTick: function (joystick) {
+        if (this.mode === REPLAY_MODE.RECORDING) {
+            this.recordTick(joystick);
+        } else if (this.mode === REPLAY_MODE.REPLAYING) {
+            this.replayTick();
+        }
+    },
+
+    // 录制一个逻辑步：量化摇杆输入，录制时游戏也使用量化后的输入，保证回放一致
+    recordTick: function (joystick) {
+        var precision = this.recording.precision;
+        var qx = 0;
+        var qy = 0;
+
+        if (joystick && joystick.isVisible && joystick.isActive) {
+            var direction = joystick.getMoveDirection();
+            qx = Math.round(direction.x * precision);
+            qy = Math.round(direction.y * precision);
+        }
+
+        var input = this.recording.input;
+        var last = input.length - 3;
+        if (last >= 0 && input[last + 1] === qx && input[last + 2] === qy) {
+            input[last]++;
+        } else {
+            input.push(1, qx, qy);
+        }
+
+        this.input = {x: qx / precision, y: qy / precision};
+        this.recording.ticks++;
+        this.tick++;
+
+        if (this.recording.ticks >= this.getReplayConfig().maxTicks) {
+            console.warn('⚠️ 录像达到最大长度，停止录制');
+            this.stopRecording();
+        }
+    },
+
+    // 🔴 新增：提交按钮指令，下一逻辑步执行（回放时忽略实时点击）
+    queueCommand: function (command) {
+        if (this.mode === REPLAY_MODE.REPLAYING) {
+            return false;
+        }
+        this.pendingCommands.push(command);
+        return true;
+    },
+
+    // 🔴 新增：取出本逻辑步要执行的指令（在 updateTick 之后调用），录制时写入录像
+    takeCommands: function () {
+        if (this.mode === REPLAY_MODE.REPLAYING) {
+            var recorded = this.recording.commands || [];
+            var commands = [];
+            while (this.commandIndex < recorded.length && recorded[this.commandIndex] <= this.tick) {
+                commands.push(recorded[this.commandIndex + 1]);
+                this.commandIndex += 2;
+            }
+            return commands;
+        }
+
+        var pending = this.pendingCommands;
+        this.pendingCommands = [];
+
+        if (this.mode === REPLAY_MODE.RECORDING) {
+            pending.forEach(command => this.recording.commands.push(this.tick, command));
+        }
+        return pending;
+    },
+
+    // 停止录制并把录像写入本地存储
+    stopRecording: function () {
+        if (this.mode !== REPLAY_MODE.RECORDING) {
+            return null;
+        }
+
+        var recording = this.recording;
+        this.mode = REPLAY_MODE.IDLE;
+        this.recording = null;
+        this.input = {x: 0, y: 0};
+
+        if (recording.ticks > 0 && Platform.hasStorage()) {
+            try {
+                Platform.setStorage(this.getReplayConfig().storageKey, this.exportRecording(recording));
+            } catch (error) {
+                console.warn('⚠️ 录像保存失败:', error.message);
+            }
+        }
+
+        console.log('⏹️ 录制结束，共', recording.ticks, '步');
+        return recording;
+    },
+
+    // 导出录像为JSON字符串
+    exportRecording: function (recording = this.recording) {
+        if (!recording) {
+            throw new Error('没有可导出的录像');
+        }
+        return JSON.stringify(recording);
+    },
+
+    // 解析并校验录像
+    importRecording: function (data) {
+        var recording = typeof data === 'string' ? JSON.parse(data) : data;
+
+        if (!recording || recording.version !== REPLAY_FORMAT_VERSION) {
+            throw new Error('录像格式不支持: ' + (recording ? recording.version : '空'));
+        }
+
+        if (!recording.config || !Array.isArray(recording.input) || recording.input.length % 3 !== 0) {
+            throw new Error('录像数据损坏');
+        }
+
+        // 🔴 新增：旧录像没有按钮指令
+        if (recording.commands !== undefined && (!Array.isArray(recording.commands) || recording.commands.length % 2 !== 0)) {
+            throw new Error('录像数据损坏');
+        }
+
+        return recording;
+    },
+
+    // 读取最近一次录像，不存在或损坏时返回null
+    loadLastRecording: function () {
+        if (!Platform.hasStorage()) {
+            return null;
+        }
+
+        try {
+            var raw = Platform.getStorage(this.getReplayConfig().storageKey);
+            return raw ? this.importRecording(raw) : null;
+        } catch (error) {
+            console.warn('⚠️ 录像读取失败:', error.message);
+            return null;
+        }
+    },
+
+    // 准备回放：应用录像的配置快照和难度，开局后由 beginRun 开始回放
+    prepareReplay: function (data) {
+        var recording = this.importRecording(data);
+
+        this.savedConfig = JSON.parse(JSON.stringify(GAME_CONFIG));
+        this.savedDifficulty = ConfigManager.currentDifficulty;
+        this.applyConfig(recording.config);
+        ConfigManager.currentDifficulty = recording.difficulty || 'NORMAL';
+
+        this.pendingReplay = recording;
+        return recording;
+    },
+
+    // 开始回放
+    startReplay: function (recording) {
+        this.recording = recording;
+        this.mode = REPLAY_MODE.REPLAYING;
+        this.tick = 0;
+        this.commandIndex = 0;
+        this.pendingCommands = [];
+        this.runIndex = 0;
+        this.runRemaining = recording.input.length > 0 ? recording.input[0] : 0;
+        this.input = {x: 0, y: 0};
+
+        console.log('▶️ 开始回放，运行种子:', recording.seed, '共', recording.ticks, '步');
+    },
+
+    // 回放一个逻辑步
+    replayTick: function () {
+        var input = this.recording.input;
+
+        while (this.runRemaining <= 0) {
+            this.runIndex += 3;
+            if (this.runIndex >= input.length) {
+                this.stopReplay();
+                return;
+            }
+            this.runRemaining = input[this.runIndex];
+        }
+
+        var precision = this.recording.precision;
+        this.input = {x: input[this.runIndex + 1] / precision, y: input[this.runIndex + 2] / precision};
+        this.runRemaining--;
+        this.tick++;
+    },
+
+    // 停止回放并还原配置，之后恢复实时触摸输入
+    stopReplay: function () {
+        if (this.mode !== REPLAY_MODE.REPLAYING) {
+            return;
+        }
+
+        this.mode = REPLAY_MODE.IDLE;
+        this.recording = null;
+        this.input = {x: 0, y: 0};
+        this.restoreConfig();
+
+        console.log('⏹️ 回放结束，共', this.tick, '步');
+    },
+
+    // 对局结束（死亡、返回主菜单、重置）
+    endRun: function () {
+        this.pendingCommands = [];
+        this.stopRecording();
+        this.stopReplay();
+        if (this.pendingReplay) {
+            this.pendingReplay = null;
+            this.restoreConfig();
+        }
+    },
+
+    // 应用配置快照
+    applyConfig: function (config) {
+        Object.keys(config).forEach(key => {
+            ConfigManager.set(key, JSON.parse(JSON.stringify(config[key])));
+        });
+    },
+
+    // 还原回放前的配置
+    restoreConfig: function () {
+        if (!this.savedConfig) {
+            return;
+        }
+
+        this.applyConfig(this.savedConfig);
+        ConfigManager.currentDifficulty = this.savedDifficulty || 'NORMAL';
+        this.savedConfig = null;
+        this.savedDifficulty = null;
+    },
+
+    // 获取最近一次录像的概要（调试菜单显示）
+    getLastRecordingInfo: function () {
+        var recording = this.loadLastRecording();
+        if (!recording) {
+            return null;
+        }
+
+        var fixedStep = recording.config.PERFORMANCE && recording.config.PERFORMANCE.GAME_LOOP ? recording.config.PERFORMANCE.GAME_LOOP.FIXED_TIMESTEP : 1 / 60;
+        return {
+            seed: recording.seed,
+            ticks: recording.ticks,
+            seconds: Math.round(recording.ticks * fixedStep),
+            fromSave: !!recording.saveData,
+            recordedAt: recording.recordedAt
+        };
+    }
+};
+
+export {REPLAY_MODE, ReplayManager};
+export default ReplayManager;
@@ -0,0 +1,579 @@
+/**
+ * 存档模块 (save.js)
+ *
+ * 功能：
+ * - 多个存档位，每个存档位保存元数据：名称、到达天数、队伍人数、难度、地图ID、存档时间
+ * - 序列化当前对局：时间系统（天数、食物、当日时间）、主人物、已招募伙伴、存活僵尸
+ * - 通过 Platform 存储接口写入和读取本地存储（抖音为 tt 存储，浏览器为 localStorage）
+ * - 保存随机数状态（运行种子、各随机流），读档后世界按原序列继续
+ * - 存档格式带版本号，读取旧版本存档时按迁移表逐级升级
+ * - 通过 CharacterManager、PartnerManager、ZombieManager 重建对局
+ */
+
+import ConfigManager from './config.js';
+import {PARTNER_STATES} from './state-machine.js';
+import Platform from './platform.js';
+import RandomManager from './random.js';
+import WeaponSystem from './weapon.js';
+import {SQUAD_COMMAND, SQUAD_STANCE} from './squad.js';
+import PartnerExperience from './experience.js';
+
+// 难度显示名称
+const DIFFICULTY_LABELS = {
+    EASY: '简单', NORMAL: '普通', HARD: '困难'
+};
+
+// 🔴 存档格式迁移表：key为旧版本号，函数把该版本的数据升级到下一个版本
+// 实体字段变化时，提升SAVE.VERSION并在这里追加一条迁移
+const SAVE_MIGRATIONS = {
+    // v1 -> v2：单存档升级为存档位格式，补充元数据
+    1: function (data) {
+        var partners = data.partners || [];
+        data.meta = {
+            name: '',
+            day: data.timeSystem ? data.timeSystem.day : 1,
+            teamSize: 1 + partners.filter(partner => !partner.isInitialState).length,
+            difficulty: 'NORMAL',
+            mapId: 'city',
+            savedAt: data.savedAt || Date.now()
+        };
+        data.version = 2;
+        return data;
+    },
+
+    // 🔴 新增：v2 -> v3：伙伴增加等级和经验，旧存档的伙伴从1级开始
+    2: function (data) {
+        (data.partners || []).forEach(partner => {
+            partner.level = 1;
+            partner.xp = 0;
+        });
+        data.version = 3;
+        return data;
+    }
+};
+
+// 存档管理器
+const SaveManager = {
+    // 当前对局使用的存档位（null表示当前对局不自动存档）
+    activeSlot: null,
+
+    // 是否已检查过旧版单存档
+    legacyChecked: false,
+
+    // 获取存档配置
+    getSaveConfig: function () {
+        var saveConfig = ConfigManager.safeGet('SAVE', null);
+        return {
+            legacyKey: saveConfig ? saveConfig.STORAGE_KEY : 'qxing_save',
+            slotKeyPrefix: saveConfig ? saveConfig.SLOT_KEY_PREFIX : 'qxing_save_slot_',
+            slotCount: saveConfig ? saveConfig.SLOT_COUNT : 3,
+            version: saveConfig ? saveConfig.VERSION : 3
+        };
+    },
+
+    // 检查存储接口是否可用
+    isStorageAvailable: function () {
+        return Platform.hasStorage();
+    },
+
+    // 获取存档位数量
+    getSlotCount: function () {
+        return this.getSaveConfig().slotCount;
+    },
+
+    // 获取存档位的存储键名
+    getSlotKey: function (slot) {
+        return this.getSaveConfig().slotKeyPrefix + slot;
+    },
+
+    // 检查存档位编号是否有效
+    isValidSlot: function (slot) {
+        return typeof slot === 'number' && slot >= 0 && slot < this.getSlotCount();
+    },
+
+    // 获取存档位默认名称
+    getDefaultSlotName: function (slot) {
+        return '存档 ' + (slot + 1);
+    },
+
+    // 获取难度显示名称
+    getDifficultyLabel: function (difficulty) {
+        return DIFFICULTY_LABELS[difficulty] || difficulty || DIFFICULTY_LABELS.NORMAL;
+    },
+
+    // 检查是否存在可继续的存档
+    hasSave: function () {
+        return this.getLatestSlot() !== null;
+    },
+
+    // 列出所有存档位，空存档位的meta为null
+    listSlots: function () {
+        this.migrateLegacySave();
+
+        var slots = [];
+        for (var slot = 0; slot < this.getSlotCount(); slot++) {
+            var data = this.loadSlot(slot);
+            slots.push({
+                slot: slot, empty: !data, meta: data ? data.meta : null
+            });
+        }
+        return slots;
+    },
+
+    // 获取最近保存的存档位
+    getLatestSlot: function () {
+        var latestSlot = null;
+        var latestTime = -1;
+
+        this.listSlots().forEach(info => {
+            if (!info.empty && info.meta.savedAt > latestTime) {
+                latestTime = info.meta.savedAt;
+                latestSlot = info.slot;
+            }
+        });
+
+        return latestSlot;
+    },
+
+    // 获取第一个空存档位
+    findEmptySlot: function () {
+        var emptySlot = this.listSlots().find(info => info.empty);
+        return emptySlot ? emptySlot.slot : null;
+    },
+
+    // 读取原始存储数据
+    readStorage: function (key) {
+        if (!this.isStorageAvailable()) {
+            return null;
+        }
+
+        try {
+            var raw = Platform.getStorage(key);
+            if (!raw) {
+                return null;
+            }
+            return typeof raw === 'string' ? JSON.parse(raw) : raw;
+        } catch (error) {
+            console.warn('⚠️ 存档读取失败:', key, error.message);
+            return null;
+        }
+    },
+
+    // 删除存储数据
+    removeStorage: function (key) {
+        if (!this.isStorageAvailable()) {
+            return;
+        }
+
+        try {
+            Platform.removeStorage(key);
+        } catch (error) {
+            console.warn('⚠️ 存档删除失败:', key, error.message);
+        }
+    },
+
+    // 读取存档位，不存在或损坏时返回null
+    loadSlot: function (slot) {
+        if (!this.isValidSlot(slot)) {
+            return null;
+        }
+
+        var data = this.migrateSaveData(this.readStorage(this.getSlotKey(slot)));
+        if (!data || !data.mainCharacter || !data.timeSystem || !data.meta) {
+            return null;
+        }
+
+        if (!data.meta.name) {
+            data.meta.name = this.getDefaultSlotName(slot);
+        }
+        return data;
+    },
+
+    // 🔴 按迁移表把旧版本存档逐级升级到当前版本
+    migrateSaveData: function (data) {
+        if (!data) {
+            return null;
+        }
+
+        var currentVersion = this.getSaveConfig().version;
+        var version = data.version || 1;
+
+        if (version > currentVersion) {
+            console.warn('⚠️ 存档版本高于当前游戏版本，无法读取:', version);
+            return null;
+        }
+
+        while (version < currentVersion) {
+            var migrate = SAVE_MIGRATIONS[version];
+            if (!migrate) {
+                console.warn('⚠️ 缺少存档迁移:', version, '->', version + 1);
+                return null;
+            }
+
+            data = migrate(data);
+            if (!data || data.version !== version + 1) {
+                console.warn('⚠️ 存档迁移失败:', version, '->', version + 1);
+                return null;
+            }
+            version = data.version;
+        }
+
+        return data;
+    },
+
+    // 把旧版单存档迁移到第一个空存档位
+    migrateLegacySave: function () {
+        if (this.legacyChecked || !this.isStorageAvailable()) {
+            return;
+        }
+        this.legacyChecked = true;
+
+        var config = this.getSaveConfig();
+        var legacyData = this.migrateSaveData(this.readStorage(config.legacyKey));
+        if (!legacyData) {
+            return;
+        }
+
+        for (var slot = 0; slot < config.slotCount; slot++) {
+            if (!this.readStorage(this.getSlotKey(slot))) {
+                legacyData.meta.name = this.getDefaultSlotName(slot);
+                this.writeSlot(slot, legacyData);
+                this.removeStorage(config.legacyKey);
+                console.log('📦 旧存档已迁移到', legacyData.meta.name);
+                return;
+            }
+        }
+    },
+
+    // 写入存档位
+    writeSlot: function (slot, data) {
+        try {
+            Platform.setStorage(this.getSlotKey(slot), JSON.stringify(data));
+            return true;
+        } catch (error) {
+            console.warn('⚠️ 存档写入失败:', error.message);
+            return false;
+        }
+    },
+
+    // 保存当前对局到存档位（默认使用当前对局的存档位）
+    saveGame: function (gameEngine, slot = this.activeSlot) {
+        if (!this.isStorageAvailable() || !this.isValidSlot(slot)) {
+            return false;
+        }
+
+        // 只在游戏进行中或游戏内菜单时存档，死亡后不再存档
+        if (!gameEngine || (gameEngine.gameState !== 'playing' && gameEngine.gameState !== 'menu')) {
+            return false;
+        }
+
+        var data = this.serializeGame(gameEngine);
+        if (!data) {
+            return false;
+        }
+
+        data.meta = this.buildMeta(gameEngine, slot, data);
+        if (!this.writeSlot(slot, data)) {
+            return false;
+        }
+
+        console.log('💾 存档完成 -', data.meta.name, '第', data.timeSystem.day, '天，伙伴', data.partners.length, '名，僵尸', data.zombies.length, '只');
+        return true;
+    },
+
+    // 删除存档位
+    deleteSlot: function (slot) {
+        if (!this.isValidSlot(slot)) {
+            return;
+        }
+
+        this.removeStorage(this.getSlotKey(slot));
+        if (this.activeSlot === slot) {
+            this.activeSlot = null;
+        }
+    },
+
+    // 删除当前对局的存档（主人物死亡时调用）
+    clearSave: function () {
+        if (this.activeSlot !== null) {
+            this.deleteSlot(this.activeSlot);
+        }
+    },
+
+    // 生成存档位元数据，队伍人数 = 主人物 + 已招募伙伴
+    buildMeta: function (gameEngine, slot, data) {
+        var previous = this.readStorage(this.getSlotKey(slot));
+        var mapSystem = gameEngine.mapSystem;
+
+        return {
+            name: previous && previous.meta && previous.meta.name ? previous.meta.name : this.getDefaultSlotName(slot),
+            day: gameEngine.timeSystem.day,
+            teamSize: 1 + data.partners.filter(partner => !partner.isInitialState).length,
+            difficulty: ConfigManager.currentDifficulty,
+            mapId: mapSystem && mapSystem.currentMap ? mapSystem.currentMap.id : null,
+            savedAt: Date.now()
+        };
+    },
+
+    // 应用存档的难度，需在创建实体之前调用
+    applySaveDifficulty: function (data) {
+        if (data && data.meta && data.meta.difficulty) {
+            ConfigManager.currentDifficulty = data.meta.difficulty;
+        }
+    },
+
+    // 序列化整个对局
+    serializeGame: function (gameEngine) {
+        var mainChar = null;
+        try {
+            mainChar = gameEngine.characterManager ? gameEngine.characterManager.getMainCharacter() : null;
+        } catch (error) {
+            return null;
+        }
+
+        if (!mainChar || mainChar.hp <= 0) {
+            return null;
+        }
+
+        var partners = window.partnerManager ? window.partnerManager.getAllPartners() : [];
+        var zombies = gameEngine.zombieManager ? gameEngine.zombieManager.getAllZombies() : [];
+
+        return {
+            version: this.getSaveConfig().version,
+            timeSystem: {
+                day: gameEngine.timeSystem.day,
+                food: gameEngine.timeSystem.food,
+                currentTime: gameEngine.timeSystem.currentTime
+            },
+            gameTime: gameEngine.gameTime || 0,
+            random: RandomManager.getState(),
+            items: window.itemManager ? window.itemManager.getState() : null,
+            lootedBuildings: gameEngine.scavengeSystem ? gameEngine.scavengeSystem.getState() : [],
+            squad: window.squadCommand ? window.squadCommand.getState() : null,
+            formation: window.formationManager ? window.formationManager.getState() : null,
+            skillTree: window.skillTree ? window.skillTree.getState() : null,
+            infection: window.infectionManager ? window.infectionManager.getState() : null,
+            mainCharacter: this.serializeCharacter(mainChar),
+            partners: partners.filter(partner => partner && partner.hp > 0 && partner.status !== PARTNER_STATES.DIE)
+                .map(partner => this.serializePartner(partner)),
+            zombies: zombies.filter(zombie => zombie && zombie.hp > 0)
+                .map(zombie => this.serializeZombie(zombie))
+        };
+    },
+
+    // 序列化主人物
+    serializeCharacter: function (character) {
+        return {
+            x: character.x, y: character.y, hp: character.hp, maxHp: character.maxHp,
+            weapon: WeaponSystem.serializeWeapon(character.weapon)
+        };
+    },
+
+    // 序列化伙伴
+    serializePartner: function (partner) {
+        return {
+            role: partner.role,
+            x: partner.x,
+            y: partner.y,
+            hp: partner.hp,
+            maxHp: partner.maxHp,
+            state: partner.stateMachine ? partner.stateMachine.currentState : partner.status,
+            isInitialState: partner.isInitialState,
+            weapon: WeaponSystem.serializeWeapon(partner.weapon),
+            cookTime: partner.cookTime || 0,
+            hasCookedToday: !!partner.hasCookedToday,
+            spotted: !!partner.spotted,
+            squadOrder: partner.squadOrder || null,
+            orderPoint: partner.orderPoint || null,
+            guardCenter: partner.guardCenter || null,
+            stance: partner.stance,
+            level: partner.level || 1,
+            xp: partner.xp || 0,
+            infection: partner.infection || 0
+        };
+    },
+
+    // 序列化僵尸
+    serializeZombie: function (zombie) {
+        return {
+            zombieType: zombie.zombieType, x: zombie.x, y: zombie.y, hp: zombie.hp, maxHp: zombie.maxHp
+        };
+    },
+
+    // 获取存档中主人物的位置，供创建主人物时使用
+    getMainCharacterPosition: function (data) {
+        if (!data || !data.mainCharacter) {
+            return null;
+        }
+        return {x: data.mainCharacter.x, y: data.mainCharacter.y, success: true};
+    },
+
+    // 用存档数据恢复对局（主人物已在存档位置创建，且游戏已切换到playing状态）
+    restoreGame: function (gameEngine, data) {
+        if (!gameEngine || !data) {
+            throw new Error('存档恢复失败：游戏引擎或存档数据缺失');
+        }
+
+        var mapSystem = gameEngine.mapSystem;
+        if (data.meta.mapId && mapSystem && mapSystem.currentMap && mapSystem.currentMap.id !== data.meta.mapId) {
+            console.warn('⚠️ 存档地图与当前地图不一致:', data.meta.mapId, '->', mapSystem.currentMap.id);
+        }
+
+        this.restoreTimeSystem(gameEngine, data);
+
+        // 🔴 新增：先恢复技能树，主人物和伙伴的属性按技能效果重算
+        if (window.skillTree) {
+            window.skillTree.setState(data.skillTree);
+            window.skillTree.applyToMainCharacter();
+        }
+        this.restoreMainCharacter(gameEngine, data.mainCharacter);
+
+        var restoredPartners = this.restorePartners(data.partners || []);
+        var restoredZombies = this.restoreZombies(gameEngine, data.zombies || []);
+
+        if (window.itemManager) {
+            window.itemManager.setState(data.items);
+            // 背包弹药恢复后重新计算远程武器的射程
+            WeaponSystem.refreshTeamRanges();
+        }
+        if (gameEngine.scavengeSystem) {
+            gameEngine.scavengeSystem.setState(data.lootedBuildings);
+        }
+        if (window.squadCommand) {
+            window.squadCommand.setState(data.squad);
+        }
+        if (window.formationManager) {
+            window.formationManager.setState(data.formation);
+        }
+        if (window.infectionManager) {
+            window.infectionManager.setState(data.infection);
+        }
+
+        // 恢复实体后再恢复随机数状态，后续生成沿存档时的序列继续
+        RandomManager.setState(data.random);
+
+        // 🔴 新增：读档后的伙伴和僵尸数量必须与存档一致
+        this.verifyRestoredCounts(gameEngine, data);
+
+        console.log('📂 存档恢复完成 - 第', gameEngine.timeSystem.day, '天，伙伴', restoredPartners, '名，僵尸', restoredZombies, '只');
+    },
+
+    /**
+     * 🔴 新增：存档往返检查：读档后场上存活的伙伴和僵尸数量与存档中的数量一致
+     * @returns {boolean} 是否一致（不一致时输出警告，通常是读档前已有实体未清理）
+     */
+    verifyRestoredCounts: function (gameEngine, data) {
+        var partners = window.objectManager ? window.objectManager.getAllPartners()
+            .filter(partner => partner && partner.hp > 0 && partner.status !== PARTNER_STATES.DIE) : [];
+        var zombies = gameEngine.zombieManager ? gameEngine.zombieManager.getAllZombies()
+            .filter(zombie => zombie && zombie.hp > 0) : [];
+
+        var savedPartners = (data.partners || []).length;
+        var savedZombies = (data.zombies || []).length;
+        if (partners.length === savedPartners && zombies.length === savedZombies) {
+            return true;
+        }
+
+        console.warn('⚠️ 读档后实体数量与存档不一致 - 伙伴', partners.length, '/', savedPartners, '，僵尸', zombies.length, '/', savedZombies);
+        return false;
+    },
+
+    // 恢复时间系统
+    restoreTimeSystem: function (gameEngine, data) {
+        var timeSystem = data.timeSystem;
+        gameEngine.timeSystem.day = timeSystem.day || 1;
+        gameEngine.timeSystem.food = typeof timeSystem.food === 'number' ? timeSystem.food : gameEngine.timeSystem.food;
+        gameEngine.timeSystem.currentTime = timeSystem.currentTime || 0;
+        gameEngine.gameTime = data.gameTime || 0;
+
+        var timeConfig = gameEngine.getTimeConfig();
+        var dayDuration = timeConfig ? timeConfig.DAY_DURATION : 10;
+        var dayPhaseDuration = timeConfig ? timeConfig.DAY_PHASE_DURATION : 5;
+        gameEngine.timeSystem.isDay = gameEngine.timeSystem.currentTime / dayDuration < (dayPhaseDuration / dayDuration);
+    },
+
+    // 恢复主人物血量和武器
+    restoreMainCharacter: function (gameEngine, savedCharacter) {
+        var mainChar = gameEngine.characterManager.getMainCharacter();
+        if (savedCharacter.maxHp > 0) {
+            mainChar.maxHp = savedCharacter.maxHp;
+        }
+        mainChar.hp = Math.max(1, Math.min(savedCharacter.hp, mainChar.maxHp));
+        WeaponSystem.restoreWeapon(mainChar, savedCharacter.weapon);
+    },
+
+    // 恢复伙伴
+    restorePartners: function (savedPartners) {
+        if (!window.partnerManager) {
+            throw new Error('存档恢复失败：伙伴管理器未初始化');
+        }
+
+        var restoredCount = 0;
+        savedPartners.forEach(saved => {
+            var partner = window.partnerManager.createPartner(saved.role, saved.x, saved.y);
+            if (!partner) {
+                return;
+            }
+
+            // 🔴 修改：血量上限由等级和技能树加成决定（PartnerExperience.restore重算），再恢复当前血量
+            partner.recruited = !saved.isInitialState;
+            PartnerExperience.restore(partner, saved);
+            partner.hp = Math.max(1, Math.min(saved.hp, partner.maxHp));
+            WeaponSystem.restoreWeapon(partner, saved.weapon);
+            partner.cookTime = saved.cookTime || 0;
+            partner.hasCookedToday = !!saved.hasCookedToday;
+            partner.spotted = !!saved.spotted;
+            partner.infection = Math.max(0, saved.infection || 0);
+            if (!saved.isInitialState) {
+                this.restoreSquadOrder(partner, saved);
+            }
+
+            // 已招募的伙伴直接恢复到存档时的状态，未招募的保持初始状态（技能状态恢复为待机，下一步重新判断）
+            if (!saved.isInitialState && partner.stateMachine) {
+                var state = saved.state === PARTNER_STATES.ATTACK || saved.state === PARTNER_STATES.FOLLOW ? saved.state : PARTNER_STATES.IDLE;
+                partner.stateMachine.forceState(state);
+            }
+            restoredCount++;
+        });
+
+        return restoredCount;
+    },
+
+    // 🔴 新增：恢复伙伴的小队指令和姿态（状态机下一步按指令切换状态）
+    restoreSquadOrder: function (partner, saved) {
+        var hasPoint = saved.orderPoint && typeof saved.orderPoint.x === 'number';
+        var needsPoint = saved.squadOrder === SQUAD_COMMAND.HOLD || saved.squadOrder === SQUAD_COMMAND.GUARD;
+
+        if (saved.squadOrder && (!needsPoint || hasPoint)) {
+            partner.squadOrder = saved.squadOrder;
+            partner.orderPoint = hasPoint ? {x: saved.orderPoint.x, y: saved.orderPoint.y} : null;
+            partner.guardCenter = saved.guardCenter ? {x: saved.guardCenter.x, y: saved.guardCenter.y} : null;
+        }
+        if (saved.stance === SQUAD_STANCE.PASSIVE) {
+            partner.stance = SQUAD_STANCE.PASSIVE;
+        }
+    },
+
+    // 恢复僵尸
+    restoreZombies: function (gameEngine, savedZombies) {
+        if (!gameEngine.zombieManager) {
+            throw new Error('存档恢复失败：僵尸管理器未初始化');
+        }
+
+        var restoredCount = 0;
+        savedZombies.forEach(saved => {
+            var zombie = gameEngine.zombieManager.createZombie(saved.zombieType, saved.x, saved.y);
+            if (!zombie) {
+                return;
+            }
+
+            zombie.hp = Math.max(1, Math.min(saved.hp, zombie.maxHp || saved.hp));
+            restoredCount++;
+        });
+
+        return restoredCount;
+    }
+};
+
+export {SaveManager};
+export default SaveManager;
@@ -0,0 +1,162 @@
+/**
+ * 建筑搜刮模块 (scavenge.js)
+ *
+ * 功能：
+ * - 主人物站在建筑门口时开始计时搜索，离开门口则中断
+ * - 搜索完成后按建筑类别（住宅、商业、设施、工业）的掉落表在门口生成物品
+ * - 每栋建筑只能搜刮一次，已搜刮状态写入存档
+ * - 提供当前搜索进度，供HUD显示
+ */
+
+import RandomManager, {RANDOM_STREAM} from './random.js';
+
+// 默认搜刮配置（会被config.js中的SCAVENGE覆盖）
+const SCAVENGE_DEFAULTS = {
+    ENABLED: true,
+    DOOR_RADIUS: 60,
+    LOOT_OFFSET: 40,
+    LOOT_TABLES: {
+        residential: {SEARCH_TIME: 3, ROLLS_MIN: 2, ROLLS_MAX: 4, WEIGHTS: {food: 5, medkit: 1, material: 2}},
+        commercial: {SEARCH_TIME: 4, ROLLS_MIN: 3, ROLLS_MAX: 5, WEIGHTS: {food: 6, ammo: 1, material: 2}},
+        facility: {SEARCH_TIME: 5, ROLLS_MIN: 2, ROLLS_MAX: 4, WEIGHTS: {medkit: 5, ammo: 3, weapon: 1}},
+        industrial: {SEARCH_TIME: 6, ROLLS_MIN: 3, ROLLS_MAX: 6, WEIGHTS: {material: 6, weapon: 2, ammo: 1}}
+    }
+};
+
+// 获取搜刮配置
+function getScavengeConfig() {
+    if (window.ConfigManager) {
+        return window.ConfigManager.safeGet('SCAVENGE', SCAVENGE_DEFAULTS);
+    }
+    return SCAVENGE_DEFAULTS;
+}
+
+// 门朝外的方向
+const DOOR_DIRECTIONS = {
+    bottom: {x: 0, y: 1}, top: {x: 0, y: -1}, left: {x: -1, y: 0}, right: {x: 1, y: 0}
+};
+
+// 建筑搜刮系统
+class ScavengeSystem {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.currentBuilding = null;  // 正在门口的建筑
+        this.searchTime = 0;          // 已搜索时间（秒）
+    }
+
+    // 获取当前地图的建筑
+    getBuildings() {
+        var mapSystem = this.gameEngine.mapSystem;
+        return mapSystem && mapSystem.currentMap && mapSystem.currentMap.buildings ? mapSystem.currentMap.buildings : [];
+    }
+
+    // 获取建筑类别的掉落表，没有掉落表的建筑不可搜刮
+    getLootTable(building) {
+        return getScavengeConfig().LOOT_TABLES[building.category] || null;
+    }
+
+    // 查找主人物所在门口的建筑
+    findBuildingAtDoor(x, y) {
+        var doorRadius = getScavengeConfig().DOOR_RADIUS;
+        var buildings = this.getBuildings();
+
+        for (var i = 0; i < buildings.length; i++) {
+            var door = buildings[i].door;
+            if (!door || !this.getLootTable(buildings[i])) continue;
+
+            var dx = door.x - x;
+            var dy = door.y - y;
+            if (dx * dx + dy * dy <= doorRadius * doorRadius) {
+                return buildings[i];
+            }
+        }
+        return null;
+    }
+
+    // 每个逻辑步调用：在门口累计搜索时间，完成后生成物品
+    update(deltaTime) {
+        if (!getScavengeConfig().ENABLED || !this.gameEngine.characterManager) return;
+
+        var mainChar = this.gameEngine.characterManager.getMainCharacter();
+        var building = mainChar && mainChar.hp > 0 ? this.findBuildingAtDoor(mainChar.x, mainChar.y) : null;
+
+        if (building !== this.currentBuilding) {
+            if (this.currentBuilding && !this.currentBuilding.looted && this.searchTime > 0) {
+                console.log('🚪 离开门口，搜索中断:', this.currentBuilding.type);
+            }
+            this.currentBuilding = building;
+            this.searchTime = 0;
+        }
+
+        if (!building || building.looted) return;
+
+        this.searchTime += deltaTime;
+        if (this.searchTime >= this.getLootTable(building).SEARCH_TIME) {
+            this.completeSearch(building);
+        }
+    }
+
+    // 搜索完成：按掉落表在门外生成物品并标记为已搜刮
+    completeSearch(building) {
+        var lootTable = this.getLootTable(building);
+        var lootRandom = RandomManager.getStream(RANDOM_STREAM.LOOT);
+        var rolls = lootRandom.int(lootTable.ROLLS_MIN, lootTable.ROLLS_MAX + 1);
+        var direction = DOOR_DIRECTIONS[building.door.side] || DOOR_DIRECTIONS.bottom;
+        var offset = getScavengeConfig().LOOT_OFFSET;
+        var lootX = building.door.x + direction.x * offset;
+        var lootY = building.door.y + direction.y * offset;
+        var dropped = 0;
+
+        building.looted = true;
+        this.searchTime = 0;
+
+        if (window.itemManager) {
+            for (var i = 0; i < rolls; i++) {
+                var itemType = window.itemManager.rollItemType(lootTable.WEIGHTS, lootRandom);
+                if (window.itemManager.spawnLoot(itemType, lootX, lootY, lootRandom)) {
+                    dropped++;
+                }
+            }
+        }
+
+        console.log('🔍 搜刮完成:', building.type, '获得物品', dropped, '件');
+        return dropped;
+    }
+
+    // 获取搜索信息（HUD显示），不在门口时返回null
+    getSearchInfo() {
+        var building = this.currentBuilding;
+        if (!building) return null;
+
+        var lootTable = this.getLootTable(building);
+        return {
+            name: building.type,
+            looted: building.looted,
+            progress: building.looted ? 1 : Math.min(1, this.searchTime / lootTable.SEARCH_TIME)
+        };
+    }
+
+    // 导出已搜刮建筑（写入存档）
+    getState() {
+        return this.getBuildings().filter(building => building.looted).map(building => building.id);
+    }
+
+    // 恢复已搜刮建筑（读取存档）
+    setState(lootedIds) {
+        if (!Array.isArray(lootedIds)) return;
+
+        this.getBuildings().forEach(building => {
+            building.looted = lootedIds.indexOf(building.id) !== -1;
+        });
+    }
+
+    // 重置状态
+    reset() {
+        this.currentBuilding = null;
+        this.searchTime = 0;
+    }
+}
+
+// 导出
+export {ScavengeSystem, SCAVENGE_DEFAULTS};
+export default ScavengeSystem;
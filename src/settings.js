@@ -0,0 +1,104 @@
+/**
+ * 玩家设置模块 (settings.js)
+ *
+ * 功能：
+ * - 保存玩家在设置菜单中的开关（伤害数字、击杀播报等），默认值来自config.js的SETTINGS配置
+ * - 设置写入本地存储，下次启动自动读取
+ * - 设置只影响显示，不写入存档和录像
+ */
+
+import ConfigManager from './config.js';
+import Platform from './platform.js';
+
+// 设置管理器
+const SettingsManager = {
+    values: null,
+
+    // 获取设置配置
+    getSettingsConfig: function () {
+        var settingsConfig = ConfigManager.safeGet('SETTINGS', null);
+        return {
+            storageKey: settingsConfig ? settingsConfig.STORAGE_KEY : 'qxing_settings',
+            defaults: settingsConfig ? settingsConfig.DEFAULTS : {damageNumbers: true, killFeed: true}
+        };
+    },
+
+    // 读取本地存储中的设置，缺失的项使用默认值
+    load: function () {
+        var settingsConfig = this.getSettingsConfig();
+        this.values = Object.assign({}, settingsConfig.defaults);
+
+        if (!Platform.hasStorage()) {
+            return this.values;
+        }
+
+        try {
+            var raw = Platform.getStorage(settingsConfig.storageKey);
+            var saved = raw ? (typeof raw === 'string' ? JSON.parse(raw) : raw) : null;
+            if (saved) {
+                Object.keys(this.values).forEach(key => {
+                    if (typeof saved[key] === typeof this.values[key]) {
+                        this.values[key] = saved[key];
+                    }
+                });
+            }
+        } catch (error) {
+            console.warn('⚠️ 设置读取失败:', error.message);
+        }
+
+        return this.values;
+    },
+
+    // 写入本地存储
+    persist: function () {
+        if (!Platform.hasStorage()) return false;
+
+        try {
+            Platform.setStorage(this.getSettingsConfig().storageKey, JSON.stringify(this.values));
+            return true;
+        } catch (error) {
+            console.warn('⚠️ 设置写入失败:', error.message);
+            return false;
+        }
+    },
+
+    // 获取全部设置
+    getAll: function () {
+        if (!this.values) {
+            this.load();
+        }
+        return Object.assign({}, this.values);
+    },
+
+    // 获取单项设置
+    get: function (key) {
+        if (!this.values) {
+            this.load();
+        }
+        return this.values[key];
+    },
+
+    // 修改单项设置并保存
+    set: function (key, value) {
+        if (!this.values) {
+            this.load();
+        }
+        if (!(key in this.values)) {
+            throw new Error('未知的设置项: ' + key);
+        }
+
+        this.values[key] = value;
+        this.persist();
+        console.log('⚙️ 设置已更新:', key, '=', value);
+        return value;
+    },
+
+    // 切换开关类设置
+    toggle: function (key) {
+        return this.set(key, !this.get(key));
+    }
+};
+
+// 导出
+export {SettingsManager};
+export default SettingsManager;
@@ -0,0 +1,266 @@
+/**
+ * 主人物技能树模块 (skill-tree.js)
+ *
+ * 功能：
+ * - 主人物每存活一天、每击杀一定数量的僵尸获得技能点
+ * - 技能分为战斗（攻击力、暴击）、领导（伙伴加成、队伍人数上限）和生存（血量、食物消耗、回血）三个分支
+ * - 每个技能可加多级，部分技能需要先学习同分支的前置技能
+ * - 主人物属性通过RolePropertyUtils按技能效果重算，伙伴加成在伙伴等级属性中一并计算
+ * - 加点指令经录像管理器按逻辑步录制和回放，保证回放一致
+ * - 参数来自config.js的SKILL_TREE配置
+ */
+
+import {ROLE} from './config.js';
+import UtilsManager from './utils.js';
+import PartnerExperience from './experience.js';
+import ReplayManager from './replay.js';
+
+// 加点指令前缀（指令格式：skill:技能ID）
+const SKILL_COMMAND_PREFIX = 'skill:';
+
+// 默认技能树配置（会被config.js中的SKILL_TREE覆盖）
+const SKILL_TREE_DEFAULTS = {
+    POINTS_PER_DAY: 1,
+    KILLS_PER_POINT: 10,
+    BUTTON_X: 12,
+    BUTTON_Y: 100,
+    BUTTON_SIZE: 48,
+    BRANCHES: []
+};
+
+// 获取技能树配置
+function getSkillTreeConfig() {
+    if (window.ConfigManager) {
+        return window.ConfigManager.safeGet('SKILL_TREE', SKILL_TREE_DEFAULTS);
+    }
+    return SKILL_TREE_DEFAULTS;
+}
+
+// 技能树
+var SkillTree = {
+    points: 0,              // 未使用的技能点
+    kills: 0,               // 主人物累计击杀数
+    ranks: {},              // 技能ID -> 已学等级
+    pendingIds: [],         // 已点击、等待下一逻辑步执行的加点（技能页面显示用）
+
+    // 初始化（每局调用）
+    init: function () {
+        this.points = 0;
+        this.kills = 0;
+        this.ranks = {};
+        this.pendingIds = [];
+    },
+
+    // 获取全部技能分支
+    getBranches: function () {
+        return getSkillTreeConfig().BRANCHES;
+    },
+
+    // 按ID查找技能定义
+    findSkill: function (skillId) {
+        var branches = this.getBranches();
+        for (var i = 0; i < branches.length; i++) {
+            var skill = branches[i].SKILLS.find(item => item.ID === skillId);
+            if (skill) return skill;
+        }
+        return null;
+    },
+
+    // 已学等级
+    getRank: function (skillId) {
+        return this.ranks[skillId] || 0;
+    },
+
+    // 已学等级加上等待执行的加点
+    getDisplayRank: function (skillId) {
+        return this.getRank(skillId) + this.pendingIds.filter(id => id === skillId).length;
+    },
+
+    // 扣除等待执行的加点后剩余的技能点
+    getAvailablePoints: function () {
+        var pendingCost = this.pendingIds.reduce((total, id) => total + this.findSkill(id).COST, 0);
+        return this.points - pendingCost;
+    },
+
+    // 所有已学技能的效果之和（没有时为0）
+    getEffect: function (key) {
+        return this.getBranches().reduce((total, branch) => {
+            return branch.SKILLS.reduce((sum, skill) => {
+                return skill.EFFECTS && skill.EFFECTS[key] ? sum + skill.EFFECTS[key] * this.getRank(skill.ID) : sum;
+            }, total);
+        }, 0);
+    },
+
+    /**
+     * 获取无法加点的原因
+     * @param {string} skillId - 技能ID
+     * @param {boolean} includePending - 是否计入等待执行的加点（技能页面使用）
+     * @returns {string|null} 原因；可以加点时返回null
+     */
+    getPurchaseBlocker: function (skillId, includePending) {
+        var skill = this.findSkill(skillId);
+        if (!skill) return '未知技能';
+
+        var rank = includePending ? this.getDisplayRank(skillId) : this.getRank(skillId);
+        if (rank >= skill.MAX_RANK) return '已满级';
+
+        if (skill.REQUIRES) {
+            var requiredRank = includePending ? this.getDisplayRank(skill.REQUIRES) : this.getRank(skill.REQUIRES);
+            if (requiredRank <= 0) return '需要先学习' + this.findSkill(skill.REQUIRES).NAME;
+        }
+
+        var points = includePending ? this.getAvailablePoints() : this.points;
+        if (points < skill.COST) return '技能点不足';
+
+        return null;
+    },
+
+    // 技能页面点击加点：指令经录像管理器在下一逻辑步执行
+    queuePurchase: function (skillId) {
+        if (this.getPurchaseBlocker(skillId, true)) return false;
+        if (!ReplayManager.queueCommand(SKILL_COMMAND_PREFIX + skillId)) return false;
+
+        this.pendingIds.push(skillId);
+        return true;
+    },
+
+    // 是否为加点指令
+    isSkillCommand: function (command) {
+        return typeof command === 'string' && command.indexOf(SKILL_COMMAND_PREFIX) === 0;
+    },
+
+    /**
+     * 执行加点指令（由游戏引擎在逻辑步开始时调用）
+     * @param {string} command - skill:技能ID
+     * @returns {boolean} 是否加点成功
+     */
+    execute: function (command) {
+        if (!this.isSkillCommand(command)) {
+            throw new Error('未知的加点指令: ' + command);
+        }
+
+        var skillId = command.slice(SKILL_COMMAND_PREFIX.length);
+        var pendingIndex = this.pendingIds.indexOf(skillId);
+        if (pendingIndex !== -1) {
+            this.pendingIds.splice(pendingIndex, 1);
+        }
+
+        return this.purchase(skillId);
+    },
+
+    // 学习技能：扣除技能点，重算主人物和伙伴属性
+    purchase: function (skillId) {
+        if (this.getPurchaseBlocker(skillId, false)) return false;
+
+        var skill = this.findSkill(skillId);
+        this.points -= skill.COST;
+        this.ranks[skillId] = this.getRank(skillId) + 1;
+
+        this.applyToMainCharacter();
+        this.applyToTeam();
+
+        if (window.announcer) {
+            window.announcer.announce('📖 学会 ' + skill.ICON + ' ' + skill.NAME + ' Lv' + this.ranks[skillId], '#9B59B6');
+        }
+        console.log('📖 学习技能:', skillId, 'Lv' + this.ranks[skillId], '剩余技能点', this.points);
+        return true;
+    },
+
+    // 获得技能点
+    addPoints: function (amount, source) {
+        if (amount <= 0) return;
+
+        this.points += amount;
+        if (window.announcer) {
+            window.announcer.announce('✨ ' + source + '获得技能点 +' + amount, '#9B59B6');
+        }
+        console.log('✨ 获得技能点:', amount, '来源', source, '当前', this.points);
+    },
+
+    // 新的一天：存活奖励技能点
+    onNewDay: function () {
+        this.addPoints(getSkillTreeConfig().POINTS_PER_DAY, '存活一天');
+    },
+
+    // 僵尸被击杀：只统计主人物的击杀
+    onZombieKilled: function (killer) {
+        if (!killer || killer.role !== ROLE.MAIN) return;
+
+        this.kills++;
+        var killsPerPoint = getSkillTreeConfig().KILLS_PER_POINT;
+        if (killsPerPoint > 0 && this.kills % killsPerPoint === 0) {
+            this.addPoints(1, '击杀' + this.kills + '只僵尸');
+        }
+    },
+
+    // 每个逻辑步调用：生存分支的回血
+    update: function (deltaTime) {
+        var regen = this.getEffect('REGEN');
+        if (regen <= 0) return;
+
+        var mainChar = window.objectManager ? window.objectManager.getMainCharacter() : null;
+        if (!mainChar || mainChar.hp <= 0 || mainChar.hp >= mainChar.maxHp) return;
+
+        mainChar.hp = Math.min(mainChar.maxHp, mainChar.hp + regen * deltaTime);
+    },
+
+    // 按技能效果重算主人物的血量上限、攻击力和暴击率
+    applyToMainCharacter: function () {
+        var mainChar = window.objectManager ? window.objectManager.getMainCharacter() : null;
+        if (!mainChar) return;
+
+        UtilsManager.getRolePropertyUtils().applyStatMultipliers(mainChar, {
+            maxHp: 1 + this.getEffect('MAX_HP'),
+            attack: 1 + this.getEffect('ATTACK'),
+            critChance: this.getEffect('CRIT_CHANCE')
+        });
+    },
+
+    // 重算已招募伙伴的属性（领导分支加成在等级属性中计算）
+    applyToTeam: function () {
+        if (!window.partnerManager) return;
+
+        window.partnerManager.getRecruitedPartners().forEach(partner => PartnerExperience.applyLevelStats(partner));
+    },
+
+    /**
+     * 获取屏幕左侧的技能按钮（HUD显示和点击检测）
+     * @returns {Object} {icon, label, points, x, y, width, height}
+     */
+    getButton: function () {
+        var config = getSkillTreeConfig();
+        return {
+            icon: '📖', label: '技能', points: this.points, x: config.BUTTON_X, y: config.BUTTON_Y, width: config.BUTTON_SIZE, height: config.BUTTON_SIZE
+        };
+    },
+
+    // 点击检测：是否点中技能按钮
+    hitTest: function (x, y) {
+        var button = this.getButton();
+        return x >= button.x && x <= button.x + button.width && y >= button.y && y <= button.y + button.height;
+    },
+
+    // 导出状态（写入存档）
+    getState: function () {
+        return {points: this.points, kills: this.kills, ranks: Object.assign({}, this.ranks)};
+    },
+
+    // 恢复状态（读取存档），忽略配置中已不存在的技能
+    setState: function (state) {
+        this.init();
+        if (!state) return;
+
+        this.points = Math.max(0, state.points || 0);
+        this.kills = Math.max(0, state.kills || 0);
+        Object.keys(state.ranks || {}).forEach(skillId => {
+            var skill = this.findSkill(skillId);
+            if (skill) {
+                this.ranks[skillId] = Math.min(skill.MAX_RANK, Math.max(0, state.ranks[skillId]));
+            }
+        });
+    }
+};
+
+// 导出
+export {SkillTree, SKILL_TREE_DEFAULTS, SKILL_COMMAND_PREFIX};
+export default SkillTree;
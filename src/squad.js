@@ -0,0 +1,230 @@
+/**
+ * 小队指令模块 (squad.js)
+ *
+ * 功能：
+ * - 玩家通过屏幕右侧按钮给已招募的伙伴下达指令：跟随、坚守、守卫、归队，以及切换进攻/消极姿态
+ * - 坚守：每名伙伴停在下令时的位置，只攻击射程内的僵尸，不追击
+ * - 守卫：以下令时主人物的位置为中心，伙伴分散到周围岗位，守卫区域内出现僵尸时出击
+ * - 归队：伙伴加速跑回主人物身边，途中不攻击，到达后恢复跟随
+ * - 指令对应伙伴状态机中的HOLD、GUARD、REGROUP状态，覆盖默认的跟随/待机转换，直到按“跟随”取消
+ * - 消极姿态下伙伴不主动攻击
+ * - 阵型按钮按顺序切换跟随阵型（阵型管理器）
+ * - 指令经录像管理器按逻辑步录制和回放，保证回放一致
+ */
+
+// 小队指令
+const SQUAD_COMMAND = {
+    FOLLOW: 'follow',       // 取消指令，恢复跟随
+    HOLD: 'hold',
+    GUARD: 'guard',
+    REGROUP: 'regroup',
+    STANCE: 'stance',       // 切换姿态
+    FORMATION: 'formation'  // 切换阵型
+};
+
+// 小队姿态
+const SQUAD_STANCE = {
+    AGGRESSIVE: 'aggressive',   // 进攻：发现僵尸就攻击（默认）
+    PASSIVE: 'passive'          // 消极：不主动攻击
+};
+
+// 默认小队配置（会被config.js中的SQUAD覆盖）
+const SQUAD_DEFAULTS = {
+    GUARD_RADIUS: 220,
+    GUARD_POST_RADIUS: 60,
+    ARRIVE_DISTANCE: 8,
+    REGROUP_SPEED_MULTIPLIER: 1.5,
+    REGROUP_ARRIVE_DISTANCE: 90,
+    BUTTON_SIZE: 48,
+    BUTTON_GAP: 10,
+    BUTTON_MARGIN: 12
+};
+
+// 按钮（从上到下）
+const SQUAD_BUTTONS = [
+    {command: SQUAD_COMMAND.FOLLOW, icon: '👣', label: '跟随'},
+    {command: SQUAD_COMMAND.HOLD, icon: '🛑', label: '坚守'},
+    {command: SQUAD_COMMAND.GUARD, icon: '🛡️', label: '守卫'},
+    {command: SQUAD_COMMAND.REGROUP, icon: '📣', label: '归队'},
+    {command: SQUAD_COMMAND.STANCE, icon: '⚔️', label: '进攻'},
+    {command: SQUAD_COMMAND.FORMATION, icon: '🔻', label: '阵型'}
+];
+
+// 获取小队配置
+function getSquadConfig() {
+    if (window.ConfigManager) {
+        return window.ConfigManager.safeGet('SQUAD', SQUAD_DEFAULTS);
+    }
+    return SQUAD_DEFAULTS;
+}
+
+// 小队指令管理器
+var SquadCommand = {
+    stance: SQUAD_STANCE.AGGRESSIVE,
+
+    // 初始化（每局调用）
+    init: function () {
+        this.stance = SQUAD_STANCE.AGGRESSIVE;
+    },
+
+    // 获取已招募且存活的伙伴
+    getMembers: function () {
+        return window.partnerManager ? window.partnerManager.getRecruitedPartners() : [];
+    },
+
+    /**
+     * 执行指令（由游戏引擎在逻辑步开始时调用）
+     * @param {string} command - SQUAD_COMMAND中的指令
+     */
+    execute: function (command) {
+        switch (command) {
+            case SQUAD_COMMAND.FOLLOW:
+                this.cancelOrder();
+                break;
+            case SQUAD_COMMAND.HOLD:
+                this.issueHold();
+                break;
+            case SQUAD_COMMAND.GUARD:
+                this.issueGuard();
+                break;
+            case SQUAD_COMMAND.REGROUP:
+                this.issueRegroup();
+                break;
+            case SQUAD_COMMAND.STANCE:
+                this.setStance(this.stance === SQUAD_STANCE.AGGRESSIVE ? SQUAD_STANCE.PASSIVE : SQUAD_STANCE.AGGRESSIVE);
+                break;
+            case SQUAD_COMMAND.FORMATION:
+                if (window.formationManager) {
+                    window.formationManager.cycleFormation();
+                }
+                break;
+            default:
+                throw new Error('未知的小队指令: ' + command);
+        }
+    },
+
+    // 坚守：每名伙伴停在当前位置
+    issueHold: function () {
+        this.getMembers().forEach(partner => {
+            partner.squadOrder = SQUAD_COMMAND.HOLD;
+            partner.orderPoint = {x: partner.x, y: partner.y};
+            partner.guardCenter = null;
+        });
+        console.log('🛑 小队指令：坚守');
+    },
+
+    // 守卫：以主人物当前位置为中心，伙伴均匀分布到周围岗位
+    issueGuard: function () {
+        var mainChar = window.objectManager ? window.objectManager.getMainCharacter() : null;
+        if (!mainChar) return;
+
+        var postRadius = getSquadConfig().GUARD_POST_RADIUS;
+        var members = this.getMembers();
+        var center = {x: mainChar.x, y: mainChar.y};
+
+        members.forEach((partner, index) => {
+            var angle = (index / members.length) * Math.PI * 2;
+            partner.squadOrder = SQUAD_COMMAND.GUARD;
+            partner.guardCenter = center;
+            partner.orderPoint = {x: center.x + Math.cos(angle) * postRadius, y: center.y + Math.sin(angle) * postRadius};
+        });
+        console.log('🛡️ 小队指令：守卫', Math.round(center.x), Math.round(center.y));
+    },
+
+    // 归队：伙伴跑回主人物身边，到达后各自恢复跟随
+    issueRegroup: function () {
+        this.getMembers().forEach(partner => {
+            partner.squadOrder = SQUAD_COMMAND.REGROUP;
+            partner.orderPoint = null;
+            partner.guardCenter = null;
+        });
+        console.log('📣 小队指令：归队');
+    },
+
+    // 取消指令，恢复跟随
+    cancelOrder: function () {
+        this.getMembers().forEach(partner => this.clearOrder(partner));
+        console.log('👣 小队指令：跟随');
+    },
+
+    // 清除单个伙伴的指令
+    clearOrder: function (partner) {
+        partner.squadOrder = null;
+        partner.orderPoint = null;
+        partner.guardCenter = null;
+    },
+
+    // 设置姿态，同步给所有已招募伙伴
+    setStance: function (stance) {
+        this.stance = stance;
+        this.getMembers().forEach(partner => {
+            partner.stance = stance;
+        });
+        console.log('⚔️ 小队姿态:', stance);
+    },
+
+    // 新招募的伙伴沿用当前姿态
+    applyToRecruit: function (partner) {
+        partner.stance = this.stance;
+    },
+
+    // 获取按钮布局（屏幕坐标，右侧竖排居中），active表示当前生效的指令
+    getButtons: function (canvas) {
+        var config = getSquadConfig();
+        var members = this.getMembers();
+        var totalHeight = SQUAD_BUTTONS.length * config.BUTTON_SIZE + (SQUAD_BUTTONS.length - 1) * config.BUTTON_GAP;
+        var x = canvas.width - config.BUTTON_MARGIN - config.BUTTON_SIZE;
+        var startY = canvas.height / 2 - totalHeight / 2;
+
+        return SQUAD_BUTTONS.map((button, index) => {
+            var active;
+            var icon = button.icon;
+            var label = button.label;
+
+            if (button.command === SQUAD_COMMAND.STANCE) {
+                active = false;
+                if (this.stance === SQUAD_STANCE.PASSIVE) {
+                    icon = '🕊️';
+                    label = '消极';
+                }
+            } else if (button.command === SQUAD_COMMAND.FORMATION) {
+                // 阵型按钮显示当前阵型
+                active = false;
+                var preset = window.formationManager ? window.formationManager.getPreset() : null;
+                if (preset) {
+                    icon = preset.ICON;
+                    label = preset.NAME;
+                }
+            } else if (button.command === SQUAD_COMMAND.FOLLOW) {
+                active = members.every(partner => !partner.squadOrder);
+            } else {
+                active = members.some(partner => partner.squadOrder === button.command);
+            }
+
+            return {
+                command: button.command, icon: icon, label: label, active: active,
+                x: x, y: startY + index * (config.BUTTON_SIZE + config.BUTTON_GAP), width: config.BUTTON_SIZE, height: config.BUTTON_SIZE
+            };
+        });
+    },
+
+    // 点击检测：返回被点中的按钮指令，没有点中返回null
+    hitTest: function (x, y, canvas) {
+        var button = this.getButtons(canvas).find(item => x >= item.x && x <= item.x + item.width && y >= item.y && y <= item.y + item.height);
+        return button ? button.command : null;
+    },
+
+    // 导出姿态（写入存档），各伙伴的指令随伙伴存档
+    getState: function () {
+        return {stance: this.stance};
+    },
+
+    // 恢复姿态（读取存档）
+    setState: function (state) {
+        this.stance = state && state.stance === SQUAD_STANCE.PASSIVE ? SQUAD_STANCE.PASSIVE : SQUAD_STANCE.AGGRESSIVE;
+    }
+};
+
+// 导出
+export {SquadCommand, SQUAD_COMMAND, SQUAD_STANCE, SQUAD_DEFAULTS};
+export default SquadCommand;
@@ -17,6 +17,10 @@ const PARTNER_STATES = {
     IDLE: 'IDLE',           // 待机
     FOLLOW: 'FOLLOW',       // 跟随
     ATTACK: 'ATTACK',       // 攻击
+    ABILITY: 'ABILITY',     // 🔴 新增：职业技能（治疗、做饭、侦察）
+    HOLD: 'HOLD',           // 🔴 新增：小队指令-坚守原地
+    GUARD: 'GUARD',         // 🔴 新增：小队指令-守卫区域
+    REGROUP: 'REGROUP',     // 🔴 新增：小队指令-归队
     DIE: 'DIE'              // 死亡
 };
 
@@ -94,8 +98,9 @@ class StateMachine {
     }
 
     // 更新状态机
-    update() {
-        this.stateTime += 1/60; // 固定60fps
+    // 🔴 修复：使用游戏循环传入的deltaTime（秒）累计状态时间
+    update(deltaTime = 1 / 60) {
+        this.stateTime += deltaTime;
 
         // 检查状态转换
         this.checkTransitions();
@@ -8,8 +8,11 @@
  * - 优化性能，减少重复计算
  * - 🔴 新增：统一移动控制器
  * - 🔴 新增：统一动画系统
+ * - 🔴 新增：统一时间工具（固定步长deltaTime、游戏内时间）
  */
 
+import ReplayManager from './replay.js';
+
 // 数学工具类
 const MathUtils = {
     // 计算两点间距离
@@ -30,6 +33,23 @@ const MathUtils = {
     }
 };
 
+// 🔴 新增：统一时间工具
+const TimeUtils = {
+    // 获取固定逻辑步长（秒）
+    getFixedDeltaTime: function () {
+        var fixedStep = window.ConfigManager ? window.ConfigManager.get('PERFORMANCE.GAME_LOOP.FIXED_TIMESTEP') : null;
+        return fixedStep > 0 ? fixedStep : 1 / 60;
+    },
+
+    // 获取游戏内时间（毫秒），暂停和切后台期间不流逝
+    getGameTime: function () {
+        if (window.gameEngine && typeof window.gameEngine.getGameTime === 'function') {
+            return window.gameEngine.getGameTime();
+        }
+        return Date.now();
+    }
+};
+
 // 🔴 新增：统一移动控制器
 const MovementController = {
     // 获取移动速度（统一入口）
@@ -39,16 +59,33 @@ const MovementController = {
 
         switch (entityType) {
             case 'character':
-                return movementConfig.CHARACTER_MOVE_SPEED || 3;
+                return (movementConfig.CHARACTER_MOVE_SPEED || 180) * this.getRoleSpeedMultiplier(entityRole);
             case 'partner':
-                return movementConfig.PARTNER_MOVE_SPEED || 3;
+                return (movementConfig.PARTNER_MOVE_SPEED || 180) * this.getRoleSpeedMultiplier(entityRole);
             case 'zombie':
-                return movementConfig.ZOMBIE_MOVE_SPEED || 2;
+                // 🔴 修复：按僵尸类型的速度倍数计算（此前类型配置的SPEED_MULTIPLIER未生效）
+                return (movementConfig.ZOMBIE_MOVE_SPEED || 120) * this.getZombieSpeedMultiplier(entityRole);
             default:
-                return movementConfig.CHARACTER_MOVE_SPEED || 3;
+                return movementConfig.CHARACTER_MOVE_SPEED || 180;
         }
     },
 
+    // 🔴 新增：职业移动速度倍率（平民跑得更快）
+    getRoleSpeedMultiplier: function (entityRole) {
+        if (entityRole !== 3) return 1; // 平民 (ROLE.CIVILIAN)
+
+        var abilityConfig = window.ConfigManager ? window.ConfigManager.safeGet('ABILITY', null) : null;
+        return abilityConfig && abilityConfig.CIVILIAN ? abilityConfig.CIVILIAN.SPEED_MULTIPLIER : 1;
+    },
+
+    // 🔴 新增：僵尸类型移动速度倍率（entityRole为僵尸类型，如'fast'）
+    getZombieSpeedMultiplier: function (zombieType) {
+        if (!zombieType || !window.ConfigManager) return 1;
+
+        var typeConfig = window.ConfigManager.safeGet('ZOMBIE.TYPES.' + String(zombieType).toUpperCase(), null);
+        return typeConfig && typeConfig.SPEED_MULTIPLIER > 0 ? typeConfig.SPEED_MULTIPLIER : 1;
+    },
+
     // 设置实体移动速度（统一入口）
     setMoveSpeed: function (entity, entityType, entityRole = null) {
         var speed = this.getMoveSpeed(entityType, entityRole);
@@ -63,6 +100,14 @@ const MovementController = {
 
     // 检查摇杆输入（统一入口）
     hasJoystickInput: function () {
+        var deadZone = 0.1;
+
+        // 🔴 新增：录制和回放时使用本逻辑步的录像输入
+        if (ReplayManager.isControllingInput()) {
+            var replayInput = ReplayManager.getInput();
+            return Math.abs(replayInput.x) > deadZone || Math.abs(replayInput.y) > deadZone;
+        }
+
         if (!window.gameEngine || !window.gameEngine.joystick) {
             return false;
         }
@@ -73,12 +118,16 @@ const MovementController = {
         }
 
         var direction = joystick.getMoveDirection();
-        var deadZone = 0.1;
         return Math.abs(direction.x) > deadZone || Math.abs(direction.y) > deadZone;
     },
 
     // 获取摇杆方向（统一入口）
     getJoystickDirection: function () {
+        // 🔴 新增：录制和回放时使用本逻辑步的录像输入
+        if (ReplayManager.isControllingInput()) {
+            return ReplayManager.getInput();
+        }
+
         if (!window.gameEngine || !window.gameEngine.joystick) {
             return {x: 0, y: 0};
         }
@@ -88,11 +137,13 @@ const MovementController = {
     },
 
     // 执行移动（统一入口）
-    executeMove: function (entity, direction, moveSpeed) {
+    // 🔴 修复：moveSpeed单位为像素/秒，本步移动距离 = moveSpeed * deltaTime
+    executeMove: function (entity, direction, moveSpeed, deltaTime) {
         if (!direction || !moveSpeed) return false;
 
-        var newX = entity.x + direction.x * moveSpeed;
-        var newY = entity.y + direction.y * moveSpeed;
+        var moveDistance = moveSpeed * (deltaTime || TimeUtils.getFixedDeltaTime());
+        var newX = entity.x + direction.x * moveDistance;
+        var newY = entity.y + direction.y * moveDistance;
 
         // 检查碰撞
         if (window.collisionSystem && window.collisionSystem.isPositionWalkable) {
@@ -101,10 +152,15 @@ const MovementController = {
                 entity.y = newY;
                 return true;
             } else {
+                // 🔴 新增：主人物可以推动汽车、瓦砾等可移动障碍物
+                if (entity.role === 1 && this.pushObstacle(entity, newX, newY, direction, moveDistance)) {
+                    return true;
+                }
+
                 // 贴着建筑物移动
                 if (window.collisionSystem.getWallFollowingPosition) {
                     var safePosition = window.collisionSystem.getWallFollowingPosition(
-                        entity.x, entity.y, newX, newY, entity.radius || 16, moveSpeed
+                        entity.x, entity.y, newX, newY, entity.radius || 16, moveDistance
                     );
                     if (safePosition) {
                         entity.x = safePosition.x;
@@ -121,6 +177,39 @@ const MovementController = {
         }
 
         return false;
+    },
+
+    // 🔴 新增：推动阻挡位置上的可移动障碍物，推动时人物减速跟进
+    pushObstacle: function (entity, blockedX, blockedY, direction, moveDistance) {
+        var obstacleManager = window.gameEngine ? window.gameEngine.dynamicObstacleManager : null;
+        if (!obstacleManager) return false;
+
+        var pushFactor = window.ConfigManager ? window.ConfigManager.safeGet('OBSTACLE.PUSH_SPEED_FACTOR', 0.5) : 0.5;
+        var pushX = direction.x * moveDistance * pushFactor;
+        var pushY = direction.y * moveDistance * pushFactor;
+
+        if (!obstacleManager.pushObstacleAt(blockedX, blockedY, pushX, pushY)) {
+            return false;
+        }
+
+        var followX = entity.x + pushX;
+        var followY = entity.y + pushY;
+        if (window.collisionSystem.isPositionWalkable(followX, followY)) {
+            entity.x = followX;
+            entity.y = followY;
+        }
+
+        return true;
+    },
+
+    // 🔴 新增：获取实体通往目标的下一个路点（僵尸、伙伴共用），导航系统未初始化时直接返回目标点
+    getPathWaypoint: function (entity, targetX, targetY) {
+        var navigationSystem = window.gameEngine ? window.gameEngine.navigationSystem : null;
+        if (!navigationSystem) {
+            return {x: targetX, y: targetY};
+        }
+
+        return navigationSystem.getNextWaypoint(entity, targetX, targetY);
     }
 };
 
@@ -164,7 +253,7 @@ const AnimationSystem = {
     },
 
     // 更新动画帧（统一入口）
-    updateAnimationFrame: function (entity, deltaTime = 1/60) {
+    updateAnimationFrame: function (entity, deltaTime = TimeUtils.getFixedDeltaTime()) {
         var animationConfig = window.ConfigManager ? window.ConfigManager.get('ANIMATION') : null;
         var maxFrames = animationConfig ? animationConfig.MAX_ANIMATION_FRAMES : 8;
 
@@ -257,6 +346,16 @@ const PerformanceUtils = {
 
 // 🔴 新增：角色属性设置工具
 const RolePropertyUtils = {
+    // 🔴 新增：获取职业血量/攻击力，未配置时使用默认值
+    getRoleStat: function (combatConfig, role, key, fallback) {
+        var roleStats = combatConfig && combatConfig.ROLE_STATS ? combatConfig.ROLE_STATS[role] : null;
+        if (roleStats && roleStats[key] > 0) {
+            return roleStats[key];
+        }
+        var defaultKey = key === 'HP' ? 'DEFAULT_HP' : 'DEFAULT_ATTACK';
+        return combatConfig ? combatConfig[defaultKey] : fallback;
+    },
+
     // 设置角色属性
     setupRoleProperties: function (character, role) {
         var combatConfig = window.ConfigManager ? window.ConfigManager.get('COMBAT') : null;
@@ -267,28 +366,28 @@ const RolePropertyUtils = {
                 character.hp = combatConfig ? combatConfig.DEFAULT_HP : 100;
                 character.maxHp = character.hp;
                 character.attack = combatConfig ? combatConfig.DEFAULT_ATTACK : 20;
-                character.weapon = 'NONE';
                 character.attackRange = combatConfig ? combatConfig.MAIN_CHARACTER_ATTACK_RANGE : 100;
                 character.icon = '👤';
                 character.color = '#3498db';
                 break;
 
             case 2: // 警察 (ROLE.POLICE)
-                character.hp = combatConfig ? combatConfig.DEFAULT_HP : 100;
+                character.hp = this.getRoleStat(combatConfig, role, 'HP', 100);
                 character.maxHp = character.hp;
-                character.attack = combatConfig ? combatConfig.DEFAULT_ATTACK : 20;
+                character.attack = this.getRoleStat(combatConfig, role, 'ATTACK', 20);
                 character.attackRange = combatConfig ? combatConfig.POLICE_ATTACK_RANGE : 100;
-                character.detectionRange = combatConfig ? combatConfig.MIN_ATTACK_RANGE : 100;
+                // 🔴 修复：警察用配枪远程射击，检测范围不小于攻击范围
+                character.detectionRange = Math.max(combatConfig ? combatConfig.MIN_ATTACK_RANGE : 100, character.attackRange);
                 character.icon = '👮';
                 character.color = '#2c3e50';
                 character.initialColor = '#95a5a6';
                 break;
 
             case 3: // 平民 (ROLE.CIVILIAN)
-                character.hp = combatConfig ? combatConfig.DEFAULT_HP : 100;
+                character.hp = this.getRoleStat(combatConfig, role, 'HP', 100);
                 character.maxHp = character.hp;
-                character.attack = combatConfig ? combatConfig.DEFAULT_ATTACK : 20;
-                character.attackRange = combatConfig ? combatConfig.POLICE_ATTACK_RANGE : 100;
+                character.attack = this.getRoleStat(combatConfig, role, 'ATTACK', 20);
+                character.attackRange = combatConfig ? combatConfig.CIVILIAN_ATTACK_RANGE : 100; // 🔴 修复：平民使用平民攻击范围
                 character.detectionRange = combatConfig ? combatConfig.MIN_ATTACK_RANGE : 100;
                 character.icon = '👨';
                 character.color = '#95a5a6';
@@ -296,9 +395,9 @@ const RolePropertyUtils = {
                 break;
 
             case 4: // 医生 (ROLE.DOCTOR)
-                character.hp = combatConfig ? combatConfig.DEFAULT_HP : 100;
+                character.hp = this.getRoleStat(combatConfig, role, 'HP', 100);
                 character.maxHp = character.hp;
-                character.attack = combatConfig ? combatConfig.DEFAULT_ATTACK : 20;
+                character.attack = this.getRoleStat(combatConfig, role, 'ATTACK', 20);
                 character.attackRange = combatConfig ? combatConfig.DOCTOR_ATTACK_RANGE : 100;
                 character.detectionRange = combatConfig ? combatConfig.MIN_ATTACK_RANGE : 100;
                 character.icon = '👨‍⚕️';
@@ -307,9 +406,9 @@ const RolePropertyUtils = {
                 break;
 
             case 5: // 护士 (ROLE.NURSE)
-                character.hp = combatConfig ? combatConfig.DEFAULT_HP : 100;
+                character.hp = this.getRoleStat(combatConfig, role, 'HP', 100);
                 character.maxHp = character.hp;
-                character.attack = combatConfig ? combatConfig.DEFAULT_ATTACK : 20;
+                character.attack = this.getRoleStat(combatConfig, role, 'ATTACK', 20);
                 character.attackRange = combatConfig ? combatConfig.NURSE_ATTACK_RANGE : 100;
                 character.detectionRange = combatConfig ? combatConfig.MIN_ATTACK_RANGE : 100;
                 character.icon = '👩‍⚕️';
@@ -318,9 +417,9 @@ const RolePropertyUtils = {
                 break;
 
             case 6: // 厨师 (ROLE.CHEF)
-                character.hp = combatConfig ? combatConfig.DEFAULT_HP : 100;
+                character.hp = this.getRoleStat(combatConfig, role, 'HP', 100);
                 character.maxHp = character.hp;
-                character.attack = combatConfig ? combatConfig.DEFAULT_ATTACK : 20;
+                character.attack = this.getRoleStat(combatConfig, role, 'ATTACK', 20);
                 character.attackRange = combatConfig ? combatConfig.CHEF_ATTACK_RANGE : 100;
                 character.detectionRange = combatConfig ? combatConfig.MIN_ATTACK_RANGE : 100;
                 character.icon = '👨‍🍳';
@@ -332,15 +431,45 @@ const RolePropertyUtils = {
                 character.hp = combatConfig ? combatConfig.DEFAULT_HP : 100;
                 character.maxHp = character.hp;
                 character.attack = combatConfig ? combatConfig.DEFAULT_ATTACK : 20;
-                character.attackRange = combatConfig ? combatConfig.POLICE_ATTACK_RANGE : 100;
+                character.attackRange = combatConfig ? combatConfig.MIN_ATTACK_RANGE : 100; // 🔴 修复：未知职业使用最小攻击范围
                 character.detectionRange = combatConfig ? combatConfig.MIN_ATTACK_RANGE : 100;
                 character.icon = '❓';
                 character.color = '#95a5a6';
                 character.initialColor = '#95a5a6';
         }
 
+        // 🔴 新增：初始空手，记录徒手攻击范围（装备武器时以此为基准切换）
+        character.weapon = null;
+        character.baseAttackRange = character.attackRange;
+        character.baseDetectionRange = character.detectionRange;
+
         // 🔴 新增：使用统一移动控制器设置移动速度
         MovementController.setMoveSpeed(character, 'character', role);
+
+        // 🔴 新增：攻速倍率（等级等加成），攻击间隔除以此值
+        character.attackSpeedMultiplier = 1;
+
+        // 🔴 新增：暴击率加值（技能树等加成），叠加在武器配置的暴击率上
+        character.critChanceBonus = 0;
+    },
+
+    /**
+     * 🔴 新增：按倍率在职业基础属性上重算血量上限、攻击力和攻速，当前血量按比例保留
+     * @param {Object} character - 主人物或伙伴
+     * @param {Object} multipliers - {maxHp, attack, attackSpeed}，缺省为1；critChance为暴击率加值，缺省为0
+     */
+    applyStatMultipliers: function (character, multipliers) {
+        var combatConfig = window.ConfigManager ? window.ConfigManager.get('COMBAT') : null;
+        var hpRatio = character.maxHp > 0 ? character.hp / character.maxHp : 1;
+
+        character.maxHp = Math.round(this.getRoleStat(combatConfig, character.role, 'HP', 100) * (multipliers.maxHp || 1));
+        character.attack = Math.round(this.getRoleStat(combatConfig, character.role, 'ATTACK', 20) * (multipliers.attack || 1));
+        character.attackSpeedMultiplier = multipliers.attackSpeed || 1;
+        character.critChanceBonus = multipliers.critChance || 0;
+
+        if (character.hp > 0) {
+            character.hp = Math.max(1, Math.round(character.maxHp * hpRatio));
+        }
     }
 };
 
@@ -369,6 +498,10 @@ const UtilsManager = {
     // 🔴 新增：获取统一动画系统
     getAnimationSystem: function () {
         return AnimationSystem;
+    },
+    // 🔴 新增：获取统一时间工具
+    getTimeUtils: function () {
+        return TimeUtils;
     }
 };
 
@@ -381,6 +514,7 @@ export {
     RolePropertyUtils,
     MovementController,
     AnimationSystem,
+    TimeUtils,
     UtilsManager
 };
 export default UtilsManager;
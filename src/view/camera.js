@@ -106,6 +106,15 @@ export class Camera {
                screenPos.y <= this.screenHeight + bufferSize;
     }
 
+    // 🔴 新增：获取视野范围（世界坐标）
+    getViewBounds() {
+        var halfWidth = (this.screenWidth / this.zoom) / 2;
+        var halfHeight = (this.screenHeight / this.zoom) / 2;
+        return {
+            left: this.x - halfWidth, top: this.y - halfHeight, right: this.x + halfWidth, bottom: this.y + halfHeight
+        };
+    }
+
     // 获取摄像机位置
     getPosition() {
         return {x: this.x, y: this.y};
@@ -8,6 +8,10 @@
  */
 
 import {ENTITY_TYPE} from './render-manager.js';
+import WeaponSystem from '../weapon.js';
+import PartnerExperience from '../experience.js';
+import ZombieBehavior from '../zombie-behavior.js';
+import InfectionManager from '../infection.js';
 
 /**
  * 实体渲染器类
@@ -38,8 +42,14 @@ export class EntityRenderer {
                 return this.renderBuilding(entity);
             case ENTITY_TYPE.ITEM:
                 return this.renderItem(entity);
+            case ENTITY_TYPE.PROJECTILE:
+                return this.renderProjectile(entity);
+            case ENTITY_TYPE.FLOATING_TEXT:
+                return this.renderFloatingText(entity);
             case ENTITY_TYPE.EFFECT:
                 return this.renderEffect(entity);
+            case ENTITY_TYPE.OBSTACLE:
+                return this.renderObstacle(entity);
             default:
                 console.warn('未知实体类型:', entityType);
                 return false;
@@ -80,6 +90,9 @@ export class EntityRenderer {
         // 绘制状态指示器
         this.renderStatusIndicator(character, worldX, bodyY);
 
+        // 🔴 新增：绘制装备的武器
+        this.renderWeaponIcon(character, worldX, bodyY);
+
         // 绘制血条
         this.renderHealthBar(character, worldX, worldY);
 
@@ -95,6 +108,9 @@ export class EntityRenderer {
         const worldX = zombie.x;
         const worldY = zombie.y;
 
+        // 🔴 新增：Boss冲锋预警（画在身体下方）
+        this.renderChargeTelegraph(zombie, worldX, worldY);
+
         // 绘制阴影
         this.renderShadow(worldX, worldY, zombie.size / 2, 3, 0.4);
 
@@ -130,6 +146,29 @@ export class EntityRenderer {
         return true;
     }
 
+    /**
+     * 🔴 新增：渲染Boss冲锋预警：沿冲锋方向的红色通道，蓄力越久越不透明
+     * @param {Object} zombie - 僵尸对象
+     * @param {number} worldX - 世界X坐标
+     * @param {number} worldY - 世界Y坐标
+     */
+    renderChargeTelegraph(zombie, worldX, worldY) {
+        const telegraph = ZombieBehavior.getTelegraph(zombie);
+        if (!telegraph) return;
+
+        const laneWidth = zombie.size * 0.8;
+
+        this.ctx.save();
+        this.ctx.translate(worldX, worldY);
+        this.ctx.rotate(telegraph.angle);
+        this.ctx.fillStyle = 'rgba(255, 0, 0, ' + (0.15 + telegraph.progress * 0.35) + ')';
+        this.ctx.fillRect(0, -laneWidth / 2, telegraph.length, laneWidth);
+        this.ctx.strokeStyle = 'rgba(255, 0, 0, 0.8)';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(0, -laneWidth / 2, telegraph.length, laneWidth);
+        this.ctx.restore();
+    }
+
     /**
      * 渲染伙伴
      * @param {Object} partner - 伙伴对象
@@ -163,9 +202,18 @@ export class EntityRenderer {
         // 绘制状态指示器
         this.renderStatusIndicator(partner, worldX, bodyY);
 
+        // 🔴 新增：绘制装备的武器
+        this.renderWeaponIcon(partner, worldX, bodyY);
+
         // 绘制血条
         this.renderHealthBar(partner, worldX, worldY);
 
+        // 🔴 新增：绘制感染值
+        this.renderInfectionBar(partner, worldX, worldY);
+
+        // 🔴 新增：绘制等级徽章
+        this.renderLevelBadge(partner, worldX, worldY);
+
         return true;
     }
 
@@ -214,26 +262,198 @@ export class EntityRenderer {
             this.ctx.fillText(`${building.cellCount}格`, building.x, y + 35);
         }
 
+        // 🔴 新增：绘制门，已搜刮的建筑变暗
+        if (building.door) {
+            this.renderDoor(building);
+        }
+        if (building.looted) {
+            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+            this.ctx.fillRect(x, y, building.width, building.height);
+        }
+
         return true;
     }
 
     /**
-     * 渲染物品（占位符）
+     * 渲染建筑的门（门沿所在边横放或竖放）
+     * @param {Object} building - 建筑物对象
+     */
+    renderDoor(building) {
+        const door = building.door;
+        const isHorizontal = door.side === 'top' || door.side === 'bottom';
+        const doorWidth = isHorizontal ? 50 : 12;
+        const doorHeight = isHorizontal ? 12 : 50;
+
+        this.ctx.fillStyle = building.looted ? '#5D4037' : '#8D6E63';
+        this.ctx.fillRect(door.x - doorWidth / 2, door.y - doorHeight / 2, doorWidth, doorHeight);
+        this.ctx.strokeStyle = '#3E2723';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(door.x - doorWidth / 2, door.y - doorHeight / 2, doorWidth, doorHeight);
+    }
+
+    /**
+     * 渲染道路障碍物（汽车、路障、瓦砾）
+     * @param {Object} obstacle - 障碍物对象（中心点坐标）
+     * @returns {boolean} 是否渲染成功
+     */
+    renderObstacle(obstacle) {
+        const x = obstacle.x - obstacle.width / 2;
+        const y = obstacle.y - obstacle.height / 2;
+
+        // 绘制阴影
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+        this.ctx.fillRect(x + 4, y + 4, obstacle.width, obstacle.height);
+
+        // 绘制主体，受伤时闪白
+        this.ctx.fillStyle = obstacle.damageFlash > 0 ? '#FFFFFF' : (obstacle.color || '#7F8C8D');
+        this.ctx.fillRect(x, y, obstacle.width, obstacle.height);
+
+        this.ctx.strokeStyle = '#2C3E50';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(x, y, obstacle.width, obstacle.height);
+
+        // 绘制图标
+        this.ctx.textBaseline = 'middle';
+        this.renderIcon(obstacle.icon || '🚧', obstacle.x, obstacle.y, Math.floor(Math.min(obstacle.width, obstacle.height) * 0.6));
+        this.ctx.textBaseline = 'alphabetic';
+
+        // 受损后显示血条
+        if (obstacle.hp < obstacle.maxHp) {
+            this.renderHealthBar(obstacle, obstacle.x, obstacle.y);
+        }
+
+        return true;
+    }
+
+    /**
+     * 渲染物品（上下浮动，快消失时闪烁）
      * @param {Object} item - 物品对象
      * @returns {boolean} 是否渲染成功
      */
     renderItem(item) {
-        // 物品渲染逻辑
+        const despawnTime = window.ConfigManager ? window.ConfigManager.safeGet('ITEM.DESPAWN_TIME', 90) : 90;
+        if (despawnTime - item.age < 5 && Math.floor(item.age * 4) % 2 === 0) {
+            return true;
+        }
+
+        const radius = item.size / 2;
+        const floatY = item.y - 4 - Math.sin(item.age * 3) * 3;
+
+        // 绘制阴影
+        this.renderShadow(item.x, item.y, radius * 0.8, 3, 0.3);
+
+        // 底色圆盘
+        this.ctx.fillStyle = item.color || '#FFFFFF';
+        this.ctx.globalAlpha = 0.85;
+        this.ctx.beginPath();
+        this.ctx.arc(item.x, floatY, radius, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.globalAlpha = 1;
+
+        this.ctx.strokeStyle = '#FFFFFF';
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
+
+        // 绘制图标
+        this.ctx.textBaseline = 'middle';
+        this.renderIcon(item.icon || '❔', item.x, floatY, Math.floor(item.size * 0.7));
+        this.ctx.textBaseline = 'alphabetic';
+
+        return true;
+    }
+
+    /**
+     * 渲染投射物（带拖尾的弹头）
+     * @param {Object} projectile - 投射物对象
+     * @returns {boolean} 是否渲染成功
+     */
+    renderProjectile(projectile) {
+        const trailLength = Math.min(projectile.traveled, window.ConfigManager ? window.ConfigManager.safeGet('PROJECTILE.TRAIL_LENGTH', 18) : 18);
+        const tailX = projectile.x - Math.cos(projectile.angle) * trailLength;
+        const tailY = projectile.y - Math.sin(projectile.angle) * trailLength;
+
+        // 拖尾
+        this.ctx.strokeStyle = projectile.color || '#F1C40F';
+        this.ctx.globalAlpha = 0.5;
+        this.ctx.lineWidth = projectile.size / 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(tailX, tailY);
+        this.ctx.lineTo(projectile.x, projectile.y);
+        this.ctx.stroke();
+        this.ctx.globalAlpha = 1;
+
+        // 弹头
+        this.ctx.fillStyle = projectile.color || '#F1C40F';
+        this.ctx.beginPath();
+        this.ctx.arc(projectile.x, projectile.y, projectile.size / 2, 0, Math.PI * 2);
+        this.ctx.fill();
+
+        return true;
+    }
+
+    /**
+     * 渲染伤害/治疗飘字（暴击放大并加描边，后半段淡出）
+     * @param {Object} floatingText - 飘字对象
+     * @returns {boolean} 是否渲染成功
+     */
+    renderFloatingText(floatingText) {
+        const progress = floatingText.age / floatingText.duration;
+        // 暴击刚出现时先放大再回落
+        const scale = floatingText.isCrit && progress < 0.2 ? 1 + (0.2 - progress) * 2 : 1;
+
+        this.ctx.save();
+        this.ctx.globalAlpha = progress > 0.5 ? Math.max(0, (1 - progress) * 2) : 1;
+        this.ctx.font = 'bold ' + Math.round(floatingText.fontSize * scale) + 'px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+
+        if (floatingText.isCrit) {
+            this.ctx.strokeStyle = '#B71C1C';
+            this.ctx.lineWidth = 3;
+            this.ctx.strokeText(floatingText.text, floatingText.x, floatingText.y);
+        }
+
+        this.ctx.fillStyle = floatingText.color;
+        this.ctx.fillText(floatingText.text, floatingText.x, floatingText.y);
+        this.ctx.restore();
+
         return true;
     }
 
     /**
-     * 渲染特效（占位符）
-     * @param {Object} effect - 特效对象
+     * 渲染特效粒子（透明度随剩余寿命衰减）
+     * @param {Object} effect - 粒子对象
      * @returns {boolean} 是否渲染成功
      */
     renderEffect(effect) {
-        // 特效渲染逻辑
+        this.ctx.save();
+        this.ctx.globalAlpha = effect.getAlpha ? effect.getAlpha() : 1;
+        this.ctx.fillStyle = effect.color || '#FFFFFF';
+        this.ctx.strokeStyle = effect.color || '#FFFFFF';
+
+        switch (effect.shape) {
+            case 'line': {
+                // 火花：沿速度方向的短线
+                const length = effect.size * 3;
+                this.ctx.lineWidth = effect.size / 2;
+                this.ctx.beginPath();
+                this.ctx.moveTo(effect.x - Math.cos(effect.angle) * length, effect.y - Math.sin(effect.angle) * length);
+                this.ctx.lineTo(effect.x, effect.y);
+                this.ctx.stroke();
+                break;
+            }
+            case 'plus':
+                // 治疗光点：十字
+                this.ctx.fillRect(effect.x - effect.size, effect.y - effect.size / 4, effect.size * 2, effect.size / 2);
+                this.ctx.fillRect(effect.x - effect.size / 4, effect.y - effect.size, effect.size / 2, effect.size * 2);
+                break;
+            default:
+                this.ctx.beginPath();
+                this.ctx.arc(effect.x, effect.y, effect.size, 0, Math.PI * 2);
+                this.ctx.fill();
+        }
+
+        this.ctx.restore();
         return true;
     }
 
@@ -314,6 +534,78 @@ export class EntityRenderer {
         this.ctx.fillText(icon, x, y);
     }
 
+    /**
+     * 🔴 新增：渲染装备的武器图标（显示在身体右侧）
+     * @param {Object} entity - 主人物或伙伴
+     * @param {number} x - X坐标
+     * @param {number} bodyY - 身体顶部Y坐标
+     */
+    renderWeaponIcon(entity, x, bodyY) {
+        if (!entity.weapon) return;
+
+        const definition = WeaponSystem.getDefinition(entity.weapon.weaponId);
+        if (!definition) return;
+
+        // 远程武器没有弹药时半透明显示
+        this.ctx.save();
+        this.ctx.globalAlpha = WeaponSystem.getUsableDefinition(entity) ? 1 : 0.4;
+        this.renderIcon(definition.ICON, x + entity.width / 2 + 4, bodyY + entity.height / 2, 12);
+        this.ctx.restore();
+    }
+
+    /**
+     * 🔴 新增：渲染伙伴感染值（血条下方的紫色细条，处于感染状态时右侧显示病毒图标）
+     * @param {Object} partner - 伙伴
+     * @param {number} worldX - X坐标
+     * @param {number} worldY - Y坐标
+     */
+    renderInfectionBar(partner, worldX, worldY) {
+        if (!partner.infection || partner.infection <= 0) return;
+
+        const barWidth = partner.width || 32;
+        const barX = worldX - barWidth / 2;
+        const barY = worldY - (partner.height || 32) / 2 - 8;
+        const ratio = Math.min(1, partner.infection / InfectionManager.getMax());
+
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        this.ctx.fillRect(barX, barY, barWidth, 3);
+        this.ctx.fillStyle = '#8E44AD';
+        this.ctx.fillRect(barX, barY, barWidth * ratio, 3);
+
+        if (InfectionManager.isInfected(partner)) {
+            this.renderIcon('🦠', worldX + barWidth / 2 + 7, barY + 4, 10);
+        }
+    }
+
+    /**
+     * 🔴 新增：渲染伙伴等级徽章（血条左侧，未招募的幸存者不显示）
+     * @param {Object} partner - 伙伴
+     * @param {number} worldX - X坐标
+     * @param {number} worldY - Y坐标
+     */
+    renderLevelBadge(partner, worldX, worldY) {
+        if (partner.isInitialState || !partner.level) return;
+
+        const badgeX = worldX - (partner.width || 32) / 2 - 9;
+        const badgeY = worldY - (partner.height || 32) / 2 - 12;
+
+        this.ctx.fillStyle = partner.level >= PartnerExperience.getMaxLevel() ? '#E67E22' : '#F1C40F';
+        this.ctx.beginPath();
+        this.ctx.arc(badgeX, badgeY, 8, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.strokeStyle = '#FFFFFF';
+        this.ctx.lineWidth = 1;
+        this.ctx.stroke();
+
+        this.ctx.fillStyle = '#2C3E50';
+        this.ctx.font = 'bold 10px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(String(partner.level), badgeX, badgeY);
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'alphabetic';
+    }
+
     /**
      * 渲染状态指示器
      * @param {Object} entity - 实体对象
@@ -333,6 +625,18 @@ export class EntityRenderer {
             this.ctx.beginPath();
             this.ctx.arc(x, bodyY - 6, 4, 0, Math.PI * 2);
             this.ctx.fill();
+
+            // 🔴 新增：被平民发现的幸存者头顶显示感叹号
+            if (entity.spotted) {
+                this.renderIcon('❗', x, bodyY - 20, 14);
+            }
+        } else if (entity.status === 'ABILITY' && entity.abilityIcon) {
+            // 🔴 新增：施展职业技能时显示技能图标
+            this.renderIcon(entity.abilityIcon, x, bodyY - 8, 12);
+        } else if (entity.status === 'HOLD' || entity.status === 'GUARD' || entity.status === 'REGROUP') {
+            // 🔴 新增：执行小队指令时显示指令图标
+            const orderIcons = {HOLD: '🛑', GUARD: '🛡️', REGROUP: '📣'};
+            this.renderIcon(orderIcons[entity.status], x, bodyY - 8, 12);
         }
     }
 
@@ -15,16 +15,5 @@ export { MapRenderer } from './map-renderer.js';
 export { EntityRenderer } from './entity-renderer.js';
 export { UIRenderer } from './ui-renderer.js';
 
-// 导出默认类（保持向后兼容）
-export { default as Camera } from './camera.js';
-export { default as RenderManager } from './render-manager.js';
-export { default as ViewSystem } from './view-system.js';
-export { default as MapRenderer } from './map-renderer.js';
-export { default as EntityRenderer } from './entity-renderer.js';
-export { default as UIRenderer } from './ui-renderer.js';
-
-// 导出常量
-export { RENDER_CONFIG, ENTITY_TYPE, RENDER_STATE } from './render-manager.js';
-
 // 默认导出ViewSystem（保持向后兼容）
 export { ViewSystem as default } from './view-system.js';
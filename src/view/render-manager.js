@@ -57,7 +57,10 @@ export const ENTITY_TYPE = {
     PARTNER: 'partner',
     BUILDING: 'building',
     ITEM: 'item',
-    EFFECT: 'effect'
+    PROJECTILE: 'projectile',
+    FLOATING_TEXT: 'floating_text',
+    EFFECT: 'effect',
+    OBSTACLE: 'obstacle'
 };
 
 // 渲染状态枚举
@@ -77,6 +80,7 @@ export const RENDER_STATE = {
             this.renderPriority = 0; // 渲染优先级
             this.isVisible = true;
             this.isFixedLayer = entityType === ENTITY_TYPE.BUILDING; // 🔴 新增：标记固定层级实体
+            this.isEffectLayer = layer >= RENDER_CONFIG.SORTING.LAYER_OFFSETS.EFFECT; // 🔴 新增：特效层实体绘制在所有实体之上
         }
 
         // 获取排序键（Y坐标 + 层级偏移）
@@ -122,6 +126,7 @@ export class RenderManager {
             buildingsRendered: 0,
             itemsRendered: 0,
             effectsRendered: 0,
+            obstaclesRendered: 0,
             totalRendered: 0,
             frameTime: 0,
             fps: 0
@@ -206,9 +211,10 @@ export class RenderManager {
             renderEntity.updateRenderInfo();
         });
 
-        // 🔴 修复：分离固定层级实体和动态排序实体
+        // 🔴 修复：分离固定层级实体、动态排序实体和特效层实体
         const fixedLayerEntities = this.renderEntities.filter(re => re.isFixedLayer);
-        const dynamicEntities = this.renderEntities.filter(re => !re.isFixedLayer);
+        const dynamicEntities = this.renderEntities.filter(re => !re.isFixedLayer && !re.isEffectLayer);
+        const effectEntities = this.renderEntities.filter(re => re.isEffectLayer);
 
         // 固定层级实体按层级排序（建筑物等）
         fixedLayerEntities.sort((a, b) => a.getSortKey() - b.getSortKey());
@@ -216,8 +222,8 @@ export class RenderManager {
         // 动态实体按Y坐标+层级排序（角色、僵尸、伙伴等）
         dynamicEntities.sort((a, b) => b.getSortKey() - a.getSortKey());
 
-        // 合并结果：固定层级在前（底层），动态实体在后（上层）
-        this.renderEntities = [...fixedLayerEntities, ...dynamicEntities];
+        // 合并结果：固定层级在前（底层），动态实体在后（上层），特效层最后
+        this.renderEntities = [...fixedLayerEntities, ...dynamicEntities, ...effectEntities];
 
     }
 
@@ -291,9 +297,14 @@ export class RenderManager {
                 case ENTITY_TYPE.ITEM:
                     this.renderStats.itemsRendered++;
                     break;
+                case ENTITY_TYPE.PROJECTILE:
+                case ENTITY_TYPE.FLOATING_TEXT:
                 case ENTITY_TYPE.EFFECT:
                     this.renderStats.effectsRendered++;
                     break;
+                case ENTITY_TYPE.OBSTACLE:
+                    this.renderStats.obstaclesRendered++;
+                    break;
             }
         }
 
@@ -390,7 +401,7 @@ export class RenderManager {
     }
 
     // 🔴 新增：渲染所有游戏实体（统一入口）
-    renderAllGameEntities(characters, zombies, partners, buildings) {
+    renderAllGameEntities(characters, zombies, partners, buildings, obstacles, items, projectiles, effects, floatingTexts) {
         // 清空渲染队列
         this.clearRenderEntities();
 
@@ -400,6 +411,18 @@ export class RenderManager {
             this.addEntitiesToRenderQueue(buildings, ENTITY_TYPE.BUILDING, buildingLayer);
         }
 
+        // 🔴 新增：道路障碍物与实体一起按Y坐标排序，车辆能正确遮挡后方角色
+        if (obstacles && obstacles.length > 0) {
+            const entityLayer = RENDER_CONFIG.SORTING.LAYER_OFFSETS.ENTITY;
+            this.addEntitiesToRenderQueue(obstacles, ENTITY_TYPE.OBSTACLE, entityLayer);
+        }
+
+        // 🔴 新增：地上的物品
+        if (items && items.length > 0) {
+            const entityLayer = RENDER_CONFIG.SORTING.LAYER_OFFSETS.ENTITY;
+            this.addEntitiesToRenderQueue(items, ENTITY_TYPE.ITEM, entityLayer);
+        }
+
         if (characters && characters.length > 0) {
             const entityLayer = RENDER_CONFIG.SORTING.LAYER_OFFSETS.ENTITY;
             this.addEntitiesToRenderQueue(characters, ENTITY_TYPE.CHARACTER, entityLayer);
@@ -415,6 +438,24 @@ export class RenderManager {
             this.addEntitiesToRenderQueue(partners, ENTITY_TYPE.PARTNER, entityLayer);
         }
 
+        // 🔴 新增：投射物绘制在特效层
+        if (projectiles && projectiles.length > 0) {
+            const effectLayer = RENDER_CONFIG.SORTING.LAYER_OFFSETS.EFFECT;
+            this.addEntitiesToRenderQueue(projectiles, ENTITY_TYPE.PROJECTILE, effectLayer);
+        }
+
+        // 🔴 新增：粒子特效绘制在特效层
+        if (effects && effects.length > 0) {
+            const effectLayer = RENDER_CONFIG.SORTING.LAYER_OFFSETS.EFFECT;
+            this.addEntitiesToRenderQueue(effects, ENTITY_TYPE.EFFECT, effectLayer);
+        }
+
+        // 🔴 新增：伤害飘字绘制在特效层
+        if (floatingTexts && floatingTexts.length > 0) {
+            const effectLayer = RENDER_CONFIG.SORTING.LAYER_OFFSETS.EFFECT;
+            this.addEntitiesToRenderQueue(floatingTexts, ENTITY_TYPE.FLOATING_TEXT, effectLayer);
+        }
+
         // 🔴 修复：直接渲染排序后的实体，不重复变换
         return this.renderSortedEntities();
     }
@@ -469,6 +510,7 @@ export class RenderManager {
         this.renderStats.buildingsRendered = 0;
         this.renderStats.itemsRendered = 0;
         this.renderStats.effectsRendered = 0;
+        this.renderStats.obstaclesRendered = 0;
         this.renderStats.totalRendered = 0;
     }
 
@@ -32,6 +32,20 @@ export class UIRenderer {
                 return this.renderDebugInfoUI(data);
             case 'timeInfo':
                 return this.renderTimeInfoUI(data);
+            case 'scavenge':
+                return this.renderScavengeUI(data);
+            case 'killFeed':
+                return this.renderKillFeedUI(data);
+            case 'survivorMarkers':
+                return this.renderSurvivorMarkersUI(data);
+            case 'squadButtons':
+                return this.renderSquadButtonsUI(data);
+            case 'skillButton':
+                return this.renderSkillButtonUI(data);
+            case 'recruitPrompt':
+                return this.renderRecruitPromptUI(data);
+            case 'announcements':
+                return this.renderAnnouncementsUI(data);
             default:
                 console.warn('未知UI类型:', uiType);
                 return false;
@@ -114,10 +128,10 @@ export class UIRenderer {
      * @returns {boolean} 是否渲染成功
      */
     renderDebugInfoUI(data) {
-        const {cameraPos, renderStats, canvas, camera, renderDistance} = data;
+        const {cameraPos, renderStats, canvas, camera, renderDistance, seed} = data;
 
         this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        this.ctx.fillRect(10, 10, 300, 120);
+        this.ctx.fillRect(10, 10, 300, 135);
 
         this.ctx.fillStyle = '#FFFFFF';
         this.ctx.font = '12px Arial';
@@ -129,6 +143,7 @@ export class UIRenderer {
         this.ctx.fillText('地图尺寸: ' + camera.mapWidth + ' x ' + camera.mapHeight, 15, 75);
         this.ctx.fillText('渲染距离: ' + renderDistance, 15, 90);
         this.ctx.fillText('渲染统计: 角色' + renderStats.charactersRendered + ' 僵尸' + renderStats.zombiesRendered + ' 伙伴' + renderStats.partnersRendered, 15, 105);
+        this.ctx.fillText('运行种子: ' + seed, 15, 120);
 
         return true;
     }
@@ -161,6 +176,14 @@ export class UIRenderer {
         this.ctx.fillText(dayText, 20, 30);
         this.ctx.fillText(timeText, 20, 50);
 
+        // 🔴 新增：夜晚显示剩余时间和尸潮波次
+        if (timeInfo.night) {
+            this.ctx.fillStyle = '#87CEFA';
+            this.ctx.fillText('剩余 ' + timeInfo.night.remaining.toFixed(1) + 's', 100, 50);
+            this.ctx.fillStyle = '#FF6B6B';
+            this.ctx.fillText('🧟 ' + timeInfo.night.wave + '/' + timeInfo.night.totalWaves + ' 波', 100, 30);
+        }
+
         // 显示团队人数和食物数量
         const teamText = '👥 团队: ' + timeInfo.teamSize + ' 人';
         const foodText = '🍖 食物: ' + timeInfo.food;
@@ -168,9 +191,256 @@ export class UIRenderer {
         this.ctx.fillStyle = '#FFFFFF';
         this.ctx.fillText(teamText, 20, 70);
 
-        this.ctx.fillStyle = timeInfo.food > 0 ? '#00FF00' : '#FF0000';
+        const foodInfo = timeInfo.foodInfo;
+        this.ctx.fillStyle = timeInfo.food <= 0 ? '#FF0000' : (foodInfo && foodInfo.runningOut ? '#FFA500' : '#00FF00');
         this.ctx.fillText(foodText, 120, 70);
 
+        // 🔴 新增：食物撑不过一天或已经饥饿时在面板下方预警
+        if (foodInfo && (foodInfo.starving || foodInfo.runningOut)) {
+            const warningText = foodInfo.starving ? '☠️ 饥饿中：持续掉血，伙伴会离队' : '⚠️ 食物不够明天吃（每天消耗 ' + foodInfo.dailyConsumption + '）';
+            this.ctx.font = 'bold 14px Arial';
+            this.ctx.fillStyle = foodInfo.starving ? '#FF0000' : '#FFA500';
+            this.ctx.fillText(warningText, 10, 90);
+        }
+
+        return true;
+    }
+
+    /**
+     * 渲染建筑搜刮进度条
+     * @param {Object} data - 渲染数据 {searchInfo, canvas}
+     * @returns {boolean} 是否渲染成功
+     */
+    renderScavengeUI(data) {
+        const {searchInfo, canvas} = data;
+        if (!searchInfo || !canvas) return false;
+
+        const width = 200;
+        const height = 14;
+        const x = canvas.width / 2 - width / 2;
+        const y = 110;
+
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        this.ctx.fillRect(x - 10, y - 26, width + 20, height + 36);
+
+        this.ctx.fillStyle = '#FFFFFF';
+        this.ctx.font = 'bold 14px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(searchInfo.looted ? '🚪 ' + searchInfo.name + '（已搜刮）' : '🔍 正在搜索 ' + searchInfo.name, canvas.width / 2, y - 8);
+
+        // 进度条
+        this.ctx.fillStyle = '#333333';
+        this.ctx.fillRect(x, y, width, height);
+        this.ctx.fillStyle = searchInfo.looted ? '#7F8C8D' : '#2ECC71';
+        this.ctx.fillRect(x, y, width * searchInfo.progress, height);
+        this.ctx.strokeStyle = '#FFFFFF';
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(x, y, width, height);
+
+        this.ctx.textAlign = 'left';
+        return true;
+    }
+
+    /**
+     * 渲染击杀播报（屏幕右上角，最新的在最下面）
+     * @param {Object} data - 渲染数据 {entries, canvas}
+     * @returns {boolean} 是否渲染成功
+     */
+    renderKillFeedUI(data) {
+        const {entries, canvas} = data;
+        if (!entries || !canvas) return false;
+
+        const lineHeight = 22;
+        const right = canvas.width - 10;
+
+        this.ctx.font = 'bold 13px Arial';
+        this.ctx.textAlign = 'right';
+
+        entries.forEach((entry, index) => {
+            const text = entry.killerIcon + ' ' + entry.killerName + ' 击杀 ' + entry.zombieIcon + ' ' + entry.zombieName;
+            const y = 20 + index * lineHeight;
+            const width = this.ctx.measureText(text).width + 12;
+
+            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            this.ctx.fillRect(right - width, y - 15, width, lineHeight - 2);
+            this.ctx.fillStyle = '#FFFFFF';
+            this.ctx.fillText(text, right - 6, y);
+        });
+
+        this.ctx.textAlign = 'left';
+        return true;
+    }
+
+    /**
+     * 🔴 新增：渲染小队指令按钮，当前生效的指令高亮
+     * @param {Object} data - {buttons: [{icon, label, active, x, y, width, height}]}
+     * @returns {boolean} 是否渲染成功
+     */
+    renderSquadButtonsUI(data) {
+        const {buttons} = data;
+        if (!buttons) return false;
+
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+
+        buttons.forEach(button => {
+            this.ctx.fillStyle = button.active ? 'rgba(46, 204, 113, 0.8)' : 'rgba(0, 0, 0, 0.5)';
+            this.ctx.fillRect(button.x, button.y, button.width, button.height);
+            this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+            this.ctx.lineWidth = 1;
+            this.ctx.strokeRect(button.x, button.y, button.width, button.height);
+
+            this.ctx.fillStyle = '#FFFFFF';
+            this.ctx.font = '18px Arial';
+            this.ctx.fillText(button.icon, button.x + button.width / 2, button.y + button.height / 2 - 7);
+            this.ctx.font = '11px Arial';
+            this.ctx.fillText(button.label, button.x + button.width / 2, button.y + button.height - 9);
+        });
+
+        this.ctx.textAlign = 'left';
+        return true;
+    }
+
+    /**
+     * 🔴 新增：渲染屏幕边缘的幸存者方向标记
+     * @param {Object} data - {markers: [{x, y}]}
+     * @returns {boolean} 是否渲染成功
+     */
+    renderSurvivorMarkersUI(data) {
+        const {markers} = data;
+        if (!markers) return false;
+
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.font = '16px Arial';
+
+        markers.forEach(marker => {
+            this.ctx.fillStyle = 'rgba(241, 196, 15, 0.85)';
+            this.ctx.beginPath();
+            this.ctx.arc(marker.x, marker.y, 14, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.fillText('🙋', marker.x, marker.y);
+        });
+
+        this.ctx.textAlign = 'left';
+        return true;
+    }
+
+    /**
+     * 🔴 新增：渲染招募提示面板（职业、属性、食物消耗和招募/离开按钮）
+     * @param {Object} data - {prompt}，见RecruitManager.getPrompt
+     * @returns {boolean} 是否渲染成功
+     */
+    renderRecruitPromptUI(data) {
+        const {prompt} = data;
+        if (!prompt) return false;
+
+        const {panel} = prompt;
+        const centerX = panel.x + panel.width / 2;
+
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        this.ctx.fillRect(panel.x, panel.y, panel.width, panel.height);
+        this.ctx.strokeStyle = 'rgba(241, 196, 15, 0.9)';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(panel.x, panel.y, panel.width, panel.height);
+
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+
+        this.ctx.fillStyle = '#FFFFFF';
+        this.ctx.font = 'bold 16px Arial';
+        this.ctx.fillText(prompt.icon + ' ' + prompt.roleName, centerX, panel.y + 18);
+
+        this.ctx.font = '13px Arial';
+        this.ctx.fillText('❤️ ' + prompt.hp + '/' + prompt.maxHp + '  ⚔️ ' + prompt.attack + '  🎯 ' + prompt.attackRange + '  👟 ' + prompt.moveSpeed, centerX, panel.y + 42);
+
+        // 队伍已满或食物不够时提示原因
+        let costText = prompt.cost > 0 ? '🍖 招募消耗 ' + prompt.cost + '（现有 ' + prompt.food + '）' : '🍖 免费加入';
+        this.ctx.fillStyle = prompt.food >= prompt.cost ? '#F1C40F' : '#E67E22';
+        if (prompt.teamFull) {
+            costText = '🙅 队伍已满，不愿加入';
+            this.ctx.fillStyle = '#E74C3C';
+        }
+        this.ctx.fillText(costText, centerX, panel.y + 64);
+
+        prompt.buttons.forEach(button => {
+            const enabled = button.action !== 'recruit' || prompt.canRecruit;
+            this.ctx.fillStyle = button.action === 'recruit' ? (enabled ? 'rgba(46, 204, 113, 0.85)' : 'rgba(127, 140, 141, 0.85)') : 'rgba(255, 255, 255, 0.2)';
+            this.ctx.fillRect(button.x, button.y, button.width, button.height);
+
+            this.ctx.fillStyle = '#FFFFFF';
+            this.ctx.font = 'bold 14px Arial';
+            this.ctx.fillText(button.label, button.x + button.width / 2, button.y + button.height / 2);
+        });
+
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'alphabetic';
+        return true;
+    }
+
+    /**
+     * 🔴 新增：渲染招募播报（屏幕上方居中，最新的在最下面）
+     * @param {Object} data - {announcements: [{text, color}], canvas}
+     * @returns {boolean} 是否渲染成功
+     */
+    renderAnnouncementsUI(data) {
+        const {announcements, canvas} = data;
+        if (!announcements || !canvas) return false;
+
+        const lineHeight = 26;
+
+        this.ctx.font = 'bold 15px Arial';
+        this.ctx.textAlign = 'center';
+
+        announcements.forEach((entry, index) => {
+            const y = 160 + index * lineHeight;
+            const width = this.ctx.measureText(entry.text).width + 20;
+
+            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.65)';
+            this.ctx.fillRect(canvas.width / 2 - width / 2, y - 17, width, lineHeight - 2);
+            this.ctx.fillStyle = entry.color;
+            this.ctx.fillText(entry.text, canvas.width / 2, y);
+        });
+
+        this.ctx.textAlign = 'left';
+        return true;
+    }
+
+    /**
+     * 🔴 新增：渲染技能按钮，有未使用的技能点时右上角显示点数
+     * @param {Object} data - {button: {icon, label, points, x, y, width, height}}
+     * @returns {boolean} 是否渲染成功
+     */
+    renderSkillButtonUI(data) {
+        const {button} = data;
+        if (!button) return false;
+
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        this.ctx.fillRect(button.x, button.y, button.width, button.height);
+        this.ctx.strokeStyle = button.points > 0 ? '#9B59B6' : 'rgba(255, 255, 255, 0.8)';
+        this.ctx.lineWidth = button.points > 0 ? 2 : 1;
+        this.ctx.strokeRect(button.x, button.y, button.width, button.height);
+
+        this.ctx.fillStyle = '#FFFFFF';
+        this.ctx.font = '18px Arial';
+        this.ctx.fillText(button.icon, button.x + button.width / 2, button.y + button.height / 2 - 7);
+        this.ctx.font = '11px Arial';
+        this.ctx.fillText(button.label, button.x + button.width / 2, button.y + button.height - 9);
+
+        if (button.points > 0) {
+            this.ctx.fillStyle = '#9B59B6';
+            this.ctx.beginPath();
+            this.ctx.arc(button.x + button.width, button.y, 10, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.fillStyle = '#FFFFFF';
+            this.ctx.font = 'bold 12px Arial';
+            this.ctx.fillText(String(button.points), button.x + button.width, button.y);
+        }
+
+        this.ctx.textAlign = 'left';
         return true;
     }
 }
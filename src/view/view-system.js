@@ -10,6 +10,7 @@
 
 import {Camera} from './camera.js';
 import {RenderManager, ENTITY_TYPE} from './render-manager.js';
+import RandomManager from '../random.js';
 
 // 视觉系统主类
 export class ViewSystem {
@@ -196,7 +197,7 @@ export class ViewSystem {
     }
 
     // 🔴 新增：统一渲染所有游戏实体（使用排序渲染）
-    renderAllGameEntities(characterManager, zombieManager, partnerManager, mapSystem) {
+    renderAllGameEntities(characterManager, zombieManager, partnerManager, mapSystem, obstacleManager, itemManager, projectileManager, effectManager, combatTextManager) {
         if (!this.useSortingRendering) {
             // 如果不使用排序渲染，回退到传统方式
             this.renderCharacters(characterManager);
@@ -213,6 +214,11 @@ export class ViewSystem {
         var zombies = [];
         var partners = [];
         var buildings = [];
+        var obstacles = [];
+        var items = [];
+        var projectiles = [];
+        var effects = [];
+        var floatingTexts = [];
 
         // 获取角色
         if (characterManager) {
@@ -243,8 +249,33 @@ export class ViewSystem {
             }
         }
 
+        // 🔴 新增：获取道路障碍物
+        if (obstacleManager) {
+            obstacles = obstacleManager.getAllObstacles();
+        }
+
+        // 🔴 新增：获取地上的物品
+        if (itemManager) {
+            items = itemManager.getAllItems();
+        }
+
+        // 🔴 新增：获取飞行中的投射物
+        if (projectileManager) {
+            projectiles = projectileManager.getAllProjectiles();
+        }
+
+        // 🔴 新增：获取粒子特效
+        if (effectManager) {
+            effects = effectManager.getAllEffects();
+        }
+
+        // 🔴 新增：获取伤害飘字
+        if (combatTextManager) {
+            floatingTexts = combatTextManager.getFloatingTexts();
+        }
+
         // 🔴 修复：直接调用排序渲染，不重复变换
-        this.renderManager.renderAllGameEntities(characters, zombies, partners, buildings);
+        this.renderManager.renderAllGameEntities(characters, zombies, partners, buildings, obstacles, items, projectiles, effects, floatingTexts);
 
         // 恢复变换
         this.renderManager.restoreTransform();
@@ -268,7 +299,8 @@ export class ViewSystem {
             canvas: this.canvas,
             camera: this.camera,
             renderDistance: this.renderDistance,
-            sortingEnabled: this.useSortingRendering
+            sortingEnabled: this.useSortingRendering,
+            seed: RandomManager.getSeed()
         };
 
         this.renderManager.renderUI('debugInfo', debugData);
@@ -286,6 +318,83 @@ export class ViewSystem {
         this.renderManager.renderUI('timeInfo', timeData);
     }
 
+    // 🔴 新增：渲染建筑搜刮进度（屏幕上方居中）
+    renderScavengeInfo(gameEngine) {
+        if (!gameEngine || !gameEngine.scavengeSystem) return;
+
+        const searchInfo = gameEngine.scavengeSystem.getSearchInfo();
+        if (!searchInfo) return;
+
+        this.renderManager.renderUI('scavenge', {searchInfo: searchInfo, canvas: this.canvas});
+    }
+
+    // 🔴 新增：渲染击杀播报
+    renderKillFeed(combatTextManager) {
+        if (!combatTextManager) return;
+
+        const entries = combatTextManager.getKillFeed();
+        if (entries.length === 0) return;
+
+        this.renderManager.renderUI('killFeed', {entries: entries, canvas: this.canvas});
+    }
+
+    // 🔴 新增：渲染平民发现的幸存者方向标记（只标记在屏幕外的）
+    renderSurvivorMarkers(partnerManager) {
+        if (!partnerManager) return;
+
+        const margin = 24;
+        const markers = [];
+        partnerManager.getAllPartners().forEach(partner => {
+            if (!partner.isInitialState || !partner.spotted || partner.hp <= 0) return;
+
+            const screenPos = this.camera.worldToScreen(partner.x, partner.y);
+            const isOffScreen = screenPos.x < 0 || screenPos.x > this.canvas.width || screenPos.y < 0 || screenPos.y > this.canvas.height;
+            if (!isOffScreen) return;
+
+            markers.push({
+                x: Math.max(margin, Math.min(this.canvas.width - margin, screenPos.x)),
+                y: Math.max(margin, Math.min(this.canvas.height - margin, screenPos.y))
+            });
+        });
+        if (markers.length === 0) return;
+
+        this.renderManager.renderUI('survivorMarkers', {markers: markers});
+    }
+
+    // 🔴 新增：渲染小队指令按钮（屏幕右侧）
+    renderSquadButtons(squadCommand) {
+        if (!squadCommand) return;
+
+        this.renderManager.renderUI('squadButtons', {buttons: squadCommand.getButtons(this.canvas)});
+    }
+
+    // 🔴 新增：渲染屏幕左侧的技能按钮（有未使用的技能点时显示角标）
+    renderSkillButton(skillTree) {
+        if (!skillTree) return;
+
+        this.renderManager.renderUI('skillButton', {button: skillTree.getButton()});
+    }
+
+    // 🔴 新增：渲染招募提示面板
+    renderRecruitPrompt(recruitManager) {
+        if (!recruitManager) return;
+
+        const prompt = recruitManager.getPrompt(this.canvas);
+        if (!prompt) return;
+
+        this.renderManager.renderUI('recruitPrompt', {prompt: prompt});
+    }
+
+    // 🔴 新增：渲染屏幕播报
+    renderAnnouncements(announcer) {
+        if (!announcer) return;
+
+        const announcements = announcer.getAnnouncements();
+        if (announcements.length === 0) return;
+
+        this.renderManager.renderUI('announcements', {announcements: announcements, canvas: this.canvas});
+    }
+
     // 获取渲染管理器（供外部使用）
     getRenderManager() {
         return this.renderManager;
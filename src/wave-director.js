@@ -0,0 +1,254 @@
+/**
+ * 夜晚尸潮模块 (wave-director.js)
+ *
+ * 功能：
+ * - 夜晚阶段按天数分批刷出逐渐增强的尸潮，白天仍由每日刷新补充少量僵尸
+ * - 尸潮从摄像机视野边缘外生成，落点必须可行走
+ * - 夜晚提高僵尸的检测范围，天亮后恢复
+ * - 提供夜晚剩余时间和波次信息，供HUD显示倒计时
+ * - 读档时已经过去的波次不会补刷
+ */
+
+import RandomManager, {RANDOM_STREAM} from './random.js';
+
+// 默认尸潮配置（会被config.js中的NIGHT_WAVE覆盖）
+const NIGHT_WAVE_DEFAULTS = {
+    ENABLED: true,
+    WAVES_PER_NIGHT: 3,
+    BASE_ZOMBIES: 4,
+    ZOMBIES_PER_DAY: 2,
+    WAVE_GROWTH: 0.25,
+    MAX_ZOMBIES_PER_WAVE: 40,
+    EDGE_MARGIN: 80,
+    MAX_SPAWN_ATTEMPTS: 20,
+    DETECTION_RANGE_MULTIPLIER: 1.5,
+    TYPES: {
+        skinny: {UNLOCK_DAY: 1, WEIGHT: 5},
+        fast: {UNLOCK_DAY: 2, WEIGHT: 3},
+        fat: {UNLOCK_DAY: 3, WEIGHT: 2},
+        tank: {UNLOCK_DAY: 5, WEIGHT: 1},
+        boss: {UNLOCK_DAY: 8, WEIGHT: 0.2}
+    }
+};
+
+// 获取尸潮配置
+function getWaveConfig() {
+    if (window.ConfigManager) {
+        return window.ConfigManager.safeGet('NIGHT_WAVE', NIGHT_WAVE_DEFAULTS);
+    }
+    return NIGHT_WAVE_DEFAULTS;
+}
+
+// 夜晚尸潮导演
+class WaveDirector {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.activeNight = null;    // 当前夜晚所属的天数，白天为null
+        this.waveIndex = 0;         // 下一波的序号
+        this.spawnedThisNight = 0;  // 本夜已生成的僵尸数
+    }
+
+    // 获取夜晚时长（秒）
+    getNightDuration() {
+        var timeConfig = this.gameEngine.getTimeConfig();
+        var dayDuration = timeConfig ? timeConfig.DAY_DURATION : 10;
+        var dayPhaseDuration = timeConfig ? timeConfig.DAY_PHASE_DURATION : 5;
+        return Math.max(0, dayDuration - dayPhaseDuration);
+    }
+
+    // 获取夜晚已经过的时间（秒）
+    getNightElapsed() {
+        var timeConfig = this.gameEngine.getTimeConfig();
+        var dayPhaseDuration = timeConfig ? timeConfig.DAY_PHASE_DURATION : 5;
+        return Math.max(0, this.gameEngine.timeSystem.currentTime - dayPhaseDuration);
+    }
+
+    // 获取两波之间的间隔（秒）
+    getWaveInterval() {
+        return this.getNightDuration() / Math.max(1, getWaveConfig().WAVES_PER_NIGHT);
+    }
+
+    // 每个逻辑步调用（在时间系统更新之后）
+    update(deltaTime) {
+        var waveConfig = getWaveConfig();
+        if (!waveConfig.ENABLED) return;
+
+        var timeSystem = this.gameEngine.timeSystem;
+
+        if (timeSystem.isDay) {
+            if (this.activeNight !== null) {
+                this.endNight();
+            }
+            return;
+        }
+
+        if (this.activeNight !== timeSystem.day) {
+            this.startNight(timeSystem.day, deltaTime);
+        }
+
+        var elapsed = this.getNightElapsed();
+        var interval = this.getWaveInterval();
+        while (this.waveIndex < waveConfig.WAVES_PER_NIGHT && elapsed >= this.waveIndex * interval) {
+            this.spawnWave(timeSystem.day, this.waveIndex);
+            this.waveIndex++;
+        }
+    }
+
+    // 入夜：提高僵尸检测范围；中途进入（读档）时跳过已经过去的波次
+    startNight(day, deltaTime) {
+        var elapsed = this.getNightElapsed();
+
+        this.activeNight = day;
+        this.spawnedThisNight = 0;
+        this.waveIndex = elapsed > deltaTime * 2 ? Math.floor(elapsed / this.getWaveInterval()) + 1 : 0;
+
+        if (this.gameEngine.zombieManager) {
+            this.gameEngine.zombieManager.setDetectionMultiplier(getWaveConfig().DETECTION_RANGE_MULTIPLIER);
+        }
+
+        console.log('🌙 第', day, '天入夜，尸潮来袭');
+    }
+
+    // 天亮：恢复僵尸检测范围
+    endNight() {
+        console.log('☀️ 天亮了，本夜尸潮共', this.spawnedThisNight, '只');
+
+        this.activeNight = null;
+        this.waveIndex = 0;
+        this.spawnedThisNight = 0;
+
+        if (this.gameEngine.zombieManager) {
+            this.gameEngine.zombieManager.setDetectionMultiplier(1);
+        }
+    }
+
+    // 计算某天某波的僵尸数量
+    getWaveSize(day, waveIndex) {
+        var waveConfig = getWaveConfig();
+        var spawnRate = window.ConfigManager ? window.ConfigManager.getDifficultyConfig().ZOMBIE_SPAWN_RATE : 1;
+        var size = (waveConfig.BASE_ZOMBIES + (day - 1) * waveConfig.ZOMBIES_PER_DAY) * (1 + waveIndex * waveConfig.WAVE_GROWTH) * spawnRate;
+        return Math.min(waveConfig.MAX_ZOMBIES_PER_WAVE, Math.max(1, Math.round(size)));
+    }
+
+    // 按天数解锁的类型权重随机选择僵尸类型
+    pickZombieType(day, spawnRandom) {
+        var types = getWaveConfig().TYPES;
+        var unlocked = Object.keys(types).filter(type => day >= types[type].UNLOCK_DAY);
+        var totalWeight = unlocked.reduce((sum, type) => sum + types[type].WEIGHT, 0);
+
+        var roll = spawnRandom.range(0, totalWeight);
+        for (var i = 0; i < unlocked.length; i++) {
+            roll -= types[unlocked[i]].WEIGHT;
+            if (roll < 0) {
+                return unlocked[i];
+            }
+        }
+        return unlocked[unlocked.length - 1] || 'skinny';
+    }
+
+    // 生成一波尸潮
+    spawnWave(day, waveIndex) {
+        var zombieManager = this.gameEngine.zombieManager;
+        if (!zombieManager) return 0;
+
+        var bounds = this.getSpawnBounds();
+        if (!bounds) return 0;
+
+        var spawnRandom = RandomManager.getStream(RANDOM_STREAM.SPAWN);
+        var waveSize = this.getWaveSize(day, waveIndex);
+        var spawned = 0;
+
+        for (var i = 0; i < waveSize; i++) {
+            var position = this.findEdgePosition(bounds, spawnRandom);
+            if (!position) continue;
+
+            if (zombieManager.createZombie(this.pickZombieType(day, spawnRandom), position.x, position.y)) {
+                spawned++;
+            }
+        }
+
+        this.spawnedThisNight += spawned;
+        console.log('🧟 第', day, '夜第', waveIndex + 1, '波尸潮:', spawned, '/', waveSize);
+        return spawned;
+    }
+
+    // 获取视野外一圈的生成范围（世界坐标）
+    getSpawnBounds() {
+        var viewSystem = this.gameEngine.viewSystem;
+        if (!viewSystem || !viewSystem.camera) return null;
+
+        var margin = getWaveConfig().EDGE_MARGIN;
+        var view = viewSystem.camera.getViewBounds();
+        return {
+            left: view.left - margin, top: view.top - margin, right: view.right + margin, bottom: view.bottom + margin
+        };
+    }
+
+    // 在生成范围的边上随机找一个可行走位置
+    findEdgePosition(bounds, spawnRandom) {
+        var mapConfig = this.gameEngine.mapSystem && this.gameEngine.mapSystem.currentMap ? this.gameEngine.mapSystem.currentMap.config : null;
+        var collisionSystem = this.gameEngine.collisionSystem || window.collisionSystem;
+        var maxAttempts = getWaveConfig().MAX_SPAWN_ATTEMPTS;
+        var width = bounds.right - bounds.left;
+        var height = bounds.bottom - bounds.top;
+
+        for (var attempt = 0; attempt < maxAttempts; attempt++) {
+            // 按周长均匀选择四条边上的点
+            var distance = spawnRandom.range(0, (width + height) * 2);
+            var x, y;
+            if (distance < width) {
+                x = bounds.left + distance;
+                y = bounds.top;
+            } else if (distance < width + height) {
+                x = bounds.right;
+                y = bounds.top + distance - width;
+            } else if (distance < width * 2 + height) {
+                x = bounds.right - (distance - width - height);
+                y = bounds.bottom;
+            } else {
+                x = bounds.left;
+                y = bounds.bottom - (distance - width * 2 - height);
+            }
+
+            if (mapConfig && (x < 100 || x > mapConfig.width - 100 || y < 100 || y > mapConfig.height - 100)) {
+                continue;
+            }
+
+            if (collisionSystem && collisionSystem.isPositionWalkable && !collisionSystem.isPositionWalkable(x, y)) {
+                continue;
+            }
+
+            return {x: x, y: y};
+        }
+
+        return null;
+    }
+
+    // 获取夜晚信息（HUD显示）
+    getNightInfo() {
+        if (this.gameEngine.timeSystem.isDay) {
+            return null;
+        }
+
+        return {
+            remaining: Math.max(0, this.getNightDuration() - this.getNightElapsed()),
+            wave: Math.min(this.waveIndex, getWaveConfig().WAVES_PER_NIGHT),
+            totalWaves: getWaveConfig().WAVES_PER_NIGHT
+        };
+    }
+
+    // 重置状态
+    reset() {
+        if (this.activeNight !== null && this.gameEngine.zombieManager) {
+            this.gameEngine.zombieManager.setDetectionMultiplier(1);
+        }
+
+        this.activeNight = null;
+        this.waveIndex = 0;
+        this.spawnedThisNight = 0;
+    }
+}
+
+// 导出
+export {WaveDirector, NIGHT_WAVE_DEFAULTS};
+export default WaveDirector;
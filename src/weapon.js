@@ -0,0 +1,276 @@
+/**
+ * 武器模块 (weapon.js)
+ *
+ * 功能：
+ * - 武器定义：近战（球棒、斧头）和远程（手枪、霰弹枪、步枪），属性来自config.js的WEAPON配置
+ * - 每把武器有伤害、射程、攻速、散布、弹丸数、每发耗弹和耐久度
+ * - 主人物和伙伴都可以装备武器，装备后攻击范围和攻击间隔随武器变化
+ * - 远程武器消耗背包中的共享弹药并发射投射物，没有弹药时退回徒手攻击
+ * - 警察空手时用配枪发射投射物（不消耗弹药）
+ * - 耐久度耗尽后武器损坏，自动换上背包里的下一把武器
+ * - 所有攻击都有概率暴击，暴击伤害按倍数放大
+ */
+
+import {ROLE} from './config.js';
+import RandomManager, {RANDOM_STREAM} from './random.js';
+import ProjectileManager, {PROJECTILE_DEFAULTS} from './projectile.js';
+import PartnerExperience from './experience.js';
+
+// 武器类别
+const WEAPON_KIND = {
+    MELEE: 'melee', RANGED: 'ranged'
+};
+
+// 默认武器配置（会被config.js中的WEAPON覆盖）
+const WEAPON_DEFAULTS = {
+    CRIT_CHANCE: 0.1,
+    CRIT_MULTIPLIER: 2,
+    TYPES: {
+        bat: {NAME: '球棒', ICON: '🏏', KIND: 'melee', DAMAGE: 30, RANGE: 100, FIRE_RATE: 1.6, SPREAD: 0, PELLETS: 1, AMMO_PER_SHOT: 0, SPEED: 0, PIERCE: 0, DURABILITY: 80},
+        axe: {NAME: '斧头', ICON: '🪓', KIND: 'melee', DAMAGE: 50, RANGE: 100, FIRE_RATE: 1.0, SPREAD: 0, PELLETS: 1, AMMO_PER_SHOT: 0, SPEED: 0, PIERCE: 0, DURABILITY: 50},
+        pistol: {NAME: '手枪', ICON: '🔫', KIND: 'ranged', DAMAGE: 25, RANGE: 300, FIRE_RATE: 2.0, SPREAD: 0.06, PELLETS: 1, AMMO_PER_SHOT: 1, SPEED: 700, PIERCE: 0, DURABILITY: 300},
+        shotgun: {NAME: '霰弹枪', ICON: '💥', KIND: 'ranged', DAMAGE: 14, RANGE: 200, FIRE_RATE: 0.8, SPREAD: 0.35, PELLETS: 6, AMMO_PER_SHOT: 1, SPEED: 600, PIERCE: 0, DURABILITY: 150},
+        rifle: {NAME: '步枪', ICON: '🎯', KIND: 'ranged', DAMAGE: 45, RANGE: 450, FIRE_RATE: 1.2, SPREAD: 0.02, PELLETS: 1, AMMO_PER_SHOT: 1, SPEED: 900, PIERCE: 2, DURABILITY: 250}
+    }
+};
+
+// 获取武器配置
+function getWeaponConfig() {
+    if (window.ConfigManager) {
+        return window.ConfigManager.safeGet('WEAPON', WEAPON_DEFAULTS);
+    }
+    return WEAPON_DEFAULTS;
+}
+
+// 武器系统
+const WeaponSystem = {
+    // 获取武器定义
+    getDefinition: function (weaponId) {
+        return getWeaponConfig().TYPES[weaponId] || null;
+    },
+
+    // 创建武器实例（满耐久）
+    createWeapon: function (weaponId) {
+        var definition = this.getDefinition(weaponId);
+        if (!definition) {
+            throw new Error('未知的武器: ' + weaponId);
+        }
+        return {weaponId: weaponId, durability: definition.DURABILITY};
+    },
+
+    // 装备武器（weapon为武器实例或武器ID），返回换下的武器实例
+    equipWeapon: function (entity, weapon) {
+        if (typeof weapon === 'string') {
+            weapon = this.createWeapon(weapon);
+        }
+
+        var previous = entity.weapon || null;
+        entity.weapon = weapon;
+        this.refreshAttackRange(entity);
+
+        console.log('🗡️', entity.id, '装备', this.getDefinition(weapon.weaponId).NAME);
+        return previous;
+    },
+
+    // 卸下武器，返回卸下的武器实例
+    unequipWeapon: function (entity) {
+        var previous = entity.weapon || null;
+        entity.weapon = null;
+        this.refreshAttackRange(entity);
+        return previous;
+    },
+
+    // 获取背包中的共享弹药
+    getAmmo: function () {
+        return window.itemManager && window.itemManager.inventory ? window.itemManager.inventory.ammo : 0;
+    },
+
+    // 获取当前可用的武器定义：远程武器没有弹药时返回null（徒手）
+    getUsableDefinition: function (entity) {
+        if (!entity.weapon) return null;
+
+        var definition = this.getDefinition(entity.weapon.weaponId);
+        if (!definition) return null;
+
+        if (definition.KIND === WEAPON_KIND.RANGED && this.getAmmo() < definition.AMMO_PER_SHOT) {
+            return null;
+        }
+        return definition;
+    },
+
+    // 按当前可用武器刷新攻击范围和检测范围
+    refreshAttackRange: function (entity) {
+        if (entity.baseAttackRange === undefined) {
+            entity.baseAttackRange = entity.attackRange;
+        }
+        if (entity.baseDetectionRange === undefined && entity.detectionRange !== undefined) {
+            entity.baseDetectionRange = entity.detectionRange;
+        }
+
+        var definition = this.getUsableDefinition(entity);
+        entity.attackRange = definition ? definition.RANGE : entity.baseAttackRange;
+
+        // 伙伴只攻击检测范围内的僵尸，远程武器需要同步放大检测范围
+        if (entity.baseDetectionRange !== undefined) {
+            entity.detectionRange = Math.max(entity.baseDetectionRange, entity.attackRange);
+        }
+    },
+
+    // 刷新整个团队的攻击范围（弹药数量变化后调用）
+    refreshTeamRanges: function () {
+        if (!window.objectManager) return;
+
+        window.objectManager.getAllCharacters().concat(window.objectManager.getAllPartners())
+            .forEach(entity => this.refreshAttackRange(entity));
+    },
+
+    // 获取攻击间隔（秒）（🔴 修改：按实体的攻速倍率缩短）
+    getAttackInterval: function (entity) {
+        var attackSpeed = entity.attackSpeedMultiplier || 1;
+        var definition = this.getUsableDefinition(entity);
+        if (definition) {
+            return 1 / (definition.FIRE_RATE * attackSpeed);
+        }
+
+        var combatConfig = window.ConfigManager ? window.ConfigManager.get('COMBAT') : null;
+        return (combatConfig ? combatConfig.DEFAULT_ATTACK_INTERVAL : 0.5) / attackSpeed;
+    },
+
+    /**
+     * 用当前武器攻击目标
+     * @param {Object} attacker - 主人物或伙伴
+     * @param {Object} target - 僵尸
+     */
+    performAttack: function (attacker, target) {
+        if (!target || target.hp <= 0) return;
+
+        var isCrit = this.rollCrit(attacker);
+        var definition = this.getUsableDefinition(attacker);
+        if (!definition) {
+            // 警察空手时用配枪射击，其余角色徒手攻击
+            if (attacker.role === ROLE.POLICE) {
+                this.firePoliceShot(attacker, target, isCrit);
+            } else {
+                target.takeDamage(this.applyCrit(attacker.attack, isCrit), attacker, isCrit);
+            }
+            return;
+        }
+
+        if (definition.KIND === WEAPON_KIND.RANGED) {
+            this.fireRanged(attacker, target, definition, isCrit);
+        } else {
+            target.takeDamage(this.applyCrit(definition.DAMAGE, isCrit), attacker, isCrit);
+            if (window.effectManager) {
+                window.effectManager.emit('hit_spark', target.x, target.y);
+            }
+        }
+
+        this.wearWeapon(attacker);
+    },
+
+    // 按暴击概率判定本次攻击是否暴击（🔴 修改：加上攻击者的暴击率加值）
+    rollCrit: function (attacker) {
+        var critChance = getWeaponConfig().CRIT_CHANCE + (attacker && attacker.critChanceBonus || 0);
+        return RandomManager.getStream(RANDOM_STREAM.AI).chance(critChance);
+    },
+
+    // 暴击时放大伤害
+    applyCrit: function (damage, isCrit) {
+        return isCrit ? Math.round(damage * getWeaponConfig().CRIT_MULTIPLIER) : damage;
+    },
+
+    // 远程射击：消耗弹药，每颗弹丸带随机散布发射投射物
+    fireRanged: function (attacker, target, definition, isCrit) {
+        window.itemManager.inventory.ammo -= definition.AMMO_PER_SHOT;
+
+        var aiRandom = RandomManager.getStream(RANDOM_STREAM.AI);
+        var baseAngle = Math.atan2(target.y - attacker.y, target.x - attacker.x);
+        this.emitMuzzleFlash(attacker, baseAngle);
+
+        for (var i = 0; i < definition.PELLETS; i++) {
+            var offset = aiRandom.range(-definition.SPREAD / 2, definition.SPREAD / 2);
+            ProjectileManager.fire(attacker, baseAngle + offset, {
+                damage: this.applyCrit(definition.DAMAGE, isCrit), speed: definition.SPEED, range: definition.RANGE, pierce: definition.PIERCE, crit: isCrit
+            });
+        }
+
+        // 打空弹药后退回徒手攻击范围
+        if (this.getAmmo() < definition.AMMO_PER_SHOT) {
+            this.refreshTeamRanges();
+        }
+    },
+
+    // 警察配枪射击：伤害和射程使用角色自身属性，穿透加上已解锁特长的加值
+    firePoliceShot: function (attacker, target, isCrit) {
+        var shotConfig = window.ConfigManager ? window.ConfigManager.safeGet('PROJECTILE', PROJECTILE_DEFAULTS).POLICE_SHOT : PROJECTILE_DEFAULTS.POLICE_SHOT;
+        var baseAngle = Math.atan2(target.y - attacker.y, target.x - attacker.x);
+        var offset = RandomManager.getStream(RANDOM_STREAM.AI).range(-shotConfig.SPREAD / 2, shotConfig.SPREAD / 2);
+        this.emitMuzzleFlash(attacker, baseAngle);
+        ProjectileManager.fire(attacker, baseAngle + offset, {
+            damage: this.applyCrit(attacker.attack, isCrit), speed: shotConfig.SPEED, range: attacker.attackRange, pierce: shotConfig.PIERCE + PartnerExperience.getPerkBonus(attacker, 'SHOT_PIERCE'), color: shotConfig.COLOR, crit: isCrit
+        });
+    },
+
+    // 枪口火光
+    emitMuzzleFlash: function (attacker, angle) {
+        if (window.effectManager) {
+            window.effectManager.emit('muzzle_flash', attacker.x, attacker.y, angle);
+        }
+    },
+
+    // 消耗耐久度，损坏后换上背包里的下一把武器
+    wearWeapon: function (entity) {
+        var weapon = entity.weapon;
+        weapon.durability--;
+        if (weapon.durability > 0) return;
+
+        console.log('💔', entity.id, '的', this.getDefinition(weapon.weaponId).NAME, '损坏了');
+        this.unequipWeapon(entity);
+        this.equipFromInventory(entity);
+    },
+
+    // 从背包取出第一把武器装备
+    equipFromInventory: function (entity) {
+        var inventory = window.itemManager ? window.itemManager.inventory : null;
+        if (!inventory || inventory.weapons.length === 0) return false;
+
+        this.equipWeapon(entity, inventory.weapons.shift());
+        return true;
+    },
+
+    // 拾取武器：主人物空手则装备给主人物，其次给空手的已招募伙伴，否则放入背包
+    giveWeapon: function (weaponId) {
+        var holder = null;
+        if (window.objectManager) {
+            var mainChar = window.objectManager.getMainCharacter();
+            var partners = window.objectManager.getAllPartners().filter(partner => partner.hp > 0 && !partner.isInitialState);
+            holder = [mainChar].concat(partners).find(entity => entity && !entity.weapon) || null;
+        }
+
+        if (holder) {
+            this.equipWeapon(holder, weaponId);
+            return holder;
+        }
+
+        window.itemManager.inventory.weapons.push(weaponId);
+        return null;
+    },
+
+    // 导出武器实例（写入存档）
+    serializeWeapon: function (weapon) {
+        return weapon ? {weaponId: weapon.weaponId, durability: weapon.durability} : null;
+    },
+
+    // 恢复武器实例（读取存档）
+    restoreWeapon: function (entity, saved) {
+        if (!saved || !this.getDefinition(saved.weaponId)) return;
+
+        var weapon = this.createWeapon(saved.weaponId);
+        weapon.durability = Math.max(1, Math.min(saved.durability, weapon.durability));
+        this.equipWeapon(entity, weapon);
+    }
+};
+
+// 导出
+export {WeaponSystem, WEAPON_KIND, WEAPON_DEFAULTS};
+export default WeaponSystem;
@@ -0,0 +1,241 @@
+/**
+ * 僵尸类型行为模块 (zombie-behavior.js)
+ *
+ * 功能：
+ * - 在僵尸通用的追击/攻击AI之上按类型附加专属行为，参数来自config.js中ZOMBIE.TYPES各类型的行为配置
+ * - SPRINT（快速僵尸）：追击时间歇冲刺，冲刺期间移动速度成倍提高
+ * - EXPLODE（胖子僵尸）：死亡时爆炸，对范围内的主人物和伙伴造成伤害，越靠近中心伤害越高
+ * - KNOCKBACK（坦克僵尸）：攻击命中时把目标击退，被建筑物挡住时停在墙边
+ * - CHARGE（Boss僵尸）：与目标距离合适时原地蓄力并显示冲锋预警，随后沿蓄力方向直线冲锋，撞到队员造成伤害并击退
+ * - 行为写在类型配置里，任何类型都可以组合多种行为；计时按逻辑步长推进，保证回放一致
+ */
+
+import {ZOMBIE_STATES} from './state-machine.js';
+
+// 冲锋阶段
+const CHARGE_PHASE = {
+    TELEGRAPH: 'telegraph', CHARGING: 'charging'
+};
+
+// 击退时每次检测可通行的步长（像素）
+const KNOCKBACK_STEP = 10;
+
+// 获取僵尸类型配置（没有配置时返回空对象）
+function getTypeConfig(zombie) {
+    if (!window.ConfigManager || !zombie.zombieType) return {};
+    return window.ConfigManager.safeGet('ZOMBIE.TYPES.' + zombie.zombieType.toUpperCase(), {}) || {};
+}
+
+// 位置是否可通行（没有碰撞系统时视为可通行）
+function isWalkable(x, y) {
+    if (!window.collisionSystem || !window.collisionSystem.isPositionWalkable) return true;
+    return window.collisionSystem.isPositionWalkable(x, y);
+}
+
+// 僵尸类型行为
+const ZombieBehavior = {
+    // 初始化僵尸的行为计时（创建和对象池复用时调用）
+    initZombie: function (zombie) {
+        zombie.sprintTimer = 0;         // 剩余冲刺时间（秒）
+        zombie.sprintCooldown = 0;      // 冲刺冷却（秒）
+        zombie.chargePhase = null;      // 冲锋阶段（CHARGE_PHASE），不在冲锋时为null
+        zombie.chargeTimer = 0;         // 当前冲锋阶段的剩余时间（秒）
+        zombie.chargeCooldown = 0;      // 冲锋冷却（秒）
+        zombie.chargeAngle = 0;         // 冲锋方向（蓄力开始时锁定）
+    },
+
+    /**
+     * 每个逻辑步调用（寻找目标之后、执行通用状态行为之前）
+     * @param {Object} zombie - 僵尸
+     * @param {number} deltaTime - 逻辑步长（秒）
+     * @returns {boolean} 是否接管了本步行为（蓄力和冲锋期间跳过通用追击/攻击）
+     */
+    update: function (zombie, deltaTime) {
+        var typeConfig = getTypeConfig(zombie);
+
+        if (typeConfig.SPRINT) {
+            this.updateSprint(zombie, typeConfig.SPRINT, deltaTime);
+        }
+        if (typeConfig.CHARGE) {
+            return this.updateCharge(zombie, typeConfig.CHARGE, deltaTime);
+        }
+        return false;
+    },
+
+    // 当前移动速度倍数（冲刺期间提高）
+    getSpeedMultiplier: function (zombie) {
+        if (zombie.sprintTimer > 0) {
+            var sprintConfig = getTypeConfig(zombie).SPRINT;
+            return sprintConfig ? sprintConfig.SPEED_MULTIPLIER : 1;
+        }
+        return 1;
+    },
+
+    // 冲刺：追击中进入触发距离且冷却结束时开始冲刺
+    updateSprint: function (zombie, sprintConfig, deltaTime) {
+        if (zombie.sprintTimer > 0) {
+            zombie.sprintTimer = Math.max(0, zombie.sprintTimer - deltaTime);
+            if (zombie.sprintTimer === 0) {
+                zombie.sprintCooldown = sprintConfig.COOLDOWN;
+            }
+            return;
+        }
+
+        if (zombie.sprintCooldown > 0) {
+            zombie.sprintCooldown = Math.max(0, zombie.sprintCooldown - deltaTime);
+            return;
+        }
+
+        var target = zombie.targetCharacter;
+        if (!target || zombie.state === ZOMBIE_STATES.ATTACK || zombie.state === ZOMBIE_STATES.IDLE) return;
+
+        if (zombie.getDistanceTo(target.x, target.y) <= sprintConfig.TRIGGER_DISTANCE) {
+            zombie.sprintTimer = sprintConfig.DURATION;
+        }
+    },
+
+    // 冲锋：冷却结束且目标在距离区间内时蓄力，蓄力结束后沿锁定方向冲锋
+    updateCharge: function (zombie, chargeConfig, deltaTime) {
+        if (zombie.chargePhase === CHARGE_PHASE.TELEGRAPH) {
+            zombie.chargeTimer -= deltaTime;
+            if (zombie.chargeTimer <= 0) {
+                zombie.chargePhase = CHARGE_PHASE.CHARGING;
+                zombie.chargeTimer = chargeConfig.DURATION;
+            }
+            return true;
+        }
+
+        if (zombie.chargePhase === CHARGE_PHASE.CHARGING) {
+            this.updateCharging(zombie, chargeConfig, deltaTime);
+            return true;
+        }
+
+        if (zombie.chargeCooldown > 0) {
+            zombie.chargeCooldown = Math.max(0, zombie.chargeCooldown - deltaTime);
+            return false;
+        }
+
+        var target = zombie.targetCharacter;
+        if (!target || target.hp <= 0) return false;
+
+        var distance = zombie.getDistanceTo(target.x, target.y);
+        if (distance < chargeConfig.MIN_DISTANCE || distance > chargeConfig.MAX_DISTANCE) return false;
+
+        zombie.chargePhase = CHARGE_PHASE.TELEGRAPH;
+        zombie.chargeTimer = chargeConfig.TELEGRAPH_TIME;
+        zombie.chargeAngle = Math.atan2(target.y - zombie.y, target.x - zombie.x);
+        zombie.direction = zombie.chargeAngle;
+        zombie.isMoving = false;
+        console.log('⚠️ Boss僵尸蓄力冲锋:', zombie.id);
+        return true;
+    },
+
+    // 冲锋移动：撞到队员、被建筑物挡住或时间用完时结束
+    updateCharging: function (zombie, chargeConfig, deltaTime) {
+        var step = zombie.moveSpeed * chargeConfig.SPEED_MULTIPLIER * deltaTime;
+        var nextX = zombie.x + Math.cos(zombie.chargeAngle) * step;
+        var nextY = zombie.y + Math.sin(zombie.chargeAngle) * step;
+
+        zombie.chargeTimer -= deltaTime;
+        if (!isWalkable(nextX, nextY)) {
+            this.endCharge(zombie, chargeConfig);
+            return;
+        }
+
+        zombie.x = nextX;
+        zombie.y = nextY;
+        zombie.isMoving = true;
+
+        var victim = zombie.getAllValidTargets().find(target => {
+            var hitDistance = (zombie.radius || 16) + (target.radius || target.width / 2 || 16);
+            return zombie.getDistanceTo(target.x, target.y) <= hitDistance;
+        });
+        if (victim) {
+            victim.takeDamage(chargeConfig.DAMAGE);
+            if (window.infectionManager) {
+                window.infectionManager.onZombieHit(zombie, victim);
+            }
+            this.knockback(zombie, victim, chargeConfig.KNOCKBACK_DISTANCE);
+            this.endCharge(zombie, chargeConfig);
+            return;
+        }
+
+        if (zombie.chargeTimer <= 0) {
+            this.endCharge(zombie, chargeConfig);
+        }
+    },
+
+    // 结束冲锋并进入冷却
+    endCharge: function (zombie, chargeConfig) {
+        zombie.chargePhase = null;
+        zombie.chargeTimer = 0;
+        zombie.chargeCooldown = chargeConfig.COOLDOWN;
+        zombie.isMoving = false;
+    },
+
+    // 获取冲锋预警（渲染用），不在蓄力时返回null
+    getTelegraph: function (zombie) {
+        if (zombie.chargePhase !== CHARGE_PHASE.TELEGRAPH) return null;
+
+        var chargeConfig = getTypeConfig(zombie).CHARGE;
+        if (!chargeConfig) return null;
+
+        return {
+            angle: zombie.chargeAngle,
+            length: zombie.moveSpeed * chargeConfig.SPEED_MULTIPLIER * chargeConfig.DURATION,
+            progress: 1 - Math.max(0, zombie.chargeTimer) / chargeConfig.TELEGRAPH_TIME
+        };
+    },
+
+    // 僵尸攻击命中后调用：击退目标
+    onAttack: function (zombie, target) {
+        var knockbackConfig = getTypeConfig(zombie).KNOCKBACK;
+        if (knockbackConfig && target.hp > 0) {
+            this.knockback(zombie, target, knockbackConfig.DISTANCE);
+        }
+    },
+
+    // 把目标沿远离来源的方向推开，逐步检测可通行，被挡住时停在最后一个可通行的位置
+    knockback: function (source, target, distance) {
+        if (!distance || distance <= 0) return;
+
+        var angle = Math.atan2(target.y - source.y, target.x - source.x);
+        var stepX = Math.cos(angle) * KNOCKBACK_STEP;
+        var stepY = Math.sin(angle) * KNOCKBACK_STEP;
+        var steps = Math.ceil(distance / KNOCKBACK_STEP);
+
+        for (var i = 0; i < steps; i++) {
+            if (!isWalkable(target.x + stepX, target.y + stepY)) break;
+            target.x += stepX;
+            target.y += stepY;
+        }
+    },
+
+    // 僵尸死亡时调用：爆炸
+    onDeath: function (zombie) {
+        var explodeConfig = getTypeConfig(zombie).EXPLODE;
+        if (explodeConfig) {
+            this.explode(zombie, explodeConfig);
+        }
+    },
+
+    // 爆炸：范围内的主人物和已招募伙伴受到按距离衰减的伤害
+    explode: function (zombie, explodeConfig) {
+        if (window.effectManager) {
+            window.effectManager.emit('explosion', zombie.x, zombie.y);
+        }
+
+        zombie.getAllValidTargets().forEach(target => {
+            var distance = zombie.getDistanceTo(target.x, target.y);
+            if (distance > explodeConfig.RADIUS) return;
+
+            var falloff = 1 - (1 - explodeConfig.MIN_DAMAGE_RATIO) * (distance / explodeConfig.RADIUS);
+            target.takeDamage(Math.max(1, Math.round(explodeConfig.DAMAGE * falloff)));
+        });
+        console.log('💥 胖子僵尸爆炸:', zombie.id);
+    }
+};
+
+// 导出
+export {ZombieBehavior, CHARGE_PHASE};
+export default ZombieBehavior;
@@ -1,6 +1,7 @@
 /**
  * 僵尸模块 - 优化版本 (zombie.js)
  * 🔴 优化：使用统一移动控制器和动画系统
+ * 🔴 新增：类型专属行为（zombie-behavior.js）和追击时的尸群分离、对齐（horde.js）
  */
 
 import ConfigManager from './config.js';
@@ -13,6 +14,10 @@ const ZOMBIE_TYPE = {
 
 // 导入统一的状态枚举
 import {ZOMBIE_STATES} from './state-machine.js';
+import RandomManager, {RANDOM_STREAM} from './random.js';
+import PartnerExperience from './experience.js';
+import ZombieBehavior from './zombie-behavior.js';
+import HordeSteering from './horde.js';
 
 // 使用统一的状态枚举，保持向后兼容
 const ZOMBIE_STATE = ZOMBIE_STATES;
@@ -43,7 +48,7 @@ var Zombie = function (type, x, y) {
     this.zombieType = type;
     this.x = x || 100;
     this.y = y || 100;
-    this.id = Date.now() + Math.random();
+    this.id = RandomManager.nextId('zombie');
 
     // 设置属性
     this.setupProperties();
@@ -64,7 +69,7 @@ var Zombie = function (type, x, y) {
     this.updateInterval = zombieBehaviorConfig.ACTIVE_UPDATE_INTERVAL;
 
     // 战斗属性
-    this.lastAttackTime = 0;
+    this.lastAttackTime = 0;                // 上次攻击的游戏内时间（毫秒）
     var combatConfig = ConfigManager.get('COMBAT');
     this.attackCooldown = combatConfig.ZOMBIE_ATTACK_COOLDOWN || 500;
 
@@ -72,6 +77,7 @@ var Zombie = function (type, x, y) {
     this.animationFrame = 0;
     animationSystem.setAnimationSpeed(this, 'default');
     this.direction = 0;
+    this.deltaTime = UtilsManager.getTimeUtils().getFixedDeltaTime(); // 当前逻辑步长（秒）
 };
 
 // 🔴 优化：僵尸重置方法（使用统一控制器）
@@ -94,6 +100,7 @@ Zombie.prototype.reset = function () {
     this.direction = 0;
     this.targetLockTime = null;
     this.targetLockDuration = null;
+    this.navPath = null;
 
     // 🔴 优化：使用统一移动控制器重置移动速度
     movementController.resetMoveSpeed(this, 'zombie', this.zombieType);
@@ -106,7 +113,7 @@ Zombie.prototype.reset = function () {
     this._destroyed = false;
 
     if (!this.id) {
-        this.id = Date.now() + Math.random();
+        this.id = RandomManager.nextId('zombie');
     }
 };
 
@@ -142,7 +149,8 @@ Zombie.prototype.setupProperties = function () {
 
     // 检测范围
     var detectionConfig = ConfigManager.get('DETECTION');
-    this.detectionRange = detectionConfig.ZOMBIE_DETECTION_RANGE;
+    this.baseDetectionRange = detectionConfig.ZOMBIE_DETECTION_RANGE;
+    this.detectionRange = this.baseDetectionRange * ZombieManager.detectionMultiplier;
     this.mainCharacterDetectionRange = detectionConfig.MAIN_CHARACTER_DETECTION;
 
     // 重置状态相关属性
@@ -157,10 +165,17 @@ Zombie.prototype.setupProperties = function () {
     this.direction = 0;
     this._updateFrame = 0;
     this._destroyed = false;
+    this.staggerTimer = 0; // 🔴 新增：受伤硬直剩余时间（秒），按逻辑步长倒计时
+
+    // 🔴 新增：类型专属行为计时
+    ZombieBehavior.initZombie(this);
 };
 
 // 统一的僵尸更新方法
-Zombie.prototype.update = function (characters, currentFrame = 0) {
+// 🔴 修复：deltaTime为固定步长（秒），由游戏循环传入
+Zombie.prototype.update = function (characters, currentFrame = 0, deltaTime) {
+    this.deltaTime = deltaTime || UtilsManager.getTimeUtils().getFixedDeltaTime();
+
     // 检查死亡状态
     if (this.hp <= 0) {
         if (this.state !== ZOMBIE_STATE.DIE) {
@@ -170,6 +185,17 @@ Zombie.prototype.update = function (characters, currentFrame = 0) {
         return false;
     }
 
+    // 🔴 修复：受伤硬直按逻辑步长倒计时（原先用setTimeout，回放不一致且暂停时也会恢复追击），硬直期间原地不动
+    if (this.staggerTimer > 0) {
+        this.staggerTimer -= this.deltaTime;
+        if (this.staggerTimer > 0) {
+            this.isMoving = false;
+            return true;
+        }
+        this.staggerTimer = 0;
+        this.state = ZOMBIE_STATE.CHASE;
+    }
+
     // 更新活性状态
     if (characters && characters.length > 0) {
         var mainCharacter = characters.find(c => c.role === 1);
@@ -188,6 +214,11 @@ Zombie.prototype.update = function (characters, currentFrame = 0) {
     // 寻找目标
     this.findTarget(characters);
 
+    // 🔴 新增：类型专属行为（Boss蓄力和冲锋期间接管本步行为）
+    if (ZombieBehavior.update(this, this.deltaTime)) {
+        return true;
+    }
+
     // 执行状态行为
     switch (this.state) {
         case ZOMBIE_STATE.CHASING:
@@ -216,11 +247,44 @@ Zombie.prototype.onEnterDead = function () {
     this.deathAnimationDuration = 2.0;
     this.isMoving = false;
     this.targetCharacter = null;
+
+    // 🔴 新增：击杀僵尸有概率获得食物
+    if (window.gameEngine && window.gameEngine.foodSystem) {
+        window.gameEngine.foodSystem.onZombieKilled(this);
+    }
+
+    // 🔴 新增：按掉落表掉落物品
+    if (window.itemManager) {
+        window.itemManager.dropZombieLoot(this);
+    }
+
+    // 🔴 新增：死亡烟雾
+    if (window.effectManager) {
+        window.effectManager.emit('death_puff', this.x, this.y);
+    }
+
+    // 🔴 新增：胖子僵尸死亡爆炸
+    ZombieBehavior.onDeath(this);
+
+    // 🔴 新增：击杀播报
+    if (window.combatTextManager) {
+        window.combatTextManager.recordKill(this.lastAttacker, this);
+    }
+
+    // 🔴 新增：击杀和助攻的伙伴获得经验
+    PartnerExperience.onZombieKilled(this, this.lastAttacker);
+
+    // 🔴 新增：主人物击杀计入技能点
+    if (window.skillTree) {
+        window.skillTree.onZombieKilled(this.lastAttacker);
+    }
+    this.lastAttacker = null;
+    this.attackerIds = [];
 };
 
 // 更新死亡状态
 Zombie.prototype.updateDead = function () {
-    this.deathAnimationTime += 1 / 60; // 固定60fps
+    this.deathAnimationTime += this.deltaTime;
     var gameplayConfig = window.ConfigManager ? window.ConfigManager.get('GAMEPLAY') : null;
     var deathDuration = gameplayConfig ? gameplayConfig.DEATH.ANIMATION_DURATION : 2.0;
 
@@ -316,10 +380,25 @@ Zombie.prototype.attackTarget = function () {
         return;
     }
 
-    var currentTime = Date.now();
+    // 🔴 新增：和挤在一起的僵尸沿包围圈滑开，围住目标
+    var spreadDirection = HordeSteering.getSpreadDirection(this, this.targetCharacter);
+    if (spreadDirection) {
+        UtilsManager.getMovementController().executeMove(this, spreadDirection, this.moveSpeed * HordeSteering.getSpreadSpeedMultiplier(), this.deltaTime);
+    }
+
+    // 🔴 修复：使用游戏内时间计算冷却，暂停和掉帧不影响攻击节奏
+    var currentTime = UtilsManager.getTimeUtils().getGameTime();
     if (currentTime - this.lastAttackTime >= this.attackCooldown) {
         this.targetCharacter.takeDamage(this.attack);
         this.lastAttackTime = currentTime;
+
+        // 🔴 新增：击中伙伴累积感染值
+        if (window.infectionManager) {
+            window.infectionManager.onZombieHit(this, this.targetCharacter);
+        }
+
+        // 🔴 新增：坦克僵尸击退目标
+        ZombieBehavior.onAttack(this, this.targetCharacter);
     }
 };
 
@@ -335,20 +414,42 @@ Zombie.prototype.moveTowards = function (targetX, targetY) {
         return;
     }
 
-    this.direction = Math.atan2(targetY - this.y, targetX - this.x);
+    // 🔴 新增：通过导航系统绕开建筑物，视线通畅时路点就是目标本身
+    var waypoint = movementController.getPathWaypoint(this, targetX, targetY);
 
-    // 计算移动方向
-    var direction = {
-        x: Math.cos(this.direction),
-        y: Math.sin(this.direction)
-    };
+    // 🔴 修改：朝路点前进的方向再叠加尸群分离和对齐，避免僵尸叠成一团
+    var direction = HordeSteering.steer(this, waypoint);
+    this.direction = Math.atan2(direction.y, direction.x);
 
-    // 🔴 优化：使用统一移动控制器执行移动
-    var moveSuccess = movementController.executeMove(this, direction, this.moveSpeed);
+    // 🔴 优化：使用统一移动控制器执行移动（🔴 修改：快速僵尸冲刺时加速）
+    var moveSpeed = this.moveSpeed * ZombieBehavior.getSpeedMultiplier(this);
+    var moveSuccess = movementController.executeMove(this, direction, moveSpeed, this.deltaTime);
     
     if (moveSuccess) {
         this.state = ZOMBIE_STATE.CHASE;
     }
+
+    // 🔴 新增：被路障、汽车等道路障碍物挡住时攻击障碍物（贴着障碍物滑动也算成功移动，所以不看moveSuccess）
+    this.attackBlockingObstacle(direction);
+};
+
+// 攻击紧贴在前进方向上的道路障碍物（与攻击角色共用攻击冷却）
+Zombie.prototype.attackBlockingObstacle = function (direction) {
+    var obstacleManager = window.gameEngine ? window.gameEngine.dynamicObstacleManager : null;
+    if (!obstacleManager) return;
+
+    var currentTime = UtilsManager.getTimeUtils().getGameTime();
+    if (currentTime - this.lastAttackTime < this.attackCooldown) return;
+
+    var reach = this.radius || 16;
+    var hitX = this.x + direction.x * reach;
+    var hitY = this.y + direction.y * reach;
+    if (obstacleManager.damageObstacleAt(hitX, hitY, this.attack)) {
+        this.lastAttackTime = currentTime;
+        if (window.effectManager) {
+            window.effectManager.emit('hit_spark', hitX, hitY);
+        }
+    }
 };
 
 // 检查碰撞
@@ -358,8 +459,8 @@ Zombie.prototype.checkCollision = function (fromX, fromY, toX, toY) {
     }
 
     if (window.collisionSystem.getWallFollowingPosition) {
-        // 🔴 简化：直接使用每帧移动距离
-        var moveDistance = this.moveSpeed; // 直接使用像素/帧
+        // 🔴 修复：移动速度为像素/秒，换算为本步移动距离
+        var moveDistance = this.moveSpeed * this.deltaTime;
         var safePos = window.collisionSystem.getWallFollowingPosition(fromX, fromY, toX, toY, this.radius || 16, moveDistance);
         if (safePos) {
             return safePos;
@@ -402,9 +503,10 @@ Zombie.prototype.idleBehavior = function () {
 
     // 随机游荡
     var zombieBehaviorConfig = ConfigManager.get('ZOMBIE.BEHAVIOR');
-    if (Math.random() < zombieBehaviorConfig.RANDOM_WALK_PROBABILITY) {
-        this.direction = Math.random() * Math.PI * 2;
-        var targetDistance = zombieBehaviorConfig.RANDOM_WALK_DISTANCE + Math.random() * 100;
+    var aiRandom = RandomManager.getStream(RANDOM_STREAM.AI);
+    if (aiRandom.chance(zombieBehaviorConfig.RANDOM_WALK_PROBABILITY)) {
+        this.direction = aiRandom.angle();
+        var targetDistance = zombieBehaviorConfig.RANDOM_WALK_DISTANCE + aiRandom.range(0, 100);
         this.targetX = this.x + Math.cos(this.direction) * targetDistance;
         this.targetY = this.y + Math.sin(this.direction) * targetDistance;
 
@@ -423,7 +525,6 @@ Zombie.prototype.idleBehavior = function () {
 // 🔴 优化：更新动画 - 使用统一动画系统
 Zombie.prototype.updateAnimation = function () {
     var animationSystem = UtilsManager.getAnimationSystem();
-    var deltaTime = 1 / 60; // 固定60fps
 
     // 根据状态调整动画类型
     var animationType = 'default';
@@ -436,18 +537,40 @@ Zombie.prototype.updateAnimation = function () {
     }
 
     // 使用统一动画系统更新动画帧
-    this.animationFrame = animationSystem.updateAnimationFrame(this, deltaTime);
+    this.animationFrame = animationSystem.updateAnimationFrame(this, this.deltaTime);
 };
 
 // 受到伤害
-Zombie.prototype.takeDamage = function (damage) {
+// 🔴 修复：attacker为造成伤害的队员（用于击杀播报），isCrit标记暴击（用于伤害数字）
+Zombie.prototype.takeDamage = function (damage, attacker, isCrit) {
     if (this.hp <= 0) return this.hp;
 
     this.hp -= damage;
     if (this.hp < 0) this.hp = 0;
+    this.lastAttacker = attacker || null;
+
+    // 🔴 新增：记录造成过伤害的伙伴，击杀时结算助攻经验
+    if (attacker && attacker.type === 'partner') {
+        this.attackerIds = this.attackerIds || [];
+        if (this.attackerIds.indexOf(attacker.id) === -1) {
+            this.attackerIds.push(attacker.id);
+        }
+    }
+
+    // 🔴 新增：伤害数字
+    if (window.combatTextManager) {
+        window.combatTextManager.showDamage(this, damage, isCrit);
+    }
+
+    // 🔴 新增：受伤血花
+    if (window.effectManager) {
+        window.effectManager.emit('blood', this.x, this.y);
+    }
 
     if (this.hp <= 0) {
         this.state = ZOMBIE_STATE.DIE;
+        // 🔴 修复：被击杀时进入死亡处理（掉落、击杀奖励），死亡僵尸不再参与update
+        this.onEnterDead();
         return this.hp;
     }
 
@@ -455,14 +578,9 @@ Zombie.prototype.takeDamage = function (damage) {
     if (this.state === ZOMBIE_STATE.CHASE) {
         this.state = ZOMBIE_STATE.IDLE;
 
+        // 🔴 修复：硬直时间在update中按逻辑步长倒计时，结束后恢复追击
         var gameplayConfig = window.ConfigManager ? window.ConfigManager.get('GAMEPLAY') : null;
-        var resetDelay = gameplayConfig ? gameplayConfig.STUCK_DETECTION.RESET_DELAY * 1000 : 500;
-
-        setTimeout(() => {
-            if (this.hp > 0 && this.state !== ZOMBIE_STATE.DIE) {
-                this.state = ZOMBIE_STATE.CHASE;
-            }
-        }, resetDelay);
+        this.staggerTimer = gameplayConfig ? gameplayConfig.STUCK_DETECTION.RESET_DELAY : 0.5;
     }
 
     return this.hp;
@@ -520,7 +638,7 @@ Zombie.prototype.lockTarget = function () {
     var zombieConfig = ConfigManager.get('ZOMBIE');
     var lockDuration = zombieConfig ? zombieConfig.TARGET_LOCK_DURATION : 1000;
 
-    this.targetLockTime = Date.now();
+    this.targetLockTime = UtilsManager.getTimeUtils().getGameTime();
     this.targetLockDuration = lockDuration;
 };
 
@@ -530,7 +648,7 @@ Zombie.prototype.isTargetLocked = function () {
         return false;
     }
 
-    var currentTime = Date.now();
+    var currentTime = UtilsManager.getTimeUtils().getGameTime();
     var lockElapsed = currentTime - this.targetLockTime;
 
     if (lockElapsed < this.targetLockDuration) {
@@ -623,6 +741,17 @@ Zombie.prototype.getDistanceTo = function (targetX, targetY) {
 var ZombieManager = {
     maxZombies: ConfigManager.get('PERFORMANCE.MAX_ZOMBIES'), 
     objectPool: null,
+    detectionMultiplier: 1, // 🔴 新增：检测范围倍数（夜晚尸潮期间提高）
+
+    // 🔴 新增：设置检测范围倍数，已有僵尸立即生效
+    setDetectionMultiplier: function (multiplier) {
+        this.detectionMultiplier = multiplier;
+        if (!window.objectManager) return;
+
+        this.getAllZombies().forEach(zombie => {
+            zombie.detectionRange = zombie.baseDetectionRange * multiplier;
+        });
+    },
 
     // 初始化对象池
     initObjectPool: function () {
@@ -630,6 +759,9 @@ var ZombieManager = {
             return;
         }
 
+        // 🔴 新增：新的一局清空尸群网格
+        HordeSteering.clear();
+
         // 🔴 修复：使用recreatePool确保每次都是全新的对象池
         this.objectPool = window.objectPoolManager.recreatePool('zombie', () => new Zombie('skinny', 0, 0), (zombie) => this.resetZombie(zombie));
     },
@@ -653,6 +785,11 @@ var ZombieManager = {
         zombie.direction = 0;
         zombie.targetLockTime = null;
         zombie.targetLockDuration = null;
+        zombie.navPath = null;
+        zombie.lastAttacker = null;
+        zombie.attackerIds = [];
+        zombie.staggerTimer = 0;
+        ZombieBehavior.initZombie(zombie);
 
         // 🔴 优化：使用统一移动控制器重置移动速度
         movementController.resetMoveSpeed(zombie, 'zombie', zombie.zombieType);
@@ -665,7 +802,7 @@ var ZombieManager = {
         zombie._destroyed = false;
 
         if (!zombie.id) {
-            zombie.id = Date.now() + Math.random();
+            zombie.id = RandomManager.nextId('zombie');
         }
     },
 
@@ -798,8 +935,9 @@ var ZombieManager = {
                 zombie.state = ZOMBIE_STATES.IDLE;
             }
         } else {
-            var randomAngle = Math.random() * Math.PI * 2;
-            var randomDistance = 200 + Math.random() * 300;
+            var aiRandom = RandomManager.getStream(RANDOM_STREAM.AI);
+            var randomAngle = aiRandom.angle();
+            var randomDistance = aiRandom.range(200, 500);
 
             zombie.targetX = zombie.x + Math.cos(randomAngle) * randomDistance;
             zombie.targetY = zombie.y + Math.sin(randomAngle) * randomDistance;
@@ -817,9 +955,9 @@ var ZombieManager = {
         var zombieHeight = zombieWidth;
 
         if (window.collisionSystem.isPositionWalkable && !window.collisionSystem.isPositionWalkable(x, y)) {
-            var collisionConfig = ConfigManager.get('COLLISION');
+            // 🔴 修复：安全生成距离在DETECTION配置中（COLLISION中没有该项，搜索总是失败而退回地图角落）
             var detectionConfig = ConfigManager.get('DETECTION');
-            var safePosition = window.collisionSystem.generateGameSafePosition(x, y, collisionConfig.SAFE_SPAWN_DISTANCE, detectionConfig.MAX_SPAWN_SEARCH_RADIUS, zombieWidth, zombieHeight);
+            var safePosition = window.collisionSystem.generateGameSafePosition(x, y, detectionConfig.SAFE_SPAWN_DISTANCE, detectionConfig.MAX_SPAWN_SEARCH_RADIUS, zombieWidth, zombieHeight);
             if (safePosition) {
                 x = safePosition.x;
                 y = safePosition.y;
@@ -842,10 +980,14 @@ var ZombieManager = {
                         var newX = char.x + Math.cos(angle) * minSafeDistance;
                         var newY = char.y + Math.sin(angle) * minSafeDistance;
 
-                        if (window.collisionSystem.generateGameSafePosition) {
-                            var collisionConfig = ConfigManager.get('COLLISION');
+                        // 🔴 修复：推到安全距离外的位置可通行时直接使用（如尸变的伙伴在尸体旁起身），被挡住时再搜索
+                        if (window.collisionSystem.isPositionWalkable && window.collisionSystem.isPositionWalkable(newX, newY)) {
+                            x = newX;
+                            y = newY;
+                            break;
+                        } else if (window.collisionSystem.generateGameSafePosition) {
                             var detectionConfig = ConfigManager.get('DETECTION');
-                            var safePosition = window.collisionSystem.generateGameSafePosition(newX, newY, collisionConfig.SAFE_SPAWN_DISTANCE, detectionConfig.MAX_SPAWN_SEARCH_RADIUS, zombieWidth, zombieHeight);
+                            var safePosition = window.collisionSystem.generateGameSafePosition(newX, newY, detectionConfig.SAFE_SPAWN_DISTANCE, detectionConfig.MAX_SPAWN_SEARCH_RADIUS, zombieWidth, zombieHeight);
                             if (safePosition) {
                                 x = safePosition.x;
                                 y = safePosition.y;
@@ -865,7 +1007,7 @@ var ZombieManager = {
     },
 
     // 更新所有僵尸
-    updateAllZombies: function (characters, currentFrame = 0) {
+    updateAllZombies: function (characters, currentFrame = 0, deltaTime) {
         if (!Array.isArray(characters)) {
             return;
         }
@@ -884,8 +1026,11 @@ var ZombieManager = {
         var zombies = this.getAllZombies();
         var activeZombies = zombies.filter(zombie => zombie && zombie.hp > 0 && zombie.state !== ZOMBIE_STATE.DIE);
 
+        // 🔴 新增：更新僵尸前重建尸群空间网格，本步的邻居查询都基于同一份位置
+        HordeSteering.rebuild(activeZombies);
+
         activeZombies.forEach(zombie => {
-            zombie.update(characters, currentFrame);
+            zombie.update(characters, currentFrame, deltaTime);
         });
 
         // 清理死亡僵尸